@@ -0,0 +1,83 @@
+const chunkingService = require('../services/chunkingService');
+
+const options = { chunkSize: 1000, chunkOverlap: 150 };
+
+const sentences = (count) => Array.from(
+  { length: count },
+  (_, i) => `Sentence number ${i} talks about the topic at some length here.`
+).join(' ');
+
+// Every chunk's text is the slice of the note its offsets point at
+const expectValidOffsets = (text, chunks) => {
+  chunks.forEach((chunk, i) => {
+    expect(chunk.index).toBe(i);
+    expect(chunk.text).toBe(text.slice(chunk.start, chunk.end));
+    expect(chunk.end - chunk.start).toBeLessThanOrEqual(options.chunkSize);
+  });
+};
+
+describe('chunkingService.chunkText', () => {
+  it('returns no chunks for empty text', () => {
+    expect(chunkingService.chunkText('', options)).toEqual([]);
+    expect(chunkingService.chunkText('  \n\n ', options)).toEqual([]);
+  });
+
+  it('keeps a short note in one chunk', () => {
+    const text = 'First paragraph.\n\nSecond paragraph.';
+    expect(chunkingService.chunkText(text, options)).toEqual([
+      { index: 0, text, start: 0, end: text.length }
+    ]);
+  });
+
+  it('overlaps consecutive chunks of long paragraphs', () => {
+    const text = Array.from({ length: 12 }, (_, i) => `Paragraph ${i}. ${sentences(2)}`).join('\n\n');
+    const chunks = chunkingService.chunkText(text, options);
+
+    expect(chunks.length).toBeGreaterThan(1);
+    expectValidOffsets(text, chunks);
+    for (let i = 1; i < chunks.length; i++) {
+      expect(chunks[i].start).toBeLessThan(chunks[i - 1].end);
+    }
+  });
+
+  it('overlaps hard splits of text without sentence breaks', () => {
+    const text = 'a'.repeat(5000);
+    const chunks = chunkingService.chunkText(text, options);
+
+    expectValidOffsets(text, chunks);
+    expect(chunks[0].start).toBe(0);
+    expect(chunks[chunks.length - 1].end).toBe(5000);
+    for (let i = 1; i < chunks.length; i++) {
+      expect(chunks[i].start).toBe(chunks[i - 1].end - options.chunkOverlap);
+    }
+  });
+
+  it('keeps a heading with the start of a section too long for one chunk', () => {
+    const text = `# Title\n\nIntro paragraph.\n\n## Sub\n\n${sentences(30)}`;
+    const chunks = chunkingService.chunkText(text, options);
+
+    expectValidOffsets(text, chunks);
+    expect(chunks.map(chunk => chunk.text)).not.toContain('## Sub');
+    const section = chunks.find(chunk => chunk.text.startsWith('## Sub'));
+    expect(section.text).toContain('Sentence number 0');
+  });
+
+  it('keeps a heading with a section that only fits one chunk without it', () => {
+    const text = `# Head\n\n${'x'.repeat(990)}`;
+    const chunks = chunkingService.chunkText(text, options);
+
+    expectValidOffsets(text, chunks);
+    expect(chunks[0].text.startsWith('# Head\n\nxxx')).toBe(true);
+  });
+
+  it('starts a new chunk at each heading', () => {
+    const text = '# One\n\nFirst section.\n\n# Two\n\nSecond section.';
+    const chunks = chunkingService.chunkText(text, options);
+
+    expect(chunks.map(chunk => chunk.text)).toEqual([
+      '# One\n\nFirst section.',
+      '# Two\n\nSecond section.'
+    ]);
+    expectValidOffsets(text, chunks);
+  });
+});
@@ -0,0 +1,100 @@
+const citationService = require('../services/citationService');
+
+const deploys = {
+  note: {
+    _id: 'n1',
+    title: 'Deploys',
+    content: 'We deploy on Mondays. Rollbacks take five minutes. The pager rotates weekly.'
+  },
+  passages: [{ chunkIndex: 0, start: 0, end: 49 }, { chunkIndex: 1, start: 50, end: 76 }]
+};
+const bread = {
+  note: { _id: 'n2', title: 'Bread', content: 'Sourdough needs a long proof.\nKeep the starter warm.' },
+  passages: []
+};
+const retrieved = [deploys, bread];
+
+// Every offset points at the text it describes
+const expectValidOffsets = ({ answer, citations }) => {
+  citations.forEach((citation) => {
+    const { content } = retrieved[citation.number - 1].note;
+    expect(answer.slice(citation.marker.start, citation.marker.end)).toMatch(/^\[Note \d+(, Note \d+)*\]$/);
+    expect(content.slice(citation.quote.start, citation.quote.end)).toBe(citation.quote.text);
+  });
+};
+
+describe('citationService.extractCitations', () => {
+  it('resolves each marker to the cited note and its best supporting sentence', () => {
+    const result = citationService.extractCitations('Deploys happen on Mondays [Note 1]. Keep the starter warm. [Note 2]', retrieved);
+
+    expect(result.invalidCitations).toEqual([]);
+    expect(result.citations).toEqual([
+      {
+        number: 1,
+        noteId: 'n1',
+        title: 'Deploys',
+        marker: { start: 26, end: 34 },
+        passage: { chunkIndex: 0, start: 0, end: 49 },
+        quote: { text: 'We deploy on Mondays.', start: 0, end: 21 }
+      },
+      {
+        number: 2,
+        noteId: 'n2',
+        title: 'Bread',
+        marker: { start: 59, end: 67 },
+        // Without passages the whole note is the passage
+        passage: { chunkIndex: null, start: 0, end: 52 },
+        quote: { text: 'Keep the starter warm.', start: 30, end: 52 }
+      }
+    ]);
+    expectValidOffsets(result);
+  });
+
+  it('accepts the marker variants models write and rewrites them in one form', () => {
+    const result = citationService.extractCitations('Both [Note 1 and Note 2] and [notes 2; 2] and [Note 1 & Note 2].', retrieved);
+
+    expect(result.answer).toBe('Both [Note 1, Note 2] and [Note 2] and [Note 1, Note 2].');
+    expect(result.citations.map(citation => citation.number)).toEqual([1, 2, 2, 1, 2]);
+    expectValidOffsets(result);
+  });
+
+  it('drops unknown and out-of-range notes and reports them', () => {
+    const result = citationService.extractCitations('Rollbacks are fast [Notes 1, 3] and bread [Note 5] too [Note 0].', retrieved);
+
+    expect(result.answer).toBe('Rollbacks are fast [Note 1] and bread too.');
+    expect(result.invalidCitations).toEqual([0, 3, 5]);
+    expect(result.citations).toHaveLength(1);
+    expect(result.citations[0]).toMatchObject({ number: 1, marker: { start: 19, end: 27 } });
+    expectValidOffsets(result);
+  });
+
+  it('prefers a verbatim quote from the answer, keeping the note\'s casing', () => {
+    const result = citationService.extractCitations('As written, "rollbacks take five minutes" [Note 1].', retrieved);
+
+    expect(result.citations[0].quote).toEqual({ text: 'Rollbacks take five minutes', start: 22, end: 49 });
+    expect(result.citations[0].passage).toEqual({ chunkIndex: 0, start: 0, end: 49 });
+  });
+
+  it('finds the quote in the passage that contains it', () => {
+    const result = citationService.extractCitations('The pager rotates weekly [Note 1].', retrieved);
+
+    expect(result.citations[0].passage).toEqual({ chunkIndex: 1, start: 50, end: 76 });
+    expect(result.citations[0].quote).toEqual({ text: 'The pager rotates weekly.', start: 51, end: 76 });
+  });
+
+  it('handles answers without markers or text', () => {
+    expect(citationService.extractCitations('No notes were relevant.', retrieved)).toEqual({
+      answer: 'No notes were relevant.',
+      citations: [],
+      invalidCitations: []
+    });
+    expect(citationService.extractCitations(null, retrieved)).toEqual({ answer: '', citations: [], invalidCitations: [] });
+  });
+});
+
+describe('citationService.getClaim', () => {
+  it('takes the sentence ending at the marker', () => {
+    const answer = 'First point. Second point here. [Note 1]';
+    expect(citationService.getClaim(answer, answer.indexOf('[Note'))).toBe('Second point here');
+  });
+});
@@ -0,0 +1,64 @@
+const { diffLines, diffStats } = require('../utils/diff');
+
+// Rebuild both texts from a diff
+const sides = (changes) => ({
+  old: changes.filter(change => change.type !== 'added').flatMap(change => change.lines).join('\n'),
+  new: changes.filter(change => change.type !== 'removed').flatMap(change => change.lines).join('\n')
+});
+
+const lines = (prefix, count) => Array.from({ length: count }, (_, i) => `${prefix}${i}`).join('\n');
+
+describe('diffLines', () => {
+  it('returns one equal block for identical texts', () => {
+    expect(diffLines('a\nb\nc', 'a\nb\nc')).toEqual([
+      { type: 'equal', lines: ['a', 'b', 'c'], oldStart: 1, newStart: 1 }
+    ]);
+  });
+
+  it('groups changed lines and numbers them on each side', () => {
+    expect(diffLines('a\nb\nc\nd', 'a\nx\nc\nd\ne')).toEqual([
+      { type: 'equal', lines: ['a'], oldStart: 1, newStart: 1 },
+      { type: 'removed', lines: ['b'], oldStart: 2, newStart: 2 },
+      { type: 'added', lines: ['x'], oldStart: 3, newStart: 2 },
+      { type: 'equal', lines: ['c', 'd'], oldStart: 3, newStart: 3 },
+      { type: 'added', lines: ['e'], oldStart: 5, newStart: 5 }
+    ]);
+  });
+
+  it('keeps the longest common subsequence of reordered lines', () => {
+    const oldText = 'intro\nfirst\nsecond\nthird\noutro';
+    const newText = 'intro\nthird\nfirst\nsecond\noutro';
+    const changes = diffLines(oldText, newText);
+
+    expect(sides(changes)).toEqual({ old: oldText, new: newText });
+    expect(diffStats(changes)).toEqual({ added: 1, removed: 1 });
+  });
+
+  it('treats missing text as empty', () => {
+    expect(diffLines(null, undefined)).toEqual([
+      { type: 'equal', lines: [''], oldStart: 1, newStart: 1 }
+    ]);
+    expect(sides(diffLines('', 'one'))).toEqual({ old: '', new: 'one' });
+  });
+
+  it('shows a region too large to compare as replaced', () => {
+    const oldText = `start\n${lines('old', 2100)}\nend`;
+    const newText = `start\n${lines('new', 2100)}\nend`;
+    const changes = diffLines(oldText, newText);
+
+    expect(changes.map(({ type, lines: changed, oldStart, newStart }) => [type, changed.length, oldStart, newStart])).toEqual([
+      ['equal', 1, 1, 1],
+      ['removed', 2100, 2, 2],
+      ['added', 2100, 2102, 2],
+      ['equal', 1, 2102, 2102]
+    ]);
+    expect(sides(changes)).toEqual({ old: oldText, new: newText });
+  });
+});
+
+describe('diffStats', () => {
+  it('counts added and removed lines', () => {
+    expect(diffStats(diffLines('a\nb\nc\nd', 'a\nx\nc\nd\ne'))).toEqual({ added: 2, removed: 1 });
+    expect(diffStats([])).toEqual({ added: 0, removed: 0 });
+  });
+});
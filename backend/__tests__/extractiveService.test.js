@@ -0,0 +1,141 @@
+const extractiveService = require('../services/extractiveService');
+
+const rollout = [
+  '# Kubernetes rollout',
+  'The team rolls out Kubernetes clusters every Monday. Kubernetes deployments are checked with kubectl before traffic moves.',
+  '- Rollbacks of Kubernetes deployments take five minutes.',
+  '- Lunch was pizza on Friday.',
+  'The on-call engineer watches Kubernetes dashboards during each rollout.'
+].join('\n');
+
+const summit = 'Berlin hosts the summit in 2024. Berlin hotels fill up fast. The summit covers climate policy. Book trains to Berlin early.';
+
+describe('extractiveService.sentences', () => {
+  it('splits lines and sentences and strips Markdown markers', () => {
+    const sentences = extractiveService.sentences('1. First item. Second part\n> Quoted line\n\n- [x] Done task');
+
+    expect(sentences.map(sentence => sentence.text)).toEqual(['First item.', 'Second part', 'Quoted line', 'Done task']);
+    expect(sentences.map(sentence => sentence.index)).toEqual([0, 1, 2, 3]);
+    expect(sentences[0].tokens).toEqual(['first', 'item']);
+  });
+});
+
+describe('extractiveService.rank', () => {
+  it('scores sentences sharing words with many others highest', () => {
+    const sentences = extractiveService.sentences(summit);
+    const scores = extractiveService.rank(sentences);
+
+    // Every sentence is linked to another, so the scores are a distribution
+    expect(scores.reduce((sum, score) => sum + score, 0)).toBeCloseTo(1, 6);
+    expect(scores.indexOf(Math.max(...scores))).toBe(0);
+  });
+
+  it('leaves a sentence sharing no words with only the teleport share', () => {
+    const sentences = extractiveService.sentences(rollout);
+    const scores = extractiveService.rank(sentences);
+
+    const lunch = sentences.findIndex(sentence => sentence.text.startsWith('Lunch'));
+    expect(scores[lunch]).toBeCloseTo(0.15 / sentences.length, 6);
+    expect(Math.min(...scores)).toBe(scores[lunch]);
+  });
+
+  it('returns no scores for no sentences', () => {
+    expect(extractiveService.rank([])).toEqual([]);
+  });
+});
+
+describe('extractiveService.summarize', () => {
+  it('keeps the top-ranked sentences in their original order', () => {
+    expect(extractiveService.summarize(summit, 'short')).toBe('Berlin hosts the summit in 2024. Book trains to Berlin early.');
+    expect(extractiveService.summarize(rollout, 'short')).toBe(
+      'Kubernetes rollout Rollbacks of Kubernetes deployments take five minutes.'
+    );
+  });
+
+  it('uses more sentences for longer summaries, and none for empty text', () => {
+    const sentences = extractiveService.sentences(rollout).map(sentence => sentence.text);
+
+    expect(extractiveService.summarize(rollout, 'medium')).toBe([0, 2, 3, 5].map(i => sentences[i]).join(' '));
+    expect(extractiveService.summarize(rollout, 'long')).toBe(sentences.join(' '));
+    expect(extractiveService.summarize('')).toBe('');
+  });
+});
+
+describe('extractiveService.keyPoints', () => {
+  it('picks full sentences over headings, in their original order', () => {
+    expect(extractiveService.keyPoints(rollout, 3)).toEqual([
+      'Kubernetes deployments are checked with kubectl before traffic moves.',
+      'Rollbacks of Kubernetes deployments take five minutes.',
+      'The on-call engineer watches Kubernetes dashboards during each rollout.'
+    ]);
+  });
+
+  it('skips sentences repeating a picked one', () => {
+    const text = 'Deploy on Monday morning early. Deploy on Monday morning late. Cats sleep all day long.';
+    expect(extractiveService.keyPoints(text)).toEqual(['Deploy on Monday morning early.', 'Cats sleep all day long.']);
+  });
+
+  it('falls back to short lines when there is nothing else', () => {
+    expect(extractiveService.keyPoints('# Plan\n- Ship')).toEqual(['Plan', 'Ship']);
+  });
+});
+
+describe('extractiveService.keywords', () => {
+  it('ranks words by the sentences they appear in, without numbers or stopwords', () => {
+    expect(extractiveService.keywords(rollout, 3)).toEqual(['Kubernetes', 'rollout', 'deployments']);
+    expect(extractiveService.keywords(summit, 10)).not.toContain('2024');
+  });
+
+  it('keeps the capitals of words never written in lowercase', () => {
+    expect(extractiveService.keywords(summit, 2)).toEqual(['Berlin', 'summit']);
+    expect(extractiveService.keywords('The API talks to the api gateway. API keys rotate.', 1)).toEqual(['api']);
+  });
+});
+
+describe('extractiveService.title', () => {
+  it('joins the top keywords in text order, with sentences as alternatives', () => {
+    expect(extractiveService.title(summit)).toEqual({
+      title: 'Berlin Hosts Summit',
+      alternatives: ['Berlin hosts the summit in 2024']
+    });
+  });
+
+  it('falls back to a default title for empty text', () => {
+    expect(extractiveService.title('')).toEqual({ title: 'New Note', alternatives: [] });
+  });
+});
+
+describe('extractiveService.answer', () => {
+  const context = [
+    { title: 'Ops', content: rollout },
+    { title: 'Bread', content: 'Sourdough needs a long proof. Starters like a warm kitchen.' }
+  ];
+
+  it('quotes the best-matching sentences with their note labels', () => {
+    const answer = extractiveService.answer('How fast are Kubernetes rollbacks?', context, 1);
+
+    expect(answer).toBe([
+      'These passages from your notes best match your question:',
+      '- Rollbacks of Kubernetes deployments take five minutes. [Note 1]',
+      extractiveService.notice
+    ].join('\n\n'));
+  });
+
+  it('weighs rare question words above common ones', () => {
+    const answer = extractiveService.answer('kubernetes sourdough', context, 1);
+    expect(answer).toContain('- Sourdough needs a long proof. [Note 2]');
+  });
+
+  it('points to the closest note when no sentence matches', () => {
+    const answer = extractiveService.answer('quantum physics', context);
+
+    expect(answer).toContain('None of your notes mention that directly. The closest is "Ops":');
+    expect(answer).toContain('[Note 1]');
+    expect(answer.endsWith(extractiveService.notice)).toBe(true);
+  });
+
+  it('asks for a question or notes when it has nothing to match', () => {
+    expect(extractiveService.answer('the and', context)).toMatch(/^Ask about something in your notes/);
+    expect(extractiveService.answer('kubernetes', [])).toMatch(/^I couldn't find any notes/);
+  });
+});
@@ -0,0 +1,92 @@
+const HNSWIndex = require('../services/hnswIndex');
+
+const COUNT = 2000;
+const DIMENSION = 32;
+const CLUSTERS = 20;
+const QUERIES = 100;
+const K = 10;
+const MIN_RECALL = 0.9;
+
+// Deterministic clustered vectors, which resemble real embeddings better than uniform noise
+let seed = 42;
+const random = () => {
+  seed = (seed * 16807) % 2147483647;
+  return seed / 2147483647;
+};
+const gaussian = () => Math.sqrt(-2 * Math.log(random() || 1e-12)) * Math.cos(2 * Math.PI * random());
+
+const normalize = (vector) => {
+  const magnitude = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return vector.map(value => value / magnitude);
+};
+
+const centers = Array.from({ length: CLUSTERS }, () => normalize(Float32Array.from({ length: DIMENSION }, gaussian)));
+const sample = () => {
+  const center = centers[Math.floor(random() * CLUSTERS)];
+  return normalize(Float32Array.from(center, value => value + gaussian() / Math.sqrt(DIMENSION)));
+};
+
+// Share of the exact top k the graph search finds, over all queries
+const recallAtK = (index, queries) => {
+  let found = 0;
+  for (const query of queries) {
+    const exact = new Set(index.exactSearch(query, K).map(result => result.id));
+    found += index.search(query, K).filter(result => exact.has(result.id)).length;
+  }
+  return found / (queries.length * K);
+};
+
+// Links that point at a removed node or aren't mirrored in the target's inbound set, and back
+const brokenLinks = (index) => {
+  const broken = [];
+  index.nodes.forEach((node, slot) => {
+    if (!node) return;
+    node.neighbors.forEach((links, layer) => links.forEach(target => {
+      if (!index.nodes[target]?.inbound[layer].has(slot)) broken.push(`${slot} -> ${target} (layer ${layer})`);
+    }));
+    node.inbound.forEach((sources, layer) => sources.forEach(source => {
+      if (!index.nodes[source]?.neighbors[layer].includes(slot)) broken.push(`${source} <- ${slot} (layer ${layer})`);
+    }));
+  });
+  return broken;
+};
+
+describe('HNSWIndex', () => {
+  let index;
+  let queries;
+
+  beforeAll(() => {
+    index = new HNSWIndex({ dimension: DIMENSION, efConstruction: 100, seed: 7 });
+    for (let i = 0; i < COUNT; i++) {
+      index.add(`v${i}`, sample());
+    }
+    queries = Array.from({ length: QUERIES }, sample);
+  });
+
+  it(`finds at least ${MIN_RECALL * 100}% of the exact top ${K}`, () => {
+    expect(index.size).toBe(COUNT);
+    expect(recallAtK(index, queries)).toBeGreaterThanOrEqual(MIN_RECALL);
+  });
+
+  it('keeps its recall and links consistent after removals', () => {
+    for (let i = 0; i < COUNT; i += 5) {
+      expect(index.remove(`v${i}`)).toBe(true);
+    }
+
+    expect(index.size).toBe(COUNT - COUNT / 5);
+    expect(index.has('v0')).toBe(false);
+    expect(brokenLinks(index)).toEqual([]);
+    expect(recallAtK(index, queries)).toBeGreaterThanOrEqual(MIN_RECALL);
+  });
+
+  it('round-trips through serialize and deserialize', () => {
+    const vectors = new Map(index.nodes.filter(Boolean).map(node => [node.id, node.vector]));
+    const restored = HNSWIndex.deserialize(index.serialize(), id => vectors.get(id) || null);
+
+    expect(restored.size).toBe(index.size);
+    expect(brokenLinks(restored)).toEqual([]);
+    for (const query of queries.slice(0, 10)) {
+      expect(restored.search(query, K)).toEqual(index.search(query, K));
+    }
+  });
+});
@@ -0,0 +1,266 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Offline providers (fallback embeddings, extractive answers) and a throwaway vector store,
+// set before the services read them
+const storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'notes-isolation-'));
+Object.assign(process.env, {
+  JWT_SECRET: 'isolation-test-secret',
+  VECTOR_STORE_PATH: storagePath,
+  EMBEDDING_PROVIDER: 'openai',
+  EMBEDDING_API_KEY: '',
+  EMBEDDING_DIMENSIONS: '64',
+  LLM_PROVIDER: 'openai',
+  LLM_API_KEY: '',
+  OPENAI_API_KEY: '',
+  RERANK_PROVIDER: 'none',
+  SEARCH_ANALYTICS: 'false',
+  LOG_LEVEL: 'error'
+});
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const User = require('../models/User');
+const { Note, SavedSearch, SearchLog } = require('../models');
+const vectorStore = require('../services/vectorStore');
+const indexingService = require('../services/indexingService');
+const aiRoutes = require('../routes/ai');
+const searchRoutes = require('../routes/search');
+const errorHandler = require('../middleware/errorHandler');
+
+// Both users write about the same things; only the owner's word (alpha or bravo) differs,
+// so a missing owner filter shows up as the other user's notes in the results
+const notesAbout = (owner) => [
+  {
+    title: `Kubernetes ${owner} rollout`,
+    content: `The ${owner} team rolls out Kubernetes clusters every Monday. Deployments are checked with kubectl before traffic moves to the new pods.`,
+    tags: [`kube-${owner}`, 'ops'],
+    category: 'Work'
+  },
+  {
+    title: `Database failover for ${owner}`,
+    content: `The ${owner} database failover took twelve minutes. Kubernetes restarted the pods after the outage and the rollout resumed.`,
+    tags: ['incident'],
+    category: 'Work'
+  },
+  {
+    title: `Sourdough notes by ${owner}`,
+    content: `Sourdough bread needs a long proof. The ${owner} starter stays warm next to the oven.`,
+    tags: ['cooking'],
+    category: 'Personal'
+  }
+];
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/ai', aiRoutes);
+  app.use('/api/search', searchRoutes);
+  app.use(errorHandler);
+  return app;
+};
+
+const ids = (items) => items.map(item => (item._id || item.id).toString());
+
+let mongod;
+let app;
+const users = {};
+
+beforeAll(async () => {
+  mongod = await MongoMemoryServer.create();
+  await mongoose.connect(mongod.getUri());
+  // The keyword search needs the text index
+  await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+  await vectorStore.initialize();
+
+  for (const owner of ['alpha', 'bravo']) {
+    const user = await User.create({ name: owner, email: `${owner}@example.com`, password: 'password123' });
+    const notes = await Note.create(notesAbout(owner).map(note => ({ ...note, user: user._id })));
+    for (const note of notes) {
+      await indexingService.indexNote(note);
+    }
+
+    users[owner] = {
+      user,
+      noteIds: ids(notes),
+      token: jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: '1h' })
+    };
+  }
+
+  app = buildApp();
+}, 120000);
+
+afterAll(async () => {
+  await vectorStore.flush();
+  await mongoose.disconnect();
+  await mongod?.stop();
+  fs.rmSync(storagePath, { recursive: true, force: true });
+});
+
+const as = (owner) => ({
+  get: (url) => request(app).get(url).set('Authorization', `Bearer ${users[owner].token}`),
+  post: (url) => request(app).post(url).set('Authorization', `Bearer ${users[owner].token}`),
+  put: (url) => request(app).put(url).set('Authorization', `Bearer ${users[owner].token}`),
+  delete: (url) => request(app).delete(url).set('Authorization', `Bearer ${users[owner].token}`)
+});
+
+// Results are only the owner's notes, and there are some
+const expectOwnNotes = (owner, results) => {
+  expect(results.length).toBeGreaterThan(0);
+  expect(ids(results).filter(id => !users[owner].noteIds.includes(id))).toEqual([]);
+};
+
+describe('search routes', () => {
+  it.each(['semantic', 'keyword', 'hybrid'])('%s search only returns the caller\'s notes', async (mode) => {
+    for (const owner of ['alpha', 'bravo']) {
+      const res = await as(owner).get(`/api/search/${mode}`).query({ q: 'Kubernetes rollout', limit: 10 });
+
+      expect(res.status).toBe(200);
+      expectOwnNotes(owner, res.body.data);
+    }
+  });
+
+  it('suggests only the caller\'s titles and tags', async () => {
+    const res = await as('alpha').get('/api/search/suggestions').query({ q: 'kube', limit: 10 });
+
+    expect(res.status).toBe(200);
+    const values = res.body.data.map(suggestion => suggestion.value);
+    expect(values).toEqual(expect.arrayContaining(['Kubernetes alpha rollout', 'kube-alpha']));
+    expect(values.filter(value => /bravo/i.test(value))).toEqual([]);
+  });
+});
+
+describe('AI routes', () => {
+  it('answers questions from the caller\'s notes only', async () => {
+    const res = await as('alpha').post('/api/ai/ask').send({ query: 'How did the Kubernetes rollout and failover go?' });
+
+    expect(res.status).toBe(200);
+    expectOwnNotes('alpha', res.body.data.sources);
+    expect(res.body.data.answer).not.toMatch(/bravo/i);
+  });
+
+  it('chats about the caller\'s notes only', async () => {
+    const res = await as('bravo').post('/api/ai/chat').send({ message: 'What happened with the database failover?' });
+
+    expect(res.status).toBe(200);
+    expectOwnNotes('bravo', res.body.data.sources);
+    expect(res.body.data.response).not.toMatch(/alpha/i);
+  });
+
+  it('relates a note to the caller\'s other notes only', async () => {
+    const [noteId] = users.alpha.noteIds;
+    const res = await as('alpha').get(`/api/ai/related/${noteId}`).query({ limit: 10 });
+
+    expect(res.status).toBe(200);
+    expectOwnNotes('alpha', res.body.data);
+    expect(ids(res.body.data)).not.toContain(noteId);
+  });
+
+  it('does not relate another user\'s note', async () => {
+    const res = await as('alpha').get(`/api/ai/related/${users.bravo.noteIds[0]}`);
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('saved searches', () => {
+  let alphaSearch;
+  let bravoSearch;
+
+  beforeAll(async () => {
+    alphaSearch = await SavedSearch.create({ user: users.alpha.user._id, name: 'Rollouts', query: 'Kubernetes rollout', mode: 'hybrid' });
+    bravoSearch = await SavedSearch.create({ user: users.bravo.user._id, name: 'Rollouts', query: 'Kubernetes rollout', mode: 'hybrid' });
+  });
+
+  it('lists only the caller\'s saved searches', async () => {
+    const res = await as('alpha').get('/api/search/saved');
+
+    expect(res.status).toBe(200);
+    expect(ids(res.body.data)).toEqual([alphaSearch._id.toString()]);
+  });
+
+  it('runs a saved search over the caller\'s notes only', async () => {
+    const res = await as('alpha').post(`/api/search/saved/${alphaSearch._id}/run`);
+
+    expect(res.status).toBe(200);
+    expectOwnNotes('alpha', res.body.data);
+  });
+
+  it('does not run, change or delete another user\'s saved search', async () => {
+    const url = `/api/search/saved/${bravoSearch._id}`;
+
+    expect((await as('alpha').post(`${url}/run`)).status).toBe(404);
+    expect((await as('alpha').put(url).send({ name: 'Taken' })).status).toBe(404);
+    expect((await as('alpha').delete(url)).status).toBe(404);
+    expect((await SavedSearch.findById(bravoSearch._id)).name).toBe('Rollouts');
+  });
+});
+
+describe('search analytics', () => {
+  let bravoLog;
+
+  beforeAll(async () => {
+    const log = (owner, query, fields) => ({
+      user: users[owner].user._id,
+      query,
+      normalizedQuery: query,
+      mode: 'semantic',
+      latencyMs: 20,
+      expireAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+      ...fields
+    });
+
+    await SearchLog.create([
+      log('alpha', 'alpha rollout', { resultsCount: 3, topSimilarity: 0.2, clicks: 1, clickedRank: 1 }),
+      log('alpha', 'alpha missing', { resultsCount: 0 })
+    ]);
+    [bravoLog] = await SearchLog.create([
+      log('bravo', 'bravo rollout', { resultsCount: 2, topSimilarity: 0.1 }),
+      log('bravo', 'bravo missing', { resultsCount: 0 }),
+      log('bravo', 'bravo failover', { resultsCount: 1, topSimilarity: 0.3 })
+    ]);
+  });
+
+  it('reports only the caller\'s queries', async () => {
+    const top = await as('alpha').get('/api/search/analytics/top-queries');
+    const zero = await as('alpha').get('/api/search/analytics/zero-results');
+    const low = await as('alpha').get('/api/search/analytics/low-confidence');
+
+    expect(top.body.data.map(entry => entry.query).sort()).toEqual(['alpha missing', 'alpha rollout']);
+    expect(zero.body.data.map(entry => entry.query)).toEqual(['alpha missing']);
+    expect(low.body.data.queries.map(entry => entry.query)).toEqual(['alpha rollout']);
+  });
+
+  it('counts only the caller\'s searches in click-through', async () => {
+    const res = await as('alpha').get('/api/search/analytics/click-through');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ searches: 2, withResults: 1, clicked: 1 });
+  });
+
+  it('does not report on every user for non-admins', async () => {
+    const res = await as('alpha').get('/api/search/analytics/top-queries').query({ scope: 'all' });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('does not record clicks on another user\'s search', async () => {
+    const res = await as('alpha').post('/api/search/analytics/clicks')
+      .send({ searchId: bravoLog._id.toString(), noteId: users.alpha.noteIds[0], rank: 1 });
+
+    expect(res.status).toBe(404);
+    expect((await SearchLog.findById(bravoLog._id)).clicks).toBe(0);
+  });
+
+  it('clears only the caller\'s logs', async () => {
+    const res = await as('alpha').delete('/api/search/analytics');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.deleted).toBe(2);
+    expect(await SearchLog.countDocuments({ user: users.bravo.user._id })).toBe(3);
+  });
+});
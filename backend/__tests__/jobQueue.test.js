@@ -0,0 +1,217 @@
+Object.assign(process.env, {
+  JOB_BACKOFF_MS: '1000',
+  LOG_LEVEL: 'error'
+});
+
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const Job = require('../models/Job');
+const jobQueue = require('../services/jobQueue');
+
+let mongod;
+
+beforeAll(async () => {
+  mongod = await MongoMemoryServer.create();
+  await mongoose.connect(mongod.getUri());
+  // The dedupeKey rules live in the unique index
+  await Job.init();
+
+  jobQueue.register('test', async () => {});
+  jobQueue.register('echo', async (job) => job.payload);
+  jobQueue.register('broken', async () => {
+    throw new Error('Provider unavailable');
+  });
+}, 120000);
+
+afterEach(async () => {
+  delete process.env.JOB_LOCK_TIMEOUT_MS;
+  await Job.deleteMany({});
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongod?.stop();
+});
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('claim', () => {
+  it('takes the oldest due job and locks it', async () => {
+    await jobQueue.enqueue('echo');
+    const older = await Job.create({ type: 'echo', runAt: new Date(Date.now() - 1000) });
+
+    const job = await jobQueue.claim();
+
+    expect(job._id).toEqual(older._id);
+    expect(job).toMatchObject({ status: 'running', attempts: 1, lockedBy: jobQueue.workerId });
+    expect(job.lockedAt).toBeInstanceOf(Date);
+  });
+
+  it('skips delayed jobs and types without a handler', async () => {
+    await jobQueue.enqueue('echo', {}, { delay: 60000 });
+    await jobQueue.enqueue('unknown');
+
+    expect(await jobQueue.claim()).toBeNull();
+  });
+
+  it('hands each job to one claimer', async () => {
+    await jobQueue.enqueue('echo');
+
+    const claims = await Promise.all([jobQueue.claim(), jobQueue.claim(), jobQueue.claim()]);
+
+    expect(claims.filter(Boolean)).toHaveLength(1);
+  });
+});
+
+describe('execute', () => {
+  it('stores the result and schedules the job for cleanup', async () => {
+    await jobQueue.enqueue('echo', { noteId: 'n1' });
+    const job = await jobQueue.claim();
+
+    await jobQueue.execute(job);
+
+    const done = await Job.findById(job._id);
+    expect(done).toMatchObject({ status: 'completed', result: { noteId: 'n1' }, lockedBy: null });
+    expect(done.expireAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('retries a failed job with exponential backoff', async () => {
+    await jobQueue.enqueue('broken');
+
+    let job = await jobQueue.claim();
+    let before = Date.now();
+    await jobQueue.execute(job);
+    job = await Job.findById(job._id);
+
+    expect(job).toMatchObject({ status: 'queued', attempts: 1, lastError: 'Provider unavailable', lockedBy: null });
+    expect(job.failures).toHaveLength(1);
+    expect(job.runAt.getTime() - before).toBeGreaterThanOrEqual(1000);
+    expect(job.runAt.getTime() - before).toBeLessThan(2000);
+
+    await Job.updateOne({ _id: job._id }, { $set: { runAt: new Date() } });
+    job = await jobQueue.claim();
+    before = Date.now();
+    await jobQueue.execute(job);
+    job = await Job.findById(job._id);
+
+    expect(job.attempts).toBe(2);
+    expect(job.runAt.getTime() - before).toBeGreaterThanOrEqual(2000);
+    expect(job.runAt.getTime() - before).toBeLessThan(3000);
+  });
+
+  it('dead-letters a job that runs out of attempts, and retries it on request', async () => {
+    await jobQueue.enqueue('broken', {}, { maxAttempts: 1 });
+    const job = await jobQueue.claim();
+
+    await jobQueue.execute(job);
+
+    const dead = await Job.findById(job._id);
+    expect(dead.status).toBe('dead');
+    expect(dead.completedAt).toBeInstanceOf(Date);
+    expect(await jobQueue.claim()).toBeNull();
+
+    const retried = await jobQueue.retry(job._id);
+    expect(retried).toMatchObject({ status: 'queued', attempts: 0, lastError: null });
+    expect(await jobQueue.retry(job._id)).toBeNull();
+  });
+
+  it('renews the lock while a long job runs', async () => {
+    process.env.JOB_LOCK_TIMEOUT_MS = '3000';
+    const seen = [];
+    jobQueue.register('slow', async (job) => {
+      await wait(1500);
+      seen.push((await Job.findById(job._id)).lockedAt);
+    });
+
+    await jobQueue.enqueue('slow');
+    const job = await jobQueue.claim();
+    await jobQueue.execute(job);
+
+    expect(seen[0].getTime()).toBeGreaterThan(job.lockedAt.getTime());
+    expect((await Job.findById(job._id)).status).toBe('completed');
+  });
+
+  it('discards the outcome of a job whose lock was taken over', async () => {
+    await jobQueue.enqueue('echo', { noteId: 'n1' });
+    const job = await jobQueue.claim();
+    await Job.updateOne({ _id: job._id }, { $set: { lockedBy: 'other-worker' } });
+
+    await jobQueue.execute(job);
+
+    expect(await Job.findById(job._id)).toMatchObject({ status: 'running', lockedBy: 'other-worker', result: null });
+  });
+});
+
+describe('recoverStale', () => {
+  it('requeues running jobs whose lock expired', async () => {
+    const old = new Date(Date.now() - 60 * 60 * 1000);
+    const [stale, live] = await Job.create([
+      { type: 'echo', status: 'running', lockedAt: old, lockedBy: 'crashed-worker' },
+      { type: 'echo', status: 'running', lockedAt: new Date(), lockedBy: 'live-worker' }
+    ]);
+
+    await jobQueue.recoverStale();
+
+    expect(await Job.findById(stale._id)).toMatchObject({ status: 'queued', lockedBy: null });
+    expect(await Job.findById(live._id)).toMatchObject({ status: 'running', lockedBy: 'live-worker' });
+  });
+
+  it('dead-letters a stale job whose key already has a queued job', async () => {
+    const old = new Date(Date.now() - 60 * 60 * 1000);
+    const stale = await Job.create({ type: 'echo', dedupeKey: 'note:1', status: 'running', lockedAt: old });
+    const queued = await jobQueue.enqueue('echo', {}, { dedupeKey: 'note:1' });
+
+    await jobQueue.recoverStale();
+
+    expect((await Job.findById(stale._id)).status).toBe('dead');
+    expect((await Job.findById(queued._id)).status).toBe('queued');
+  });
+});
+
+describe('dedupe', () => {
+  it('queues one job for concurrent enqueues with the same key', async () => {
+    const jobs = await Promise.all(Array.from({ length: 5 }, () =>
+      jobQueue.enqueue('test', {}, { dedupeKey: 'note:1' })
+    ));
+
+    expect(new Set(jobs.map(job => job._id.toString())).size).toBe(1);
+    expect(await Job.countDocuments({ dedupeKey: 'note:1' })).toBe(1);
+  });
+
+  it('queues a new job while the one with the same key runs', async () => {
+    const first = await jobQueue.enqueue('test', {}, { dedupeKey: 'note:1' });
+    expect((await jobQueue.claim())._id).toEqual(first._id);
+
+    const second = await jobQueue.enqueue('test', {}, { dedupeKey: 'note:1' });
+
+    expect(second._id).not.toEqual(first._id);
+    expect(second.status).toBe('queued');
+  });
+
+  it('does not claim a job while another job with its key runs', async () => {
+    const first = await jobQueue.enqueue('test', {}, { dedupeKey: 'note:1' });
+    await jobQueue.claim();
+    const second = await jobQueue.enqueue('test', {}, { dedupeKey: 'note:1' });
+    const other = await jobQueue.enqueue('test', {}, { dedupeKey: 'note:2' });
+
+    expect((await jobQueue.claim())._id).toEqual(other._id);
+    expect(await jobQueue.claim()).toBeNull();
+
+    await Job.updateOne({ _id: first._id }, { $set: { status: 'completed' } });
+    expect((await jobQueue.claim())._id).toEqual(second._id);
+  });
+
+  it('rejects a second running job with the same key', async () => {
+    await Job.create({ type: 'test', dedupeKey: 'note:1', status: 'running' });
+
+    await expect(Job.create({ type: 'test', dedupeKey: 'note:1', status: 'running' }))
+      .rejects.toMatchObject({ code: 11000 });
+    // Finished jobs and jobs without a key are not limited
+    await Job.create([
+      { type: 'test', dedupeKey: 'note:1', status: 'completed' },
+      { type: 'test', dedupeKey: 'note:1', status: 'completed' },
+      { type: 'test', status: 'running' },
+      { type: 'test', status: 'running' }
+    ]);
+  });
+});
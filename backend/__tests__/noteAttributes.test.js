@@ -0,0 +1,66 @@
+const { pickAttributes, normalizeAttributes, buildAttributeFilter } = require('../utils/noteAttributes');
+const { parseQuery } = require('../utils/queryParser');
+
+const attributesOf = (note) => normalizeAttributes(pickAttributes({
+  tags: [],
+  category: 'General',
+  color: '#ffffff',
+  createdAt: new Date('2024-03-15'),
+  ...note
+}));
+
+// Whether a note passes the operators of a query
+const passes = (query, note) => buildAttributeFilter(parseQuery(`${query} text`).filters)(attributesOf(note));
+
+describe('normalizeAttributes', () => {
+  it('lowercases strings and stores the creation date as a timestamp', () => {
+    expect(attributesOf({ tags: ['Work', 'Q1'], category: 'Ideas', color: '#FFF3A0', isPinned: true })).toEqual({
+      category: 'ideas',
+      tags: ['work', 'q1'],
+      color: '#fff3a0',
+      isPinned: true,
+      isArchived: false,
+      createdAt: new Date('2024-03-15').getTime()
+    });
+  });
+
+  it('keeps null for chunks without attributes', () => {
+    expect(normalizeAttributes(null)).toBeNull();
+  });
+});
+
+describe('buildAttributeFilter', () => {
+  it('requires every tag and excludes negated ones, ignoring case', () => {
+    expect(passes('tag:work tag:q1', { tags: ['Work', 'Q1', 'plans'] })).toBe(true);
+    expect(passes('tag:work tag:q1', { tags: ['work'] })).toBe(false);
+    expect(passes('-tag:draft', { tags: ['Draft'] })).toBe(false);
+  });
+
+  it('accepts any of several categories', () => {
+    expect(passes('category:ideas category:work', { category: 'Work' })).toBe(true);
+    expect(passes('category:ideas', { category: 'Work' })).toBe(false);
+    expect(passes('-category:work', { category: 'Work' })).toBe(false);
+  });
+
+  it('only matches archived notes with is:archived', () => {
+    expect(passes('', { isArchived: true })).toBe(false);
+    expect(passes('is:archived', { isArchived: true })).toBe(true);
+    expect(passes('is:archived', {})).toBe(false);
+    expect(passes('is:pinned', { isPinned: false })).toBe(false);
+  });
+
+  it('compares creation dates with before: and after:', () => {
+    expect(passes('after:2024-03', {})).toBe(true);
+    expect(passes('before:2024-03', {})).toBe(false);
+    expect(passes('after:2024-03', { createdAt: null })).toBe(false);
+  });
+
+  it('treats chunks without attributes as untagged, unpinned and unarchived', () => {
+    const filter = (query) => buildAttributeFilter(parseQuery(`${query} text`).filters)(null);
+
+    expect(filter('')).toBe(true);
+    expect(filter('-tag:draft')).toBe(true);
+    expect(filter('tag:work')).toBe(false);
+    expect(filter('is:pinned')).toBe(false);
+  });
+});
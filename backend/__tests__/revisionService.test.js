@@ -0,0 +1,173 @@
+process.env.LOG_LEVEL = 'error';
+
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { Note, NoteRevision } = require('../models');
+const revisionService = require('../services/revisionService');
+
+let mongod;
+const userId = new mongoose.Types.ObjectId();
+
+beforeAll(async () => {
+  mongod = await MongoMemoryServer.create();
+  await mongoose.connect(mongod.getUri());
+  await NoteRevision.init();
+}, 120000);
+
+afterEach(async () => {
+  delete process.env.NOTE_REVISION_LIMIT;
+  await Promise.all([Note.deleteMany({}), NoteRevision.deleteMany({})]);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongod?.stop();
+});
+
+const createNote = async (fields = {}) => {
+  const note = await Note.create({
+    user: userId,
+    title: 'Release plan',
+    content: 'Ship on Monday.',
+    tags: ['work'],
+    category: 'Work',
+    ...fields
+  });
+  await revisionService.recordRevision(note, userId, 'create');
+  return note;
+};
+
+const versionsOf = async (noteId) =>
+  (await NoteRevision.find({ note: noteId }).sort({ version: 1 }).lean()).map(revision => revision.version);
+
+describe('nextVersion', () => {
+  it('gives concurrent saves distinct, consecutive versions', async () => {
+    const note = await Note.create({ user: userId, content: 'Draft' });
+
+    const versions = await Promise.all(Array.from({ length: 10 }, () => revisionService.nextVersion(note._id)));
+
+    expect(versions.sort((a, b) => a - b)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    expect((await Note.findById(note._id)).latestVersion).toBe(10);
+  });
+
+  it('continues from the newest revision of a note saved before the counter existed', async () => {
+    const { insertedId } = await Note.collection.insertOne({ user: userId, title: 'Old', content: 'Legacy note' });
+    await NoteRevision.create([1, 2, 3].map(version => ({
+      note: insertedId,
+      user: userId,
+      version,
+      reason: 'update',
+      title: 'Old',
+      content: 'Legacy note'
+    })));
+
+    const versions = await Promise.all([revisionService.nextVersion(insertedId), revisionService.nextVersion(insertedId)]);
+
+    expect(versions.sort((a, b) => a - b)).toEqual([4, 5]);
+  });
+
+  it('fails for a missing note', async () => {
+    await expect(revisionService.nextVersion(new mongoose.Types.ObjectId())).rejects.toThrow('not found');
+  });
+
+  it('leaves updatedAt alone', async () => {
+    const note = await Note.create({ user: userId, content: 'Draft' });
+
+    await revisionService.nextVersion(note._id);
+
+    expect((await Note.findById(note._id)).updatedAt).toEqual(note.updatedAt);
+  });
+});
+
+describe('recordRevision', () => {
+  it('stores concurrent revisions of a note under distinct versions', async () => {
+    const note = await createNote();
+
+    await Promise.all(['Ship on Tuesday.', 'Ship on Wednesday.', 'Ship on Thursday.'].map(content =>
+      revisionService.recordRevision({ ...note.toObject(), content }, userId, 'update')
+    ));
+
+    expect(await versionsOf(note._id)).toEqual([1, 2, 3, 4]);
+  });
+});
+
+describe('prune', () => {
+  it('keeps the newest revisions up to the limit', async () => {
+    process.env.NOTE_REVISION_LIMIT = '3';
+    const note = await createNote();
+
+    for (const content of ['Two', 'Three', 'Four', 'Five']) {
+      note.content = content;
+      await note.save();
+      await revisionService.recordRevision(note, userId, 'update');
+    }
+
+    expect(await versionsOf(note._id)).toEqual([3, 4, 5]);
+    // Version numbers keep counting after old ones are dropped
+    expect(await revisionService.nextVersion(note._id)).toBe(6);
+  });
+
+  it('leaves other notes alone', async () => {
+    process.env.NOTE_REVISION_LIMIT = '1';
+    const [first, second] = [await createNote(), await createNote({ title: 'Other' })];
+    await revisionService.recordRevision(second, userId, 'update');
+
+    await revisionService.prune(first._id);
+
+    expect(await versionsOf(first._id)).toEqual([1]);
+    expect(await versionsOf(second._id)).toEqual([2]);
+  });
+});
+
+describe('restore', () => {
+  it('copies an earlier version into the note and records it as a new version', async () => {
+    const note = await createNote();
+    note.title = 'Release plan v2';
+    note.content = 'Ship on Friday.';
+    note.tags = ['work', 'urgent'];
+    await note.save();
+    await revisionService.recordRevision(note, userId, 'update');
+
+    const { revision, changed } = await revisionService.restore(note, 1, userId);
+
+    expect(changed).toBe(true);
+    expect(revision).toMatchObject({ version: 3, reason: 'restore', restoredFrom: 1, content: 'Ship on Monday.' });
+    expect(await Note.findById(note._id).lean()).toMatchObject({
+      title: 'Release plan',
+      content: 'Ship on Monday.',
+      tags: ['work'],
+      category: 'Work'
+    });
+  });
+
+  it('records nothing when the note already matches the version', async () => {
+    const note = await createNote();
+
+    expect(await revisionService.restore(note, 1, userId)).toEqual({ revision: null, changed: false });
+    expect(await versionsOf(note._id)).toEqual([1]);
+  });
+
+  it('returns null for a version that does not exist', async () => {
+    const note = await createNote();
+
+    expect(await revisionService.restore(note, 7, userId)).toBeNull();
+  });
+});
+
+describe('compare', () => {
+  it('diffs the content and lists tag and title changes', async () => {
+    const note = await createNote({ content: 'Ship on Monday.\nTell the team.' });
+    note.content = 'Ship on Friday.\nTell the team.';
+    note.tags = ['urgent'];
+    await note.save();
+    await revisionService.recordRevision(note, userId, 'update');
+
+    const diff = await revisionService.compare(note._id, 1);
+
+    expect(diff.to.version).toBe(2);
+    expect(diff.title.changed).toBe(false);
+    expect(diff.tags).toEqual({ added: ['urgent'], removed: ['work'] });
+    expect(diff.stats).toEqual({ added: 1, removed: 1 });
+    expect(await revisionService.compare(note._id, 9)).toBeNull();
+  });
+});
@@ -5,6 +5,8 @@
 
 const mongoose = require('mongoose');
 const logger = require('../utils/logger');
+const Embedding = require('../models/Embedding');
+const Job = require('../models/Job');
 
 const connectDB = async () => {
   try {
@@ -23,6 +25,17 @@ const connectDB = async () => {
     const conn = await mongoose.connect(mongoURI, options);
 
     logger.info(`MongoDB Connected: ${conn.connection.host}`);
+
+    // Drop the legacy one-embedding-per-note unique index in favour of per-chunk indexes, and
+    // the model index in favour of one that also sorts by update time
+    Embedding.syncIndexes().catch(err => {
+      logger.warn(`Could not sync embedding indexes: ${err.message}`);
+    });
+
+    // Replace the plain dedupeKey index with the unique one for queued and running jobs
+    Job.syncIndexes().catch(err => {
+      logger.warn(`Could not sync job indexes: ${err.message}`);
+    });
     
     if (process.env.NODE_ENV !== 'production') {
       console.log(`📦 MongoDB Connected: ${conn.connection.host}`);
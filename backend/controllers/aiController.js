@@ -3,12 +3,111 @@
  * Handles all AI-related operations including RAG
  */
 
-const { Note, Embedding } = require('../models');
-const embeddingService = require('../services/embeddingService');
+const { Note, Conversation } = require('../models');
+const retrievalService = require('../services/retrievalService');
+const rerankService = require('../services/rerankService');
+const queryRewriteService = require('../services/queryRewriteService');
 const vectorStore = require('../services/vectorStore');
 const llmService = require('../services/llmService');
+const citationService = require('../services/citationService');
+const conversationService = require('../services/conversationService');
+const topicService = require('../services/topicService');
+const insightsService = require('../services/insightsService');
+const { openEventStream } = require('../utils/sse');
 const logger = require('../utils/logger');
 
+/**
+ * Retrieve the requesting user's passages for a query and build the LLM context
+ * @param {object} user - Requesting user
+ * @param {string|object} query - Query text, or a rewrite from queryRewriteService.rewrite()
+ *   whose queries are all searched and merged
+ * @param {number} topK - Number of notes
+ * @returns {Promise<{retrieved: Array, context: Array, trace: object|null}>} - trace lists the
+ *   candidates the re-ranker kept and dropped, when one is configured
+ */
+const retrieveContext = async (user, query, topK) => {
+  const { standalone, queries } = typeof query === 'string'
+    ? { standalone: query, queries: [{ text: query, type: 'original' }] }
+    : query;
+
+  // Embed the queries with the model the index was built with; HyDE passages are written like notes
+  const queryEmbeddings = await Promise.all(queries.map(({ text, type }) =>
+    vectorStore.embedQuery(text, type === 'hyde' ? 'passage' : 'query')
+  ));
+
+  // Find the user's most similar passages, grouped by note, re-ranked when enabled
+  const { retrieved, trace } = await rerankService.retrieve(queryEmbeddings, standalone, user._id, parseInt(topK), {
+    llmOptions: llmService.optionsForUser(user)
+  });
+
+  // Create context from the matched passages of retrieved notes
+  const context = retrieved.map(({ note, passages }) => ({
+    title: note.title,
+    content: retrievalService.buildContextText(note.content, passages),
+    category: note.category
+  }));
+
+  return { retrieved, context, trace };
+};
+
+/**
+ * Rewrite a chat message into standalone (and optionally expanded) queries and retrieve for them
+ * Follow-ups like "what about the second one?" are condensed using the history first
+ * @param {object} user - Requesting user
+ * @param {string} message - Latest user message
+ * @param {Array} history - Previous messages
+ * @param {object} body - Request body with optional topK, expandQueries and hyde
+ * @returns {Promise<{retrieved: Array, context: Array, trace: object|null, rewrite: object}>}
+ */
+const retrieveChatContext = async (user, message, history, body) => {
+  const { topK = 5, expandQueries, hyde } = body;
+
+  const rewrite = await queryRewriteService.rewrite(message, history, {
+    ...(typeof expandQueries === 'boolean' && { expand: expandQueries }),
+    ...(typeof hyde === 'boolean' && { hyde }),
+    llmOptions: llmService.optionsForUser(user)
+  });
+
+  return { ...(await retrieveContext(user, rewrite, topK)), rewrite };
+};
+
+/**
+ * Format retrieved notes as response sources
+ * Sources keep the order they were labelled in the prompt, so number matches the [Note N] citations
+ */
+const formatSources = (retrieved, previewLength, citations = []) => retrieved.map(({ note, score, rerankScore, passages }, i) => ({
+  id: note._id,
+  number: i + 1,
+  title: note.title,
+  category: note.category,
+  score,
+  cited: citations.some(citation => citation.number === i + 1),
+  ...(rerankScore !== undefined && { rerankScore }),
+  preview: retrievalService.buildPreview(note, passages, previewLength),
+  passages
+}));
+
+/**
+ * Stream an LLM reply as server-sent events
+ * Emits 'token' events with text deltas, then one 'done' event built by buildDone,
+ * or an 'error' event if generation fails after the stream has started
+ */
+const streamReply = async (res, generate, buildDone) => {
+  const stream = openEventStream(res);
+
+  try {
+    const response = await generate(text => stream.send('token', { text }), stream.signal);
+    stream.send('done', buildDone(response));
+  } catch (error) {
+    if (!stream.signal.aborted) {
+      logger.error(`AI Stream Error: ${error.message}`);
+      stream.send('error', { error: 'Failed to generate response' });
+    }
+  } finally {
+    stream.end();
+  }
+};
+
 /**
  * Ask AI a question with RAG
  * POST /api/ai/ask
@@ -17,37 +116,25 @@ exports.askQuestion = async (req, res, next) => {
   try {
     const { query, topK = 5 } = req.body;
 
-    // Generate embedding for the query
-    const queryEmbedding = await embeddingService.generateEmbedding(query);
-
-    // Find similar notes using vector search
-    const similarNotes = await vectorStore.search(queryEmbedding, parseInt(topK));
-
-    // Get full note content for retrieved notes
-    const noteIds = similarNotes.map(result => result.id);
-    const notes = await Note.find({ _id: { $in: noteIds } }).lean();
-
-    // Create context from retrieved notes
-    const context = notes.map(note => ({
-      title: note.title,
-      content: note.content,
-      category: note.category
-    }));
+    const { retrieved, context, trace } = await retrieveContext(req.user, query, topK);
 
     // Generate response using LLM with context
-    const response = await llmService.generateResponse(query, context, 'qa');
+    const response = await llmService.generateResponse(query, context, 'qa', llmService.optionsForUser(req.user));
+
+    // Resolve the [Note N] markers to the retrieved notes
+    const { answer, citations, invalidCitations } = citationService.extractCitations(response.answer, retrieved);
 
     res.status(200).json({
       success: true,
       data: {
-        answer: response.answer,
-        sources: notes.map(note => ({
-          id: note._id,
-          title: note.title,
-          category: note.category,
-          preview: note.content.substring(0, 150) + '...'
-        })),
-        tokensUsed: response.tokensUsed
+        answer,
+        citations,
+        invalidCitations,
+        sources: formatSources(retrieved, 150, citations),
+        retrieval: trace,
+        tokensUsed: response.tokensUsed,
+        provider: response.provider,
+        model: response.model
       }
     });
   } catch (error) {
@@ -56,6 +143,42 @@ exports.askQuestion = async (req, res, next) => {
   }
 };
 
+/**
+ * Ask AI a question with RAG, streaming the answer
+ * POST /api/ai/ask/stream
+ */
+exports.askQuestionStream = async (req, res, next) => {
+  try {
+    const { query, topK = 5 } = req.body;
+
+    const { retrieved, context, trace } = await retrieveContext(req.user, query, topK);
+
+    await streamReply(
+      res,
+      (onToken, signal) => llmService.streamResponse(query, context, onToken, {
+        ...llmService.optionsForUser(req.user),
+        signal
+      }),
+      response => {
+        const { answer, citations, invalidCitations } = citationService.extractCitations(response.answer, retrieved);
+        return {
+          answer,
+          citations,
+          invalidCitations,
+          sources: formatSources(retrieved, 150, citations),
+          retrieval: trace,
+          tokensUsed: response.tokensUsed,
+          provider: response.provider,
+          model: response.model
+        };
+      }
+    );
+  } catch (error) {
+    logger.error(`AI Question Stream Error: ${error.message}`);
+    next(error);
+  }
+};
+
 /**
  * Summarize a note or content
  * POST /api/ai/summarize
@@ -68,7 +191,7 @@ exports.summarizeNote = async (req, res, next) => {
     let note;
 
     if (noteId) {
-      note = await Note.findById(noteId);
+      note = await Note.findOne({ _id: noteId, user: req.user._id });
       if (!note) {
         return res.status(404).json({
           success: false,
@@ -86,7 +209,7 @@ exports.summarizeNote = async (req, res, next) => {
     }
 
     // Generate summary using LLM
-    const response = await llmService.generateSummary(content, length);
+    const response = await llmService.generateSummary(content, length, llmService.optionsForUser(req.user));
 
     // Save summary to note if noteId was provided
     if (note) {
@@ -102,7 +225,9 @@ exports.summarizeNote = async (req, res, next) => {
         originalLength: content.length,
         summaryLength: response.summary.length,
         compressionRatio: ((1 - response.summary.length / content.length) * 100).toFixed(1) + '%',
-        tokensUsed: response.tokensUsed
+        tokensUsed: response.tokensUsed,
+        provider: response.provider,
+        model: response.model
       }
     });
   } catch (error) {
@@ -119,11 +244,11 @@ exports.generateTitle = async (req, res, next) => {
   try {
     const { content, noteId } = req.body;
 
-    const response = await llmService.generateTitle(content);
+    const response = await llmService.generateTitle(content, llmService.optionsForUser(req.user));
 
     // Update note if noteId provided
     if (noteId) {
-      const note = await Note.findById(noteId);
+      const note = await Note.findOne({ _id: noteId, user: req.user._id });
       if (note) {
         note.aiGenerated.suggestedTitle = response.title;
         note.aiGenerated.lastProcessed = new Date();
@@ -136,7 +261,9 @@ exports.generateTitle = async (req, res, next) => {
       data: {
         title: response.title,
         alternatives: response.alternatives || [],
-        tokensUsed: response.tokensUsed
+        tokensUsed: response.tokensUsed,
+        provider: response.provider,
+        model: response.model
       }
     });
   } catch (error) {
@@ -160,14 +287,16 @@ exports.explainContent = async (req, res, next) => {
       });
     }
 
-    const response = await llmService.explainContent(content, style);
+    const response = await llmService.explainContent(content, style, llmService.optionsForUser(req.user));
 
     res.status(200).json({
       success: true,
       data: {
         explanation: response.explanation,
         style,
-        tokensUsed: response.tokensUsed
+        tokensUsed: response.tokensUsed,
+        provider: response.provider,
+        model: response.model
       }
     });
   } catch (error) {
@@ -187,7 +316,7 @@ exports.extractKeyPoints = async (req, res, next) => {
     let targetContent = content;
 
     if (noteId && !content) {
-      const note = await Note.findById(noteId);
+      const note = await Note.findOne({ _id: noteId, user: req.user._id });
       if (!note) {
         return res.status(404).json({
           success: false,
@@ -204,13 +333,15 @@ exports.extractKeyPoints = async (req, res, next) => {
       });
     }
 
-    const response = await llmService.extractKeyPoints(targetContent, maxPoints);
+    const response = await llmService.extractKeyPoints(targetContent, maxPoints, llmService.optionsForUser(req.user));
 
     res.status(200).json({
       success: true,
       data: {
         keyPoints: response.keyPoints,
-        tokensUsed: response.tokensUsed
+        tokensUsed: response.tokensUsed,
+        provider: response.provider,
+        model: response.model
       }
     });
   } catch (error) {
@@ -225,7 +356,7 @@ exports.extractKeyPoints = async (req, res, next) => {
  */
 exports.chatWithNotes = async (req, res, next) => {
   try {
-    const { message, conversationHistory = [], topK = 5 } = req.body;
+    const { message, conversationHistory = [] } = req.body;
 
     if (!message) {
       return res.status(400).json({
@@ -234,33 +365,26 @@ exports.chatWithNotes = async (req, res, next) => {
       });
     }
 
-    // Generate embedding for the message
-    const messageEmbedding = await embeddingService.generateEmbedding(message);
-
-    // Find similar notes
-    const similarNotes = await vectorStore.search(messageEmbedding, parseInt(topK));
-    const noteIds = similarNotes.map(result => result.id);
-    const notes = await Note.find({ _id: { $in: noteIds } }).lean();
-
-    // Create context
-    const context = notes.map(note => ({
-      title: note.title,
-      content: note.content
-    }));
+    const { retrieved, context, trace, rewrite } = await retrieveChatContext(req.user, message, conversationHistory, req.body);
 
     // Generate chat response (conversationHistory, userMessage, context)
-    const response = await llmService.chat(conversationHistory, message, context);
+    const response = await llmService.chat(conversationHistory, message, context, llmService.optionsForUser(req.user));
+
+    // Resolve the [Note N] markers to the retrieved notes
+    const { answer, citations, invalidCitations } = citationService.extractCitations(response.response, retrieved);
 
     res.status(200).json({
       success: true,
       data: {
-        response: response.response,
-        sources: notes.map(note => ({
-          id: note._id,
-          title: note.title,
-          preview: note.content.substring(0, 100) + '...'
-        })),
-        tokensUsed: response.tokensUsed
+        response: answer,
+        citations,
+        invalidCitations,
+        sources: formatSources(retrieved, 100, citations),
+        retrieval: trace,
+        queryRewrite: rewrite,
+        tokensUsed: response.tokensUsed,
+        provider: response.provider,
+        model: response.model
       }
     });
   } catch (error) {
@@ -270,35 +394,383 @@ exports.chatWithNotes = async (req, res, next) => {
 };
 
 /**
- * Get AI insights for all notes
+ * Chat with notes, streaming the reply
+ * POST /api/ai/chat/stream
+ */
+exports.chatWithNotesStream = async (req, res, next) => {
+  try {
+    const { message, conversationHistory = [] } = req.body;
+
+    if (!message) {
+      return res.status(400).json({
+        success: false,
+        error: 'Message is required'
+      });
+    }
+
+    const { retrieved, context, trace, rewrite } = await retrieveChatContext(req.user, message, conversationHistory, req.body);
+
+    await streamReply(
+      res,
+      (onToken, signal) => llmService.streamChat(conversationHistory, message, context, onToken, {
+        ...llmService.optionsForUser(req.user),
+        signal
+      }),
+      response => {
+        const { answer, citations, invalidCitations } = citationService.extractCitations(response.response, retrieved);
+        return {
+          response: answer,
+          citations,
+          invalidCitations,
+          sources: formatSources(retrieved, 100, citations),
+          retrieval: trace,
+          queryRewrite: rewrite,
+          tokensUsed: response.tokensUsed,
+          provider: response.provider,
+          model: response.model
+        };
+      }
+    );
+  } catch (error) {
+    logger.error(`Chat Stream Error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Prepare the next turn of a conversation: build the history, then retrieve context for the
+ * message rewritten against it
+ * @returns {Promise<{retrieved: Array, context: Array, trace: object|null, rewrite: object, history: Array, summaryTokens: number}>}
+ */
+const prepareConversationTurn = async (conversation, req) => {
+  const { message } = req.body;
+
+  const { history, tokensUsed } = await conversationService.prepareHistory(
+    conversation,
+    llmService.optionsForUser(req.user)
+  );
+  const { retrieved, context, trace, rewrite } = await retrieveChatContext(req.user, message, history, req.body);
+
+  return { retrieved, context, trace, rewrite, history, summaryTokens: tokensUsed };
+};
+
+/**
+ * Save a completed turn to the conversation and build the response payload
+ * Nothing is saved for turns that fail or are stopped, so threads only hold complete exchanges
+ */
+const saveConversationTurn = async (conversation, message, response, turn) => {
+  const { answer, citations, invalidCitations } = citationService.extractCitations(response.response, turn.retrieved);
+  const sources = formatSources(turn.retrieved, 100, citations);
+
+  if (conversation.messages.length === 0 && conversation.title === 'New conversation') {
+    conversation.title = conversationService.titleFromMessage(message);
+  }
+
+  conversation.addMessage({ role: 'user', content: message });
+  const reply = conversation.addMessage({
+    role: 'assistant',
+    content: answer,
+    sources: sources.map(({ id, number, title, score, cited }) => ({ noteId: id, number, title, score, cited })),
+    citations,
+    tokensUsed: response.tokensUsed,
+    provider: response.provider,
+    model: response.model
+  });
+  conversation.tokensUsed += turn.summaryTokens + turn.rewrite.tokensUsed;
+
+  await conversation.save();
+
+  return {
+    conversationId: conversation._id,
+    title: conversation.title,
+    messageId: reply._id,
+    response: answer,
+    citations,
+    invalidCitations,
+    sources,
+    retrieval: turn.trace,
+    queryRewrite: turn.rewrite,
+    tokensUsed: response.tokensUsed,
+    provider: response.provider,
+    model: response.model
+  };
+};
+
+/**
+ * List the user's conversations, most recent first
+ * GET /api/ai/conversations
+ */
+exports.getConversations = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [conversations, total] = await Promise.all([
+      Conversation.aggregate([
+        { $match: { user: req.user._id } },
+        { $sort: { lastMessageAt: -1 } },
+        { $skip: skip },
+        { $limit: parseInt(limit) },
+        {
+          $project: {
+            title: 1,
+            tokensUsed: 1,
+            lastMessageAt: 1,
+            createdAt: 1,
+            updatedAt: 1,
+            messageCount: { $size: '$messages' }
+          }
+        }
+      ]),
+      Conversation.countDocuments({ user: req.user._id })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: conversations,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    logger.error(`Get Conversations Error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Start a new conversation
+ * POST /api/ai/conversations
+ */
+exports.createConversation = async (req, res, next) => {
+  try {
+    const conversation = await Conversation.create({
+      user: req.user._id,
+      ...(req.body.title && { title: req.body.title })
+    });
+
+    res.status(201).json({
+      success: true,
+      data: conversation
+    });
+  } catch (error) {
+    logger.error(`Create Conversation Error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Get a conversation with its messages
+ * GET /api/ai/conversations/:id
+ */
+exports.getConversation = async (req, res, next) => {
+  try {
+    const conversation = await Conversation.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Conversation not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: conversation
+    });
+  } catch (error) {
+    logger.error(`Get Conversation Error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Rename a conversation
+ * PUT /api/ai/conversations/:id
+ */
+exports.updateConversation = async (req, res, next) => {
+  try {
+    const conversation = await Conversation.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      { title: req.body.title },
+      { new: true, runValidators: true }
+    ).select('-messages');
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Conversation not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: conversation
+    });
+  } catch (error) {
+    logger.error(`Update Conversation Error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Delete a conversation
+ * DELETE /api/ai/conversations/:id
+ */
+exports.deleteConversation = async (req, res, next) => {
+  try {
+    const conversation = await Conversation.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Conversation not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Conversation deleted successfully'
+    });
+  } catch (error) {
+    logger.error(`Delete Conversation Error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Send a message in a conversation
+ * POST /api/ai/conversations/:id/messages
+ */
+exports.sendConversationMessage = async (req, res, next) => {
+  try {
+    const conversation = await Conversation.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Conversation not found'
+      });
+    }
+
+    const { message } = req.body;
+    const turn = await prepareConversationTurn(conversation, req);
+
+    const response = await llmService.chat(turn.history, message, turn.context, llmService.optionsForUser(req.user));
+
+    res.status(200).json({
+      success: true,
+      data: await saveConversationTurn(conversation, message, response, turn)
+    });
+  } catch (error) {
+    logger.error(`Conversation Message Error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Send a message in a conversation, streaming the reply
+ * POST /api/ai/conversations/:id/messages/stream
+ */
+exports.sendConversationMessageStream = async (req, res, next) => {
+  try {
+    const conversation = await Conversation.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Conversation not found'
+      });
+    }
+
+    const { message } = req.body;
+    const turn = await prepareConversationTurn(conversation, req);
+
+    await streamReply(
+      res,
+      async (onToken, signal) => {
+        const response = await llmService.streamChat(turn.history, message, turn.context, onToken, {
+          ...llmService.optionsForUser(req.user),
+          signal
+        });
+        // A fallback reply can still finish after the client has gone; keep stopped turns out of the thread
+        if (signal.aborted) {
+          throw new Error('Stream cancelled');
+        }
+        return saveConversationTurn(conversation, message, response, turn);
+      },
+      payload => payload
+    );
+  } catch (error) {
+    logger.error(`Conversation Stream Error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Get AI insights for the user's notes, or those changed in a time window
+ * Returns the cached report, or the job building it (follow it at GET /api/jobs/:id)
  * GET /api/ai/insights
  */
 exports.getInsights = async (req, res, next) => {
   try {
-    const notes = await Note.find({ isArchived: false }).lean();
+    const { window = 'all', refresh } = req.query;
 
-    if (notes.length === 0) {
-      return res.status(200).json({
+    const { report, job } = await insightsService.getInsights(req.user, {
+      window,
+      refresh: refresh === 'true'
+    });
+
+    if (job) {
+      return res.status(202).json({
         success: true,
-        data: {
-          message: 'No notes available for insights',
-          insights: null
-        }
+        data: { jobId: job._id, status: job.status, window },
+        message: 'Building insights'
       });
     }
 
-    const response = await llmService.generateInsights(notes);
+    res.status(200).json({
+      success: true,
+      data: insightsService.describe(report)
+    });
+  } catch (error) {
+    logger.error(`Insights Error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Discover topics by clustering the user's notes
+ * GET /api/ai/topics
+ */
+exports.getTopics = async (req, res, next) => {
+  try {
+    const { k, refresh } = req.query;
+
+    const topicMap = await topicService.getTopics(req.user, {
+      k: k ? parseInt(k) : null,
+      refresh: refresh === 'true'
+    });
 
     res.status(200).json({
       success: true,
       data: {
-        insights: response.insights,
-        notesAnalyzed: notes.length,
-        tokensUsed: response.tokensUsed
+        topics: topicMap.topics,
+        noteCount: topicMap.noteCount,
+        unindexed: topicMap.unindexed,
+        requestedK: topicMap.requestedK,
+        model: topicMap.model,
+        labelProvider: topicMap.labelProvider,
+        tokensUsed: topicMap.tokensUsed,
+        generatedAt: topicMap.updatedAt,
+        cached: topicMap.cached
       }
     });
   } catch (error) {
-    logger.error(`Insights Error: ${error.message}`);
+    logger.error(`Topics Error: ${error.message}`);
     next(error);
   }
 };
@@ -312,7 +784,7 @@ exports.getRelatedNotes = async (req, res, next) => {
     const { noteId } = req.params;
     const { limit = 5 } = req.query;
 
-    const note = await Note.findById(noteId);
+    const note = await Note.findOne({ _id: noteId, user: req.user._id });
     if (!note) {
       return res.status(404).json({
         success: false,
@@ -320,27 +792,26 @@ exports.getRelatedNotes = async (req, res, next) => {
       });
     }
 
-    // Get embedding for the note
-    const embedding = await embeddingService.generateEmbedding(note.content);
+    // Represent the whole note by its stored chunk vectors
+    const embedding = await retrievalService.getNoteQueryVector(note);
 
-    // Search for similar notes
-    const similarNotes = await vectorStore.search(embedding, parseInt(limit) + 1);
-
-    // Filter out the current note
-    const relatedIds = similarNotes
-      .filter(result => result.id !== noteId)
-      .slice(0, parseInt(limit))
-      .map(result => result.id);
-
-    const relatedNotes = await Note.find({ _id: { $in: relatedIds } })
-      .select('title content category tags updatedAt')
-      .lean();
+    // Search the requesting user's other notes
+    const related = await retrievalService.retrieve(embedding, req.user._id, parseInt(limit), {
+      filter: { excludeIds: [noteId] }
+    });
 
     res.status(200).json({
       success: true,
-      data: relatedNotes.map(note => ({
-        ...note,
-        preview: note.content.substring(0, 150) + '...'
+      data: related.map(({ note: relatedNote, score, passages }) => ({
+        _id: relatedNote._id,
+        title: relatedNote.title,
+        content: relatedNote.content,
+        category: relatedNote.category,
+        tags: relatedNote.tags,
+        updatedAt: relatedNote.updatedAt,
+        similarityScore: score,
+        preview: retrievalService.buildPreview(relatedNote, passages, 150),
+        passages
       }))
     });
   } catch (error) {
@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const llmService = require('../services/llmService');
+const searchAnalyticsService = require('../services/searchAnalyticsService');
 const logger = require('../utils/logger');
 
 /**
@@ -182,7 +184,7 @@ exports.getMe = async (req, res, next) => {
  */
 exports.updateProfile = async (req, res, next) => {
   try {
-    const { name, email, avatar } = req.body;
+    const { name, email, avatar, preferences } = req.body;
 
     // Fields to update
     const fieldsToUpdate = {};
@@ -190,6 +192,62 @@ exports.updateProfile = async (req, res, next) => {
     if (email) fieldsToUpdate.email = email;
     if (avatar !== undefined) fieldsToUpdate.avatar = avatar;
 
+    // LLM preferences; null resets to the server default
+    if (preferences?.llmProvider !== undefined) {
+      if (preferences.llmProvider && !llmService.getProviderNames().includes(preferences.llmProvider)) {
+        return res.status(400).json({
+          success: false,
+          error: `LLM provider must be one of: ${llmService.getProviderNames().join(', ')}`
+        });
+      }
+      fieldsToUpdate['preferences.llmProvider'] = preferences.llmProvider || null;
+    }
+    // The model must be one configured for the provider the user ends up with
+    const provider = (preferences?.llmProvider !== undefined ? preferences.llmProvider : req.user.preferences?.llmProvider) ||
+      llmService.providerName;
+    if (preferences?.llmModel !== undefined) {
+      const models = llmService.getModelNames(provider);
+      if (preferences.llmModel && !models.includes(preferences.llmModel)) {
+        return res.status(400).json({
+          success: false,
+          error: `LLM model for ${provider} must be one of: ${models.join(', ')}`
+        });
+      }
+      fieldsToUpdate['preferences.llmModel'] = preferences.llmModel || null;
+    } else if (preferences?.llmProvider !== undefined && req.user.preferences?.llmModel &&
+      !llmService.getModelNames(provider).includes(req.user.preferences.llmModel)) {
+      // Switching provider drops a model the new one doesn't offer
+      fieldsToUpdate['preferences.llmModel'] = null;
+    }
+    if (preferences?.searchAnalytics !== undefined) {
+      if (typeof preferences.searchAnalytics !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          error: 'searchAnalytics must be true or false'
+        });
+      }
+      fieldsToUpdate['preferences.searchAnalytics'] = preferences.searchAnalytics;
+    }
+    if (preferences?.autoApplySuggestions !== undefined) {
+      if (typeof preferences.autoApplySuggestions !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          error: 'autoApplySuggestions must be true or false'
+        });
+      }
+      fieldsToUpdate['preferences.autoApplySuggestions'] = preferences.autoApplySuggestions;
+    }
+    if (preferences?.autoApplyThreshold !== undefined) {
+      const threshold = preferences.autoApplyThreshold;
+      if (typeof threshold !== 'number' || threshold < 0 || threshold > 1) {
+        return res.status(400).json({
+          success: false,
+          error: 'autoApplyThreshold must be a number between 0 and 1'
+        });
+      }
+      fieldsToUpdate['preferences.autoApplyThreshold'] = threshold;
+    }
+
     // Check if email is already taken
     if (email && email !== req.user.email) {
       const existingUser = await User.findOne({ email });
@@ -206,6 +264,11 @@ exports.updateProfile = async (req, res, next) => {
       runValidators: true
     });
 
+    // Opting out of search analytics also removes what was logged
+    if (preferences?.searchAnalytics === false) {
+      await searchAnalyticsService.clear(user._id);
+    }
+
     res.status(200).json({
       success: true,
       message: 'Profile updated successfully',
@@ -6,9 +6,11 @@
 const notesController = require('./notesController');
 const aiController = require('./aiController');
 const searchController = require('./searchController');
+const jobsController = require('./jobsController');
 
 module.exports = {
   notesController,
   aiController,
-  searchController
+  searchController,
+  jobsController
 };
@@ -0,0 +1,100 @@
+/**
+ * Jobs Controller
+ * Lets users follow and retry their background jobs
+ */
+
+const { Job } = require('../models');
+const jobQueue = require('../services/jobQueue');
+const logger = require('../utils/logger');
+
+// Admins can see every job, other users only their own
+const ownerFilter = (user) => (user.role === 'admin' ? {} : { user: user._id });
+
+/**
+ * List background jobs
+ * GET /api/jobs
+ */
+exports.getJobs = async (req, res, next) => {
+  try {
+    const { status, type, page = 1, limit = 20 } = req.query;
+
+    const query = ownerFilter(req.user);
+    if (status) query.status = status;
+    if (type) query.type = type;
+
+    const [jobs, total, stats] = await Promise.all([
+      Job.find(query)
+        .sort({ createdAt: -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit)),
+      Job.countDocuments(query),
+      jobQueue.getStats(ownerFilter(req.user))
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: jobs,
+      stats,
+      pagination: {
+        current: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    logger.error(`Get Jobs Error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Get a background job
+ * GET /api/jobs/:id
+ */
+exports.getJob = async (req, res, next) => {
+  try {
+    const job = await Job.findOne({ _id: req.params.id, ...ownerFilter(req.user) });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    logger.error(`Get Job Error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Retry a dead-lettered job
+ * POST /api/jobs/:id/retry
+ */
+exports.retryJob = async (req, res, next) => {
+  try {
+    const job = await jobQueue.retry(req.params.id, ownerFilter(req.user));
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'No failed job found with that ID'
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      data: job,
+      message: 'Job queued for retry'
+    });
+  } catch (error) {
+    logger.error(`Retry Job Error: ${error.message}`);
+    next(error);
+  }
+};
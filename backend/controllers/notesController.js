@@ -3,10 +3,11 @@
  * Handles all note-related business logic
  */
 
-const { Note, Embedding } = require('../models');
-const embeddingService = require('../services/embeddingService');
-const vectorStore = require('../services/vectorStore');
-const logger = require('../utils/logger');
+const { Note } = require('../models');
+const indexingService = require('../services/indexingService');
+const bm25Service = require('../services/bm25Service');
+const revisionService = require('../services/revisionService');
+const duplicateService = require('../services/duplicateService');
 
 /**
  * Get all notes
@@ -105,8 +106,7 @@ exports.createNote = async (req, res, next) => {
   try {
     const { title, content, tags, category, color } = req.body;
 
-    // Create the note
-    const note = await Note.create({
+    const note = new Note({
       user: req.user._id,
       title: title || 'Untitled Note',
       content,
@@ -115,14 +115,20 @@ exports.createNote = async (req, res, next) => {
       color: color || '#ffffff'
     });
 
-    // Generate embedding asynchronously
-    generateNoteEmbedding(note._id, content).catch(err => {
-      logger.error(`Failed to generate embedding for note ${note._id}: ${err.message}`);
-    });
+    // Create the note
+    await note.save();
+    bm25Service.invalidate(req.user._id);
+
+    // First version of the note's history
+    await revisionService.recordRevision(note, req.user._id, 'create');
+
+    // Generate chunk embeddings in the background, then suggest tags and a category from similar notes
+    const indexJob = await indexingService.queueNote(note, { suggestTags: true });
 
     res.status(201).json({
       success: true,
       data: note,
+      indexJob: indexJob._id,
       message: 'Note created successfully'
     });
   } catch (error) {
@@ -147,8 +153,11 @@ exports.updateNote = async (req, res, next) => {
       });
     }
 
-    // Track if content changed
+    // Track if indexed text changed (chunks are embedded with the note title)
     const contentChanged = content && content !== note.content;
+    const titleChanged = title !== undefined && title !== note.title;
+
+    const before = revisionService.snapshot(note);
 
     // Update fields
     if (title !== undefined) note.title = title;
@@ -160,17 +169,26 @@ exports.updateNote = async (req, res, next) => {
     if (isArchived !== undefined) note.isArchived = isArchived;
 
     await note.save();
+    bm25Service.invalidate(req.user._id);
 
-    // Regenerate embedding if content changed
-    if (contentChanged) {
-      generateNoteEmbedding(note._id, content).catch(err => {
-        logger.error(`Failed to update embedding for note ${note._id}: ${err.message}`);
-      });
+    // Searches filter on the tags, category, color and flags kept with the note's chunks
+    await indexingService.syncAttributes(note);
+
+    // Store the new version, keeping the previous text of notes that predate revision history
+    if (revisionService.isChanged(before, revisionService.snapshot(note))) {
+      await revisionService.ensureBaseline(note, before);
+      await revisionService.recordRevision(note, req.user._id, 'update');
     }
 
+    // Regenerate chunk embeddings if the indexed text changed, then suggest tags again
+    const indexJob = contentChanged || titleChanged
+      ? await indexingService.queueNote(note, { suggestTags: true })
+      : null;
+
     res.status(200).json({
       success: true,
       data: note,
+      indexJob: indexJob?._id || null,
       message: 'Note updated successfully'
     });
   } catch (error) {
@@ -193,15 +211,12 @@ exports.deleteNote = async (req, res, next) => {
       });
     }
 
-    // Delete embedding from vector store
-    try {
-      await vectorStore.removeVector(note._id.toString());
-      await Embedding.deleteByNoteId(note._id);
-    } catch (embError) {
-      logger.warn(`Failed to delete embedding for note ${note._id}: ${embError.message}`);
-    }
+    // Delete chunk embeddings from vector store and database (retried in the background if that fails)
+    await indexingService.removeDeletedNote(note);
 
     await Note.deleteOne({ _id: note._id });
+    bm25Service.invalidate(req.user._id);
+    await revisionService.removeNote(note._id);
 
     res.status(200).json({
       success: true,
@@ -229,6 +244,8 @@ exports.togglePin = async (req, res, next) => {
     }
 
     await note.togglePin();
+    bm25Service.invalidate(req.user._id);
+    await indexingService.syncAttributes(note);
 
     res.status(200).json({
       success: true,
@@ -260,6 +277,8 @@ exports.archiveNote = async (req, res, next) => {
     } else {
       await note.archive();
     }
+    bm25Service.invalidate(req.user._id);
+    await indexingService.syncAttributes(note);
 
     res.status(200).json({
       success: true,
@@ -271,6 +290,194 @@ exports.archiveNote = async (req, res, next) => {
   }
 };
 
+/**
+ * Find groups of near-duplicate notes
+ * GET /api/notes/duplicates
+ */
+exports.getDuplicates = async (req, res, next) => {
+  try {
+    const { limit = 20, includeArchived } = req.query;
+
+    const { groups, unindexed } = await duplicateService.findDuplicates(req.user._id, {
+      limit: parseInt(limit),
+      includeArchived: includeArchived === 'true'
+    });
+
+    res.status(200).json({
+      success: true,
+      data: groups,
+      count: groups.length,
+      unindexed,
+      thresholds: {
+        semantic: duplicateService.semanticThreshold,
+        content: duplicateService.contentThreshold
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Merge duplicate notes into one
+ * POST /api/notes/duplicates/merge
+ */
+exports.mergeDuplicates = async (req, res, next) => {
+  try {
+    const { primaryId, noteIds, strategy = 'archive', title } = req.body;
+
+    const { note, merged } = await duplicateService.merge(req.user, primaryId, noteIds, { strategy, title });
+
+    res.status(200).json({
+      success: true,
+      data: note,
+      merged,
+      strategy,
+      message: `Merged ${merged.length + 1} notes`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a note's version history
+ * GET /api/notes/:id/revisions
+ */
+exports.getRevisions = async (req, res, next) => {
+  try {
+    const note = await Note.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        error: 'Note not found'
+      });
+    }
+
+    const revisions = await revisionService.listRevisions(note._id);
+
+    res.status(200).json({
+      success: true,
+      data: revisions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Compare two versions of a note
+ * GET /api/notes/:id/revisions/diff?from=&to=
+ */
+exports.compareRevisions = async (req, res, next) => {
+  try {
+    const note = await Note.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        error: 'Note not found'
+      });
+    }
+
+    const { from, to } = req.query;
+    const diff = await revisionService.compare(note._id, parseInt(from), to ? parseInt(to) : null);
+
+    if (!diff) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revision not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: diff
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get one version of a note
+ * GET /api/notes/:id/revisions/:version
+ */
+exports.getRevision = async (req, res, next) => {
+  try {
+    const note = await Note.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        error: 'Note not found'
+      });
+    }
+
+    const revision = await revisionService.getRevision(note._id, parseInt(req.params.version));
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revision not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: revision
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Restore a note to an earlier version
+ * POST /api/notes/:id/revisions/:version/restore
+ */
+exports.restoreRevision = async (req, res, next) => {
+  try {
+    const note = await Note.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        error: 'Note not found'
+      });
+    }
+
+    const version = parseInt(req.params.version);
+    const result = await revisionService.restore(note, version, req.user._id);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revision not found'
+      });
+    }
+
+    // The restored text needs fresh chunk embeddings
+    if (result.changed) {
+      bm25Service.invalidate(req.user._id);
+      await indexingService.syncAttributes(note);
+      await indexingService.queueNote(note);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: note,
+      revision: result.revision,
+      message: result.changed
+        ? `Note restored to version ${version}`
+        : `Note already matches version ${version}`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get all categories
  * GET /api/notes/categories
@@ -357,44 +564,3 @@ exports.getStats = async (req, res, next) => {
     next(error);
   }
 };
-
-/**
- * Helper function to generate embedding for a note
- */
-async function generateNoteEmbedding(noteId, content) {
-  try {
-    // Generate embedding
-    const embedding = await embeddingService.generateEmbedding(content);
-    
-    // Create hash for content
-    const crypto = require('crypto');
-    const textHash = crypto.createHash('md5').update(content).digest('hex');
-
-    // Save to database
-    await Embedding.findOneAndUpdate(
-      { noteId },
-      {
-        noteId,
-        vector: embedding,
-        dimension: embedding.length,
-        textHash,
-        model: 'all-MiniLM-L6-v2'
-      },
-      { upsert: true, new: true }
-    );
-
-    // Add to vector store
-    await vectorStore.addVector(noteId.toString(), embedding);
-
-    // Update note to indicate embedding exists
-    await Note.findByIdAndUpdate(noteId, {
-      hasEmbedding: true,
-      embeddingId: noteId.toString()
-    });
-
-    logger.info(`Embedding generated for note ${noteId}`);
-  } catch (error) {
-    logger.error(`Error generating embedding for note ${noteId}: ${error.message}`);
-    throw error;
-  }
-}
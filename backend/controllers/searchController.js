@@ -3,9 +3,16 @@
  * Handles semantic and keyword search operations
  */
 
-const { Note, Embedding } = require('../models');
+const { Note, Job, SavedSearch } = require('../models');
 const embeddingService = require('../services/embeddingService');
 const vectorStore = require('../services/vectorStore');
+const indexingService = require('../services/indexingService');
+const embeddingMigrationService = require('../services/embeddingMigrationService');
+const searchService = require('../services/searchService');
+const savedSearchService = require('../services/savedSearchService');
+const searchAnalyticsService = require('../services/searchAnalyticsService');
+const consistencyService = require('../services/consistencyService');
+const { parseQuery } = require('../utils/queryParser');
 const logger = require('../utils/logger');
 
 /**
@@ -14,6 +21,7 @@ const logger = require('../utils/logger');
  */
 exports.semanticSearch = async (req, res, next) => {
   try {
+    const startedAt = Date.now();
     const { q: query, limit = 10 } = req.query;
 
     if (!query) {
@@ -23,45 +31,36 @@ exports.semanticSearch = async (req, res, next) => {
       });
     }
 
-    // Generate embedding for search query
-    const queryEmbedding = await embeddingService.generateEmbedding(query);
+    const parsed = parseQuery(query);
+    if (parsed.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: parsed.errors.join('; ')
+      });
+    }
 
-    // Search vector store
-    const searchResults = await vectorStore.search(queryEmbedding, parseInt(limit));
+    // Pre-filtered to the notes passing the query's filters, re-ranked when enabled; each result
+    // carries its similarity score, matched passages and a snippet from the most similar passage
+    const { results, trace } = await searchService.semantic(req.user, parsed, { limit: parseInt(limit) });
+    const searchId = searchAnalyticsService.record(req.user, { query, mode: 'semantic', startedAt, results });
 
-    if (searchResults.length === 0) {
+    if (parsed.text && results.length === 0) {
       return res.status(200).json({
         success: true,
         data: [],
-        message: 'No matching notes found'
+        message: 'No matching notes found',
+        retrieval: trace,
+        searchId
       });
     }
 
-    // Get full notes for results
-    const noteIds = searchResults.map(result => result.id);
-    const notes = await Note.find({ 
-      _id: { $in: noteIds },
-      isArchived: false 
-    }).lean();
-
-    // Map similarity scores to notes
-    const notesWithScores = notes.map(note => {
-      const result = searchResults.find(r => r.id === note._id.toString());
-      return {
-        ...note,
-        similarityScore: result ? result.score : 0,
-        preview: note.content.substring(0, 200) + '...'
-      };
-    });
-
-    // Sort by similarity score
-    notesWithScores.sort((a, b) => b.similarityScore - a.similarityScore);
-
     res.status(200).json({
       success: true,
-      data: notesWithScores,
+      data: results,
       query,
-      resultsCount: notesWithScores.length
+      resultsCount: results.length,
+      retrieval: trace,
+      searchId
     });
   } catch (error) {
     logger.error(`Semantic Search Error: ${error.message}`);
@@ -75,6 +74,7 @@ exports.semanticSearch = async (req, res, next) => {
  */
 exports.keywordSearch = async (req, res, next) => {
   try {
+    const startedAt = Date.now();
     const { q: query, limit = 20, page = 1 } = req.query;
 
     if (!query) {
@@ -84,22 +84,29 @@ exports.keywordSearch = async (req, res, next) => {
       });
     }
 
-    const options = {
-      limit: parseInt(limit),
-      skip: (parseInt(page) - 1) * parseInt(limit),
-      includeArchived: false
-    };
+    const parsed = parseQuery(query);
+    if (parsed.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: parsed.errors.join('; ')
+      });
+    }
 
-    const notes = await Note.searchNotes(query, options);
+    const notes = await searchService.keyword(req.user._id, parsed, {
+      limit: parseInt(limit),
+      skip: (parseInt(page) - 1) * parseInt(limit)
+    });
+    // Later pages are the same search
+    const searchId = parseInt(page) === 1
+      ? searchAnalyticsService.record(req.user, { query, mode: 'keyword', startedAt, results: notes })
+      : null;
 
     res.status(200).json({
       success: true,
-      data: notes.map(note => ({
-        ...note.toObject(),
-        preview: note.content.substring(0, 200) + '...'
-      })),
+      data: notes,
       query,
-      resultsCount: notes.length
+      resultsCount: notes.length,
+      searchId
     });
   } catch (error) {
     logger.error(`Keyword Search Error: ${error.message}`);
@@ -113,7 +120,8 @@ exports.keywordSearch = async (req, res, next) => {
  */
 exports.hybridSearch = async (req, res, next) => {
   try {
-    const { q: query, limit = 10, semanticWeight = 0.7 } = req.query;
+    const startedAt = Date.now();
+    const { q: query, limit = 10, semanticWeight = 0.7, fusion = 'rrf', keywordScorer = 'bm25' } = req.query;
 
     if (!query) {
       return res.status(400).json({
@@ -122,85 +130,355 @@ exports.hybridSearch = async (req, res, next) => {
       });
     }
 
-    const parsedLimit = parseInt(limit);
+    const parsed = parseQuery(query);
+    if (parsed.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: parsed.errors.join('; ')
+      });
+    }
+
     const weight = parseFloat(semanticWeight);
 
-    // Perform semantic search
-    const queryEmbedding = await embeddingService.generateEmbedding(query);
-    const semanticResults = await vectorStore.search(queryEmbedding, parsedLimit * 2);
+    // Fuse semantic and keyword rankings; each result explains how it ranked
+    const results = await searchService.hybrid(req.user._id, parsed, {
+      limit: parseInt(limit),
+      semanticWeight: weight,
+      fusion,
+      keywordScorer
+    });
+    const searchId = searchAnalyticsService.record(req.user, { query, mode: 'hybrid', startedAt, results });
 
-    // Perform keyword search
-    const keywordResults = await Note.searchNotes(query, { 
-      limit: parsedLimit * 2, 
-      includeArchived: false 
+    res.status(200).json({
+      success: true,
+      data: results,
+      query,
+      resultsCount: results.length,
+      searchType: 'hybrid',
+      fusion,
+      keywordScorer,
+      semanticWeight: weight,
+      searchId
     });
+  } catch (error) {
+    logger.error(`Hybrid Search Error: ${error.message}`);
+    next(error);
+  }
+};
 
-    // Combine and score results
-    const combinedScores = new Map();
+// Saved search fields a request may set
+const SAVED_SEARCH_FIELDS = ['name', 'query', 'mode', 'filters', 'semanticWeight', 'trackNew'];
 
-    // Add semantic results
-    semanticResults.forEach((result, index) => {
-      const normalizedScore = 1 - (index / semanticResults.length);
-      combinedScores.set(result.id, {
-        id: result.id,
-        semanticScore: normalizedScore * weight,
-        keywordScore: 0
+/**
+ * List saved searches with their result and new-match counts
+ * GET /api/search/saved
+ */
+exports.getSavedSearches = async (req, res, next) => {
+  try {
+    const savedSearches = await savedSearchService.list(req.user);
+
+    res.status(200).json({
+      success: true,
+      data: savedSearches
+    });
+  } catch (error) {
+    logger.error(`Get Saved Searches Error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Save a search
+ * POST /api/search/saved
+ */
+exports.createSavedSearch = async (req, res, next) => {
+  try {
+    const saved = new SavedSearch({ user: req.user._id });
+    SAVED_SEARCH_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) saved[field] = req.body[field];
+    });
+
+    savedSearchService.parse(saved);
+    await saved.validate();
+
+    // Current matches are the baseline for the new-match badge
+    const savedSearch = await savedSearchService.resetBaseline(req.user, saved);
+
+    res.status(201).json({
+      success: true,
+      data: savedSearch
+    });
+  } catch (error) {
+    logger.error(`Create Saved Search Error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Update a saved search; filters are replaced as a whole
+ * PUT /api/search/saved/:id
+ */
+exports.updateSavedSearch = async (req, res, next) => {
+  try {
+    const saved = await SavedSearch.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!saved) {
+      return res.status(404).json({
+        success: false,
+        error: 'Saved search not found'
       });
+    }
+
+    const searchOf = doc => [doc.mode, savedSearchService.toQueryString(doc), doc.semanticWeight].join('|');
+    const before = searchOf(saved);
+
+    SAVED_SEARCH_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) saved[field] = req.body[field];
     });
 
-    // Add keyword results
-    keywordResults.forEach((note, index) => {
-      const id = note._id.toString();
-      const normalizedScore = 1 - (index / keywordResults.length);
-      
-      if (combinedScores.has(id)) {
-        combinedScores.get(id).keywordScore = normalizedScore * (1 - weight);
-      } else {
-        combinedScores.set(id, {
-          id,
-          semanticScore: 0,
-          keywordScore: normalizedScore * (1 - weight)
-        });
-      }
+    savedSearchService.parse(saved);
+    await saved.validate();
+
+    // A different search starts counting new matches afresh
+    let savedSearch;
+    if (searchOf(saved) !== before) {
+      savedSearch = await savedSearchService.resetBaseline(req.user, saved);
+    } else {
+      await saved.save();
+      savedSearch = await savedSearchService.summarize(req.user, saved);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: savedSearch
     });
+  } catch (error) {
+    logger.error(`Update Saved Search Error: ${error.message}`);
+    next(error);
+  }
+};
 
-    // Calculate final scores and sort
-    const scoredResults = Array.from(combinedScores.values())
-      .map(item => ({
-        ...item,
-        totalScore: item.semanticScore + item.keywordScore
-      }))
-      .sort((a, b) => b.totalScore - a.totalScore)
-      .slice(0, parsedLimit);
-
-    // Get full notes
-    const noteIds = scoredResults.map(r => r.id);
-    const notes = await Note.find({ _id: { $in: noteIds } }).lean();
-
-    // Map scores to notes
-    const notesWithScores = scoredResults.map(result => {
-      const note = notes.find(n => n._id.toString() === result.id);
-      return note ? {
-        ...note,
-        scores: {
-          total: result.totalScore.toFixed(3),
-          semantic: result.semanticScore.toFixed(3),
-          keyword: result.keywordScore.toFixed(3)
-        },
-        preview: note.content.substring(0, 200) + '...'
-      } : null;
-    }).filter(Boolean);
+/**
+ * Delete a saved search
+ * DELETE /api/search/saved/:id
+ */
+exports.deleteSavedSearch = async (req, res, next) => {
+  try {
+    const saved = await SavedSearch.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+
+    if (!saved) {
+      return res.status(404).json({
+        success: false,
+        error: 'Saved search not found'
+      });
+    }
 
     res.status(200).json({
       success: true,
-      data: notesWithScores,
-      query,
-      resultsCount: notesWithScores.length,
-      searchType: 'hybrid',
-      semanticWeight: weight
+      message: 'Saved search deleted successfully'
     });
   } catch (error) {
-    logger.error(`Hybrid Search Error: ${error.message}`);
+    logger.error(`Delete Saved Search Error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Open a saved search: returns its results with new matches flagged, and marks them as seen
+ * POST /api/search/saved/:id/run
+ */
+exports.runSavedSearch = async (req, res, next) => {
+  try {
+    const saved = await SavedSearch.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!saved) {
+      return res.status(404).json({
+        success: false,
+        error: 'Saved search not found'
+      });
+    }
+
+    const { results, savedSearch } = await savedSearchService.view(req.user, saved);
+
+    res.status(200).json({
+      success: true,
+      data: results,
+      savedSearch,
+      query: savedSearch.queryString,
+      resultsCount: results.length,
+      newCount: savedSearch.newCount
+    });
+  } catch (error) {
+    logger.error(`Run Saved Search Error: ${error.message}`);
+    next(error);
+  }
+};
+
+// Analytics report options from the query string; null when a non-admin asks for every user
+const reportOptions = (req) => {
+  const { scope = 'mine', days = 30, limit = 20 } = req.query;
+  if (scope === 'all' && req.user.role !== 'admin') {
+    return null;
+  }
+
+  return {
+    userId: scope === 'all' ? undefined : req.user._id,
+    days: parseInt(days),
+    limit: parseInt(limit)
+  };
+};
+
+/**
+ * Most frequent queries
+ * GET /api/search/analytics/top-queries
+ */
+exports.getTopQueries = async (req, res, next) => {
+  try {
+    const options = reportOptions(req);
+    if (!options) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only admins can report on every user'
+      });
+    }
+
+    const queries = await searchAnalyticsService.topQueries(options);
+
+    res.status(200).json({
+      success: true,
+      data: queries,
+      days: options.days
+    });
+  } catch (error) {
+    logger.error(`Top Queries Error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Queries that returned no results
+ * GET /api/search/analytics/zero-results
+ */
+exports.getZeroResultQueries = async (req, res, next) => {
+  try {
+    const options = reportOptions(req);
+    if (!options) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only admins can report on every user'
+      });
+    }
+
+    const queries = await searchAnalyticsService.zeroResultQueries(options);
+
+    res.status(200).json({
+      success: true,
+      data: queries,
+      days: options.days
+    });
+  } catch (error) {
+    logger.error(`Zero Result Queries Error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Semantic and hybrid queries whose best match had low similarity
+ * GET /api/search/analytics/low-confidence
+ */
+exports.getLowConfidenceQueries = async (req, res, next) => {
+  try {
+    const options = reportOptions(req);
+    if (!options) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only admins can report on every user'
+      });
+    }
+
+    const { threshold, queries } = await searchAnalyticsService.lowConfidenceQueries(options);
+
+    res.status(200).json({
+      success: true,
+      data: queries,
+      threshold,
+      days: options.days
+    });
+  } catch (error) {
+    logger.error(`Low Confidence Queries Error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Click-through rate, overall and per search mode
+ * GET /api/search/analytics/click-through
+ */
+exports.getClickThrough = async (req, res, next) => {
+  try {
+    const options = reportOptions(req);
+    if (!options) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only admins can report on every user'
+      });
+    }
+
+    const stats = await searchAnalyticsService.clickThrough(options);
+
+    res.status(200).json({
+      success: true,
+      data: stats,
+      days: options.days,
+      tracking: searchAnalyticsService.isTracking(req.user)
+    });
+  } catch (error) {
+    logger.error(`Click Through Error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Record a click on a search result
+ * POST /api/search/analytics/clicks
+ */
+exports.recordSearchClick = async (req, res, next) => {
+  try {
+    const { searchId, noteId, rank } = req.body;
+    const recorded = await searchAnalyticsService.recordClick(req.user._id, searchId, noteId, rank);
+
+    if (!recorded) {
+      return res.status(404).json({
+        success: false,
+        error: 'Search not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Click recorded'
+    });
+  } catch (error) {
+    logger.error(`Record Search Click Error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Delete the user's search logs
+ * DELETE /api/search/analytics
+ */
+exports.clearSearchAnalytics = async (req, res, next) => {
+  try {
+    const deleted = await searchAnalyticsService.clear(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: `Deleted ${deleted} logged searches`,
+      data: { deleted }
+    });
+  } catch (error) {
+    logger.error(`Clear Search Analytics Error: ${error.message}`);
     next(error);
   }
 };
@@ -220,22 +498,42 @@ exports.getSuggestions = async (req, res, next) => {
       });
     }
 
-    // Search for matching titles
-    const titleMatches = await Note.find(
-      { 
-        title: { $regex: query, $options: 'i' },
-        isArchived: false 
-      },
-      { title: 1 }
-    ).limit(parseInt(limit)).lean();
-
-    // Search for matching tags
-    const tagMatches = await Note.distinct('tags', {
-      tags: { $regex: query, $options: 'i' },
-      isArchived: false
-    });
+    // Complete the search operator being typed at the end of the query
+    const completion = await searchService.suggestOperators(req.user._id, query, parseInt(limit));
+    if (completion.complete) {
+      return res.status(200).json({
+        success: true,
+        data: completion.suggestions
+      });
+    }
+
+    // Match titles and tags against the query's free text
+    const { terms, phrases } = parseQuery(query);
+    const text = searchService.escapeRegex([...terms, ...phrases].join(' '));
+    let titleMatches = [];
+    let tagMatches = [];
+
+    if (text.length >= 2) {
+      // Search for matching titles
+      titleMatches = await Note.find(
+        { 
+          user: req.user._id,
+          title: { $regex: text, $options: 'i' },
+          isArchived: false 
+        },
+        { title: 1 }
+      ).limit(parseInt(limit)).lean();
+
+      // Search for matching tags
+      tagMatches = await Note.distinct('tags', {
+        user: req.user._id,
+        tags: { $regex: text, $options: 'i' },
+        isArchived: false
+      });
+    }
 
     const suggestions = [
+      ...completion.suggestions,
       ...titleMatches.map(n => ({ type: 'title', value: n.title })),
       ...tagMatches.slice(0, parseInt(limit)).map(t => ({ type: 'tag', value: t }))
     ];
@@ -251,77 +549,196 @@ exports.getSuggestions = async (req, res, next) => {
 };
 
 /**
- * Reindex all notes
+ * Reindex all notes as a background job
  * POST /api/search/reindex
  */
 exports.reindexAll = async (req, res, next) => {
   try {
-    logger.info('Starting full reindex...');
+    if (await embeddingMigrationService.getActiveJob()) {
+      return res.status(409).json({
+        success: false,
+        error: 'An embedding migration is in progress'
+      });
+    }
 
-    // Get all notes
-    const notes = await Note.find({}).lean();
+    const { job, created } = await indexingService.queueReindex(req.user._id);
 
-    if (notes.length === 0) {
-      return res.status(200).json({
-        success: true,
-        message: 'No notes to reindex'
+    res.status(202).json({
+      success: true,
+      data: job,
+      message: created ? 'Reindex queued' : 'A reindex is already in progress'
+    });
+  } catch (error) {
+    logger.error(`Reindex Error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Get the status of the latest reindex, or of a given reindex job
+ * GET /api/search/reindex/status
+ * GET /api/search/reindex/:jobId
+ */
+exports.getReindexStatus = async (req, res, next) => {
+  try {
+    const job = req.params.jobId
+      ? await Job.findOne({ _id: req.params.jobId, type: 'reindex' })
+      : await Job.findOne({ type: 'reindex' }).sort({ createdAt: -1 });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Reindex job not found'
       });
     }
 
-    // Clear existing vector store
-    await vectorStore.clear();
-
-    // Process notes in batches
-    const batchSize = 10;
-    let processed = 0;
-    let errors = 0;
-
-    for (let i = 0; i < notes.length; i += batchSize) {
-      const batch = notes.slice(i, i + batchSize);
-      
-      await Promise.all(batch.map(async (note) => {
-        try {
-          const embedding = await embeddingService.generateEmbedding(note.content);
-          await vectorStore.addVector(note._id.toString(), embedding);
-          
-          // Update embedding in database
-          const crypto = require('crypto');
-          const textHash = crypto.createHash('md5').update(note.content).digest('hex');
-          
-          await require('../models/Embedding').findOneAndUpdate(
-            { noteId: note._id },
-            {
-              noteId: note._id,
-              vector: embedding,
-              dimension: embedding.length,
-              textHash,
-              model: 'all-MiniLM-L6-v2'
-            },
-            { upsert: true }
-          );
-
-          await Note.findByIdAndUpdate(note._id, { hasEmbedding: true });
-          processed++;
-        } catch (err) {
-          logger.error(`Failed to reindex note ${note._id}: ${err.message}`);
-          errors++;
-        }
-      }));
+    res.status(200).json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    logger.error(`Reindex Status Error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Get the embedding model the index serves and the latest migration
+ * GET /api/search/migrations/status
+ */
+exports.getMigrationStatus = async (req, res, next) => {
+  try {
+    const status = await embeddingMigrationService.getStatus();
+
+    res.status(200).json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    logger.error(`Migration Status Error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Re-embed every note with a new embedding model as a background job
+ * The current index keeps serving searches until the new one is complete
+ * POST /api/search/migrations
+ */
+exports.startMigration = async (req, res, next) => {
+  try {
+    const { provider, model, dimension } = req.body;
+    const target = embeddingMigrationService.resolveTarget({
+      provider,
+      model,
+      dimension: dimension ? parseInt(dimension) : undefined
+    });
+
+    if (!embeddingService.isSpecAvailable(target)) {
+      return res.status(400).json({
+        success: false,
+        error: `Embedding provider '${target.provider}' is not configured`
+      });
+    }
+
+    if (vectorStore.isCompatible(target)) {
+      return res.status(400).json({
+        success: false,
+        error: `The index already uses ${target.model}`
+      });
+    }
+
+    // Chunks are stored per model, so one model can't be kept at two sizes while migrating
+    if (target.model === vectorStore.model) {
+      return res.status(400).json({
+        success: false,
+        error: `The index already uses ${target.model} with ${vectorStore.dimension} dimensions; migrate to a different model`
+      });
+    }
+
+    const reindex = await Job.exists({ type: 'reindex', status: { $in: ['queued', 'running'] } });
+    if (reindex) {
+      return res.status(409).json({
+        success: false,
+        error: 'A reindex is in progress'
+      });
+    }
+
+    const { job, created } = await embeddingMigrationService.startMigration(target, req.user._id);
+
+    res.status(202).json({
+      success: true,
+      data: job,
+      message: created
+        ? `Migration to ${target.model} queued`
+        : 'An embedding migration is already in progress'
+    });
+  } catch (error) {
+    logger.error(`Migration Error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Get the status of an embedding migration job
+ * GET /api/search/migrations/:jobId
+ */
+exports.getMigration = async (req, res, next) => {
+  try {
+    const job = await Job.findOne({ _id: req.params.jobId, type: 'migrate-embeddings' });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Migration job not found'
+      });
     }
 
-    logger.info(`Reindex complete. Processed: ${processed}, Errors: ${errors}`);
+    res.status(200).json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    logger.error(`Migration Status Error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Audit notes, stored chunks and the vector index against each other
+ * GET /api/search/consistency
+ */
+exports.auditConsistency = async (req, res, next) => {
+  try {
+    const report = await consistencyService.audit();
 
     res.status(200).json({
       success: true,
-      data: {
-        totalNotes: notes.length,
-        processed,
-        errors
-      },
-      message: 'Reindexing complete'
+      data: report
     });
   } catch (error) {
-    logger.error(`Reindex Error: ${error.message}`);
+    logger.error(`Consistency Audit Error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Fix every problem the consistency audit finds
+ * POST /api/search/consistency/repair
+ */
+exports.repairConsistency = async (req, res, next) => {
+  try {
+    const report = await consistencyService.repair();
+
+    res.status(200).json({
+      success: true,
+      data: report,
+      message: report.consistent
+        ? 'No problems found'
+        : `Repaired; ${report.repaired.queuedNotes} note(s) queued for reindexing`
+    });
+  } catch (error) {
+    logger.error(`Consistency Repair Error: ${error.message}`);
     next(error);
   }
 };
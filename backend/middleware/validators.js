@@ -77,6 +77,41 @@ const noteValidation = {
     handleValidationErrors
   ],
 
+  duplicates: [
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('includeArchived')
+      .optional()
+      .isIn(['true', 'false'])
+      .withMessage('includeArchived must be true or false'),
+    handleValidationErrors
+  ],
+
+  merge: [
+    body('primaryId')
+      .isMongoId()
+      .withMessage('Invalid primary note ID'),
+    body('noteIds')
+      .isArray({ min: 1, max: 50 })
+      .withMessage('noteIds must list between 1 and 50 notes to merge'),
+    body('noteIds.*')
+      .isMongoId()
+      .withMessage('Invalid note ID'),
+    body('strategy')
+      .optional()
+      .isIn(['archive', 'delete'])
+      .withMessage('Strategy must be archive or delete'),
+    body('title')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Title must be less than 200 characters'),
+    handleValidationErrors
+  ],
+
   getById: [
     param('id')
       .isMongoId()
@@ -89,6 +124,30 @@ const noteValidation = {
       .isMongoId()
       .withMessage('Invalid note ID'),
     handleValidationErrors
+  ],
+
+  revision: [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid note ID'),
+    param('version')
+      .isInt({ min: 1 })
+      .withMessage('Version must be a positive integer'),
+    handleValidationErrors
+  ],
+
+  compareRevisions: [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid note ID'),
+    query('from')
+      .isInt({ min: 1 })
+      .withMessage('from must be a positive integer'),
+    query('to')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('to must be a positive integer'),
+    handleValidationErrors
   ]
 };
 
@@ -125,6 +184,84 @@ const aiValidation = {
       .isLength({ min: 10, max: 50000 })
       .withMessage('Content must be between 10 and 50000 characters'),
     handleValidationErrors
+  ],
+
+  insights: [
+    query('window')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 20 })
+      .withMessage('Window must be between 1 and 20 characters'),
+    query('refresh')
+      .optional()
+      .isIn(['true', 'false'])
+      .withMessage('refresh must be true or false'),
+    handleValidationErrors
+  ],
+
+  topics: [
+    query('k')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('k must be between 1 and 50'),
+    query('refresh')
+      .optional()
+      .isIn(['true', 'false'])
+      .withMessage('refresh must be true or false'),
+    handleValidationErrors
+  ]
+};
+
+// Conversation validation rules
+const conversationValidation = {
+  create: [
+    body('title')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Title must be less than 200 characters'),
+    handleValidationErrors
+  ],
+
+  update: [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid conversation ID'),
+    body('title')
+      .notEmpty()
+      .withMessage('Title is required')
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Title must be between 1 and 200 characters'),
+    handleValidationErrors
+  ],
+
+  getById: [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid conversation ID'),
+    handleValidationErrors
+  ],
+
+  message: [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid conversation ID'),
+    body('message')
+      .notEmpty()
+      .withMessage('Message is required')
+      .trim()
+      .isLength({ min: 1, max: 4000 })
+      .withMessage('Message must be between 1 and 4000 characters'),
+    body('expandQueries')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('expandQueries must be true or false'),
+    body('hyde')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('hyde must be true or false'),
+    handleValidationErrors
   ]
 };
 
@@ -142,12 +279,204 @@ const searchValidation = {
       .isInt({ min: 1, max: 50 })
       .withMessage('Limit must be between 1 and 50'),
     handleValidationErrors
+  ],
+
+  hybrid: [
+    query('q')
+      .notEmpty()
+      .withMessage('Search query is required')
+      .trim()
+      .isLength({ min: 1, max: 500 })
+      .withMessage('Search query must be between 1 and 500 characters'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50'),
+    query('semanticWeight')
+      .optional()
+      .isFloat({ min: 0, max: 1 })
+      .withMessage('Semantic weight must be between 0 and 1'),
+    query('fusion')
+      .optional()
+      .isIn(['rrf', 'linear'])
+      .withMessage('Fusion must be rrf or linear'),
+    query('keywordScorer')
+      .optional()
+      .isIn(['bm25', 'text'])
+      .withMessage('Keyword scorer must be bm25 or text'),
+    handleValidationErrors
+  ],
+
+  analytics: [
+    query('days')
+      .optional()
+      .isInt({ min: 1, max: 365 })
+      .withMessage('Days must be between 1 and 365'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('scope')
+      .optional()
+      .isIn(['mine', 'all'])
+      .withMessage('Scope must be mine or all'),
+    handleValidationErrors
+  ],
+
+  click: [
+    body('searchId')
+      .isMongoId()
+      .withMessage('Invalid search ID'),
+    body('noteId')
+      .isMongoId()
+      .withMessage('Invalid note ID'),
+    body('rank')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Rank must be a positive integer')
+      .toInt(),
+    handleValidationErrors
+  ],
+
+  jobId: [
+    param('jobId')
+      .isMongoId()
+      .withMessage('Invalid job ID'),
+    handleValidationErrors
+  ],
+
+  migration: [
+    body('provider')
+      .optional()
+      .isIn(['nvidia', 'openai', 'ollama', 'local'])
+      .withMessage('Provider must be nvidia, openai, ollama or local'),
+    body('model')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Model must be between 1 and 200 characters'),
+    body('dimension')
+      .optional()
+      .isInt({ min: 1, max: 8192 })
+      .withMessage('Dimension must be between 1 and 8192'),
+    handleValidationErrors
+  ]
+};
+
+// Job validation rules
+const jobValidation = {
+  list: [
+    query('status')
+      .optional()
+      .isIn(['queued', 'running', 'completed', 'dead'])
+      .withMessage('Status must be queued, running, completed or dead'),
+    handleValidationErrors
+  ],
+
+  getById: [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid job ID'),
+    handleValidationErrors
+  ]
+};
+
+// Saved search settings, all optional (shared by create and update)
+const savedSearchRules = [
+  body('query')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Query must be less than 500 characters'),
+  body('mode')
+    .optional()
+    .isIn(['semantic', 'keyword', 'hybrid'])
+    .withMessage('Mode must be semantic, keyword or hybrid'),
+  body('semanticWeight')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Semantic weight must be between 0 and 1'),
+  body('trackNew')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('trackNew must be true or false'),
+  body('filters')
+    .optional()
+    .isObject()
+    .withMessage('Filters must be an object'),
+  body(['filters.tags', 'filters.categories', 'filters.colors'])
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Filter values must be an array of at most 20 values'),
+  body('filters.tags.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each tag must be between 1 and 50 characters'),
+  body('filters.categories.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Each category must be between 1 and 100 characters'),
+  body('filters.colors.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage('Each color must be a color name or hex code'),
+  body(['filters.pinned', 'filters.archived'])
+    .optional({ values: 'null' })
+    .isBoolean({ strict: true })
+    .withMessage('Pinned and archived filters must be true, false or null'),
+  body(['filters.after', 'filters.before'])
+    .optional({ values: 'falsy' })
+    .isString()
+    .trim()
+    .isLength({ max: 30 })
+    .withMessage('Dates must be less than 30 characters')
+];
+
+// Saved search validation rules
+const savedSearchValidation = {
+  create: [
+    body('name')
+      .isString()
+      .withMessage('Name is required')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be between 1 and 100 characters'),
+    ...savedSearchRules,
+    handleValidationErrors
+  ],
+
+  update: [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid saved search ID'),
+    body('name')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be between 1 and 100 characters'),
+    ...savedSearchRules,
+    handleValidationErrors
+  ],
+
+  getById: [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid saved search ID'),
+    handleValidationErrors
   ]
 };
 
 module.exports = {
   noteValidation,
   aiValidation,
+  conversationValidation,
   searchValidation,
+  savedSearchValidation,
+  jobValidation,
   handleValidationErrors
 };
@@ -0,0 +1,115 @@
+/**
+ * Conversation Model
+ * MongoDB Schema for persistent chat threads with the user's notes
+ */
+
+const mongoose = require('mongoose');
+
+const sourceSchema = new mongoose.Schema({
+  noteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note'
+  },
+  number: Number, // [Note N] label the source had in the prompt
+  title: String,
+  score: Number,
+  cited: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+const messageSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['user', 'assistant'],
+    required: true
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  sources: {
+    type: [sourceSchema],
+    default: []
+  },
+  citations: {
+    type: [mongoose.Schema.Types.Mixed], // As returned by citationService.extractCitations
+    default: []
+  },
+  tokensUsed: {
+    type: Number,
+    default: 0
+  },
+  provider: {
+    type: String,
+    default: null
+  },
+  model: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+const conversationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Conversation must belong to a user'],
+    index: true
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters'],
+    default: 'New conversation'
+  },
+  messages: {
+    type: [messageSchema],
+    default: []
+  },
+  // Rolling summary of older messages that no longer fit the model's context window
+  summary: {
+    text: {
+      type: String,
+      default: null
+    },
+    messageCount: {
+      type: Number, // Number of leading messages the summary covers
+      default: 0
+    }
+  },
+  tokensUsed: {
+    type: Number,
+    default: 0
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+conversationSchema.index({ user: 1, lastMessageAt: -1 });
+
+// Virtual for message count
+conversationSchema.virtual('messageCount').get(function() {
+  return this.messages ? this.messages.length : 0;
+});
+
+// Instance method to append a message and update usage
+conversationSchema.methods.addMessage = function(message) {
+  this.messages.push(message);
+  this.tokensUsed += message.tokensUsed || 0;
+  this.lastMessageAt = new Date();
+  return this.messages[this.messages.length - 1];
+};
+
+const Conversation = mongoose.model('Conversation', conversationSchema);
+
+module.exports = Conversation;
@@ -9,8 +9,12 @@ const embeddingSchema = new mongoose.Schema({
   noteId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Note',
-    required: true,
-    unique: true
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
   },
   vector: {
     type: [Number],
@@ -18,8 +22,7 @@ const embeddingSchema = new mongoose.Schema({
   },
   dimension: {
     type: Number,
-    required: true,
-    default: 384 // all-MiniLM-L6-v2 produces 384-dimensional vectors
+    required: true // Length of the vector as returned by the embedding model
   },
   textHash: {
     type: String,
@@ -27,7 +30,7 @@ const embeddingSchema = new mongoose.Schema({
   },
   model: {
     type: String,
-    default: 'all-MiniLM-L6-v2'
+    required: true // Embedding model that produced the vector
   },
   chunkIndex: {
     type: Number,
@@ -36,18 +39,42 @@ const embeddingSchema = new mongoose.Schema({
   chunkCount: {
     type: Number,
     default: 1
+  },
+  startOffset: {
+    type: Number,
+    default: 0
+  },
+  endOffset: {
+    type: Number,
+    default: null
+  },
+  // The note's tags, category, color, flags and creation date, so searches can filter on
+  // them (see utils/noteAttributes); updated when they change without a re-embed
+  attributes: {
+    type: new mongoose.Schema({
+      category: String,
+      tags: [String],
+      color: String,
+      isPinned: Boolean,
+      isArchived: Boolean,
+      createdAt: Date
+    }, { _id: false }),
+    default: null
   }
 }, {
   timestamps: true
 });
 
-// Indexes (noteId already has unique: true which creates an index)
+// Indexes - one document per note chunk and embedding model (two models coexist during a migration)
+embeddingSchema.index({ noteId: 1, model: 1, chunkIndex: 1 }, { unique: true });
+// The latest update tells polling instances that chunks or their attributes changed
+embeddingSchema.index({ model: 1, dimension: 1, updatedAt: -1 });
 embeddingSchema.index({ textHash: 1 });
 embeddingSchema.index({ createdAt: -1 });
 
-// Static method to find embedding by note ID
+// Static method to find all chunk embeddings for a note
 embeddingSchema.statics.findByNoteId = function(noteId) {
-  return this.findOne({ noteId });
+  return this.find({ noteId }).sort({ chunkIndex: 1 });
 };
 
 // Static method to delete embedding by note ID
@@ -57,7 +84,7 @@ embeddingSchema.statics.deleteByNoteId = async function(noteId) {
 
 // Static method to get all embeddings for vector search
 embeddingSchema.statics.getAllVectors = async function() {
-  return this.find({}, { noteId: 1, vector: 1 }).lean();
+  return this.find({}, { noteId: 1, user: 1, vector: 1, model: 1, chunkIndex: 1, startOffset: 1, endOffset: 1 }).lean();
 };
 
 const Embedding = mongoose.model('Embedding', embeddingSchema);
@@ -0,0 +1,62 @@
+/**
+ * InsightReport Model
+ * MongoDB Schema caching a user's insights for one time window, with the partial summary
+ * of each batch of notes so unchanged batches aren't summarized again
+ */
+
+const mongoose = require('mongoose');
+
+const insightReportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Insight report must belong to a user']
+  },
+  window: {
+    type: String, // all, this-month, 7d...
+    required: true
+  },
+  // The notes in the window, their last update and the LLM the report was written with
+  fingerprint: {
+    type: String,
+    required: true
+  },
+  from: {
+    type: Date,
+    default: null
+  },
+  noteCount: {
+    type: Number,
+    default: 0
+  },
+  insights: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Map step results: batch key (its notes and their last update) -> partial summary
+  batches: [{
+    _id: false,
+    key: String,
+    summary: mongoose.Schema.Types.Mixed
+  }],
+  provider: String,
+  model: String,
+  tokensUsed: {
+    type: Number,
+    default: 0
+  },
+  // Removed by the TTL index when not rebuilt for INSIGHTS_CACHE_DAYS
+  expireAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+insightReportSchema.index({ user: 1, window: 1 }, { unique: true });
+insightReportSchema.index({ expireAt: 1 }, { expireAfterSeconds: 0 });
+
+const InsightReport = mongoose.model('InsightReport', insightReportSchema);
+
+module.exports = InsightReport;
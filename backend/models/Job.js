@@ -0,0 +1,123 @@
+/**
+ * Job Model
+ * MongoDB Schema for the background job queue (embedding generation, index cleanup, reindexing, model migrations, insights)
+ */
+
+const mongoose = require('mongoose');
+
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, 'Job type is required'],
+    index: true
+  },
+  // queued -> running -> completed, or back to queued for a retry, or dead once retries run out
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'dead'],
+    default: 'queued'
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+  // At most one queued and one running job per key (e.g. one pending index job per note);
+  // a queued job waits for the running one with its key to finish
+  dedupeKey: {
+    type: String,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  progress: {
+    total: {
+      type: Number,
+      default: 0
+    },
+    processed: {
+      type: Number,
+      default: 0
+    },
+    failed: {
+      type: Number,
+      default: 0
+    }
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  failures: [{
+    _id: false,
+    attempt: Number,
+    error: String,
+    at: Date
+  }],
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  // Set when a job completes so finished jobs are cleaned up by the TTL index
+  expireAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index(
+  { dedupeKey: 1, status: 1 },
+  {
+    name: 'dedupeKey_active_unique',
+    unique: true,
+    partialFilterExpression: { dedupeKey: { $type: 'string' }, status: { $in: ['queued', 'running'] } }
+  }
+);
+jobSchema.index({ expireAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for progress percentage
+jobSchema.virtual('percent').get(function() {
+  if (this.status === 'completed') return 100;
+  if (!this.progress || !this.progress.total) return 0;
+  return Math.round(((this.progress.processed + this.progress.failed) / this.progress.total) * 100);
+});
+
+const Job = mongoose.model('Job', jobSchema);
+
+module.exports = Job;
@@ -48,6 +48,11 @@ const noteSchema = new mongoose.Schema({
     default: '#ffffff',
     match: [/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/, 'Please provide a valid hex color']
   },
+  // Newest revision number handed out; incremented atomically for each new revision
+  latestVersion: {
+    type: Number,
+    default: 0
+  },
   embeddingId: {
     type: String,
     default: null
@@ -79,6 +84,21 @@ const noteSchema = new mongoose.Schema({
       type: String,
       default: null
     },
+    // Computed after the note is indexed from similar notes' tags (and the LLM, when enabled)
+    suggestedTags: [{
+      _id: false,
+      name: String,
+      confidence: Number,
+      sources: [String]
+    }],
+    suggestedCategory: {
+      type: new mongoose.Schema({
+        name: String,
+        confidence: Number,
+        sources: [String]
+      }, { _id: false }),
+      default: null
+    },
     lastProcessed: {
       type: Date,
       default: null
@@ -135,13 +155,19 @@ noteSchema.statics.findByCategory = function(category) {
 
 // Static method to search notes
 noteSchema.statics.searchNotes = function(searchTerm, options = {}) {
-  const { limit = 20, skip = 0, includeArchived = false } = options;
+  const { limit = 20, skip = 0, includeArchived = false, userId, filter = {} } = options;
   
+  // filter holds extra conditions, e.g. from structured search operators
   const query = {
+    ...filter,
     $text: { $search: searchTerm }
   };
+
+  if (userId) {
+    query.user = userId;
+  }
   
-  if (!includeArchived) {
+  if (!includeArchived && filter.isArchived === undefined) {
     query.isArchived = false;
   }
   
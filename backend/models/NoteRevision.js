@@ -0,0 +1,63 @@
+/**
+ * Note Revision Model
+ * MongoDB Schema for snapshots of a note's text, one per saved version
+ */
+
+const mongoose = require('mongoose');
+
+const noteRevisionSchema = new mongoose.Schema({
+  note: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // What produced this version
+  reason: {
+    type: String,
+    enum: ['create', 'update', 'restore', 'baseline', 'merge', 'auto-apply'],
+    default: 'update'
+  },
+  restoredFrom: {
+    type: Number, // Version a restore copied
+    default: null
+  },
+  title: {
+    type: String,
+    default: ''
+  },
+  content: {
+    type: String,
+    default: ''
+  },
+  tags: {
+    type: [String],
+    default: []
+  },
+  category: {
+    type: String,
+    default: 'General'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+noteRevisionSchema.index({ note: 1, version: -1 }, { unique: true });
+
+const NoteRevision = mongoose.model('NoteRevision', noteRevisionSchema);
+
+module.exports = NoteRevision;
@@ -0,0 +1,91 @@
+/**
+ * SavedSearch Model
+ * MongoDB Schema for saved searches, shown as live smart collections
+ */
+
+const mongoose = require('mongoose');
+
+// Structured filters, applied as query operators (see utils/queryParser)
+const filtersSchema = new mongoose.Schema({
+  tags: [{
+    type: String,
+    trim: true,
+    maxlength: [50, 'Tag cannot exceed 50 characters']
+  }],
+  categories: [{
+    type: String,
+    trim: true,
+    maxlength: [100, 'Category cannot exceed 100 characters']
+  }],
+  colors: [{
+    type: String,
+    trim: true
+  }],
+  pinned: {
+    type: Boolean,
+    default: undefined
+  },
+  archived: {
+    type: Boolean,
+    default: undefined
+  },
+  after: String, // Date value as accepted by after:, e.g. 2024-05-01 or last-week
+  before: String
+}, { _id: false });
+
+const savedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Saved search must belong to a user'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  query: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Query cannot exceed 500 characters'],
+    default: ''
+  },
+  mode: {
+    type: String,
+    enum: ['semantic', 'keyword', 'hybrid'],
+    default: 'hybrid'
+  },
+  filters: {
+    type: filtersSchema,
+    default: () => ({})
+  },
+  semanticWeight: {
+    type: Number,
+    min: [0, 'Semantic weight must be between 0 and 1'],
+    max: [1, 'Semantic weight must be between 0 and 1'],
+    default: 0.7
+  },
+  // Count matches that weren't there when the collection was last viewed
+  trackNew: {
+    type: Boolean,
+    default: true
+  },
+  lastViewedAt: {
+    type: Date,
+    default: null
+  },
+  seenNoteIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note'
+  }]
+}, {
+  timestamps: true
+});
+
+savedSearchSchema.index({ user: 1, createdAt: 1 });
+
+const SavedSearch = mongoose.model('SavedSearch', savedSearchSchema);
+
+module.exports = SavedSearch;
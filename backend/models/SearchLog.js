@@ -0,0 +1,77 @@
+/**
+ * SearchLog Model
+ * MongoDB Schema for search analytics: one entry per search, expired after the retention period
+ */
+
+const mongoose = require('mongoose');
+
+const searchLogSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Search log must belong to a user'],
+    index: true
+  },
+  query: {
+    type: String,
+    required: true,
+    maxlength: 500
+  },
+  normalizedQuery: {
+    type: String, // Lowercased with whitespace collapsed, for grouping
+    required: true
+  },
+  mode: {
+    type: String,
+    enum: ['semantic', 'keyword', 'hybrid'],
+    required: true
+  },
+  latencyMs: {
+    type: Number,
+    default: 0
+  },
+  resultsCount: {
+    type: Number,
+    default: 0
+  },
+  topScore: {
+    type: Number, // Top result's score in its mode: similarity, fused score or text score
+    default: null
+  },
+  topSimilarity: {
+    type: Number, // Best cosine similarity among the results (semantic and hybrid only)
+    default: null
+  },
+  clickedNoteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    default: null
+  },
+  clickedRank: {
+    type: Number, // 1-based position of the first clicked result
+    default: null
+  },
+  clickedAt: {
+    type: Date,
+    default: null
+  },
+  clicks: {
+    type: Number,
+    default: 0
+  },
+  // Removed by the TTL index after SEARCH_LOG_RETENTION_DAYS
+  expireAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+searchLogSchema.index({ user: 1, createdAt: -1 });
+searchLogSchema.index({ createdAt: -1 });
+searchLogSchema.index({ expireAt: 1 }, { expireAfterSeconds: 0 });
+
+const SearchLog = mongoose.model('SearchLog', searchLogSchema);
+
+module.exports = SearchLog;
@@ -0,0 +1,81 @@
+/**
+ * TopicMap Model
+ * MongoDB Schema caching a user's note clusters with their labels and map positions,
+ * reused until the user's notes or the embedding model change
+ */
+
+const mongoose = require('mongoose');
+
+const topicNoteSchema = new mongoose.Schema({
+  note: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    required: true
+  },
+  title: String,
+  similarity: Number, // To the topic's centroid
+  x: Number,
+  y: Number
+}, { _id: false });
+
+const topicSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String,
+    default: null
+  },
+  keywords: [String],
+  size: Number,
+  cohesion: Number, // Mean similarity of the members to the centroid
+  x: Number,
+  y: Number,
+  notes: [topicNoteSchema]
+}, { _id: false });
+
+const topicMapSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Topic map must belong to a user'],
+    unique: true
+  },
+  // Notes, their last update, the embedding model and the requested topic count it was built from
+  fingerprint: {
+    type: String,
+    required: true
+  },
+  model: {
+    type: String, // Embedding model of the clustered vectors
+    default: null
+  },
+  requestedK: {
+    type: Number, // null when the number of topics was chosen automatically
+    default: null
+  },
+  noteCount: {
+    type: Number,
+    default: 0
+  },
+  unindexed: {
+    type: Number, // Notes left out because they have no embeddings yet
+    default: 0
+  },
+  topics: [topicSchema],
+  labelProvider: {
+    type: String, // LLM provider that labeled the topics, or 'keywords'
+    default: null
+  },
+  tokensUsed: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+const TopicMap = mongoose.model('TopicMap', topicMapSchema);
+
+module.exports = TopicMap;
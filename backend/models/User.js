@@ -39,6 +39,31 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  preferences: {
+    llmProvider: {
+      type: String,
+      default: null // Falls back to LLM_PROVIDER when unset
+    },
+    llmModel: {
+      type: String,
+      trim: true,
+      default: null // Falls back to the provider's configured model
+    },
+    searchAnalytics: {
+      type: Boolean,
+      default: true // Log searches for the analytics view; opting out also deletes them
+    },
+    autoApplySuggestions: {
+      type: Boolean,
+      default: false // Add suggested tags (and category) to notes on save
+    },
+    autoApplyThreshold: {
+      type: Number,
+      min: [0, 'Auto-apply threshold must be between 0 and 1'],
+      max: [1, 'Auto-apply threshold must be between 0 and 1'],
+      default: 0.8 // Least confidence of a suggestion applied automatically
+    }
+  },
   passwordChangedAt: Date,
   passwordResetToken: String,
   passwordResetExpires: Date
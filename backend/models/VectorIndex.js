@@ -0,0 +1,39 @@
+/**
+ * Vector Index Model
+ * MongoDB Schema recording which embedding model the vector index serves,
+ * shared by every backend instance
+ */
+
+const mongoose = require('mongoose');
+
+const vectorIndexSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    default: 'notes'
+  },
+  provider: {
+    type: String,
+    default: null
+  },
+  model: {
+    type: String,
+    required: [true, 'Embedding model is required']
+  },
+  dimension: {
+    type: Number,
+    required: [true, 'Embedding dimension is required']
+  },
+  // Set when an embedding migration switches the index to a new model
+  switchedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+const VectorIndex = mongoose.model('VectorIndex', vectorIndexSchema);
+
+module.exports = VectorIndex;
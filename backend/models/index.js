@@ -5,8 +5,24 @@
 
 const Note = require('./Note');
 const Embedding = require('./Embedding');
+const Conversation = require('./Conversation');
+const NoteRevision = require('./NoteRevision');
+const Job = require('./Job');
+const VectorIndex = require('./VectorIndex');
+const SavedSearch = require('./SavedSearch');
+const SearchLog = require('./SearchLog');
+const TopicMap = require('./TopicMap');
+const InsightReport = require('./InsightReport');
 
 module.exports = {
   Note,
-  Embedding
+  Embedding,
+  Conversation,
+  NoteRevision,
+  Job,
+  VectorIndex,
+  SavedSearch,
+  SearchLog,
+  TopicMap,
+  InsightReport
 };
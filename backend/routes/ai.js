@@ -6,7 +6,7 @@
 const express = require('express');
 const router = express.Router();
 const { aiController } = require('../controllers');
-const { aiValidation } = require('../middleware/validators');
+const { aiValidation, conversationValidation } = require('../middleware/validators');
 const { protect } = require('../middleware/auth');
 
 // Apply authentication to all routes
@@ -15,6 +15,9 @@ router.use(protect);
 // Ask AI a question (RAG-powered Q&A)
 router.post('/ask', aiValidation.query, aiController.askQuestion);
 
+// Ask AI a question, streaming the answer as server-sent events
+router.post('/ask/stream', aiValidation.query, aiController.askQuestionStream);
+
 // Summarize content
 router.post('/summarize', aiValidation.summarize, aiController.summarizeNote);
 
@@ -30,8 +33,35 @@ router.post('/key-points', aiController.extractKeyPoints);
 // Chat with notes
 router.post('/chat', aiController.chatWithNotes);
 
-// Get AI insights for all notes
-router.get('/insights', aiController.getInsights);
+// Chat with notes, streaming the reply as server-sent events
+router.post('/chat/stream', aiController.chatWithNotesStream);
+
+// List conversations
+router.get('/conversations', aiController.getConversations);
+
+// Start a conversation
+router.post('/conversations', conversationValidation.create, aiController.createConversation);
+
+// Get a conversation with its messages
+router.get('/conversations/:id', conversationValidation.getById, aiController.getConversation);
+
+// Rename a conversation
+router.put('/conversations/:id', conversationValidation.update, aiController.updateConversation);
+
+// Delete a conversation
+router.delete('/conversations/:id', conversationValidation.getById, aiController.deleteConversation);
+
+// Send a message in a conversation
+router.post('/conversations/:id/messages', conversationValidation.message, aiController.sendConversationMessage);
+
+// Send a message in a conversation, streaming the reply as server-sent events
+router.post('/conversations/:id/messages/stream', conversationValidation.message, aiController.sendConversationMessageStream);
+
+// Get AI insights for all notes or a time window (cached until the notes change)
+router.get('/insights', aiValidation.insights, aiController.getInsights);
+
+// Discover topics across the user's notes (cached until the notes change)
+router.get('/topics', aiValidation.topics, aiController.getTopics);
 
 // Get related notes
 router.get('/related/:noteId', aiController.getRelatedNotes);
@@ -6,9 +6,11 @@
 const notesRoutes = require('./notes');
 const aiRoutes = require('./ai');
 const searchRoutes = require('./search');
+const jobsRoutes = require('./jobs');
 
 module.exports = {
   notesRoutes,
   aiRoutes,
-  searchRoutes
+  searchRoutes,
+  jobsRoutes
 };
@@ -0,0 +1,24 @@
+/**
+ * Jobs Routes
+ * API routes for background job status
+ */
+
+const express = require('express');
+const router = express.Router();
+const { jobsController } = require('../controllers');
+const { jobValidation } = require('../middleware/validators');
+const { protect } = require('../middleware/auth');
+
+// Apply authentication to all routes
+router.use(protect);
+
+// List jobs
+router.get('/', jobValidation.list, jobsController.getJobs);
+
+// Get single job
+router.get('/:id', jobValidation.getById, jobsController.getJob);
+
+// Retry a dead-lettered job
+router.post('/:id/retry', jobValidation.getById, jobsController.retryJob);
+
+module.exports = router;
@@ -21,6 +21,12 @@ router.get('/categories', notesController.getCategories);
 // Get all tags
 router.get('/tags', notesController.getTags);
 
+// Groups of near-duplicate notes
+router.get('/duplicates', noteValidation.duplicates, notesController.getDuplicates);
+
+// Merge duplicates into one note, archiving or deleting the rest
+router.post('/duplicates/merge', noteValidation.merge, notesController.mergeDuplicates);
+
 // Get all notes
 router.get('/', notesController.getAllNotes);
 
@@ -42,4 +48,16 @@ router.patch('/:id/pin', noteValidation.getById, notesController.togglePin);
 // Archive/Unarchive note
 router.patch('/:id/archive', noteValidation.getById, notesController.archiveNote);
 
+// List a note's versions
+router.get('/:id/revisions', noteValidation.getById, notesController.getRevisions);
+
+// Diff two versions (must be before :version route)
+router.get('/:id/revisions/diff', noteValidation.compareRevisions, notesController.compareRevisions);
+
+// Get one version
+router.get('/:id/revisions/:version', noteValidation.revision, notesController.getRevision);
+
+// Restore a version
+router.post('/:id/revisions/:version/restore', noteValidation.revision, notesController.restoreRevision);
+
 module.exports = router;
@@ -6,8 +6,8 @@
 const express = require('express');
 const router = express.Router();
 const { searchController } = require('../controllers');
-const { searchValidation } = require('../middleware/validators');
-const { protect } = require('../middleware/auth');
+const { searchValidation, savedSearchValidation } = require('../middleware/validators');
+const { protect, authorize } = require('../middleware/auth');
 
 // Apply authentication to all routes
 router.use(protect);
@@ -18,13 +18,67 @@ router.get('/semantic', searchValidation.semantic, searchController.semanticSear
 // Keyword search
 router.get('/keyword', searchController.keywordSearch);
 
-// Hybrid search (semantic + keyword)
-router.get('/hybrid', searchController.hybridSearch);
+// Hybrid search (semantic + keyword, fused by rank or by normalized score)
+router.get('/hybrid', searchValidation.hybrid, searchController.hybridSearch);
+
+// Saved searches (smart collections) with result and new-match counts
+router.get('/saved', searchController.getSavedSearches);
+
+// Save a search
+router.post('/saved', savedSearchValidation.create, searchController.createSavedSearch);
+
+// Update a saved search
+router.put('/saved/:id', savedSearchValidation.update, searchController.updateSavedSearch);
+
+// Delete a saved search
+router.delete('/saved/:id', savedSearchValidation.getById, searchController.deleteSavedSearch);
+
+// Open a saved search, flagging matches that are new since it was last viewed
+router.post('/saved/:id/run', savedSearchValidation.getById, searchController.runSavedSearch);
+
+// Search analytics: most frequent queries (?days=&limit=&scope=mine|all, all for admins)
+router.get('/analytics/top-queries', searchValidation.analytics, searchController.getTopQueries);
+
+// Search analytics: queries that returned nothing
+router.get('/analytics/zero-results', searchValidation.analytics, searchController.getZeroResultQueries);
+
+// Search analytics: semantic queries whose best match had low similarity
+router.get('/analytics/low-confidence', searchValidation.analytics, searchController.getLowConfidenceQueries);
+
+// Search analytics: click-through rate per search mode
+router.get('/analytics/click-through', searchValidation.analytics, searchController.getClickThrough);
+
+// Record a click on a search result
+router.post('/analytics/clicks', searchValidation.click, searchController.recordSearchClick);
+
+// Delete the user's search logs
+router.delete('/analytics', searchController.clearSearchAnalytics);
 
 // Search suggestions/autocomplete
 router.get('/suggestions', searchController.getSuggestions);
 
-// Reindex all notes (admin operation)
-router.post('/reindex', searchController.reindexAll);
+// Reindex all notes in the background (admin only: it rebuilds every user's index)
+router.post('/reindex', authorize('admin'), searchController.reindexAll);
+
+// Latest reindex progress (admin only; must be before :jobId route)
+router.get('/reindex/status', authorize('admin'), searchController.getReindexStatus);
+
+// Reindex progress by job (admin only)
+router.get('/reindex/:jobId', authorize('admin'), searchValidation.jobId, searchController.getReindexStatus);
+
+// Active and configured embedding models, and the latest migration (admin only; must be before :jobId route)
+router.get('/migrations/status', authorize('admin'), searchController.getMigrationStatus);
+
+// Re-embed all notes with a new embedding model, then switch the index over (admin only)
+router.post('/migrations', authorize('admin'), searchValidation.migration, searchController.startMigration);
+
+// Migration progress by job (admin only)
+router.get('/migrations/:jobId', authorize('admin'), searchValidation.jobId, searchController.getMigration);
+
+// Audit notes, stored chunks and the vector index for inconsistencies (admin only)
+router.get('/consistency', authorize('admin'), searchController.auditConsistency);
+
+// Fix what the audit finds (admin only)
+router.post('/consistency/repair', authorize('admin'), searchController.repairConsistency);
 
 module.exports = router;
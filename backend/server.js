@@ -15,6 +15,10 @@ const compression = require('compression');
 const mongoSanitize = require('express-mongo-sanitize');
 const hpp = require('hpp');
 const connectDB = require('./config/database');
+const vectorStore = require('./services/vectorStore');
+const vectorSyncService = require('./services/vectorSyncService');
+const indexingService = require('./services/indexingService');
+const jobQueue = require('./services/jobQueue');
 const logger = require('./utils/logger');
 const errorHandler = require('./middleware/errorHandler');
 
@@ -23,6 +27,7 @@ const authRoutes = require('./routes/auth');
 const notesRoutes = require('./routes/notes');
 const aiRoutes = require('./routes/ai');
 const searchRoutes = require('./routes/search');
+const jobsRoutes = require('./routes/jobs');
 
 // Initialize Express App
 const app = express();
@@ -33,6 +38,16 @@ app.set('trust proxy', 1);
 // Connect to Database
 connectDB();
 
+// Load the cached vector index, then sync it with MongoDB and follow changes from other instances,
+// and store search attributes on chunks indexed before they were kept
+vectorStore.initialize()
+  .then(() => vectorSyncService.start())
+  .then(() => indexingService.backfillAttributes())
+  .catch(error => logger.error(`Search attribute backfill failed: ${error.message}`));
+
+// Start the background job worker (embedding generation, reindexing)
+jobQueue.start();
+
 // Security Middleware - Helmet with production settings
 app.use(helmet({
   contentSecurityPolicy: {
@@ -163,6 +178,7 @@ app.use('/api/auth', authRoutes);
 app.use('/api/notes', notesRoutes);
 app.use('/api/ai', aiRoutes);
 app.use('/api/search', searchRoutes);
+app.use('/api/jobs', jobsRoutes);
 
 // Serve static files in production
 if (process.env.NODE_ENV === 'production') {
@@ -201,6 +217,18 @@ const server = app.listen(PORT, () => {
   console.log(`🚀 AI Notes Server running on http://localhost:${PORT}`);
 });
 
+// Write unsaved vector index changes before the process is stopped
+const shutdown = (signal) => {
+  logger.info(`${signal} received, shutting down`);
+  server.close();
+  jobQueue.stop()
+    .then(() => vectorStore.flush())
+    .catch(error => logger.error(`Shutdown error: ${error.message}`))
+    .finally(() => process.exit(0));
+};
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
   logger.error(`Unhandled Rejection: ${err.message}`);
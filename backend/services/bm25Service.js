@@ -0,0 +1,210 @@
+/**
+ * BM25 Service
+ * In-process keyword index over each user's notes, scored with BM25F: term frequencies
+ * from the title, tags and content are length-normalized per field and boosted by field.
+ * Each user's index is inverted (term -> postings), so a search only visits the notes
+ * containing its terms. It is built on first search and dropped by invalidate() when one
+ * of the user's notes is written; writes made through another instance show up once the
+ * index is older than BM25_MAX_AGE_MS.
+ */
+
+const Note = require('../models/Note');
+const { pickAttributes, normalizeAttributes } = require('../utils/noteAttributes');
+
+const FIELDS = ['title', 'tags', 'content'];
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have', 'how',
+  'if', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'so', 'than', 'that', 'the', 'their',
+  'then', 'there', 'these', 'this', 'to', 'was', 'we', 'were', 'what', 'when', 'where', 'which',
+  'who', 'why', 'will', 'with', 'you', 'your'
+]);
+
+class Bm25Service {
+  constructor() {
+    this.indexes = new Map(); // userId -> { builtAt, index }, least recently used first
+    this.invalidatedAt = new Map(); // userId -> time of the last invalidate()
+  }
+
+  // Getters to read env vars at runtime (after dotenv loads)
+  get k1() {
+    const k1 = parseFloat(process.env.BM25_K1);
+    return Number.isNaN(k1) ? 1.2 : k1;
+  }
+
+  get b() {
+    const b = parseFloat(process.env.BM25_B);
+    return Number.isNaN(b) ? 0.75 : b;
+  }
+
+  get boosts() {
+    return {
+      title: parseFloat(process.env.BM25_TITLE_BOOST) || 3,
+      tags: parseFloat(process.env.BM25_TAGS_BOOST) || 2,
+      content: 1
+    };
+  }
+
+  get cacheSize() {
+    return parseInt(process.env.BM25_CACHE_USERS) || 200;
+  }
+
+  get maxAge() {
+    return parseInt(process.env.BM25_MAX_AGE_MS) || 60 * 1000;
+  }
+
+  /**
+   * Split text into lowercase terms, without stopwords and single characters
+   * @param {string} text - Text to tokenize
+   * @returns {string[]}
+   */
+  tokenize(text) {
+    const tokens = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    return tokens.filter(token => token.length > 1 && !STOPWORDS.has(token));
+  }
+
+  /**
+   * Build an inverted index over notes
+   * @param {object[]} notes - Notes with _id, title, tags, content and the fields of pickAttributes()
+   * @returns {object} - { docs, postings, avgLength, count }: docs maps note IDs to field lengths
+   *   and attributes, postings maps each term to the notes containing it and its frequency per field
+   */
+  build(notes) {
+    const docs = new Map();
+    const postings = new Map();
+    const totals = { title: 0, tags: 0, content: 0 };
+
+    for (const note of notes) {
+      const id = note._id.toString();
+      const frequencies = new Map(); // term -> { title, tags, content }
+      const lengths = {};
+
+      for (const field of FIELDS) {
+        const tokens = this.tokenize(field === 'tags' ? (note.tags || []).join(' ') : note[field]);
+        lengths[field] = tokens.length;
+        totals[field] += tokens.length;
+
+        for (const token of tokens) {
+          if (!frequencies.has(token)) {
+            frequencies.set(token, { title: 0, tags: 0, content: 0 });
+          }
+          frequencies.get(token)[field]++;
+        }
+      }
+
+      for (const [term, tf] of frequencies) {
+        if (!postings.has(term)) postings.set(term, []);
+        postings.get(term).push({ id, tf });
+      }
+      docs.set(id, { lengths, attributes: normalizeAttributes(pickAttributes(note)) });
+    }
+
+    const avgLength = Object.fromEntries(FIELDS.map(field => [field, totals[field] / (docs.size || 1) || 1]));
+    return { docs, postings, avgLength, count: docs.size };
+  }
+
+  /**
+   * Drop a user's index after one of their notes was created, edited, archived or deleted
+   * @param {string} userId - Owner of the note
+   */
+  invalidate(userId) {
+    const key = userId.toString();
+    this.indexes.delete(key);
+    this.invalidatedAt.set(key, Date.now());
+  }
+
+  /**
+   * Get a user's index, building it when there is none or it is older than maxAge
+   * @param {string} userId - Owner of the notes
+   * @returns {Promise<object>}
+   */
+  async getIndex(userId) {
+    const key = userId.toString();
+
+    let entry = this.indexes.get(key);
+    if (!entry || Date.now() - entry.builtAt > this.maxAge) {
+      const builtAt = Date.now();
+      const notes = await Note.find({ user: userId })
+        .select('title content tags category color isPinned isArchived createdAt')
+        .lean();
+      entry = { builtAt, index: this.build(notes) };
+
+      // A note written while the notes loaded may be missing, so only this search uses the index
+      if ((this.invalidatedAt.get(key) || 0) >= builtAt) {
+        return entry.index;
+      }
+    }
+
+    // Most recently used last; evict from the front
+    this.indexes.delete(key);
+    this.indexes.set(key, entry);
+    while (this.indexes.size > this.cacheSize) {
+      this.indexes.delete(this.indexes.keys().next().value);
+    }
+
+    return entry.index;
+  }
+
+  /**
+   * Rank a user's notes against a query
+   * @param {string} userId - Owner of the notes
+   * @param {string} query - Search text
+   * @param {number} limit - Number of notes to return
+   * @param {object} options - Optional { noteIds, attributes } to rank only those notes, or the
+   *   notes whose attributes pass the predicate (see utils/noteAttributes)
+   * @returns {Promise<Array<{id: string, score: number, matches: object}>>} - Best first; matches lists
+   *   the query terms found per field
+   */
+  async search(userId, query, limit = 20, options = {}) {
+    const terms = Array.from(new Set(this.tokenize(query)));
+    if (terms.length === 0) {
+      return [];
+    }
+
+    const { docs, postings, avgLength, count } = await this.getIndex(userId);
+    const { k1, b, boosts } = this;
+    const allowed = options.noteIds ? new Set(options.noteIds.map(String)) : null;
+    const accept = options.attributes || null;
+
+    // Each note is checked against the filters once, however many query terms it contains
+    const passed = new Map();
+    const passes = (id) => {
+      if (!passed.has(id)) {
+        passed.set(id, (!allowed || allowed.has(id)) && (!accept || accept(docs.get(id).attributes)));
+      }
+      return passed.get(id);
+    };
+
+    const results = new Map();
+
+    for (const term of terms) {
+      const list = postings.get(term);
+      if (!list) continue;
+
+      // Inverse document frequency, kept positive for terms found in most notes
+      const idf = Math.log(1 + (count - list.length + 0.5) / (list.length + 0.5));
+
+      for (const { id, tf: frequencies } of list) {
+        if (!passes(id)) continue;
+
+        // Boosted, length-normalized term frequency summed over fields
+        const { lengths } = docs.get(id);
+        const fields = FIELDS.filter(field => frequencies[field] > 0);
+        const tf = fields.reduce((sum, field) =>
+          sum + boosts[field] * frequencies[field] / (1 - b + b * lengths[field] / avgLength[field]), 0);
+
+        if (!results.has(id)) {
+          results.set(id, { id, score: 0, matches: {} });
+        }
+        const result = results.get(id);
+        result.score += idf * tf / (k1 + tf);
+        fields.forEach(field => (result.matches[field] = result.matches[field] || []).push(term));
+      }
+    }
+
+    return Array.from(results.values()).sort((x, y) => y.score - x.score).slice(0, limit);
+  }
+}
+
+// Export singleton instance
+module.exports = new Bm25Service();
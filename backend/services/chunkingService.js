@@ -0,0 +1,196 @@
+/**
+ * Chunking Service
+ * Splits note content into overlapping, paragraph and heading aware chunks
+ * so long notes are embedded passage by passage instead of being truncated
+ */
+
+class ChunkingService {
+  // Getters to read env vars at runtime (after dotenv loads)
+  get chunkSize() {
+    return parseInt(process.env.CHUNK_SIZE) || 1000;
+  }
+
+  get chunkOverlap() {
+    const overlap = parseInt(process.env.CHUNK_OVERLAP);
+    return Number.isNaN(overlap) ? 150 : overlap;
+  }
+
+  /**
+   * Split text into chunks with character offsets into the original text
+   * @param {string} text - Text to split
+   * @param {object} options - Optional { chunkSize, chunkOverlap } overrides
+   * @returns {Array<{index: number, text: string, start: number, end: number}>}
+   */
+  chunkText(text, options = {}) {
+    if (!text || typeof text !== 'string' || !text.trim()) {
+      return [];
+    }
+
+    const chunkSize = options.chunkSize || this.chunkSize;
+    const chunkOverlap = Math.min(options.chunkOverlap ?? this.chunkOverlap, Math.floor(chunkSize / 2));
+
+    // Break the text into units no longer than chunkSize, leaving room after headings for
+    // the start of their section so a heading is never a chunk of its own
+    const units = [];
+    let sectionStart = null; // Start of the headings waiting for their section's text
+    for (const block of this.splitBlocks(text)) {
+      if (block.isHeading) {
+        const oversized = block.end - block.start > chunkSize;
+        units.push(...(oversized ? this.splitLongUnit(text, block, chunkSize, chunkOverlap) : [block]));
+        sectionStart = oversized ? null : sectionStart ?? block.start;
+        continue;
+      }
+
+      const reserved = sectionStart !== null ? block.start - sectionStart : 0;
+      const firstSize = reserved <= chunkSize / 2 ? chunkSize - reserved : chunkSize;
+      units.push(...(block.end - block.start > firstSize
+        ? this.splitLongUnit(text, block, chunkSize, chunkOverlap, firstSize)
+        : [block]));
+      sectionStart = null;
+    }
+
+    const chunks = [];
+    let current = [];
+
+    const emit = () => {
+      const start = current[0].start;
+      const end = current[current.length - 1].end;
+      chunks.push({ index: chunks.length, text: text.slice(start, end), start, end });
+    };
+
+    for (const unit of units) {
+      // Headings always open a new section, without overlap from the previous one
+      if (unit.isHeading && current.some(u => !u.isHeading)) {
+        emit();
+        current = [];
+      }
+
+      if (current.length > 0 && unit.end - current[0].start > chunkSize) {
+        emit();
+        current = this.trailingOverlap(current, chunkOverlap);
+
+        // Drop the overlap if it would not leave room for the next unit
+        if (current.length > 0 && unit.end - current[0].start > chunkSize) {
+          current = [];
+        }
+      }
+
+      current.push(unit);
+    }
+
+    // Emit the tail unless it only repeats overlap that was already emitted
+    const lastEnd = chunks.length > 0 ? chunks[chunks.length - 1].end : -1;
+    if (current.length > 0 && current[current.length - 1].end > lastEnd) {
+      emit();
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Pick the trailing units of a chunk that fit within the overlap budget
+   * The first unit is never carried so every chunk makes progress
+   * @param {Array} units - Units of the chunk just emitted
+   * @param {number} chunkOverlap - Overlap budget in characters
+   * @returns {Array} - Units to start the next chunk with
+   */
+  trailingOverlap(units, chunkOverlap) {
+    const end = units[units.length - 1].end;
+    let firstCarried = units.length;
+
+    for (let i = units.length - 1; i > 0; i--) {
+      if (end - units[i].start > chunkOverlap) break;
+      firstCarried = i;
+    }
+
+    return units.slice(firstCarried);
+  }
+
+  /**
+   * Split text into paragraph blocks separated by blank lines or markdown headings
+   * @param {string} text - Text to split
+   * @returns {Array<{start: number, end: number, isHeading: boolean}>}
+   */
+  splitBlocks(text) {
+    const blocks = [];
+    let block = null;
+    let offset = 0;
+
+    for (const line of text.split('\n')) {
+      const lineStart = offset;
+      const lineEnd = offset + line.length;
+      offset = lineEnd + 1;
+
+      if (!line.trim()) {
+        if (block) blocks.push(block);
+        block = null;
+        continue;
+      }
+
+      if (/^\s{0,3}#{1,6}\s/.test(line)) {
+        if (block) blocks.push(block);
+        block = { start: lineStart, end: lineEnd, isHeading: true };
+        continue;
+      }
+
+      if (block) {
+        block.end = lineEnd;
+      } else {
+        block = { start: lineStart, end: lineEnd, isHeading: false };
+      }
+    }
+    if (block) blocks.push(block);
+
+    return blocks
+      .map(b => this.trimUnit(text, b.start, b.end, b.isHeading))
+      .filter(b => b.end > b.start);
+  }
+
+  /**
+   * Split an oversized unit at sentence boundaries, hard-cutting sentences that are still too long
+   * Hard cuts overlap by chunkOverlap, as consecutive chunks do
+   * @param {string} text - Full text the unit offsets refer to
+   * @param {object} unit - Unit with start/end offsets
+   * @param {number} chunkSize - Maximum unit length
+   * @param {number} chunkOverlap - Characters each hard cut repeats from the piece before it
+   * @param {number} firstSize - Maximum length of the first piece (less when it follows a heading)
+   * @returns {Array<{start: number, end: number, isHeading: boolean}>}
+   */
+  splitLongUnit(text, unit, chunkSize, chunkOverlap = 0, firstSize = chunkSize) {
+    const units = [];
+    const sentenceRegex = /[^.!?\n]+(?:[.!?]+|\n|$)\s*/g;
+    const source = text.slice(unit.start, unit.end);
+    let match;
+
+    while ((match = sentenceRegex.exec(source)) !== null && match[0].length > 0) {
+      const sentenceStart = unit.start + match.index;
+      const sentenceEnd = sentenceStart + match[0].length;
+
+      let start = sentenceStart;
+      while (start < sentenceEnd) {
+        const end = Math.min(start + (units.length === 0 ? firstSize : chunkSize), sentenceEnd);
+        const piece = this.trimUnit(text, start, end, false);
+        if (piece.end > piece.start) units.push(piece);
+        if (end >= sentenceEnd) break;
+        start = Math.max(end - chunkOverlap, start + 1);
+      }
+    }
+
+    if (units.length > 0) {
+      units[0].isHeading = unit.isHeading;
+    }
+    return units;
+  }
+
+  /**
+   * Narrow offsets so they exclude leading and trailing whitespace
+   */
+  trimUnit(text, start, end, isHeading) {
+    while (start < end && /\s/.test(text[start])) start++;
+    while (end > start && /\s/.test(text[end - 1])) end--;
+    return { start, end, isHeading };
+  }
+}
+
+// Export singleton instance
+module.exports = new ChunkingService();
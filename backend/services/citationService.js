@@ -0,0 +1,205 @@
+/**
+ * Citation Service
+ * Parses the inline [Note N] markers an LLM puts in its answer, validates them
+ * against the notes that were retrieved for the prompt and resolves each one to
+ * the passage and quoted span of the note it points at
+ */
+
+// [Note 2], [Notes 1, 3], [Note 1 and Note 4], [Note 1; Note 2]
+const MARKER_REGEX = /\[\s*Notes?\s+(\d+(?:\s*(?:,|;|&|and)\s*(?:Notes?\s+)?\d+)*)\s*\]/gi;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have', 'in',
+  'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'their', 'this', 'to', 'was', 'were',
+  'with', 'you', 'your', 'note', 'notes'
+]);
+
+class CitationService {
+  /**
+   * Instruction added to prompts so the model cites the labelled context
+   */
+  get promptInstruction() {
+    return 'Cite the notes you use inline with their label, for example [Note 1] or [Note 1, Note 3], ' +
+      'placed right after the statement they support. Only cite notes from the provided context.';
+  }
+
+  /**
+   * Parse, validate and resolve the citation markers in an answer
+   * Markers pointing at notes that were not in the context are removed from the answer
+   * @param {string} answer - LLM answer
+   * @param {Array<{note: object, passages: Array}>} retrieved - Notes in the order they were labelled
+   * @returns {{answer: string, citations: Array, invalidCitations: number[]}}
+   *   - citations have marker offsets into the returned answer, the cited passage and the quoted span
+   */
+  extractCitations(answer, retrieved) {
+    if (!answer) {
+      return { answer: answer || '', citations: [], invalidCitations: [] };
+    }
+
+    const markers = [];
+    const invalid = new Set();
+    let cleaned = '';
+    let lastIndex = 0;
+    let match;
+
+    MARKER_REGEX.lastIndex = 0;
+    while ((match = MARKER_REGEX.exec(answer)) !== null) {
+      const numbers = [...new Set(match[1].match(/\d+/g).map(Number))];
+      const valid = numbers.filter(n => n >= 1 && n <= retrieved.length);
+      numbers.filter(n => !valid.includes(n)).forEach(n => invalid.add(n));
+
+      cleaned += answer.slice(lastIndex, match.index);
+      lastIndex = match.index + match[0].length;
+
+      if (valid.length === 0) {
+        // Drop the marker along with the space before it
+        cleaned = cleaned.replace(/[ \t]+$/, '');
+        continue;
+      }
+
+      const text = `[${valid.map(n => `Note ${n}`).join(', ')}]`;
+      markers.push({ numbers: valid, start: cleaned.length, end: cleaned.length + text.length });
+      cleaned += text;
+    }
+    cleaned += answer.slice(lastIndex);
+
+    const citations = markers.flatMap(marker => {
+      const claim = this.getClaim(cleaned, marker.start);
+
+      return marker.numbers.map(number => {
+        const { note, passages = [] } = retrieved[number - 1];
+        const { passage, quote } = this.locateQuote(note.content || '', passages, claim);
+
+        return {
+          number,
+          noteId: note._id,
+          title: note.title,
+          marker: { start: marker.start, end: marker.end },
+          passage,
+          quote
+        };
+      });
+    });
+
+    return {
+      answer: cleaned,
+      citations,
+      invalidCitations: [...invalid].sort((a, b) => a - b)
+    };
+  }
+
+  /**
+   * Text of the statement a marker supports: the sentence ending at the marker
+   * @param {string} answer - Answer text
+   * @param {number} markerStart - Offset of the marker
+   * @returns {string}
+   */
+  getClaim(answer, markerStart) {
+    // Markers often follow the sentence's full stop, so skip trailing punctuation first
+    const before = answer.slice(0, markerStart).replace(MARKER_REGEX, ' ').replace(/[\s.!?]+$/, '');
+    const boundary = Math.max(
+      before.lastIndexOf('. '),
+      before.lastIndexOf('! '),
+      before.lastIndexOf('? '),
+      before.lastIndexOf('\n')
+    );
+    return before.slice(boundary + 1).trim();
+  }
+
+  /**
+   * Find the passage and sentence of a note that best support a claim
+   * Prefers a quoted string from the claim that appears verbatim in the note,
+   * otherwise picks the sentence with the highest word overlap
+   * @param {string} content - Note content
+   * @param {Array} passages - Passages of the note that were given to the model
+   * @param {string} claim - Statement the citation supports
+   * @returns {{passage: object|null, quote: object|null}}
+   */
+  locateQuote(content, passages, claim) {
+    const ranges = passages.length > 0
+      ? passages.map(p => ({ chunkIndex: p.chunkIndex, start: p.start, end: p.end }))
+      : [{ chunkIndex: null, start: 0, end: content.length }];
+
+    const findRange = (start) => ranges.find(r => start >= r.start && start < r.end) || null;
+
+    // A verbatim quote in the answer is the most precise span
+    for (const [, quoted] of claim.matchAll(/["“]([^"”]{12,})["”]/g)) {
+      const at = content.toLowerCase().indexOf(quoted.toLowerCase());
+      if (at !== -1) {
+        return {
+          passage: findRange(at) || ranges[0],
+          quote: { text: content.slice(at, at + quoted.length), start: at, end: at + quoted.length }
+        };
+      }
+    }
+
+    const claimWords = this.tokenize(claim);
+    let best = null;
+
+    for (const range of ranges) {
+      for (const sentence of this.splitSentences(content, range.start, range.end)) {
+        const score = this.overlap(claimWords, this.tokenize(sentence.text));
+        if (!best || score > best.score) {
+          best = { ...sentence, range, score };
+        }
+      }
+    }
+
+    if (!best) {
+      return { passage: ranges[0].end > ranges[0].start ? ranges[0] : null, quote: null };
+    }
+
+    return {
+      passage: best.range,
+      quote: { text: best.text, start: best.start, end: best.end }
+    };
+  }
+
+  /**
+   * Split part of a text into sentences with offsets
+   * @returns {Array<{text: string, start: number, end: number}>}
+   */
+  splitSentences(content, start, end) {
+    const sentences = [];
+    const regex = /[^.!?\n]+(?:[.!?]+|$)/gm;
+    const source = content.slice(start, end);
+    let match;
+
+    while ((match = regex.exec(source)) !== null) {
+      if (match[0].length === 0) {
+        regex.lastIndex++;
+        continue;
+      }
+      const leading = match[0].length - match[0].trimStart().length;
+      const text = match[0].trim();
+      if (text.length > 0) {
+        const sentenceStart = start + match.index + leading;
+        sentences.push({ text, start: sentenceStart, end: sentenceStart + text.length });
+      }
+    }
+
+    return sentences;
+  }
+
+  tokenize(text) {
+    return new Set(
+      (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(word => word.length > 1 && !STOP_WORDS.has(word))
+    );
+  }
+
+  /**
+   * Share of the claim's words found in a sentence, with a small bonus for shorter sentences
+   */
+  overlap(claimWords, sentenceWords) {
+    if (claimWords.size === 0 || sentenceWords.size === 0) return 0;
+
+    let shared = 0;
+    for (const word of claimWords) {
+      if (sentenceWords.has(word)) shared++;
+    }
+    return shared / claimWords.size + shared / (sentenceWords.size * 10);
+  }
+}
+
+// Export singleton instance
+module.exports = new CitationService();
@@ -0,0 +1,220 @@
+/**
+ * Consistency Service
+ * Audits notes, their stored chunks (the Embedding collection) and this instance's
+ * vector index against each other, and repairs the problems it finds
+ */
+
+const Note = require('../models/Note');
+const Embedding = require('../models/Embedding');
+const Job = require('../models/Job');
+const chunkingService = require('./chunkingService');
+const indexingService = require('./indexingService');
+const vectorStore = require('./vectorStore');
+const vectorSyncService = require('./vectorSyncService');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+// Note ids listed per problem in a report; counts cover every affected note
+const SAMPLE_LIMIT = 100;
+
+const PROBLEMS = {
+  missing: 'Notes with content but no stored chunks',
+  orphaned: 'Chunks or vectors whose note no longer exists',
+  stale: 'Notes whose chunks no longer match their content or are incomplete',
+  mismatched: 'Chunks of another embedding model or with the wrong dimension',
+  flags: 'Notes whose hasEmbedding flag disagrees with their chunks',
+  unsynced: 'Notes whose vectors in the index differ from their stored chunks'
+};
+
+class ConsistencyService {
+  /**
+   * Report every problem found, by kind
+   * @returns {Promise<object>}
+   */
+  async audit() {
+    const findings = await this.inspect();
+    return this.buildReport(findings);
+  }
+
+  /**
+   * Audit, fix every problem found and report what was done
+   * Missing and stale notes are queued for reindexing; the index is then synced with MongoDB
+   * @returns {Promise<object>} - The audit report plus what was repaired
+   */
+  async repair() {
+    const busy = await Job.findOne({ type: { $in: ['reindex', 'migrate-embeddings'] }, status: { $in: ['queued', 'running'] } });
+    if (busy) {
+      throw new AppError(`A ${busy.type} job is in progress; repair the index once it finishes`, 409);
+    }
+
+    const findings = await this.inspect();
+    const { issues } = findings;
+    const repaired = {};
+
+    const orphaned = await Embedding.deleteMany({
+      noteId: { $in: Array.from(issues.orphaned) },
+      createdAt: { $lt: findings.startedAt }
+    });
+    repaired.orphanedChunks = orphaned.deletedCount;
+
+    const mismatched = await Embedding.deleteMany({ _id: { $in: findings.mismatchedDocs } });
+    repaired.mismatchedChunks = mismatched.deletedCount;
+
+    // Notes left without usable chunks are embedded again (or emptied of chunks) by the job worker
+    const reindex = new Set([...issues.missing, ...issues.stale, ...Array.from(issues.mismatched).filter(id => !findings.indexed.has(id))]);
+    const notes = findings.notes.filter(note => reindex.has(note._id.toString()));
+    for (const note of notes) {
+      await indexingService.queueNote(note);
+    }
+    repaired.queuedNotes = notes.length;
+
+    // The flag only stays set where usable chunks remain; reindexing sets it again
+    const flagged = Array.from(issues.flags);
+    const [set, cleared] = await Promise.all([
+      Note.updateMany(
+        { _id: { $in: flagged.filter(id => !reindex.has(id) && findings.indexed.has(id)) } },
+        [{ $set: { hasEmbedding: true, embeddingId: { $toString: '$_id' } } }],
+        { timestamps: false }
+      ),
+      Note.updateMany(
+        { _id: { $in: flagged.filter(id => reindex.has(id) || !findings.indexed.has(id)) } },
+        { hasEmbedding: false, embeddingId: null },
+        { timestamps: false }
+      )
+    ]);
+    repaired.flags = set.modifiedCount + cleared.modifiedCount;
+
+    // Drops vectors without a chunk and loads chunks the index lacks
+    await vectorSyncService.reconcile();
+    repaired.vectors = vectorStore.getCount();
+
+    logger.info(`Index repair: ${repaired.orphanedChunks} orphaned and ${repaired.mismatchedChunks} mismatched chunks removed, ${repaired.queuedNotes} notes queued, ${repaired.flags} flags fixed`);
+
+    return { ...this.buildReport(findings), repaired };
+  }
+
+  /**
+   * Compare every note with its chunks and indexed vectors
+   * @returns {Promise<object>} - Affected note ids by problem, plus what a repair needs
+   */
+  async inspect() {
+    const { model, dimension } = vectorStore.getSpec();
+    const migration = await Job.findOne({ type: 'migrate-embeddings', status: { $in: ['queued', 'running'] } });
+    const migratingTo = migration?.payload.target || null;
+
+    const startedAt = new Date();
+
+    // Chunks are read before notes so a note created meanwhile never looks orphaned;
+    // the vectors stay in the database, only their lengths are needed
+    const docs = await Embedding.aggregate([
+      { $project: { noteId: 1, model: 1, dimension: 1, textHash: 1, chunkIndex: 1, chunkCount: 1, length: { $size: '$vector' } } }
+    ]);
+    const notes = await Note.find({}).select('user content hasEmbedding').lean();
+
+    const issues = Object.fromEntries(Object.keys(PROBLEMS).map(kind => [kind, new Set()]));
+    const mismatchedDocs = [];
+    const noteIds = new Set(notes.map(note => note._id.toString()));
+    const chunksByNote = new Map();
+    const activeIds = new Set();
+
+    for (const doc of docs) {
+      const noteId = doc.noteId.toString();
+
+      if (!noteIds.has(noteId)) {
+        issues.orphaned.add(noteId);
+        continue;
+      }
+
+      // A migration's target model is expected alongside the active one
+      const expected = doc.model === model ? dimension : doc.model === migratingTo?.model ? migratingTo.dimension : null;
+      if (expected === null || doc.dimension !== expected || doc.length !== expected) {
+        issues.mismatched.add(noteId);
+        mismatchedDocs.push(doc._id);
+        continue;
+      }
+
+      if (doc.model === model) {
+        activeIds.add(doc._id.toString());
+        if (!chunksByNote.has(noteId)) chunksByNote.set(noteId, []);
+        chunksByNote.get(noteId).push(doc);
+      }
+    }
+
+    const indexed = new Set();
+
+    for (const note of notes) {
+      const noteId = note._id.toString();
+      const chunks = chunksByNote.get(noteId) || [];
+
+      if (chunks.length === 0) {
+        if (chunkingService.chunkText(note.content).length > 0) issues.missing.add(noteId);
+      } else {
+        const textHash = indexingService.hashText(note.content);
+        const complete = chunks.every(chunk => chunk.chunkCount === chunks.length) &&
+          new Set(chunks.map(chunk => chunk.chunkIndex)).size === chunks.length;
+
+        if (!complete || chunks.some(chunk => chunk.textHash !== textHash)) {
+          issues.stale.add(noteId);
+        } else {
+          indexed.add(noteId);
+        }
+      }
+
+      if (Boolean(note.hasEmbedding) !== indexed.has(noteId)) {
+        issues.flags.add(noteId);
+      }
+    }
+
+    // This instance's index against the chunks of its model
+    for (const meta of vectorStore.metadata.values()) {
+      if (!noteIds.has(meta.noteId)) {
+        issues.orphaned.add(meta.noteId);
+      } else if (meta.model !== model || !activeIds.has(meta.embeddingId)) {
+        issues.unsynced.add(meta.noteId);
+      }
+    }
+    for (const [noteId, chunks] of chunksByNote) {
+      if (chunks.some(chunk => !vectorStore.embeddingIds.has(chunk._id.toString()))) {
+        issues.unsynced.add(noteId);
+      }
+    }
+
+    return {
+      model,
+      dimension,
+      migratingTo,
+      startedAt,
+      totals: { notes: notes.length, chunks: docs.length, vectors: vectorStore.getCount() },
+      issues,
+      notes,
+      mismatchedDocs,
+      indexed
+    };
+  }
+
+  /**
+   * Summarise findings: a count and sample of note ids per problem
+   * @param {object} findings - Result of inspect()
+   * @returns {object}
+   */
+  buildReport({ model, dimension, migratingTo, totals, issues }) {
+    const report = Object.fromEntries(Object.entries(issues).map(([kind, ids]) => [kind, {
+      description: PROBLEMS[kind],
+      count: ids.size,
+      noteIds: Array.from(ids).slice(0, SAMPLE_LIMIT)
+    }]));
+
+    return {
+      checkedAt: new Date(),
+      model,
+      dimension,
+      migratingTo,
+      totals,
+      consistent: Object.values(issues).every(ids => ids.size === 0),
+      issues: report
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new ConsistencyService();
@@ -0,0 +1,88 @@
+/**
+ * Conversation Service
+ * Builds the chat history sent with each turn of a persistent conversation,
+ * folding older messages into a rolling summary once the thread outgrows
+ * its token budget
+ */
+
+const llmService = require('./llmService');
+
+class ConversationService {
+  // Getters to read env vars at runtime (after dotenv loads)
+  get historyTokenBudget() {
+    return parseInt(process.env.CHAT_HISTORY_TOKEN_BUDGET) || 3000;
+  }
+
+  get recentMessages() {
+    // llmService.chat keeps the last 10 history entries; one is reserved for the summary
+    return Math.min(parseInt(process.env.CHAT_HISTORY_RECENT_MESSAGES) || 6, 9);
+  }
+
+  /**
+   * Rough token estimate (about four characters per token)
+   * @param {string} text - Text to measure
+   * @returns {number}
+   */
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+
+  /**
+   * Build the history for the next turn of a conversation
+   * Older messages beyond the recent window or the token budget are summarized into
+   * conversation.summary; the caller is responsible for saving the conversation
+   * @param {object} conversation - Conversation document
+   * @param {object} options - LLM { provider, model } overrides used for summarizing
+   * @returns {Promise<{history: Array<{role: string, content: string}>, tokensUsed: number}>}
+   */
+  async prepareHistory(conversation, options = {}) {
+    const summary = conversation.summary;
+    let pending = conversation.messages.slice(summary.messageCount || 0);
+    let tokensUsed = 0;
+
+    const cost = (messages) => messages.reduce((sum, msg) => sum + this.estimateTokens(msg.content), 0);
+    const overBudget = () => this.estimateTokens(summary.text) + cost(pending) > this.historyTokenBudget;
+
+    if (pending.length > this.recentMessages || overBudget()) {
+      // Keep the newest messages that fit in half the budget, leaving room for the summary
+      let keep = Math.min(pending.length, this.recentMessages);
+      while (keep > 0 && cost(pending.slice(-keep)) > this.historyTokenBudget / 2) {
+        keep--;
+      }
+
+      const fold = pending.slice(0, pending.length - keep);
+      if (fold.length > 0) {
+        const result = await llmService.summarizeConversation(summary.text, fold, options);
+        summary.text = result.summary;
+        summary.messageCount = (summary.messageCount || 0) + fold.length;
+        tokensUsed = result.tokensUsed || 0;
+        pending = pending.slice(fold.length);
+      }
+    }
+
+    // A single very long message can still exceed the budget; drop the oldest as a last resort
+    while (pending.length > 1 && overBudget()) {
+      pending = pending.slice(1);
+    }
+
+    const history = pending.map(msg => ({ role: msg.role, content: msg.content }));
+    if (summary.text) {
+      history.unshift({ role: 'system', content: `Summary of the earlier conversation: ${summary.text}` });
+    }
+
+    return { history, tokensUsed };
+  }
+
+  /**
+   * Title for a new conversation, taken from its first message
+   * @param {string} message - First user message
+   * @returns {string}
+   */
+  titleFromMessage(message) {
+    const firstLine = message.trim().split('\n')[0];
+    return firstLine.length > 60 ? `${firstLine.substring(0, 57)}...` : firstLine;
+  }
+}
+
+// Export singleton instance
+module.exports = new ConversationService();
@@ -0,0 +1,344 @@
+/**
+ * Duplicate Service
+ * Finds near-duplicate notes by comparing whole-note vectors (the average of each note's
+ * chunk vectors in the vector store) and word shingles of their content, groups them, and
+ * merges a group into one note
+ */
+
+const Note = require('../models/Note');
+const vectorStore = require('./vectorStore');
+const indexingService = require('./indexingService');
+const bm25Service = require('./bm25Service');
+const revisionService = require('./revisionService');
+const retrievalService = require('./retrievalService');
+const { AppError } = require('../middleware/errorHandler');
+
+// Words per shingle
+const SHINGLE_SIZE = 3;
+
+// Shingles in more notes than this are boilerplate and don't suggest duplicates
+const COMMON_SHINGLE_NOTES = 50;
+
+// Longest merged note (the Note model's content limit)
+const MAX_CONTENT_LENGTH = 50000;
+
+class DuplicateService {
+  // Getters to read env vars at runtime (after dotenv loads)
+  get semanticThreshold() {
+    const threshold = parseFloat(process.env.DUPLICATE_SEMANTIC_THRESHOLD);
+    return Number.isNaN(threshold) ? 0.92 : threshold;
+  }
+
+  get contentThreshold() {
+    const threshold = parseFloat(process.env.DUPLICATE_CONTENT_THRESHOLD);
+    return Number.isNaN(threshold) ? 0.5 : threshold;
+  }
+
+  get neighbours() {
+    return parseInt(process.env.DUPLICATE_NEIGHBOURS) || 10;
+  }
+
+  /**
+   * Word shingles of a text
+   * @param {string} text - Note content
+   * @returns {Set<string>} - Overlapping runs of SHINGLE_SIZE lowercased words; a shorter
+   *   text is one shingle
+   */
+  shingles(text) {
+    const words = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    const shingles = new Set();
+
+    if (words.length <= SHINGLE_SIZE) {
+      if (words.length > 0) shingles.add(words.join(' '));
+      return shingles;
+    }
+
+    for (let i = 0; i <= words.length - SHINGLE_SIZE; i++) {
+      shingles.add(words.slice(i, i + SHINGLE_SIZE).join(' '));
+    }
+    return shingles;
+  }
+
+  /**
+   * Jaccard similarity of two shingle sets
+   * @returns {number} - 0-1
+   */
+  jaccard(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+
+    const [smaller, larger] = a.size <= b.size ? [a, b] : [b, a];
+    let shared = 0;
+    for (const shingle of smaller) {
+      if (larger.has(shingle)) shared++;
+    }
+    return shared / (a.size + b.size - shared);
+  }
+
+  /**
+   * Group a user's near-duplicate notes
+   * Two notes are near-duplicates when their whole-note vectors are at least
+   * DUPLICATE_SEMANTIC_THRESHOLD similar or their shingles overlap by at least
+   * DUPLICATE_CONTENT_THRESHOLD (Jaccard); groups join notes linked by such pairs
+   * @param {string} userId - Owner of the notes
+   * @param {object} options - Optional { limit } number of groups, { includeArchived }
+   * @returns {Promise<{groups: object[], unindexed: number}>} - Groups, most similar first, each
+   *   { similarity, primaryId (suggested note to keep), notes, pairs: [{ a, b, similarity,
+   *   semantic, content, reason }] }; unindexed counts notes compared by content only
+   */
+  async findDuplicates(userId, { limit = 20, includeArchived = false } = {}) {
+    const notes = await Note.find({ user: userId, ...(!includeArchived && { isArchived: false }) })
+      .select('title content tags category isPinned isArchived createdAt updatedAt metadata.wordCount')
+      .lean();
+
+    const byId = new Map(notes.map(note => [note._id.toString(), note]));
+    const shingles = new Map(notes.map(note => [note._id.toString(), this.shingles(note.content)]));
+    const vectors = vectorStore.getNoteCentroids([...byId.keys()]);
+
+    const candidates = new Set([
+      ...await this.semanticCandidates(userId, vectors),
+      ...this.contentCandidates(shingles)
+    ]);
+
+    // Score every candidate pair on both measures
+    const pairs = [];
+    for (const key of candidates) {
+      const [a, b] = key.split('|');
+      const semantic = vectors.has(a) && vectors.has(b)
+        ? vectorStore.dotProduct(vectors.get(a), vectors.get(b))
+        : null;
+      const content = this.jaccard(shingles.get(a), shingles.get(b));
+
+      const semanticMatch = semantic !== null && semantic >= this.semanticThreshold;
+      const contentMatch = content >= this.contentThreshold;
+      if (!semanticMatch && !contentMatch) continue;
+
+      pairs.push({
+        a,
+        b,
+        similarity: Math.max(semantic ?? 0, content),
+        semantic,
+        content,
+        reason: semanticMatch && contentMatch ? 'both' : semanticMatch ? 'semantic' : 'content'
+      });
+    }
+
+    const groups = this.groupPairs(pairs).map(groupPairs => {
+      const ids = new Set(groupPairs.flatMap(pair => [pair.a, pair.b]));
+      const groupNotes = Array.from(ids).map(id => byId.get(id));
+
+      return {
+        similarity: Math.max(...groupPairs.map(pair => pair.similarity)),
+        primaryId: this.suggestPrimary(groupNotes)._id.toString(),
+        notes: groupNotes.map(note => ({
+          _id: note._id,
+          title: note.title,
+          preview: retrievalService.buildPreview(note, [], 200),
+          tags: note.tags,
+          category: note.category,
+          isPinned: note.isPinned,
+          isArchived: note.isArchived,
+          wordCount: note.metadata?.wordCount || 0,
+          createdAt: note.createdAt,
+          updatedAt: note.updatedAt
+        })),
+        pairs: groupPairs.sort((x, y) => y.similarity - x.similarity)
+      };
+    });
+
+    return {
+      groups: groups.sort((x, y) => y.similarity - x.similarity).slice(0, limit),
+      unindexed: notes.length - vectors.size
+    };
+  }
+
+  /**
+   * Pairs of notes that are close in the vector index
+   * @param {string} userId - Owner of the notes
+   * @param {Map<string, Float32Array>} vectors - Note vectors by note ID
+   * @returns {Promise<string[]>} - Pair keys "a|b" with a < b
+   */
+  async semanticCandidates(userId, vectors) {
+    // One filter for every search, leaving out the owner's indexed notes that aren't being
+    // compared (such as archived ones); each note's own hit is dropped from its results
+    const filter = {
+      userId: userId.toString(),
+      excludeIds: new Set([...vectorStore.getOwnerNoteIds(userId)].filter(noteId => !vectors.has(noteId)))
+    };
+    const keys = [];
+
+    for (const [id, vector] of vectors) {
+      const hits = await vectorStore.searchNotes({ vector, model: vectorStore.model }, this.neighbours + 1, filter);
+      hits
+        .filter(hit => hit.id !== id)
+        .slice(0, this.neighbours)
+        .forEach(hit => keys.push(this.pairKey(id, hit.id)));
+    }
+    return keys;
+  }
+
+  /**
+   * Pairs of notes sharing an uncommon shingle
+   * @param {Map<string, Set<string>>} shingles - Shingle sets by note ID
+   * @returns {string[]} - Pair keys "a|b" with a < b
+   */
+  contentCandidates(shingles) {
+    const postings = new Map();
+    for (const [id, set] of shingles) {
+      for (const shingle of set) {
+        if (!postings.has(shingle)) postings.set(shingle, []);
+        postings.get(shingle).push(id);
+      }
+    }
+
+    const keys = new Set();
+    for (const ids of postings.values()) {
+      if (ids.length < 2 || ids.length > COMMON_SHINGLE_NOTES) continue;
+      for (let i = 0; i < ids.length; i++) {
+        for (let j = i + 1; j < ids.length; j++) {
+          keys.add(this.pairKey(ids[i], ids[j]));
+        }
+      }
+    }
+    return Array.from(keys);
+  }
+
+  pairKey(a, b) {
+    return a < b ? `${a}|${b}` : `${b}|${a}`;
+  }
+
+  /**
+   * Join pairs sharing a note into groups (union-find)
+   * @param {object[]} pairs - { a, b, ... }
+   * @returns {object[][]} - Pairs per group
+   */
+  groupPairs(pairs) {
+    const parent = new Map();
+    const find = (id) => {
+      if (!parent.has(id)) parent.set(id, id);
+      if (parent.get(id) !== id) parent.set(id, find(parent.get(id)));
+      return parent.get(id);
+    };
+
+    pairs.forEach(({ a, b }) => parent.set(find(a), find(b)));
+
+    const groups = new Map();
+    pairs.forEach(pair => {
+      const root = find(pair.a);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(pair);
+    });
+    return Array.from(groups.values());
+  }
+
+  /**
+   * Suggest which note of a group to keep: the longest, then the most recently updated
+   * @param {object[]} notes - Notes of a group
+   * @returns {object}
+   */
+  suggestPrimary(notes) {
+    return [...notes].sort((a, b) =>
+      (b.content?.length || 0) - (a.content?.length || 0) || new Date(b.updatedAt) - new Date(a.updatedAt)
+    )[0];
+  }
+
+  /**
+   * Combine notes' content: the primary note's, followed by the paragraphs of the others that
+   * it doesn't already contain
+   * @param {object} primary - Note kept
+   * @param {object[]} others - Notes merged into it
+   * @returns {string}
+   */
+  mergeContent(primary, others) {
+    const key = paragraph => paragraph.replace(/\s+/g, ' ').trim().toLowerCase();
+    const split = content => (content || '').split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+
+    const seen = new Set(split(primary.content).map(key));
+    const added = [];
+    others.forEach(note => split(note.content).forEach(paragraph => {
+      if (seen.has(key(paragraph))) return;
+      seen.add(key(paragraph));
+      added.push(paragraph);
+    }));
+
+    return [primary.content.trim(), ...added].join('\n\n');
+  }
+
+  /**
+   * Merge notes into one: content, tags and categories are combined into the primary note,
+   * which is re-indexed; the others are archived (still searchable with is:archived) or deleted
+   * along with their chunks, vectors and version history
+   * @param {object} user - Owner of the notes
+   * @param {string} primaryId - Note to keep
+   * @param {string[]} noteIds - Notes to merge into it
+   * @param {object} options - Optional { strategy: 'archive'|'delete', title }
+   * @returns {Promise<{note: object, merged: string[], strategy: string}>}
+   */
+  async merge(user, primaryId, noteIds, { strategy = 'archive', title } = {}) {
+    const otherIds = [...new Set(noteIds.map(id => id.toString()))].filter(id => id !== primaryId.toString());
+    if (otherIds.length === 0) {
+      throw new AppError('Choose at least one other note to merge', 400);
+    }
+
+    const primary = await Note.findOne({ _id: primaryId, user: user._id });
+    const others = await Note.find({ _id: { $in: otherIds }, user: user._id });
+    if (!primary || others.length !== otherIds.length) {
+      throw new AppError('Note not found', 404);
+    }
+
+    // Keep the order the notes were given in
+    others.sort((a, b) => otherIds.indexOf(a._id.toString()) - otherIds.indexOf(b._id.toString()));
+
+    const content = this.mergeContent(primary, others);
+    if (content.length > MAX_CONTENT_LENGTH) {
+      throw new AppError(`The merged note would exceed ${MAX_CONTENT_LENGTH} characters`, 400);
+    }
+
+    // One category per note: a specific category replaces General, the rest become tags
+    const categories = [primary, ...others].map(note => note.category).filter(Boolean);
+    const category = categories.find(value => value !== 'General') || primary.category;
+
+    const tags = [];
+    [...primary.tags, ...others.flatMap(note => note.tags), ...categories.filter(value => value !== 'General' && value !== category)]
+      .forEach(tag => {
+        if (!tags.some(existing => existing.toLowerCase() === tag.toLowerCase())) tags.push(tag);
+      });
+
+    const before = revisionService.snapshot(primary);
+    const indexedTextChanged = content !== primary.content || (title !== undefined && title !== primary.title);
+
+    if (title !== undefined) primary.title = title;
+    primary.content = content;
+    primary.tags = tags;
+    primary.category = category;
+    primary.isPinned = primary.isPinned || others.some(note => note.isPinned);
+    await primary.save();
+    bm25Service.invalidate(user._id);
+    await indexingService.syncAttributes(primary);
+
+    if (revisionService.isChanged(before, revisionService.snapshot(primary))) {
+      await revisionService.ensureBaseline(primary, before);
+      await revisionService.recordRevision(primary, user._id, 'merge');
+    }
+
+    if (indexedTextChanged) {
+      await indexingService.queueNote(primary);
+    }
+
+    for (const note of others) {
+      if (strategy === 'delete') {
+        await indexingService.removeDeletedNote(note);
+        await Note.deleteOne({ _id: note._id });
+        await revisionService.removeNote(note._id);
+      } else if (!note.isArchived) {
+        await note.archive();
+        await indexingService.syncAttributes(note);
+      }
+    }
+    bm25Service.invalidate(user._id);
+
+    return { note: primary, merged: otherIds, strategy };
+  }
+}
+
+// Export singleton instance
+module.exports = new DuplicateService();
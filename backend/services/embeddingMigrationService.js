@@ -0,0 +1,233 @@
+/**
+ * Embedding Migration Service
+ * Re-embeds every note with a new embedding model into a separate index while the
+ * current index keeps serving searches, then switches over once the new index is complete
+ */
+
+const Note = require('../models/Note');
+const Embedding = require('../models/Embedding');
+const Job = require('../models/Job');
+const embeddingService = require('./embeddingService');
+const { createEmbeddingProvider } = require('./embeddingProviders');
+const chunkingService = require('./chunkingService');
+const indexingService = require('./indexingService');
+const vectorStore = require('./vectorStore');
+const vectorSyncService = require('./vectorSyncService');
+const jobQueue = require('./jobQueue');
+const logger = require('../utils/logger');
+
+class EmbeddingMigrationService {
+  constructor() {
+    jobQueue.register('migrate-embeddings', (job, context) => this.runMigrationJob(job, context));
+  }
+
+  /**
+   * Build the model a migration moves to; omitted fields fall back to the configured model
+   * @param {object} options - Optional { provider, model, dimension }
+   * @returns {{provider: string, model: string, dimension: number}}
+   */
+  resolveTarget({ provider, model, dimension } = {}) {
+    if (!provider && !model && !dimension) {
+      return embeddingService.getSpec();
+    }
+
+    const instance = createEmbeddingProvider(provider || embeddingService.getProviderName(), { model, dimension });
+    return { provider: instance.name, model: instance.model, dimension: instance.dimension };
+  }
+
+  /**
+   * Which model the index serves, which one is configured, and the latest migration
+   * @returns {Promise<object>}
+   */
+  async getStatus() {
+    const configured = embeddingService.getSpec();
+    const job = await Job.findOne({ type: 'migrate-embeddings' }).sort({ createdAt: -1 });
+
+    return {
+      active: vectorStore.getSpec(),
+      configured,
+      migrationRequired: !vectorStore.isCompatible(configured),
+      migrating: vectorStore.staging ? vectorStore.staging.getSpec() : null,
+      job
+    };
+  }
+
+  async getActiveJob() {
+    return Job.findOne({ type: 'migrate-embeddings', status: { $in: ['queued', 'running'] } });
+  }
+
+  /**
+   * Queue a migration, or return the one already queued or running
+   * @param {object} target - { provider, model, dimension } to migrate to
+   * @param {string} userId - User who requested it
+   * @returns {Promise<{job: object, created: boolean}>}
+   */
+  async startMigration(target, userId) {
+    const active = await this.getActiveJob();
+    if (active) {
+      return { job: active, created: false };
+    }
+
+    const job = await jobQueue.enqueue('migrate-embeddings', { target }, { user: userId, maxAttempts: 3 });
+    return { job, created: true };
+  }
+
+  /**
+   * Build the new index from every note, then switch to it
+   * New and edited notes are written to both indexes while this runs (see indexingService.indexNote);
+   * a failed attempt drops the new index and the retry reuses the chunks already embedded
+   */
+  async runMigrationJob(job, { setProgress }) {
+    const { target } = job.payload;
+
+    // A retry after the switch-over only has the cleanup left
+    if (vectorStore.isCompatible(target)) {
+      await Embedding.deleteMany({ model: { $ne: target.model } });
+      return { from: null, to: target.model, alreadyActive: true };
+    }
+
+    const staging = await vectorStore.openStaging(target);
+    const from = vectorStore.model;
+    const startedAt = new Date();
+
+    try {
+      const noteIds = (await Note.find({}).select('_id').lean()).map(note => note._id);
+      await setProgress({ total: noteIds.length, processed: 0, failed: 0 });
+
+      logger.info(`Migrating ${noteIds.length} notes from ${from} to ${target.model}...`);
+
+      let processed = 0;
+      let reused = 0;
+      const failed = [];
+
+      for (let i = 0; i < noteIds.length; i += indexingService.reindexBatchSize) {
+        const batch = noteIds.slice(i, i + indexingService.reindexBatchSize);
+        const notes = await Note.find({ _id: { $in: batch } }).lean();
+        const result = await this.migrateNotes(notes, staging);
+
+        reused += result.reused;
+        failed.push(...result.failed);
+        // Notes deleted since the migration started count as processed
+        processed += batch.length - result.failed.length;
+        await setProgress({ processed, failed: failed.length });
+      }
+
+      // Catch up with notes created or edited while the batches ran
+      const changed = await Note.find({ updatedAt: { $gte: startedAt } }).lean();
+      failed.push(...(await this.migrateNotes(changed, staging)).failed);
+
+      if (failed.length > 0) {
+        throw new Error(`${failed.length} note(s) could not be embedded with ${target.model}; the ${from} index stays active`);
+      }
+
+      await this.removeDeletedNotes(staging);
+
+      await vectorStore.promoteStaging();
+      // Other instances switch to the new model and load its chunks from MongoDB
+      await vectorSyncService.setActiveSpec(vectorStore.getSpec());
+
+      // Nothing searches the old model's chunks any more
+      await Embedding.deleteMany({ model: { $ne: target.model } });
+
+      logger.info(`Embedding migration to ${target.model} complete. Notes: ${processed}, reused: ${reused}`);
+
+      return {
+        from,
+        to: target.model,
+        dimension: target.dimension,
+        totalNotes: noteIds.length,
+        processed,
+        reused,
+        vectors: vectorStore.getCount()
+      };
+    } catch (error) {
+      await vectorStore.discardStaging();
+      throw error;
+    }
+  }
+
+  /**
+   * Put a batch of notes into the migration index, reusing chunks already embedded
+   * with the target model when they match the note's current content
+   * @param {object[]} notes - Notes (lean)
+   * @param {object} staging - Migration vector store
+   * @returns {Promise<{reused: number, failed: string[]}>}
+   */
+  async migrateNotes(notes, staging) {
+    const stored = await Embedding.find({
+      noteId: { $in: notes.map(note => note._id) },
+      model: staging.model
+    }).sort({ chunkIndex: 1 }).lean();
+
+    let reused = 0;
+    const failed = [];
+
+    await Promise.all(notes.map(async (note) => {
+      const noteId = note._id.toString();
+      const docs = stored.filter(doc => doc.noteId.toString() === noteId);
+
+      try {
+        if (this.isCurrent(note, docs, staging.dimension)) {
+          await staging.addVectors(docs.map(doc => ({
+            id: staging.chunkId(noteId, doc.chunkIndex),
+            vector: doc.vector,
+            meta: {
+              userId: note.user,
+              noteId,
+              model: doc.model,
+              embeddingId: doc._id.toString(),
+              chunkIndex: doc.chunkIndex,
+              chunkCount: doc.chunkCount,
+              start: doc.startOffset,
+              end: doc.endOffset
+            }
+          })));
+          reused++;
+          return;
+        }
+
+        const chunks = chunkingService.chunkText(note.content);
+        if (chunks.length > 0) {
+          await indexingService.indexChunks(note, chunks, staging);
+        }
+      } catch (error) {
+        logger.error(`Failed to migrate note ${noteId}: ${error.message}`);
+        failed.push(noteId);
+      }
+    }));
+
+    return { reused, failed };
+  }
+
+  /**
+   * Whether a note's stored chunks cover its current content
+   * @param {object} note - Note
+   * @param {object[]} docs - The note's Embedding documents for one model
+   * @param {number} dimension - Vector length the chunks must have
+   * @returns {boolean}
+   */
+  isCurrent(note, docs, dimension) {
+    if (docs.length === 0 || docs.length !== docs[0].chunkCount) {
+      return false;
+    }
+
+    const textHash = indexingService.hashText(note.content);
+    return docs.every(doc => doc.textHash === textHash && doc.dimension === dimension);
+  }
+
+  /**
+   * Remove notes deleted while the migration ran from the migration index
+   * @param {object} staging - Migration vector store
+   */
+  async removeDeletedNotes(staging) {
+    const existing = new Set((await Note.find({}).select('_id').lean()).map(note => note._id.toString()));
+    const deleted = new Set(Array.from(staging.vectors.keys(), id => staging.getNoteId(id)).filter(id => !existing.has(id)));
+
+    for (const noteId of deleted) {
+      await staging.removeByNoteId(noteId);
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new EmbeddingMigrationService();
@@ -0,0 +1,38 @@
+/**
+ * Embedding Providers Index
+ * Maps EMBEDDING_PROVIDER names to provider implementations
+ *
+ * Every provider exposes: name, model, dimension, isConfigured() and
+ * embed(texts, inputType) resolving to one vector per text
+ */
+
+const NvidiaEmbeddingProvider = require('./nvidiaProvider');
+const OpenAIEmbeddingProvider = require('./openaiProvider');
+const OllamaEmbeddingProvider = require('./ollamaProvider');
+const LocalEmbeddingProvider = require('./localProvider');
+
+const providers = {
+  nvidia: NvidiaEmbeddingProvider,
+  openai: OpenAIEmbeddingProvider,
+  ollama: OllamaEmbeddingProvider,
+  local: LocalEmbeddingProvider
+};
+
+/**
+ * Create a provider by name
+ * @param {string} name - Provider name
+ * @param {object} options - Optional { model, dimension } overriding the configured ones
+ * @returns {object} - Provider instance
+ */
+const createEmbeddingProvider = (name, options = {}) => {
+  const Provider = providers[name];
+  if (!Provider) {
+    throw new Error(`Unknown embedding provider '${name}'. Expected one of: ${Object.keys(providers).join(', ')}`);
+  }
+  return new Provider(options);
+};
+
+module.exports = {
+  createEmbeddingProvider,
+  providerNames: Object.keys(providers)
+};
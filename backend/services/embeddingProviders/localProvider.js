@@ -0,0 +1,86 @@
+/**
+ * Local Embedding Provider
+ * Runs a sentence-transformer model in process via transformers.js (ONNX runtime),
+ * so embeddings work fully offline once the model files are cached
+ */
+
+const logger = require('../../utils/logger');
+
+class LocalEmbeddingProvider {
+  /**
+   * @param {object} options - Optional { model, dimension } overriding the configured ones
+   */
+  constructor(options = {}) {
+    this.name = 'local';
+    this.options = options;
+    this.extractor = null;
+    this.loading = null;
+  }
+
+  // Getters to read env vars at runtime (after dotenv loads)
+  get model() {
+    return this.options.model || process.env.EMBEDDING_MODEL || 'Xenova/all-MiniLM-L6-v2';
+  }
+
+  get dimension() {
+    return this.options.dimension || parseInt(process.env.EMBEDDING_DIMENSIONS) || 384;
+  }
+
+  get cacheDir() {
+    return process.env.LOCAL_EMBEDDING_CACHE_DIR || './data/models';
+  }
+
+  /**
+   * Available when the optional transformers.js package is installed
+   */
+  isConfigured() {
+    try {
+      require.resolve('@xenova/transformers');
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Load the feature-extraction pipeline once and share it
+   */
+  async getExtractor() {
+    if (this.extractor) {
+      return this.extractor;
+    }
+
+    if (!this.loading) {
+      this.loading = (async () => {
+        // transformers.js is published as an ES module
+        const { pipeline, env } = await import('@xenova/transformers');
+        env.cacheDir = this.cacheDir;
+        if (process.env.LOCAL_EMBEDDING_OFFLINE === 'true') {
+          env.allowRemoteModels = false;
+        }
+
+        logger.info(`Loading local embedding model: ${this.model}`);
+        this.extractor = await pipeline('feature-extraction', this.model);
+        return this.extractor;
+      })().catch(error => {
+        this.loading = null;
+        throw error;
+      });
+    }
+
+    return this.loading;
+  }
+
+  /**
+   * Embed a batch of texts with mean pooling and L2 normalization
+   * @param {string[]} texts - Texts to embed
+   * @returns {Promise<number[][]>}
+   */
+  async embed(texts) {
+    const extractor = await this.getExtractor();
+    const output = await extractor(texts, { pooling: 'mean', normalize: true });
+    return output.tolist();
+  }
+}
+
+module.exports = LocalEmbeddingProvider;
@@ -0,0 +1,67 @@
+/**
+ * NVIDIA Embedding Provider
+ * nv-embed models via the NVIDIA API
+ */
+
+const axios = require('axios');
+
+class NvidiaEmbeddingProvider {
+  /**
+   * @param {object} options - Optional { model, dimension } overriding the configured ones
+   */
+  constructor(options = {}) {
+    this.name = 'nvidia';
+    this.options = options;
+  }
+
+  // Getters to read env vars at runtime (after dotenv loads)
+  get apiKey() {
+    return process.env.NVIDIA_API_KEY;
+  }
+
+  get baseUrl() {
+    return process.env.NVIDIA_BASE_URL || 'https://integrate.api.nvidia.com/v1';
+  }
+
+  get model() {
+    return this.options.model || process.env.EMBEDDING_MODEL || process.env.NVIDIA_EMBEDDING_MODEL || 'nvidia/nv-embedqa-e5-v5';
+  }
+
+  get dimension() {
+    return this.options.dimension || parseInt(process.env.EMBEDDING_DIMENSIONS) || parseInt(process.env.NVIDIA_EMBEDDING_DIMENSION) || 1024;
+  }
+
+  isConfigured() {
+    const key = this.apiKey;
+    return Boolean(key && key !== 'your_nvidia_api_key_here' && key.startsWith('nvapi-'));
+  }
+
+  /**
+   * Embed a batch of texts
+   * @param {string[]} texts - Texts to embed
+   * @param {string} inputType - 'query' or 'passage'
+   * @returns {Promise<number[][]>}
+   */
+  async embed(texts, inputType = 'query') {
+    const response = await axios.post(
+      `${this.baseUrl}/embeddings`,
+      {
+        input: texts,
+        model: this.model,
+        encoding_format: 'float',
+        input_type: inputType
+      },
+      {
+        headers: {
+          'Authorization': `Bearer ${this.apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: 60000
+      }
+    );
+
+    return response.data.data.map(item => item.embedding);
+  }
+}
+
+module.exports = NvidiaEmbeddingProvider;
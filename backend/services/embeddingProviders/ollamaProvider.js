@@ -0,0 +1,56 @@
+/**
+ * Ollama Embedding Provider
+ * Local embedding models served by Ollama (or any server exposing its /api/embed endpoint)
+ */
+
+const axios = require('axios');
+
+class OllamaEmbeddingProvider {
+  /**
+   * @param {object} options - Optional { model, dimension } overriding the configured ones
+   */
+  constructor(options = {}) {
+    this.name = 'ollama';
+    this.options = options;
+  }
+
+  // Getters to read env vars at runtime (after dotenv loads)
+  get baseUrl() {
+    return (process.env.OLLAMA_BASE_URL || 'http://localhost:11434').replace(/\/$/, '');
+  }
+
+  get model() {
+    return this.options.model || process.env.EMBEDDING_MODEL || 'nomic-embed-text';
+  }
+
+  get dimension() {
+    return this.options.dimension || parseInt(process.env.EMBEDDING_DIMENSIONS) || 768;
+  }
+
+  isConfigured() {
+    return Boolean(this.baseUrl);
+  }
+
+  /**
+   * Embed a batch of texts
+   * @param {string[]} texts - Texts to embed
+   * @returns {Promise<number[][]>}
+   */
+  async embed(texts) {
+    const response = await axios.post(
+      `${this.baseUrl}/api/embed`,
+      {
+        model: this.model,
+        input: texts
+      },
+      {
+        headers: { 'Content-Type': 'application/json' },
+        timeout: 120000
+      }
+    );
+
+    return response.data.embeddings;
+  }
+}
+
+module.exports = OllamaEmbeddingProvider;
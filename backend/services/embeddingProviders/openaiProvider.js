@@ -0,0 +1,73 @@
+/**
+ * OpenAI-Compatible Embedding Provider
+ * Any server exposing POST /embeddings in the OpenAI format
+ * (OpenAI, Azure-style gateways, vLLM, LM Studio, llama.cpp server, LocalAI)
+ */
+
+const axios = require('axios');
+
+class OpenAIEmbeddingProvider {
+  /**
+   * @param {object} options - Optional { model, dimension } overriding the configured ones
+   */
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.options = options;
+  }
+
+  // Getters to read env vars at runtime (after dotenv loads)
+  get apiKey() {
+    return process.env.EMBEDDING_API_KEY || process.env.OPENAI_API_KEY;
+  }
+
+  get baseUrl() {
+    return (process.env.EMBEDDING_API_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+  }
+
+  get model() {
+    return this.options.model || process.env.EMBEDDING_MODEL || 'text-embedding-3-small';
+  }
+
+  get dimension() {
+    return this.options.dimension || parseInt(process.env.EMBEDDING_DIMENSIONS) || 1536;
+  }
+
+  /**
+   * Self-hosted servers usually need no key; the hosted OpenAI API does
+   */
+  isConfigured() {
+    return Boolean(this.apiKey) || !this.baseUrl.includes('api.openai.com');
+  }
+
+  /**
+   * Embed a batch of texts
+   * @param {string[]} texts - Texts to embed
+   * @returns {Promise<number[][]>}
+   */
+  async embed(texts) {
+    const body = {
+      input: texts,
+      model: this.model,
+      encoding_format: 'float'
+    };
+
+    // Only request a reduced size when one is configured explicitly
+    if (this.options.dimension || process.env.EMBEDDING_DIMENSIONS) {
+      body.dimensions = this.dimension;
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await axios.post(`${this.baseUrl}/embeddings`, body, { headers, timeout: 60000 });
+
+    // Results may come back out of order; the index field is authoritative
+    return [...response.data.data]
+      .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+      .map(item => item.embedding);
+  }
+}
+
+module.exports = OpenAIEmbeddingProvider;
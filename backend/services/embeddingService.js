@@ -1,40 +1,76 @@
 /**
- * NVIDIA Embedding Service
- * Generates vector embeddings using NVIDIA nv-embed models via API
+ * Embedding Service
+ * Generates vector embeddings through a pluggable provider
+ * (NVIDIA, OpenAI-compatible, Ollama or a local transformers.js model)
+ * selected with EMBEDDING_PROVIDER
  */
 
-const axios = require('axios');
+const { createEmbeddingProvider } = require('./embeddingProviders');
 const logger = require('../utils/logger');
 
+const FALLBACK_MODEL = 'fallback-hash';
+
 class EmbeddingService {
   constructor() {
     // Environment variables are read lazily via getters
     this._isInitialized = false;
+    this._provider = null;
+    this._specProviders = new Map(); // Providers for models other than the configured one
   }
 
   // Getters to read env vars at runtime (after dotenv loads)
-  get apiKey() {
-    return process.env.NVIDIA_API_KEY;
+  get providerName() {
+    if (process.env.EMBEDDING_PROVIDER) {
+      return process.env.EMBEDDING_PROVIDER.toLowerCase();
+    }
+
+    // Keep existing NVIDIA setups working, otherwise prefer the offline model
+    const key = process.env.NVIDIA_API_KEY;
+    return key && key.startsWith('nvapi-') ? 'nvidia' : 'local';
   }
 
-  get baseUrl() {
-    return process.env.NVIDIA_BASE_URL || 'https://integrate.api.nvidia.com/v1';
+  get provider() {
+    if (!this._provider || this._provider.name !== this.providerName) {
+      this._provider = createEmbeddingProvider(this.providerName);
+    }
+    return this._provider;
   }
 
   get model() {
-    return process.env.NVIDIA_EMBEDDING_MODEL || 'nvidia/nv-embedqa-e5-v5';
+    return this.provider.model;
   }
 
   get dimension() {
-    return parseInt(process.env.NVIDIA_EMBEDDING_DIMENSION) || 1024;
+    return this.provider.dimension;
+  }
+
+  /**
+   * Get the provider that produces vectors for an embedding spec
+   * @param {object|null} spec - { provider, model, dimension }, or null for the configured one
+   * @returns {object} - Provider instance
+   */
+  providerFor(spec) {
+    const configured = this.provider;
+    if (!spec || (spec.provider === configured.name && spec.model === configured.model &&
+      spec.dimension === configured.dimension)) {
+      return configured;
+    }
+
+    const key = `${spec.provider}:${spec.model}:${spec.dimension}`;
+    if (!this._specProviders.has(key)) {
+      this._specProviders.set(key, createEmbeddingProvider(spec.provider, {
+        model: spec.model,
+        dimension: spec.dimension
+      }));
+    }
+    return this._specProviders.get(key);
   }
 
   /**
    * Check if service is properly configured
    */
   isConfigured() {
-    const key = this.apiKey;
-    return key && key !== 'your_nvidia_api_key_here' && key.startsWith('nvapi-');
+    return this.provider.isConfigured();
   }
 
   /**
@@ -46,135 +82,131 @@ class EmbeddingService {
     }
 
     if (!this.isConfigured()) {
-      logger.warn('NVIDIA API key not configured. Embeddings will use fallback mode.');
+      logger.warn(`Embedding provider '${this.providerName}' not configured. Embeddings will use fallback mode.`);
       this._isInitialized = true;
       return;
     }
 
-    logger.info(`NVIDIA Embedding Service initialized with model: ${this.model}`);
+    logger.info(`Embedding Service initialized with provider: ${this.providerName}, model: ${this.model}`);
     this._isInitialized = true;
   }
 
   /**
-   * Generate embedding for text using NVIDIA API
+   * Generate embedding for text
    * @param {string} text - Text to embed
+   * @param {string} inputType - 'query' for search queries, 'passage' for indexed note chunks
+   * @param {object} spec - Optional { provider, model, dimension } to embed with instead of the configured model
    * @returns {Promise<number[]>} - Embedding vector
    */
-  async generateEmbedding(text) {
+  async generateEmbedding(text, inputType = 'query', spec = null) {
     if (!text || typeof text !== 'string') {
       throw new Error('Text must be a non-empty string');
     }
 
-    await this.initialize();
-
-    // Truncate text if too long
-    const maxLength = 8000;
-    const truncatedText = text.length > maxLength 
-      ? text.substring(0, maxLength) 
-      : text;
-
-    // If API not configured, use fallback embeddings (for development)
-    if (!this.isConfigured()) {
-      return this.generateFallbackEmbedding(truncatedText);
-    }
-
-    try {
-      const response = await axios.post(
-        `${this.baseUrl}/embeddings`,
-        {
-          input: [truncatedText],
-          model: this.model,
-          encoding_format: 'float',
-          input_type: 'query'
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json'
-          },
-          timeout: 30000
-        }
-      );
-
-      const embedding = response.data.data[0].embedding;
-      logger.debug(`Generated NVIDIA embedding with ${embedding.length} dimensions`);
-      
-      return embedding;
-    } catch (error) {
-      logger.error(`NVIDIA Embedding Error: ${error.response?.data?.error || error.message}`);
-      
-      // Fallback to mock embedding on error
-      logger.warn('Falling back to mock embedding generation');
-      return this.generateFallbackEmbedding(truncatedText);
-    }
+    const [embedding] = await this.generateEmbeddings([text], inputType, spec);
+    return embedding;
   }
 
   /**
    * Generate embeddings for multiple texts
    * @param {string[]} texts - Array of texts to embed
+   * @param {string} inputType - 'query' for search queries, 'passage' for indexed note chunks
+   * @param {object} spec - Optional { provider, model, dimension } to embed with instead of the configured model
    * @returns {Promise<number[][]>} - Array of embedding vectors
    */
-  async generateEmbeddings(texts) {
+  async generateEmbeddings(texts, inputType = 'query', spec = null) {
+    const { vectors } = await this.embedTexts(texts, inputType, spec);
+    return vectors;
+  }
+
+  /**
+   * Generate embeddings and report which model produced them
+   * Callers that store vectors use this so the recorded model matches the vectors,
+   * including when the provider failed and fallback embeddings were returned
+   * @param {string[]} texts - Array of texts to embed
+   * @param {string} inputType - 'query' for search queries, 'passage' for indexed note chunks
+   * @param {object} spec - Optional { provider, model, dimension } to embed with instead of the configured model
+   * @returns {Promise<{vectors: number[][], model: string, dimension: number}>}
+   */
+  async embedTexts(texts, inputType = 'query', spec = null) {
     if (!Array.isArray(texts) || texts.length === 0) {
       throw new Error('Texts must be a non-empty array');
     }
 
     await this.initialize();
 
-    // If API not configured, use fallback
-    if (!this.isConfigured()) {
-      return Promise.all(texts.map(text => this.generateFallbackEmbedding(text)));
+    // Truncate texts if too long
+    const maxLength = 8000;
+    const truncatedTexts = texts.map(text =>
+      text.length > maxLength ? text.substring(0, maxLength) : text
+    );
+
+    // An index built from fallback embeddings is queried with them too
+    if (spec && spec.model === FALLBACK_MODEL) {
+      return this.fallbackResult(truncatedTexts, spec.dimension);
+    }
+
+    const provider = this.providerFor(spec);
+
+    // If provider not configured, use fallback embeddings (for development)
+    if (!provider.isConfigured()) {
+      return this.fallbackResult(truncatedTexts, provider.dimension);
     }
 
     try {
-      // NVIDIA API supports batch embedding
-      const truncatedTexts = texts.map(text => 
-        text.length > 8000 ? text.substring(0, 8000) : text
-      );
-
-      const response = await axios.post(
-        `${this.baseUrl}/embeddings`,
-        {
-          input: truncatedTexts,
-          model: this.model,
-          encoding_format: 'float',
-          input_type: 'query'
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json'
-          },
-          timeout: 60000
-        }
-      );
-
-      const embeddings = response.data.data.map(item => item.embedding);
-      logger.debug(`Generated ${embeddings.length} NVIDIA embeddings`);
-      
-      return embeddings;
+      const vectors = await provider.embed(truncatedTexts, inputType);
+
+      if (!Array.isArray(vectors) || vectors.length !== truncatedTexts.length) {
+        throw new Error(`Expected ${truncatedTexts.length} embeddings, received ${vectors?.length ?? 0}`);
+      }
+
+      logger.debug(`Generated ${vectors.length} ${provider.name} embeddings with ${vectors[0].length} dimensions`);
+
+      return {
+        vectors,
+        model: provider.model,
+        dimension: vectors[0].length
+      };
     } catch (error) {
-      logger.error(`NVIDIA Batch Embedding Error: ${error.message}`);
-      // Fallback to individual generation
-      return Promise.all(texts.map(text => this.generateFallbackEmbedding(text)));
+      const detail = error.response?.data?.error;
+      logger.error(`${provider.name} Embedding Error: ${typeof detail === 'string' ? detail : detail?.message || error.message}`);
+
+      // Fallback to mock embeddings on error
+      logger.warn('Falling back to mock embedding generation');
+      return this.fallbackResult(truncatedTexts, provider.dimension);
     }
   }
 
+  /**
+   * Build a fallback result for a batch of texts
+   * @param {string[]} texts - Texts to embed
+   * @param {number} dimension - Vector length
+   * @returns {{vectors: number[][], model: string, dimension: number}}
+   */
+  fallbackResult(texts, dimension = this.dimension) {
+    return {
+      vectors: texts.map(text => this.generateFallbackEmbedding(text, dimension)),
+      model: FALLBACK_MODEL,
+      dimension
+    };
+  }
+
   /**
    * Generate fallback embedding (deterministic based on text content)
-   * Used when NVIDIA API is not available
+   * Used when the embedding provider is not available
    * @param {string} text - Text to embed
+   * @param {number} dimension - Vector length
    * @returns {number[]} - Mock embedding vector
    */
-  generateFallbackEmbedding(text) {
+  generateFallbackEmbedding(text, dimension = this.dimension) {
     // Create a deterministic embedding based on text content
     // This allows semantic similarity to work somewhat even without API
-    const embedding = new Array(this.dimension).fill(0);
-    
+    const embedding = new Array(dimension).fill(0);
+
     // Simple hash-based embedding for consistency
     for (let i = 0; i < text.length; i++) {
       const charCode = text.charCodeAt(i);
-      const index = (charCode * (i + 1)) % this.dimension;
+      const index = (charCode * (i + 1)) % dimension;
       embedding[index] += Math.sin(charCode * 0.01) * 0.1;
     }
 
@@ -184,14 +216,14 @@ class EmbeddingService {
       magnitude += embedding[i] * embedding[i];
     }
     magnitude = Math.sqrt(magnitude);
-    
+
     if (magnitude > 0) {
       for (let i = 0; i < embedding.length; i++) {
         embedding[i] /= magnitude;
       }
     }
 
-    logger.debug(`Generated fallback embedding with ${this.dimension} dimensions`);
+    logger.debug(`Generated fallback embedding with ${dimension} dimensions`);
     return embedding;
   }
 
@@ -208,7 +240,36 @@ class EmbeddingService {
    * @returns {string} - Model name
    */
   getModelName() {
-    return this.model;
+    return this.isConfigured() ? this.model : FALLBACK_MODEL;
+  }
+
+  /**
+   * Get the active provider name
+   * @returns {string} - Provider name
+   */
+  getProviderName() {
+    return this.providerName;
+  }
+
+  /**
+   * Get the configured provider, model and dimension
+   * @returns {{provider: string, model: string, dimension: number}}
+   */
+  getSpec() {
+    return {
+      provider: this.providerName,
+      model: this.getModelName(),
+      dimension: this.dimension
+    };
+  }
+
+  /**
+   * Whether a spec's model is usable, i.e. not the fallback and its provider is configured
+   * @param {object} spec - { provider, model, dimension }
+   * @returns {boolean}
+   */
+  isSpecAvailable(spec) {
+    return spec.model !== FALLBACK_MODEL && this.providerFor(spec).isConfigured();
   }
 }
 
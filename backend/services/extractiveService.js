@@ -0,0 +1,306 @@
+/**
+ * Extractive Service
+ * The offline engine used when no LLM provider is configured or a request fails: summaries
+ * and key points are sentences picked from the content with TextRank, titles are built from
+ * its keywords, and answers quote the passages of the retrieved notes that best match the
+ * question. Nothing is generated, so every sentence it returns is from the user's notes.
+ */
+
+const bm25Service = require('./bm25Service');
+
+// Sentences ranked per text (TextRank compares every pair)
+const MAX_SENTENCES = 300;
+
+// PageRank damping factor, iterations and convergence tolerance
+const DAMPING = 0.85;
+const MAX_ITERATIONS = 50;
+const TOLERANCE = 1e-6;
+
+// Sentences in a summary of each length
+const SUMMARY_SENTENCES = { short: 2, medium: 4, long: 8 };
+
+// Share of words a key point may have in common with one already picked
+const MAX_OVERLAP = 0.5;
+
+// Words too common to name what a text is about (on top of bm25Service's stopwords)
+const KEYWORD_STOPWORDS = new Set([
+  'about', 'after', 'again', 'all', 'also', 'any', 'before', 'been', 'can', 'could', 'did', 'do',
+  'does', 'during', 'each', 'had', 'he', 'her', 'him', 'his', 'just', 'me', 'more', 'most', 'must',
+  'my', 'no', 'not', 'now', 'once', 'only', 'other', 'our', 'out', 'over', 'same', 'she', 'should',
+  'some', 'such', 'them', 'they', 'those', 'through', 'too', 'under', 'until', 'up', 'us', 'very',
+  'while', 'would'
+]);
+
+// Markdown heading, list, checkbox and quote markers at the start of a line
+const LINE_MARKER_REGEX = /^\s*(?:#{1,6}\s+|[-*+]\s+(?:\[[ xX]\]\s+)?|\d+[.)]\s+|>\s*)/;
+
+// Sentence ends followed by the start of another sentence
+const SENTENCE_BREAK_REGEX = /(?<=[.!?])\s+(?=[\p{Lu}\p{N}"'([])/u;
+
+class ExtractiveService {
+  /**
+   * Line added to offline answers so users know no model wrote them
+   */
+  get notice() {
+    return '_Offline answer: no AI provider was available, so these are passages from your notes picked by keyword match._';
+  }
+
+  /**
+   * Split a text into sentences, one line or sentence each, without Markdown markers
+   * @param {string} text - Note content
+   * @returns {Array<{text: string, index: number, tokens: string[]}>} - At most MAX_SENTENCES,
+   *   in order; tokens are from bm25Service.tokenize()
+   */
+  sentences(text) {
+    const sentences = [];
+
+    for (const line of (text || '').split(/\n+/)) {
+      const clean = line.replace(LINE_MARKER_REGEX, '').trim();
+      if (!clean) continue;
+
+      for (const part of clean.split(SENTENCE_BREAK_REGEX)) {
+        const sentence = part.trim();
+        if (sentence && sentences.length < MAX_SENTENCES) {
+          sentences.push({ text: sentence, index: sentences.length, tokens: bm25Service.tokenize(sentence) });
+        }
+      }
+    }
+
+    return sentences;
+  }
+
+  /**
+   * Score sentences with TextRank: PageRank over a graph linking sentences that share words
+   * An edge weighs the shared words over log(|a| + 1) + log(|b| + 1), so long sentences
+   * don't win by length alone
+   * @param {object[]} sentences - From sentences()
+   * @returns {number[]} - Score of each sentence
+   */
+  rank(sentences) {
+    const n = sentences.length;
+    if (n === 0) {
+      return [];
+    }
+
+    const sets = sentences.map(sentence => new Set(sentence.tokens));
+    const weights = Array.from({ length: n }, () => new Float64Array(n));
+    const totals = new Float64Array(n);
+
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        let shared = 0;
+        sets[i].forEach(token => { if (sets[j].has(token)) shared++; });
+        if (shared === 0) continue;
+
+        const weight = shared / (Math.log(sets[i].size + 1) + Math.log(sets[j].size + 1));
+        weights[i][j] = weights[j][i] = weight;
+        totals[i] += weight;
+        totals[j] += weight;
+      }
+    }
+
+    let scores = new Float64Array(n).fill(1 / n);
+    for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+      const next = new Float64Array(n).fill((1 - DAMPING) / n);
+      for (let j = 0; j < n; j++) {
+        if (totals[j] === 0) continue;
+        const share = DAMPING * scores[j] / totals[j];
+        for (let i = 0; i < n; i++) {
+          next[i] += weights[j][i] * share;
+        }
+      }
+
+      const change = next.reduce((sum, score, i) => sum + Math.abs(score - scores[i]), 0);
+      scores = next;
+      if (change < TOLERANCE) break;
+    }
+
+    return Array.from(scores);
+  }
+
+  /**
+   * Sentences in TextRank order, ties going to the earlier sentence
+   * @param {string} text - Content
+   * @returns {object[]} - From sentences(), each with its score
+   */
+  ranked(text) {
+    const sentences = this.sentences(text);
+    const scores = this.rank(sentences);
+
+    return sentences
+      .map((sentence, i) => ({ ...sentence, score: scores[i] }))
+      .sort((a, b) => b.score - a.score || a.index - b.index);
+  }
+
+  /**
+   * Summarize a text with its highest-ranked sentences, in their original order
+   * @param {string} text - Content
+   * @param {string} length - 'short', 'medium' or 'long'
+   * @returns {string}
+   */
+  summarize(text, length = 'medium') {
+    const count = SUMMARY_SENTENCES[length] || SUMMARY_SENTENCES.medium;
+
+    return this.ranked(text)
+      .slice(0, count)
+      .sort((a, b) => a.index - b.index)
+      .map(sentence => sentence.text)
+      .join(' ');
+  }
+
+  /**
+   * The highest-ranked sentences that don't repeat one another, in their original order
+   * @param {string} text - Content
+   * @param {number} max - Most key points
+   * @returns {string[]}
+   */
+  keyPoints(text, max = 5) {
+    const ranked = this.ranked(text);
+    // Headings and fragments only when there is nothing else
+    const candidates = ranked.filter(sentence => sentence.tokens.length >= 3);
+    const picked = [];
+
+    for (const sentence of candidates.length > 0 ? candidates : ranked) {
+      if (picked.length >= max) break;
+
+      const tokens = new Set(sentence.tokens);
+      const repeats = picked.some(other => {
+        const shared = other.tokens.filter(token => tokens.has(token)).length;
+        return shared / Math.max(1, Math.min(tokens.size, other.tokens.length)) > MAX_OVERLAP;
+      });
+      if (!repeats) {
+        picked.push(sentence);
+      }
+    }
+
+    return picked.sort((a, b) => a.index - b.index).map(sentence => sentence.text);
+  }
+
+  /**
+   * Words that matter most in a text: each word scores the TextRank scores of the sentences
+   * it appears in, ties going to the word used first
+   * @param {string} text - Content
+   * @param {number} max - Most keywords
+   * @returns {string[]} - Most important first
+   */
+  keywords(text, max = 5) {
+    const sentences = this.sentences(text);
+    const ranks = this.rank(sentences);
+    const scores = new Map();
+    sentences.forEach((sentence, i) => {
+      new Set(sentence.tokens).forEach(token => scores.set(token, (scores.get(token) || 0) + ranks[i]));
+    });
+
+    // Lowercase unless the word is never written that way, e.g. "API" or "Berlin"
+    const spelling = new Map();
+    for (const word of (text || '').match(/[\p{L}\p{N}]+/gu) || []) {
+      const token = word.toLowerCase();
+      if (!spelling.has(token) || word === token) spelling.set(token, word);
+    }
+
+    return [...scores.entries()]
+      .filter(([token]) => !/^\d+$/.test(token) && !KEYWORD_STOPWORDS.has(token))
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, max)
+      .map(([token]) => spelling.get(token) || token);
+  }
+
+  /**
+   * Title from a text's top keywords, with its first and highest-ranked sentences as alternatives
+   * @param {string} text - Content
+   * @returns {{title: string, alternatives: string[]}}
+   */
+  title(text) {
+    const capitalize = (word) => (word === word.toLowerCase() ? word.charAt(0).toUpperCase() + word.slice(1) : word);
+    const shorten = (line, words = 8) => {
+      const parts = line.replace(/[.!?:;,]+$/, '').split(/\s+/);
+      return parts.length > words ? `${parts.slice(0, words).join(' ')}...` : parts.join(' ');
+    };
+
+    // Top keywords in the order they appear in the text
+    const lower = (text || '').toLowerCase();
+    const keywords = this.keywords(text, 3)
+      .sort((a, b) => lower.indexOf(a.toLowerCase()) - lower.indexOf(b.toLowerCase()));
+    const title = keywords.map(capitalize).join(' ') || 'New Note';
+
+    const [first] = this.sentences(text);
+    const [lead] = this.ranked(text);
+    const alternatives = [first && shorten(first.text), lead && shorten(lead.text)]
+      .filter((alternative, i, all) => alternative && alternative !== title && all.indexOf(alternative) === i);
+
+    return { title: title.substring(0, 100), alternatives };
+  }
+
+  /**
+   * A short account of a text: its summary and key terms
+   * @param {string} text - Content
+   * @param {string} level - 'simple', 'detailed' or 'technical'
+   * @returns {string}
+   */
+  explain(text, level = 'simple') {
+    const summary = this.summarize(text, level === 'simple' ? 'short' : 'medium');
+    const keywords = this.keywords(text, 6);
+
+    return [
+      summary && `In short: ${summary}`,
+      keywords.length > 0 && `Key terms: ${keywords.join(', ')}`
+    ].filter(Boolean).join('\n\n');
+  }
+
+  /**
+   * Answer a question with the retrieved notes' sentences that best match it
+   * Sentences score the inverse sentence frequency of the question words they contain
+   * @param {string} question - User's question or message
+   * @param {Array<{title: string, content: string}>} context - Retrieved notes, labelled
+   *   [Note 1], [Note 2]... in order
+   * @param {number} maxPassages - Most sentences quoted
+   * @returns {string} - Markdown answer citing the notes, ending with the offline notice
+   */
+  answer(question, context = [], maxPassages = 3) {
+    const terms = new Set(bm25Service.tokenize(question));
+
+    if (context.length === 0) {
+      return `I couldn't find any notes related to that. Try adding more notes or rephrasing your question.\n\n${this.notice}`;
+    }
+    if (terms.size === 0) {
+      return `Ask about something in your notes and I'll quote the passages that match it.\n\n${this.notice}`;
+    }
+
+    const candidates = context.flatMap((note, i) => this.sentences(note.content)
+      .map(sentence => ({ ...sentence, note: i + 1 })));
+
+    const df = new Map();
+    candidates.forEach(sentence => new Set(sentence.tokens).forEach(token => {
+      if (terms.has(token)) df.set(token, (df.get(token) || 0) + 1);
+    }));
+
+    const matches = candidates
+      .map(sentence => ({
+        ...sentence,
+        score: [...new Set(sentence.tokens)]
+          .filter(token => terms.has(token))
+          .reduce((sum, token) => sum + Math.log(1 + candidates.length / df.get(token)), 0)
+      }))
+      .filter(sentence => sentence.score > 0)
+      .sort((a, b) => b.score - a.score || a.note - b.note || a.index - b.index)
+      .slice(0, maxPassages);
+
+    if (matches.length === 0) {
+      const [lead] = this.ranked(context[0].content);
+      return [
+        `None of your notes mention that directly. The closest is "${context[0].title || 'Untitled'}":`,
+        lead ? `- ${lead.text} [Note 1]` : null,
+        this.notice
+      ].filter(Boolean).join('\n\n');
+    }
+
+    return [
+      'These passages from your notes best match your question:',
+      matches.map(sentence => `- ${sentence.text} [Note ${sentence.note}]`).join('\n'),
+      this.notice
+    ].join('\n\n');
+  }
+}
+
+// Export singleton instance
+module.exports = new ExtractiveService();
@@ -0,0 +1,540 @@
+/**
+ * HNSW Index
+ * Pure JavaScript Hierarchical Navigable Small World graph for approximate
+ * nearest-neighbour search over unit-length vectors (dot product = cosine similarity)
+ */
+
+const GRAPH_MAGIC = 'HNSW';
+const GRAPH_VERSION = 1;
+
+/**
+ * Minimal binary heap; the item for which compare(a, b) < 0 against all others sits on top
+ */
+class BinaryHeap {
+  constructor(compare) {
+    this.items = [];
+    this.compare = compare;
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.compare(items[i], items[parent]) >= 0) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let best = i;
+        if (left < items.length && this.compare(items[left], items[best]) < 0) best = left;
+        if (right < items.length && this.compare(items[right], items[best]) < 0) best = right;
+        if (best === i) break;
+        [items[i], items[best]] = [items[best], items[i]];
+        i = best;
+      }
+    }
+    return top;
+  }
+}
+
+/**
+ * Small seedable PRNG (mulberry32) so graph layouts can be reproduced
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+class HNSWIndex {
+  /**
+   * @param {object} options - { dimension, M, efConstruction, efSearch, seed }
+   */
+  constructor(options = {}) {
+    this.dimension = options.dimension;
+    this.M = options.M || 16;
+    this.maxNeighborsLayer0 = this.M * 2;
+    this.efConstruction = options.efConstruction || 200;
+    this.efSearch = options.efSearch || 64;
+    this.levelMultiplier = 1 / Math.log(this.M);
+    this.random = createRandom(options.seed ?? Math.floor(Math.random() * 2 ** 32));
+
+    // Slot -> { id, vector, level, neighbors: number[][], inbound: Set<number>[] } or null when freed;
+    // inbound holds the slots linking to the node on each layer, so removals don't scan the graph
+    this.nodes = [];
+    this.freeSlots = [];
+    this.idToSlot = new Map();
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+
+    // Visited marks are stamped with a generation so they never need clearing
+    this.visitMarks = new Uint32Array(0);
+    this.visitGeneration = 0;
+  }
+
+  /**
+   * Number of vectors held in the index
+   */
+  get size() {
+    return this.idToSlot.size;
+  }
+
+  has(id) {
+    return this.idToSlot.has(id);
+  }
+
+  /**
+   * Add or replace a vector
+   * @param {string} id - Vector ID
+   * @param {Float32Array} vector - Unit-length vector
+   */
+  add(id, vector) {
+    if (this.idToSlot.has(id)) {
+      this.remove(id);
+    }
+
+    const level = Math.floor(-Math.log(1 - this.random()) * this.levelMultiplier);
+    const node = {
+      id,
+      vector,
+      level,
+      neighbors: Array.from({ length: level + 1 }, () => []),
+      inbound: Array.from({ length: level + 1 }, () => new Set())
+    };
+
+    const slot = this.freeSlots.length > 0 ? this.freeSlots.pop() : this.nodes.length;
+    this.nodes[slot] = node;
+    this.idToSlot.set(id, slot);
+
+    if (this.entryPoint === -1) {
+      this.entryPoint = slot;
+      this.maxLevel = level;
+      return;
+    }
+
+    // Descend greedily through the layers above the new node's level
+    let entry = this.entryPoint;
+    for (let layer = this.maxLevel; layer > level; layer--) {
+      entry = this.searchLayer(vector, [entry], 1, layer)[0].slot;
+    }
+
+    // Connect the node on every layer it lives on
+    let entries = [entry];
+    for (let layer = Math.min(level, this.maxLevel); layer >= 0; layer--) {
+      const candidates = this.searchLayer(vector, entries, this.efConstruction, layer);
+      const maxNeighbors = layer === 0 ? this.maxNeighborsLayer0 : this.M;
+
+      this.setLinks(slot, layer, this.selectNeighbors(candidates, this.M));
+
+      for (const neighborSlot of node.neighbors[layer]) {
+        const neighbor = this.nodes[neighborSlot];
+        const links = [...neighbor.neighbors[layer], slot];
+        this.setLinks(neighborSlot, layer, links.length > maxNeighbors
+          ? this.pruneConnections(neighbor, links, maxNeighbors)
+          : links);
+      }
+
+      entries = candidates.map(c => c.slot);
+    }
+
+    if (level > this.maxLevel) {
+      this.entryPoint = slot;
+      this.maxLevel = level;
+    }
+  }
+
+  /**
+   * Remove a vector and repair the links of nodes that pointed at it
+   * @param {string} id - Vector ID
+   * @returns {boolean} - Whether the vector existed
+   */
+  remove(id) {
+    const slot = this.idToSlot.get(id);
+    if (slot === undefined) {
+      return false;
+    }
+
+    const removed = this.nodes[slot];
+    const outbound = removed.neighbors.map(links => links.slice());
+    for (let layer = 0; layer <= removed.level; layer++) {
+      this.setLinks(slot, layer, []);
+    }
+    this.nodes[slot] = null;
+    this.idToSlot.delete(id);
+    this.freeSlots.push(slot);
+
+    // Reconnect the nodes that linked to the removed one through the removed node's neighbours
+    for (let layer = 0; layer <= removed.level; layer++) {
+      const maxNeighbors = layer === 0 ? this.maxNeighborsLayer0 : this.M;
+
+      for (const s of removed.inbound[layer]) {
+        const node = this.nodes[s];
+        const pool = new Set(node.neighbors[layer].filter(link => link !== slot));
+        for (const candidate of outbound[layer]) {
+          if (candidate !== s && this.nodes[candidate]) {
+            pool.add(candidate);
+          }
+        }
+
+        this.setLinks(s, layer, this.pruneConnections(node, Array.from(pool), maxNeighbors));
+      }
+    }
+
+    if (this.entryPoint === slot) {
+      this.resetEntryPoint();
+    }
+
+    return true;
+  }
+
+  /**
+   * Replace a node's links on one layer, keeping the linked nodes' inbound sets in step
+   * @param {number} slot - Node whose links change
+   * @param {number} layer - Layer of the links
+   * @param {number[]} links - New neighbour slots
+   */
+  setLinks(slot, layer, links) {
+    const node = this.nodes[slot];
+    const kept = new Set(links);
+
+    for (const target of node.neighbors[layer]) {
+      if (!kept.has(target)) this.nodes[target]?.inbound[layer].delete(slot);
+    }
+    for (const target of links) {
+      this.nodes[target].inbound[layer].add(slot);
+    }
+    node.neighbors[layer] = links;
+  }
+
+  /**
+   * Choose the highest-level remaining node as entry point
+   */
+  resetEntryPoint() {
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+    for (let s = 0; s < this.nodes.length; s++) {
+      const node = this.nodes[s];
+      if (node && node.level > this.maxLevel) {
+        this.entryPoint = s;
+        this.maxLevel = node.level;
+      }
+    }
+  }
+
+  /**
+   * Approximate k-nearest-neighbour search
+   * The beam widens until enough results pass the filter or the whole graph has been reached
+   * @param {Float32Array} query - Unit-length query vector
+   * @param {number} k - Number of results
+   * @param {Function} filterFn - Optional predicate on vector IDs
+   * @returns {Array<{id: string, score: number}>} - Results by descending similarity
+   */
+  search(query, k, filterFn = null) {
+    if (this.entryPoint === -1 || k <= 0) {
+      return [];
+    }
+
+    let entry = this.entryPoint;
+    for (let layer = this.maxLevel; layer > 0; layer--) {
+      entry = this.searchLayer(query, [entry], 1, layer)[0].slot;
+    }
+
+    let ef = Math.max(this.efSearch, k);
+    for (;;) {
+      const found = this.searchLayer(query, [entry], ef, 0);
+      const results = [];
+      for (const { slot, score } of found) {
+        const id = this.nodes[slot].id;
+        if (!filterFn || filterFn(id)) {
+          results.push({ id, score });
+          if (results.length === k) break;
+        }
+      }
+
+      if (results.length >= k || ef >= this.size) {
+        return results;
+      }
+      ef = Math.min(ef * 4, this.size);
+    }
+  }
+
+  /**
+   * Exact search by scanning every vector; the reference the graph is measured against
+   * @param {Float32Array} query - Unit-length query vector
+   * @param {number} k - Number of results
+   * @param {Function} filterFn - Optional predicate on vector IDs
+   * @returns {Array<{id: string, score: number}>}
+   */
+  exactSearch(query, k, filterFn = null) {
+    const results = [];
+    for (const node of this.nodes) {
+      if (!node || (filterFn && !filterFn(node.id))) continue;
+      results.push({ id: node.id, score: dot(query, node.vector) });
+    }
+    results.sort((a, b) => b.score - a.score);
+    return results.slice(0, k);
+  }
+
+  /**
+   * Beam search within a single layer
+   * @returns {Array<{slot: number, score: number}>} - Up to ef nearest nodes by descending similarity
+   */
+  searchLayer(query, entrySlots, ef, layer) {
+    const generation = this.nextVisitGeneration();
+    const visited = this.visitMarks;
+    const candidates = new BinaryHeap((a, b) => b.score - a.score); // best first
+    const results = new BinaryHeap((a, b) => a.score - b.score); // worst on top
+
+    for (const slot of entrySlots) {
+      if (visited[slot] === generation) continue;
+      visited[slot] = generation;
+      const item = { slot, score: dot(query, this.nodes[slot].vector) };
+      candidates.push(item);
+      results.push(item);
+      if (results.size > ef) results.pop();
+    }
+
+    while (candidates.size > 0) {
+      const current = candidates.pop();
+      if (results.size >= ef && current.score < results.peek().score) {
+        break;
+      }
+
+      for (const neighborSlot of this.nodes[current.slot].neighbors[layer] || []) {
+        if (visited[neighborSlot] === generation) continue;
+        visited[neighborSlot] = generation;
+
+        const neighbor = this.nodes[neighborSlot];
+        if (!neighbor) continue;
+
+        const score = dot(query, neighbor.vector);
+        if (results.size < ef || score > results.peek().score) {
+          const item = { slot: neighborSlot, score };
+          candidates.push(item);
+          results.push(item);
+          if (results.size > ef) results.pop();
+        }
+      }
+    }
+
+    return results.items.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Neighbour selection heuristic: keep candidates that are closer to the base
+   * than to any already selected neighbour, then top up with the nearest pruned ones
+   * @param {Array<{slot: number, score: number}>} candidates - Sorted by descending similarity
+   * @param {number} maxNeighbors - Maximum links to keep
+   * @returns {number[]} - Selected slots
+   */
+  selectNeighbors(candidates, maxNeighbors) {
+    const selected = [];
+    const pruned = [];
+
+    for (const candidate of candidates) {
+      if (selected.length >= maxNeighbors) break;
+
+      const vector = this.nodes[candidate.slot].vector;
+      const diverse = selected.every(slot => dot(vector, this.nodes[slot].vector) < candidate.score);
+      if (diverse) {
+        selected.push(candidate.slot);
+      } else {
+        pruned.push(candidate.slot);
+      }
+    }
+
+    for (const slot of pruned) {
+      if (selected.length >= maxNeighbors) break;
+      selected.push(slot);
+    }
+
+    return selected;
+  }
+
+  /**
+   * Shrink a node's link list to the best maxNeighbors links
+   */
+  pruneConnections(node, slots, maxNeighbors) {
+    const candidates = slots
+      .filter(slot => this.nodes[slot])
+      .map(slot => ({ slot, score: dot(node.vector, this.nodes[slot].vector) }))
+      .sort((a, b) => b.score - a.score);
+    return this.selectNeighbors(candidates, maxNeighbors);
+  }
+
+  nextVisitGeneration() {
+    if (this.visitMarks.length < this.nodes.length) {
+      const grown = new Uint32Array(Math.max(this.nodes.length, this.visitMarks.length * 2, 1024));
+      grown.set(this.visitMarks);
+      this.visitMarks = grown;
+    }
+
+    this.visitGeneration++;
+    if (this.visitGeneration === 0xFFFFFFFF) {
+      this.visitMarks.fill(0);
+      this.visitGeneration = 1;
+    }
+    return this.visitGeneration;
+  }
+
+  /**
+   * Serialize the graph structure; vectors are stored separately and looked up by ID on load
+   *
+   * Layout (little-endian): 'HNSW' | u32 version | u32 M | u32 efConstruction | u32 efSearch
+   * | u32 dimension | i32 entryPoint | i32 maxLevel | u32 slotCount, then per slot:
+   * u8 present, and when present: u16 idLength | id (utf8) | u8 level | per layer (u16 count | u32 slots...)
+   * @returns {Buffer}
+   */
+  serialize() {
+    const parts = [];
+    const header = Buffer.alloc(36);
+    header.write(GRAPH_MAGIC, 0, 'ascii');
+    header.writeUInt32LE(GRAPH_VERSION, 4);
+    header.writeUInt32LE(this.M, 8);
+    header.writeUInt32LE(this.efConstruction, 12);
+    header.writeUInt32LE(this.efSearch, 16);
+    header.writeUInt32LE(this.dimension, 20);
+    header.writeInt32LE(this.entryPoint, 24);
+    header.writeInt32LE(this.maxLevel, 28);
+    header.writeUInt32LE(this.nodes.length, 32);
+    parts.push(header);
+
+    for (const node of this.nodes) {
+      if (!node) {
+        parts.push(Buffer.from([0]));
+        continue;
+      }
+
+      const idBytes = Buffer.from(node.id, 'utf8');
+      const linkCount = node.neighbors.reduce((sum, links) => sum + links.length, 0);
+      const buffer = Buffer.alloc(1 + 2 + idBytes.length + 1 + node.neighbors.length * 2 + linkCount * 4);
+
+      let offset = buffer.writeUInt8(1, 0);
+      offset = buffer.writeUInt16LE(idBytes.length, offset);
+      offset += idBytes.copy(buffer, offset);
+      offset = buffer.writeUInt8(node.level, offset);
+      for (const links of node.neighbors) {
+        offset = buffer.writeUInt16LE(links.length, offset);
+        for (const slot of links) {
+          offset = buffer.writeUInt32LE(slot, offset);
+        }
+      }
+      parts.push(buffer);
+    }
+
+    return Buffer.concat(parts);
+  }
+
+  /**
+   * Restore a graph written by serialize()
+   * @param {Buffer} buffer - Serialized graph
+   * @param {Function} getVector - Returns the unit-length vector for an ID, or null
+   * @returns {HNSWIndex}
+   */
+  static deserialize(buffer, getVector) {
+    if (buffer.toString('ascii', 0, 4) !== GRAPH_MAGIC) {
+      throw new Error('Not an HNSW graph file');
+    }
+    if (buffer.readUInt32LE(4) !== GRAPH_VERSION) {
+      throw new Error(`Unsupported HNSW graph version ${buffer.readUInt32LE(4)}`);
+    }
+
+    const index = new HNSWIndex({
+      M: buffer.readUInt32LE(8),
+      efConstruction: buffer.readUInt32LE(12),
+      efSearch: buffer.readUInt32LE(16),
+      dimension: buffer.readUInt32LE(20)
+    });
+    index.entryPoint = buffer.readInt32LE(24);
+    index.maxLevel = buffer.readInt32LE(28);
+    const slotCount = buffer.readUInt32LE(32);
+
+    let offset = 36;
+    for (let slot = 0; slot < slotCount; slot++) {
+      const present = buffer.readUInt8(offset);
+      offset += 1;
+      if (!present) {
+        index.nodes.push(null);
+        index.freeSlots.push(slot);
+        continue;
+      }
+
+      const idLength = buffer.readUInt16LE(offset);
+      offset += 2;
+      const id = buffer.toString('utf8', offset, offset + idLength);
+      offset += idLength;
+      const level = buffer.readUInt8(offset);
+      offset += 1;
+
+      const neighbors = [];
+      for (let layer = 0; layer <= level; layer++) {
+        const count = buffer.readUInt16LE(offset);
+        offset += 2;
+        const links = new Array(count);
+        for (let i = 0; i < count; i++) {
+          links[i] = buffer.readUInt32LE(offset);
+          offset += 4;
+        }
+        neighbors.push(links);
+      }
+
+      const vector = getVector(id);
+      if (!vector) {
+        throw new Error(`HNSW graph references missing vector ${id}`);
+      }
+
+      index.nodes.push({ id, vector, level, neighbors, inbound: neighbors.map(() => new Set()) });
+      index.idToSlot.set(id, slot);
+    }
+
+    index.nodes.forEach((node, slot) => node?.neighbors.forEach((links, layer) => {
+      links.forEach(target => index.nodes[target].inbound[layer].add(slot));
+    }));
+
+    return index;
+  }
+}
+
+/**
+ * Dot product of two equal-length vectors
+ */
+function dot(a, b) {
+  let sum = 0;
+  const len = Math.min(a.length, b.length);
+  let i = 0;
+  for (; i + 3 < len; i += 4) {
+    sum += a[i] * b[i] + a[i + 1] * b[i + 1] + a[i + 2] * b[i + 2] + a[i + 3] * b[i + 3];
+  }
+  for (; i < len; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+module.exports = HNSWIndex;
@@ -5,10 +5,52 @@
 
 const embeddingService = require('./embeddingService');
 const vectorStore = require('./vectorStore');
+const vectorSyncService = require('./vectorSyncService');
 const llmService = require('./llmService');
+const extractiveService = require('./extractiveService');
+const chunkingService = require('./chunkingService');
+const indexingService = require('./indexingService');
+const embeddingMigrationService = require('./embeddingMigrationService');
+const consistencyService = require('./consistencyService');
+const retrievalService = require('./retrievalService');
+const rerankService = require('./rerankService');
+const queryRewriteService = require('./queryRewriteService');
+const searchService = require('./searchService');
+const savedSearchService = require('./savedSearchService');
+const searchAnalyticsService = require('./searchAnalyticsService');
+const bm25Service = require('./bm25Service');
+const citationService = require('./citationService');
+const conversationService = require('./conversationService');
+const revisionService = require('./revisionService');
+const duplicateService = require('./duplicateService');
+const topicService = require('./topicService');
+const insightsService = require('./insightsService');
+const tagSuggestionService = require('./tagSuggestionService');
+const jobQueue = require('./jobQueue');
 
 module.exports = {
   embeddingService,
   vectorStore,
-  llmService
+  vectorSyncService,
+  llmService,
+  extractiveService,
+  chunkingService,
+  indexingService,
+  embeddingMigrationService,
+  consistencyService,
+  retrievalService,
+  rerankService,
+  queryRewriteService,
+  searchService,
+  savedSearchService,
+  searchAnalyticsService,
+  bm25Service,
+  citationService,
+  conversationService,
+  revisionService,
+  duplicateService,
+  topicService,
+  insightsService,
+  tagSuggestionService,
+  jobQueue
 };
@@ -0,0 +1,319 @@
+/**
+ * Indexing Service
+ * Chunks notes, embeds each chunk and keeps the Embedding collection
+ * and the vector store in step for a note. While an embedding migration runs,
+ * notes are indexed into both the current index and the one being built.
+ */
+
+const crypto = require('crypto');
+const Note = require('../models/Note');
+const Embedding = require('../models/Embedding');
+const Job = require('../models/Job');
+const embeddingService = require('./embeddingService');
+const chunkingService = require('./chunkingService');
+const vectorStore = require('./vectorStore');
+const jobQueue = require('./jobQueue');
+const tagSuggestionService = require('./tagSuggestionService');
+const logger = require('../utils/logger');
+const { pickAttributes } = require('../utils/noteAttributes');
+
+const BACKFILL_BATCH_SIZE = 500;
+
+class IndexingService {
+  constructor() {
+    jobQueue.register('index-note', job => this.runIndexJob(job));
+    jobQueue.register('reindex', (job, context) => this.runReindexJob(job, context));
+    jobQueue.register('remove-note', job => this.removeNote(job.payload.noteId));
+  }
+
+  // Getter to read env vars at runtime (after dotenv loads)
+  get reindexBatchSize() {
+    return parseInt(process.env.REINDEX_BATCH_SIZE) || 10;
+  }
+
+  /**
+   * Create an MD5 hash of note content
+   * @param {string} text - Text to hash
+   * @returns {string} - Hex digest
+   */
+  hashText(text) {
+    return crypto.createHash('md5').update(text).digest('hex');
+  }
+
+  /**
+   * Chunk, embed and store vectors for a note, replacing any previous chunks
+   * @param {object} note - Note with _id, user, title and content
+   * @returns {Promise<number>} - Number of chunks indexed
+   */
+  async indexNote(note) {
+    const noteId = note._id;
+    const chunks = chunkingService.chunkText(note.content);
+
+    if (chunks.length === 0) {
+      await this.removeNote(noteId);
+      // Indexing isn't an edit, so it leaves updatedAt (and the insights windows) alone
+      await Note.findByIdAndUpdate(noteId, { hasEmbedding: false, embeddingId: null }, { timestamps: false });
+      return 0;
+    }
+
+    await this.indexChunks(note, chunks, vectorStore);
+
+    const staging = vectorStore.staging;
+    if (staging) {
+      // A migration that misses this write re-embeds the note before switching over
+      try {
+        await this.indexChunks(note, chunks, staging);
+      } catch (error) {
+        logger.warn(`Failed to add note ${noteId} to the ${staging.model} migration index: ${error.message}`);
+      }
+    }
+
+    // Drop chunks left over from models no index uses any more
+    const models = staging ? [vectorStore.model, staging.model] : [vectorStore.model];
+    await Embedding.deleteMany({ noteId, model: { $nin: models } });
+
+    await Note.findByIdAndUpdate(noteId, {
+      hasEmbedding: true,
+      embeddingId: noteId.toString()
+    }, { timestamps: false });
+
+    logger.info(`Indexed note ${noteId} as ${chunks.length} chunk(s)`);
+    return chunks.length;
+  }
+
+  /**
+   * Embed a note's chunks with a vector store's model and replace the note's chunks in it
+   * @param {object} note - Note with _id, user, title, content and the attributes searches filter on
+   * @param {Array<{index: number, text: string, start: number, end: number}>} chunks - Chunks of the note content
+   * @param {object} store - Vector store to write to
+   */
+  async indexChunks(note, chunks, store) {
+    const noteId = note._id;
+
+    // The title gives every passage its document context
+    const inputs = chunks.map(chunk => note.title ? `${note.title}\n\n${chunk.text}` : chunk.text);
+    const { vectors, model } = await embeddingService.embedTexts(inputs, 'passage', store.getSpec());
+    const textHash = this.hashText(note.content);
+    const attributes = pickAttributes(note);
+
+    // Fail (and retry later) rather than store vectors of another model, e.g. fallback
+    // embeddings returned while the provider is down
+    vectors.forEach((vector, i) => store.checkVector(store.chunkId(noteId, chunks[i].index), vector, { userId: note.user, model }));
+
+    // Replace this model's stored chunks in the database
+    await Embedding.deleteMany({ noteId, model });
+    const docs = await Embedding.insertMany(chunks.map((chunk, i) => ({
+      noteId,
+      user: note.user,
+      vector: vectors[i],
+      dimension: vectors[i].length,
+      textHash,
+      model,
+      chunkIndex: chunk.index,
+      chunkCount: chunks.length,
+      startOffset: chunk.start,
+      endOffset: chunk.end,
+      attributes
+    })));
+
+    // Replace vectors in the vector store
+    await store.removeByNoteId(noteId);
+    await store.addVectors(chunks.map((chunk, i) => ({
+      id: store.chunkId(noteId, chunk.index),
+      vector: vectors[i],
+      meta: {
+        userId: note.user,
+        noteId: noteId.toString(),
+        model,
+        embeddingId: docs[i]._id.toString(),
+        chunkIndex: chunk.index,
+        chunkCount: chunks.length,
+        start: chunk.start,
+        end: chunk.end,
+        attributes
+      }
+    })));
+  }
+
+  /**
+   * Queue a note for (re)indexing in the background
+   * A note with an index job still waiting is not queued twice
+   * @param {object} note - Note with _id and user
+   * @param {object} options - Optional { suggestTags } to suggest tags once the note is indexed
+   * @returns {Promise<object>} - Job
+   */
+  async queueNote(note, { suggestTags = false } = {}) {
+    const job = await jobQueue.enqueue('index-note', { noteId: note._id.toString(), suggestTags }, {
+      user: note.user,
+      dedupeKey: `index-note:${note._id}`
+    });
+
+    // The job already waiting may have been queued without suggestions
+    if (suggestTags && !job.payload.suggestTags) {
+      await Job.updateOne({ _id: job._id, status: 'queued' }, { $set: { 'payload.suggestTags': true } });
+    }
+    return job;
+  }
+
+  /**
+   * Queue a full reindex, or return the one already queued or running
+   * @param {string} userId - User who requested it
+   * @returns {Promise<{job: object, created: boolean}>}
+   */
+  async queueReindex(userId) {
+    const active = await Job.findOne({ type: 'reindex', status: { $in: ['queued', 'running'] } });
+    if (active) {
+      return { job: active, created: false };
+    }
+
+    const job = await jobQueue.enqueue('reindex', {}, { user: userId, maxAttempts: 3 });
+    return { job, created: true };
+  }
+
+  async runIndexJob(job) {
+    const note = await Note.findById(job.payload.noteId).lean();
+
+    // Deleted before its turn came
+    if (!note) {
+      return { skipped: true };
+    }
+
+    const chunks = await this.indexNote(note);
+    if (!job.payload.suggestTags || chunks === 0) {
+      return { chunks };
+    }
+
+    // Suggestions compare the chunk vectors just stored with the owner's other notes
+    const suggested = await tagSuggestionService.suggestForNote(note);
+    if (suggested?.autoApplied) {
+      await this.syncAttributes(await Note.findById(note._id).lean());
+    }
+    return {
+      chunks,
+      suggestions: suggested?.suggestions || null,
+      autoApplied: suggested?.autoApplied || null
+    };
+  }
+
+  /**
+   * Rebuild the vector store from every note, reporting progress per batch
+   * Notes that fail are queued individually so they get retried
+   */
+  async runReindexJob(job, { setProgress }) {
+    const startedAt = new Date();
+    const noteIds = (await Note.find({}).select('_id').lean()).map(note => note._id);
+    await setProgress({ total: noteIds.length, processed: 0, failed: 0 });
+
+    logger.info(`Starting full reindex of ${noteIds.length} notes...`);
+
+    // Clear existing vector store
+    await vectorStore.clear();
+
+    let processed = 0;
+    let chunks = 0;
+    const failed = [];
+
+    for (let i = 0; i < noteIds.length; i += this.reindexBatchSize) {
+      const batch = noteIds.slice(i, i + this.reindexBatchSize);
+      const notes = await Note.find({ _id: { $in: batch } }).lean();
+      let batchFailed = 0;
+
+      await Promise.all(notes.map(async (note) => {
+        try {
+          chunks += await this.indexNote(note);
+        } catch (err) {
+          logger.error(`Failed to reindex note ${note._id}: ${err.message}`);
+          failed.push(note._id);
+          batchFailed++;
+          await this.queueNote(note);
+        }
+      }));
+
+      // Notes deleted since the reindex started count as processed
+      processed += batch.length - batchFailed;
+      await setProgress({ processed, failed: failed.length });
+    }
+
+    // Chunks left behind by notes whose deletion failed to remove them
+    const existing = await Note.distinct('_id');
+    const orphaned = await Embedding.deleteMany({ noteId: { $nin: existing }, createdAt: { $lt: startedAt } });
+
+    logger.info(`Reindex complete. Processed: ${processed}, Errors: ${failed.length}, Orphaned chunks removed: ${orphaned.deletedCount}`);
+
+    return {
+      totalNotes: noteIds.length,
+      processed,
+      chunks,
+      errors: failed.length,
+      orphanedChunks: orphaned.deletedCount,
+      requeuedNotes: failed.slice(0, 100)
+    };
+  }
+
+  /**
+   * Remove all stored chunks and vectors for a note
+   * @param {string} noteId - Note ID
+   */
+  async removeNote(noteId) {
+    await vectorStore.removeByNoteId(noteId);
+    await vectorStore.staging?.removeByNoteId(noteId);
+    await Embedding.deleteByNoteId(noteId);
+  }
+
+  /**
+   * Copy a note's tags, category, color, flags and creation date onto its stored chunks and
+   * vectors after they changed without a re-embed, so filtered searches see them
+   * Chunks whose attributes are already current are not written again
+   * @param {object} note - Saved note
+   */
+  async syncAttributes(note) {
+    if (!note) return;
+
+    const attributes = pickAttributes(note);
+    await Embedding.updateMany({ noteId: note._id, attributes: { $ne: attributes } }, { $set: { attributes } });
+    vectorStore.setNoteAttributes(note._id, attributes);
+    vectorStore.staging?.setNoteAttributes(note._id, attributes);
+  }
+
+  /**
+   * Copy note attributes onto chunks stored before they were kept with them
+   * @returns {Promise<number>} - Number of notes updated
+   */
+  async backfillAttributes() {
+    const noteIds = await Embedding.distinct('noteId', { attributes: null });
+
+    for (let i = 0; i < noteIds.length; i += BACKFILL_BATCH_SIZE) {
+      const notes = await Note.find({ _id: { $in: noteIds.slice(i, i + BACKFILL_BATCH_SIZE) } })
+        .select('category tags color isPinned isArchived createdAt')
+        .lean();
+      for (const note of notes) {
+        await this.syncAttributes(note);
+      }
+    }
+
+    if (noteIds.length > 0) {
+      logger.info(`Stored search attributes for the chunks of ${noteIds.length} note(s)`);
+    }
+    return noteIds.length;
+  }
+
+  /**
+   * Remove a note that is being deleted from the index
+   * If that fails, a remove-note job retries it so no orphaned vectors stay searchable
+   * @param {object} note - Note with _id and user
+   */
+  async removeDeletedNote(note) {
+    try {
+      await this.removeNote(note._id);
+    } catch (error) {
+      logger.warn(`Failed to remove note ${note._id} from the index, queued for retry: ${error.message}`);
+      await jobQueue.enqueue('remove-note', { noteId: note._id.toString() }, {
+        user: note.user,
+        dedupeKey: `remove-note:${note._id}`
+      });
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new IndexingService();
@@ -0,0 +1,474 @@
+/**
+ * Insights Service
+ * Writes insights about a user's notes, or the notes changed in a time window, as a
+ * map-reduce pipeline: notes are summarized in token-budgeted batches, then the partial
+ * summaries are combined (in rounds, when they don't fit one prompt) into the insights.
+ * Reports are built by a background job and cached per user and window until the notes
+ * in the window change; batches whose notes haven't changed keep their summaries.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Note = require('../models/Note');
+const InsightReport = require('../models/InsightReport');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const llmService = require('./llmService');
+const extractiveService = require('./extractiveService');
+const conversationService = require('./conversationService');
+const jobQueue = require('./jobQueue');
+const { parseDate } = require('../utils/queryParser');
+const { AppError } = require('../middleware/errorHandler');
+
+// Windows that start at a calendar boundary (UTC); others are ages or dates read by parseDate
+const CALENDAR_WINDOWS = ['this-week', 'this-month', 'this-year'];
+
+// Never matches, so a report saved mid-build is rebuilt (reusing its finished batches)
+const INCOMPLETE = 'incomplete';
+
+class InsightsService {
+  constructor() {
+    jobQueue.register('build-insights', (job, context) => this.runInsightsJob(job, context));
+  }
+
+  // Getters to read env vars at runtime (after dotenv loads)
+  get batchTokens() {
+    return parseInt(process.env.INSIGHTS_BATCH_TOKENS) || 3000;
+  }
+
+  get noteTokens() {
+    return parseInt(process.env.INSIGHTS_NOTE_TOKENS) || 200;
+  }
+
+  get cacheDays() {
+    return parseInt(process.env.INSIGHTS_CACHE_DAYS) || 7;
+  }
+
+  /**
+   * Start of a time window
+   * @param {string} window - all, this-week, this-month, this-year, or an age or date such as
+   *   7d, 2w, last-month, 2024-05 (notes since then)
+   * @param {Date} now - Reference time
+   * @returns {Date|null} - null for all notes
+   */
+  resolveWindow(window = 'all', now = new Date()) {
+    if (window === 'all') {
+      return null;
+    }
+
+    if (CALENDAR_WINDOWS.includes(window)) {
+      const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+      if (window === 'this-week') start.setUTCDate(start.getUTCDate() - (start.getUTCDay() + 6) % 7);
+      if (window === 'this-month') start.setUTCDate(1);
+      if (window === 'this-year') start.setUTCMonth(0, 1);
+      return start;
+    }
+
+    const start = parseDate(window, now);
+    if (!start) {
+      throw new AppError(`Unknown window '${window}'. Use all, this-week, this-month, this-year, an age such as 7d or a date`, 400);
+    }
+    return start;
+  }
+
+  /**
+   * Insights for a user's active notes changed in a window: the cached report when those
+   * notes haven't changed since, or else the job that builds it
+   * Windows without notes, and users without a configured LLM provider, get their report
+   * (extractive, for the latter) straight away
+   * @param {object} user - Owner of the notes
+   * @param {object} options - Optional { window } (see resolveWindow), { refresh } to
+   *   summarize every batch again
+   * @returns {Promise<{report: object}|{job: object}>} - report has InsightReport fields plus
+   *   batchCount and cached; its insights are null when the window has no notes
+   */
+  async getInsights(user, { window = 'all', refresh = false } = {}) {
+    const from = this.resolveWindow(window);
+    const notes = await this.loadNotes(user._id, from);
+
+    if (notes.length === 0) {
+      return { report: { window, from, noteCount: 0, insights: null, batchCount: 0, tokensUsed: 0, cached: false } };
+    }
+
+    const options = llmService.optionsForUser(user);
+    const { provider, model } = llmService.resolveProvider(options);
+    const batches = this.batch(notes);
+    if (!provider.isConfigured()) {
+      return { report: this.withoutLLM(window, from, notes, batches.length) };
+    }
+
+    const fingerprint = this.hash([provider.name, model, ...batches.map(batch => batch.key)]);
+    const report = await InsightReport.findOne({ user: user._id, window }).lean();
+    if (!refresh && report && report.fingerprint === fingerprint) {
+      return { report: { ...report, from, batchCount: report.batches.length, cached: true } };
+    }
+
+    return { job: await this.queueBuild(user._id, window, refresh) };
+  }
+
+  /**
+   * Queue a report build, or return the one already queued or running for the window
+   * @param {string} userId - Owner of the notes
+   * @param {string} window - Time window
+   * @param {boolean} refresh - Summarize every batch again
+   * @returns {Promise<object>} - Job
+   */
+  async queueBuild(userId, window, refresh) {
+    const active = await Job.findOne({
+      type: 'build-insights',
+      user: userId,
+      'payload.window': window,
+      status: { $in: ['queued', 'running'] }
+    });
+    if (active) {
+      return active;
+    }
+
+    return jobQueue.enqueue('build-insights', { window, refresh }, { user: userId, maxAttempts: 3 });
+  }
+
+  /**
+   * Build a report in the background
+   * Progress counts the batches summarized, plus one step for combining them; a failed
+   * attempt keeps its finished batches, so the retry carries on from them
+   * @returns {Promise<object>} - The report, as describe() puts it
+   */
+  async runInsightsJob(job, { setProgress }) {
+    const user = await User.findById(job.user).select('preferences');
+    if (!user) {
+      return { skipped: true };
+    }
+
+    const report = await this.buildInsights(user, job.payload, setProgress);
+    return this.describe(report);
+  }
+
+  /**
+   * Summarize a user's notes in a window batch by batch and combine the summaries into insights
+   * @param {object} user - Owner of the notes, with preferences
+   * @param {object} options - { window, refresh } as for getInsights()
+   * @param {Function} setProgress - Called with { total, processed } batches
+   * @returns {Promise<object>} - InsightReport fields plus batchCount and cached
+   */
+  async buildInsights(user, { window = 'all', refresh = false } = {}, setProgress = async () => {}) {
+    const from = this.resolveWindow(window);
+    const notes = await this.loadNotes(user._id, from);
+
+    if (notes.length === 0) {
+      return { window, from, noteCount: 0, insights: null, batchCount: 0, tokensUsed: 0, cached: false };
+    }
+
+    const options = llmService.optionsForUser(user);
+    const batches = this.batch(notes);
+    const { provider, model } = llmService.resolveProvider(options);
+    const fingerprint = this.hash([provider.name, model, ...batches.map(batch => batch.key)]);
+    const report = await InsightReport.findOne({ user: user._id, window }).lean();
+
+    const stats = this.stats(notes);
+    const previous = new Map(refresh ? [] : (report?.batches || []).map(batch => [batch.key, batch.summary]));
+    const usage = { tokensUsed: 0, provider: null, model: null };
+    const track = (result) => {
+      usage.tokensUsed += result.tokensUsed || 0;
+      usage.provider = result.provider;
+      usage.model = result.model;
+    };
+
+    // Map: summarize each batch, reusing summaries of unchanged batches
+    const summarized = [];
+    await setProgress({ total: batches.length + 1, processed: 0 });
+    try {
+      for (const batch of batches) {
+        let summary = previous.get(batch.key);
+        if (!summary) {
+          const result = await llmService.summarizeNoteBatch(batch.text, options);
+          if (!result) {
+            return this.withoutLLM(window, from, notes, batches.length);
+          }
+          track(result);
+          summary = result.summary;
+        }
+        summarized.push({ key: batch.key, summary });
+        await setProgress({ processed: summarized.length });
+      }
+    } catch (error) {
+      // Keep the finished batches, and cached ones not reached yet, so the retry carries on
+      // from them
+      const remaining = batches.slice(summarized.length)
+        .filter(batch => previous.has(batch.key))
+        .map(batch => ({ key: batch.key, summary: previous.get(batch.key) }));
+      await this.save(user._id, window, {
+        fingerprint: INCOMPLETE,
+        from,
+        noteCount: notes.length,
+        insights: null,
+        batches: [...summarized, ...remaining]
+      });
+      throw error;
+    }
+
+    // Reduce: combine the partial summaries into the insights
+    const partials = await this.reduce(summarized.map(batch => batch.summary), options, track);
+    const result = await llmService.writeInsights(partials, { ...stats, from }, options);
+    if (!result) {
+      return this.withoutLLM(window, from, notes, batches.length);
+    }
+    track(result);
+
+    const saved = await this.save(user._id, window, {
+      fingerprint,
+      from,
+      noteCount: notes.length,
+      insights: { ...result.insights, ...stats },
+      batches: summarized,
+      provider: usage.provider,
+      model: usage.model,
+      tokensUsed: usage.tokensUsed
+    });
+
+    await setProgress({ processed: batches.length + 1 });
+
+    return { ...saved, batchCount: batches.length, cached: false };
+  }
+
+  /**
+   * A report as the API returns it
+   * @param {object} report - From getInsights() or buildInsights()
+   * @returns {object}
+   */
+  describe(report) {
+    if (report.noteCount === 0) {
+      return {
+        message: report.window === 'all' ? 'No notes available for insights' : 'No notes changed in this period',
+        insights: null,
+        window: report.window,
+        from: report.from
+      };
+    }
+
+    return {
+      insights: report.insights,
+      window: report.window,
+      from: report.from,
+      notesAnalyzed: report.noteCount,
+      batches: report.batchCount,
+      tokensUsed: report.tokensUsed,
+      provider: report.provider,
+      model: report.model,
+      generatedAt: report.updatedAt || new Date(),
+      cached: report.cached
+    };
+  }
+
+  /**
+   * Store a user's report for a window, extending its expiry
+   * @returns {Promise<object>} - The saved report
+   */
+  async save(userId, window, fields) {
+    return InsightReport.findOneAndUpdate(
+      { user: userId, window },
+      { ...fields, expireAt: new Date(Date.now() + this.cacheDays * 24 * 60 * 60 * 1000) },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean();
+  }
+
+  /**
+   * A user's active notes changed since a date, oldest first, with content cut to an excerpt
+   * @param {string} userId - Owner of the notes
+   * @param {Date|null} from - Start of the window, or null for all notes
+   * @returns {Promise<object[]>} - { _id, title, category, tags, createdAt, updatedAt, wordCount, excerpt }
+   */
+  async loadNotes(userId, from) {
+    return Note.aggregate([
+      {
+        $match: {
+          user: new mongoose.Types.ObjectId(userId.toString()),
+          isArchived: false,
+          ...(from && { updatedAt: { $gte: from } })
+        }
+      },
+      { $sort: { createdAt: 1, _id: 1 } },
+      {
+        $project: {
+          title: 1,
+          category: 1,
+          tags: 1,
+          createdAt: 1,
+          updatedAt: 1,
+          wordCount: '$metadata.wordCount',
+          excerpt: { $substrCP: ['$content', 0, this.noteTokens * 4] }
+        }
+      }
+    ]);
+  }
+
+  /**
+   * Split notes into batches of at most INSIGHTS_BATCH_TOKENS, in order
+   * @param {object[]} notes - Notes from loadNotes()
+   * @returns {Array<{key: string, text: string}>} - key identifies the batch's notes and
+   *   their last update
+   */
+  batch(notes) {
+    const batches = [];
+    let entries = [];
+    let versions = [];
+    let tokens = 0;
+
+    const close = () => {
+      batches.push({ key: this.hash(versions), text: entries.join('\n\n') });
+      entries = [];
+      versions = [];
+      tokens = 0;
+    };
+
+    for (const note of notes) {
+      const entry = this.noteEntry(note);
+      const cost = conversationService.estimateTokens(entry);
+      if (entries.length > 0 && tokens + cost > this.batchTokens) {
+        close();
+      }
+      entries.push(entry);
+      versions.push(`${note._id}:${new Date(note.updatedAt).getTime()}`);
+      tokens += cost;
+    }
+    if (entries.length > 0) {
+      close();
+    }
+
+    return batches;
+  }
+
+  /**
+   * One note as it appears in a batch prompt
+   * @param {object} note - Note from loadNotes()
+   * @returns {string}
+   */
+  noteEntry(note) {
+    const details = [
+      note.category,
+      note.tags?.length > 0 ? `tags: ${note.tags.join(', ')}` : null,
+      new Date(note.createdAt).toISOString().substring(0, 10)
+    ].filter(Boolean).join('; ');
+
+    return `- ${note.title} (${details})\n  ${(note.excerpt || '').replace(/\s+/g, ' ').trim()}`;
+  }
+
+  /**
+   * Combine partial summaries in rounds until they fit one prompt
+   * @param {object[]} partials - Batch summaries
+   * @param {object} options - LLM { provider, model } overrides
+   * @param {Function} track - Called with each LLM result, to count tokens
+   * @returns {Promise<object[]>}
+   */
+  async reduce(partials, options, track) {
+    const cost = (summary) => conversationService.estimateTokens(JSON.stringify(summary));
+
+    while (partials.length > 1 && partials.reduce((sum, summary) => sum + cost(summary), 0) > this.batchTokens) {
+      const groups = [];
+      let group = [];
+      let tokens = 0;
+      for (const summary of partials) {
+        if (group.length > 0 && tokens + cost(summary) > this.batchTokens) {
+          groups.push(group);
+          group = [];
+          tokens = 0;
+        }
+        group.push(summary);
+        tokens += cost(summary);
+      }
+      groups.push(group);
+
+      // Summaries too long to pair up can't be reduced further
+      if (groups.length === partials.length) {
+        break;
+      }
+
+      const next = [];
+      for (const members of groups) {
+        if (members.length === 1) {
+          next.push(members[0]);
+          continue;
+        }
+        const result = await llmService.combineNoteSummaries(members, options);
+        if (!result) {
+          return partials;
+        }
+        track(result);
+        next.push(result.summary);
+      }
+      partials = next;
+    }
+
+    return partials;
+  }
+
+  /**
+   * Counts for a set of notes
+   * @param {object[]} notes - Notes from loadNotes()
+   * @returns {object} - { totalNotes, totalWords, topCategories, topTags } where the tops are
+   *   [{ name, count }], most used first
+   */
+  stats(notes) {
+    const top = (values, limit) => {
+      const counts = new Map();
+      values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+      return [...counts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit)
+        .map(([name, count]) => ({ name, count }));
+    };
+
+    return {
+      totalNotes: notes.length,
+      totalWords: notes.reduce((sum, note) => sum + (note.wordCount || 0), 0),
+      topCategories: top(notes.map(note => note.category || 'General'), 5),
+      topTags: top(notes.flatMap(note => note.tags || []), 10)
+    };
+  }
+
+  /**
+   * Insights from the offline extractive engine, when no LLM provider is configured (not
+   * cached): a TextRank summary of the notes, their keywords as topics, and the keywords
+   * not used as tags yet as suggested tags
+   * @param {object[]} notes - Notes from loadNotes()
+   * @returns {object}
+   */
+  withoutLLM(window, from, notes, batchCount) {
+    const stats = this.stats(notes);
+    const content = notes.map(note => note.excerpt || '').join('\n\n');
+    const { summary, provider, model } = llmService.getOfflineResponse(content, [], 'summarize', { length: 'medium' });
+
+    const tagged = new Set(notes.flatMap(note => note.tags || []).map(tag => tag.toLowerCase()));
+    const keywords = extractiveService.keywords(notes.map(note => `${note.title}. ${note.excerpt || ''}`).join('\n\n'), 12);
+
+    return {
+      window,
+      from,
+      noteCount: stats.totalNotes,
+      insights: {
+        summary,
+        mainTopics: keywords.slice(0, 8),
+        patterns: [],
+        suggestions: [],
+        suggestedTags: keywords.filter(keyword => !tagged.has(keyword.toLowerCase())).slice(0, 5),
+        ...stats
+      },
+      batchCount,
+      provider,
+      model,
+      tokensUsed: 0,
+      cached: false
+    };
+  }
+
+  /**
+   * SHA-1 of a list of strings
+   * @param {string[]} parts - Values
+   * @returns {string}
+   */
+  hash(parts) {
+    return crypto.createHash('sha1').update(parts.join('|')).digest('hex');
+  }
+}
+
+// Export singleton instance
+module.exports = new InsightsService();
@@ -0,0 +1,351 @@
+/**
+ * Job Queue
+ * Persistent background job queue stored in MongoDB (no Redis needed).
+ * Jobs are claimed atomically, retried with exponential backoff and moved to a
+ * dead-letter state once they run out of attempts.
+ */
+
+const os = require('os');
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const logger = require('../utils/logger');
+
+// MongoDB duplicate key error, raised here by the unique dedupeKey index on queued and running jobs
+const isDuplicateKey = (error) => error.code === 11000;
+
+class JobQueue {
+  constructor() {
+    this.handlers = new Map();
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.running = new Set();
+    this.timer = null;
+    this.polling = false;
+  }
+
+  // Getters to read env vars at runtime (after dotenv loads)
+  get concurrency() {
+    return parseInt(process.env.JOB_CONCURRENCY) || 2;
+  }
+
+  get pollInterval() {
+    return parseInt(process.env.JOB_POLL_INTERVAL_MS) || 1000;
+  }
+
+  get backoffBase() {
+    return parseInt(process.env.JOB_BACKOFF_MS) || 5000;
+  }
+
+  get lockTimeout() {
+    return parseInt(process.env.JOB_LOCK_TIMEOUT_MS) || 10 * 60 * 1000;
+  }
+
+  get retentionDays() {
+    return parseInt(process.env.JOB_RETENTION_DAYS) || 7;
+  }
+
+  /**
+   * Register the function that runs jobs of a type
+   * @param {string} type - Job type
+   * @param {Function} handler - async (job, { setProgress }) => result
+   */
+  register(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Job type
+   * @param {object} payload - Data for the handler
+   * @param {object} options - { user, dedupeKey, maxAttempts, delay }
+   * @returns {Promise<object>} - The queued job (an already queued job with the same dedupeKey is reused)
+   */
+  async enqueue(type, payload = {}, options = {}) {
+    const { user = null, dedupeKey = null, maxAttempts, delay = 0 } = options;
+
+    // The unique index decides between concurrent enqueues; the loser reuses the winner's job,
+    // unless a worker claimed it in between, in which case there is room to queue again
+    for (;;) {
+      try {
+        const job = await Job.create({
+          type,
+          payload,
+          user,
+          dedupeKey,
+          ...(maxAttempts && { maxAttempts }),
+          runAt: new Date(Date.now() + delay)
+        });
+
+        logger.debug(`Queued ${type} job ${job._id}`);
+        this.poll();
+        return job;
+      } catch (error) {
+        if (!dedupeKey || !isDuplicateKey(error)) throw error;
+
+        const existing = await Job.findOne({ dedupeKey, status: 'queued' });
+        if (existing) {
+          return existing;
+        }
+      }
+    }
+  }
+
+  /**
+   * Start polling for jobs
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.poll(), this.pollInterval);
+    this.timer.unref();
+    logger.info(`Job queue worker ${this.workerId} started (concurrency ${this.concurrency})`);
+  }
+
+  /**
+   * Stop polling and wait for running jobs to finish
+   */
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await Promise.allSettled([...this.running]);
+  }
+
+  /**
+   * Claim and run jobs until the concurrency limit is reached or the queue is empty
+   */
+  async poll() {
+    // Nothing to do until the worker runs and the database is connected
+    if (!this.timer || this.polling || mongoose.connection.readyState !== 1) return;
+    this.polling = true;
+
+    try {
+      await this.recoverStale();
+
+      while (this.running.size < this.concurrency) {
+        const job = await this.claim();
+        if (!job) break;
+
+        const run = this.execute(job).finally(() => {
+          this.running.delete(run);
+          this.poll();
+        });
+        this.running.add(run);
+      }
+    } catch (error) {
+      logger.error(`Job queue poll error: ${error.message}`);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Atomically take the next due job of a registered type
+   * A job waits while another job with its dedupeKey is running, so two index jobs for the
+   * same note never interleave their writes
+   * @returns {Promise<object|null>}
+   */
+  async claim() {
+    for (;;) {
+      const busy = await Job.distinct('dedupeKey', { status: 'running', dedupeKey: { $ne: null } });
+      const now = new Date();
+
+      try {
+        return await Job.findOneAndUpdate(
+          {
+            status: 'queued',
+            runAt: { $lte: now },
+            type: { $in: [...this.handlers.keys()] },
+            dedupeKey: { $nin: busy }
+          },
+          {
+            $set: { status: 'running', lockedAt: now, lockedBy: this.workerId, startedAt: now },
+            $inc: { attempts: 1 }
+          },
+          { sort: { runAt: 1 }, new: true }
+        );
+      } catch (error) {
+        // Another worker started a job with the same key after busy was read; look again
+        if (!isDuplicateKey(error)) throw error;
+      }
+    }
+  }
+
+  /**
+   * Requeue jobs whose worker stopped sending heartbeats (crashed or restarted)
+   * A stale job whose dedupeKey already has a queued job is dead-lettered instead, since the
+   * queued job redoes its work
+   */
+  async recoverStale() {
+    const cutoff = new Date(Date.now() - this.lockTimeout);
+    const stale = await Job.find({ status: 'running', lockedAt: { $lt: cutoff } }).select('_id');
+
+    let requeued = 0;
+    for (const { _id } of stale) {
+      const filter = { _id, status: 'running', lockedAt: { $lt: cutoff } };
+      try {
+        const { modifiedCount } = await Job.updateOne(filter, {
+          $set: { status: 'queued', lockedAt: null, lockedBy: null, runAt: new Date() }
+        });
+        requeued += modifiedCount;
+      } catch (error) {
+        if (!isDuplicateKey(error)) throw error;
+
+        await Job.updateOne(filter, {
+          $set: {
+            status: 'dead',
+            lastError: 'Lock expired; superseded by a queued job with the same key',
+            lockedAt: null,
+            lockedBy: null,
+            completedAt: new Date()
+          }
+        });
+      }
+    }
+
+    if (requeued > 0) {
+      logger.warn(`Requeued ${requeued} stale job(s)`);
+    }
+  }
+
+  /**
+   * Run a claimed job and record its outcome
+   */
+  async execute(job) {
+    const handler = this.handlers.get(job.type);
+    const locked = { _id: job._id, status: 'running', lockedBy: this.workerId };
+
+    // Progress updates also renew the lock
+    const setProgress = async (progress) => {
+      const update = { lockedAt: new Date() };
+      for (const [key, value] of Object.entries(progress)) {
+        update[`progress.${key}`] = value;
+      }
+      await Job.updateOne(locked, { $set: update });
+    };
+
+    // Heartbeat so a long step without progress updates isn't taken for a crashed worker
+    const heartbeat = setInterval(() => {
+      Job.updateOne(locked, { $set: { lockedAt: new Date() } })
+        .catch(error => logger.warn(`Could not renew lock on job ${job._id}: ${error.message}`));
+    }, Math.max(1000, Math.floor(this.lockTimeout / 3)));
+    heartbeat.unref();
+
+    try {
+      const result = await handler(job, { setProgress });
+      clearInterval(heartbeat);
+
+      const { modifiedCount } = await Job.updateOne(locked, {
+        $set: {
+          status: 'completed',
+          result: result === undefined ? null : result,
+          completedAt: new Date(),
+          expireAt: new Date(Date.now() + this.retentionDays * 24 * 60 * 60 * 1000),
+          lockedAt: null,
+          lockedBy: null,
+          lastError: null
+        }
+      });
+      if (modifiedCount === 0) {
+        logger.warn(`${job.type} job ${job._id} finished after losing its lock; its result was discarded`);
+      } else {
+        logger.debug(`Completed ${job.type} job ${job._id}`);
+      }
+    } catch (error) {
+      clearInterval(heartbeat);
+      await this.fail(job, error);
+    }
+  }
+
+  /**
+   * Schedule a retry with exponential backoff, or dead-letter the job
+   */
+  async fail(job, error) {
+    const failure = { attempt: job.attempts, error: error.message, at: new Date() };
+    const dead = job.attempts >= job.maxAttempts;
+
+    const update = {
+      $set: {
+        status: dead ? 'dead' : 'queued',
+        lastError: error.message,
+        lockedAt: null,
+        lockedBy: null,
+        ...(dead
+          ? { completedAt: new Date() }
+          : { runAt: new Date(Date.now() + this.backoffBase * 2 ** (job.attempts - 1)) })
+      },
+      $push: { failures: { $each: [failure], $slice: -10 } }
+    };
+
+    // A job requeued as stale belongs to whichever worker claimed it next
+    const locked = { _id: job._id, status: 'running', lockedBy: this.workerId };
+    let superseded = false;
+    let modifiedCount;
+    try {
+      ({ modifiedCount } = await Job.updateOne(locked, update));
+    } catch (error) {
+      if (!isDuplicateKey(error)) throw error;
+
+      // A job with the same key was queued while this one ran and takes over the retry
+      superseded = true;
+      update.$set = { ...update.$set, status: 'dead', completedAt: new Date() };
+      delete update.$set.runAt;
+      ({ modifiedCount } = await Job.updateOne(locked, update));
+    }
+
+    if (modifiedCount === 0) {
+      logger.warn(`${job.type} job ${job._id} failed after losing its lock: ${error.message}`);
+    } else if (superseded) {
+      logger.warn(`${job.type} job ${job._id} failed; the queued job with the same key runs instead: ${error.message}`);
+    } else if (dead) {
+      logger.error(`${job.type} job ${job._id} failed permanently after ${job.attempts} attempt(s): ${error.message}`);
+    } else {
+      logger.warn(`${job.type} job ${job._id} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying: ${error.message}`);
+    }
+  }
+
+  /**
+   * Put a dead job back in the queue with a fresh set of attempts
+   * @returns {Promise<object|null>} - null if the job is not dead; the already queued job
+   * if one with the same dedupeKey is waiting
+   */
+  async retry(jobId, filter = {}) {
+    let job;
+    try {
+      job = await Job.findOneAndUpdate(
+        { _id: jobId, status: 'dead', ...filter },
+        {
+          $set: { status: 'queued', attempts: 0, runAt: new Date(), completedAt: null, lastError: null }
+        },
+        { new: true }
+      );
+    } catch (error) {
+      if (!isDuplicateKey(error)) throw error;
+
+      const dead = await Job.findOne({ _id: jobId, status: 'dead', ...filter });
+      return dead && Job.findOne({ dedupeKey: dead.dedupeKey, status: 'queued' });
+    }
+
+    if (job) {
+      this.poll();
+    }
+    return job;
+  }
+
+  /**
+   * Count jobs by status
+   * @returns {Promise<object>} - { queued, running, completed, dead }
+   */
+  async getStats(filter = {}) {
+    const counts = await Job.aggregate([
+      { $match: filter },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    return counts.reduce(
+      (stats, { _id, count }) => ({ ...stats, [_id]: count }),
+      { queued: 0, running: 0, completed: 0, dead: 0 }
+    );
+  }
+}
+
+// Export singleton instance
+module.exports = new JobQueue();
@@ -0,0 +1,162 @@
+/**
+ * Anthropic-Style LLM Provider
+ * Servers exposing the Messages API (POST /v1/messages), where the system
+ * prompt is a top-level field instead of a message
+ */
+
+const axios = require('axios');
+const { readEventStream } = require('./eventStream');
+
+class AnthropicChatProvider {
+  constructor() {
+    this.name = 'anthropic';
+  }
+
+  // Getters to read env vars at runtime (after dotenv loads)
+  get apiKey() {
+    return process.env.ANTHROPIC_API_KEY;
+  }
+
+  get baseUrl() {
+    return (process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com').replace(/\/$/, '');
+  }
+
+  get apiVersion() {
+    return process.env.ANTHROPIC_VERSION || '2023-06-01';
+  }
+
+  get model() {
+    return process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest';
+  }
+
+  // Other models users may pick in their preferences (comma-separated)
+  get models() {
+    return (process.env.ANTHROPIC_MODELS || '').split(',').map(model => model.trim()).filter(Boolean);
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey) || !this.baseUrl.includes('api.anthropic.com');
+  }
+
+  /**
+   * Run a chat completion
+   * @param {Array<{role: string, content: string}>} messages - Conversation including system prompt
+   * @param {object} options - { model, maxTokens, temperature, topP }
+   * @returns {Promise<{content: string, tokensUsed: number}>}
+   */
+  async complete(messages, options) {
+    const response = await axios.post(
+      `${this.baseUrl}/v1/messages`,
+      this.buildBody(messages, options),
+      { headers: this.getHeaders(), timeout: 60000 }
+    );
+
+    const usage = response.data.usage || {};
+    return {
+      content: (response.data.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join(''),
+      tokensUsed: (usage.input_tokens || 0) + (usage.output_tokens || 0)
+    };
+  }
+
+  /**
+   * Run a chat completion, passing text deltas to onToken as they arrive
+   * @param {Array<{role: string, content: string}>} messages - Conversation including system prompt
+   * @param {object} options - { model, maxTokens, temperature, signal }
+   * @param {Function} onToken - Called with each text delta
+   * @returns {Promise<{content: string, tokensUsed: number}>}
+   */
+  async stream(messages, options, onToken) {
+    const response = await axios.post(
+      `${this.baseUrl}/v1/messages`,
+      { ...this.buildBody(messages, options), stream: true },
+      { headers: this.getHeaders(), responseType: 'stream', signal: options.signal }
+    );
+
+    let content = '';
+    let inputTokens = 0;
+    let outputTokens = 0;
+
+    await readEventStream(response.data, ({ event, data }) => {
+      const payload = JSON.parse(data);
+
+      if (event === 'message_start') {
+        inputTokens = payload.message?.usage?.input_tokens || 0;
+      } else if (event === 'content_block_delta' && payload.delta?.type === 'text_delta') {
+        content += payload.delta.text;
+        onToken(payload.delta.text);
+      } else if (event === 'message_delta') {
+        outputTokens = payload.usage?.output_tokens || outputTokens;
+      } else if (event === 'error') {
+        throw new Error(payload.error?.message || 'Stream error');
+      }
+    });
+
+    return { content, tokensUsed: inputTokens + outputTokens };
+  }
+
+  /**
+   * Build a Messages API request body
+   * @param {Array<{role: string, content: string}>} messages - Conversation including system prompt
+   * @param {object} options - { model, maxTokens, temperature }
+   * @returns {object}
+   */
+  buildBody(messages, options) {
+    const system = messages
+      .filter(msg => msg.role === 'system')
+      .map(msg => msg.content)
+      .join('\n\n');
+
+    const body = {
+      model: options.model,
+      messages: this.mergeTurns(messages.filter(msg => msg.role !== 'system')),
+      max_tokens: options.maxTokens,
+      temperature: options.temperature
+    };
+    if (system) {
+      body.system = system;
+    }
+    return body;
+  }
+
+  getHeaders() {
+    const headers = {
+      'Content-Type': 'application/json',
+      'anthropic-version': this.apiVersion
+    };
+    if (this.apiKey) {
+      headers['x-api-key'] = this.apiKey;
+    }
+    return headers;
+  }
+
+  /**
+   * The Messages API requires alternating turns starting with the user,
+   * so consecutive messages from the same role are joined
+   * @param {Array<{role: string, content: string}>} messages - Non-system messages
+   * @returns {Array<{role: string, content: string}>}
+   */
+  mergeTurns(messages) {
+    const turns = [];
+
+    for (const msg of messages) {
+      const role = msg.role === 'assistant' ? 'assistant' : 'user';
+      const last = turns[turns.length - 1];
+
+      if (last && last.role === role) {
+        last.content += `\n\n${msg.content}`;
+      } else {
+        turns.push({ role, content: msg.content });
+      }
+    }
+
+    if (turns.length > 0 && turns[0].role !== 'user') {
+      turns.shift();
+    }
+    return turns;
+  }
+}
+
+module.exports = AnthropicChatProvider;
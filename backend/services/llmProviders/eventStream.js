@@ -0,0 +1,55 @@
+/**
+ * Event Stream Reader
+ * Parses a server-sent events response body (as returned by axios with
+ * responseType 'stream') into { event, data } records
+ */
+
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Read every event from a stream
+ * @param {Readable} stream - Response body stream
+ * @param {Function} onEvent - Called with { event, data } for each event; data is the raw string
+ * @returns {Promise<void>} - Resolves when the stream ends
+ */
+const readEventStream = async (stream, onEvent) => {
+  const decoder = new StringDecoder('utf8'); // Keeps multi-byte characters split across chunks intact
+  let buffer = '';
+  let event = null;
+  let data = [];
+
+  const dispatch = () => {
+    if (data.length > 0) {
+      onEvent({ event: event || 'message', data: data.join('\n') });
+    }
+    event = null;
+    data = [];
+  };
+
+  const processLine = (line) => {
+    if (line === '') {
+      dispatch();
+    } else if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      data.push(line.slice(5).replace(/^ /, ''));
+    }
+    // Comments (":") and other fields are ignored
+  };
+
+  for await (const chunk of stream) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      processLine(buffer.slice(0, newline).replace(/\r$/, ''));
+      buffer = buffer.slice(newline + 1);
+    }
+  }
+
+  buffer += decoder.end();
+  if (buffer) processLine(buffer.replace(/\r$/, ''));
+  dispatch();
+};
+
+module.exports = { readEventStream };
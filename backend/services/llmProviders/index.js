@@ -0,0 +1,36 @@
+/**
+ * LLM Providers Index
+ * Maps LLM_PROVIDER names to provider implementations
+ *
+ * Every provider exposes: name, model (the configured one), models (others users may
+ * pick), isConfigured() and complete(messages, options) resolving to { content, tokensUsed }
+ * and stream(messages, options, onToken), which also calls onToken with each text delta
+ */
+
+const NvidiaChatProvider = require('./nvidiaProvider');
+const OpenAIChatProvider = require('./openaiProvider');
+const AnthropicChatProvider = require('./anthropicProvider');
+
+const providers = {
+  nvidia: NvidiaChatProvider,
+  openai: OpenAIChatProvider,
+  anthropic: AnthropicChatProvider
+};
+
+/**
+ * Create a provider by name
+ * @param {string} name - Provider name
+ * @returns {object} - Provider instance
+ */
+const createLLMProvider = (name) => {
+  const Provider = providers[name];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider '${name}'. Expected one of: ${Object.keys(providers).join(', ')}`);
+  }
+  return new Provider();
+};
+
+module.exports = {
+  createLLMProvider,
+  providerNames: Object.keys(providers)
+};
@@ -0,0 +1,37 @@
+/**
+ * NVIDIA LLM Provider
+ * Nemotron and LLaMA-3 models via the NVIDIA API, which speaks the OpenAI chat format
+ */
+
+const OpenAIChatProvider = require('./openaiProvider');
+
+class NvidiaChatProvider extends OpenAIChatProvider {
+  constructor() {
+    super();
+    this.name = 'nvidia';
+  }
+
+  get apiKey() {
+    return process.env.NVIDIA_API_KEY;
+  }
+
+  get baseUrl() {
+    return process.env.NVIDIA_BASE_URL || 'https://integrate.api.nvidia.com/v1';
+  }
+
+  get model() {
+    return process.env.NVIDIA_LLM_MODEL || 'nvidia/llama-3.1-nemotron-70b-instruct';
+  }
+
+  // Other models users may pick in their preferences (comma-separated)
+  get models() {
+    return (process.env.NVIDIA_LLM_MODELS || '').split(',').map(model => model.trim()).filter(Boolean);
+  }
+
+  isConfigured() {
+    const key = this.apiKey;
+    return Boolean(key && key !== 'your_nvidia_api_key_here' && key.startsWith('nvapi-'));
+  }
+}
+
+module.exports = NvidiaChatProvider;
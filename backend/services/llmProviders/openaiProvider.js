@@ -0,0 +1,117 @@
+/**
+ * OpenAI-Compatible LLM Provider
+ * Any server exposing POST /chat/completions in the OpenAI format
+ * (OpenAI, vLLM, llama.cpp server, Ollama, LM Studio, LocalAI)
+ */
+
+const axios = require('axios');
+const { readEventStream } = require('./eventStream');
+
+class OpenAIChatProvider {
+  constructor() {
+    this.name = 'openai';
+  }
+
+  // Getters to read env vars at runtime (after dotenv loads)
+  get apiKey() {
+    return process.env.LLM_API_KEY || process.env.OPENAI_API_KEY;
+  }
+
+  get baseUrl() {
+    return (process.env.LLM_API_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+  }
+
+  get model() {
+    return process.env.LLM_MODEL || 'gpt-4o-mini';
+  }
+
+  // Other models users may pick in their preferences (comma-separated)
+  get models() {
+    return (process.env.LLM_MODELS || '').split(',').map(model => model.trim()).filter(Boolean);
+  }
+
+  /**
+   * Self-hosted servers usually need no key; the hosted OpenAI API does
+   */
+  isConfigured() {
+    return Boolean(this.apiKey) || !this.baseUrl.includes('api.openai.com');
+  }
+
+  /**
+   * Run a chat completion
+   * @param {Array<{role: string, content: string}>} messages - Conversation including system prompt
+   * @param {object} options - { model, maxTokens, temperature, topP }
+   * @returns {Promise<{content: string, tokensUsed: number}>}
+   */
+  async complete(messages, options) {
+    const response = await axios.post(
+      `${this.baseUrl}/chat/completions`,
+      {
+        model: options.model,
+        messages,
+        max_tokens: options.maxTokens,
+        temperature: options.temperature,
+        top_p: options.topP,
+        stream: false
+      },
+      { headers: this.getHeaders(), timeout: 60000 }
+    );
+
+    return {
+      content: response.data.choices[0].message.content,
+      tokensUsed: response.data.usage?.total_tokens || 0
+    };
+  }
+
+  /**
+   * Run a chat completion, passing text deltas to onToken as they arrive
+   * @param {Array<{role: string, content: string}>} messages - Conversation including system prompt
+   * @param {object} options - { model, maxTokens, temperature, topP, signal }
+   * @param {Function} onToken - Called with each text delta
+   * @returns {Promise<{content: string, tokensUsed: number}>}
+   */
+  async stream(messages, options, onToken) {
+    const response = await axios.post(
+      `${this.baseUrl}/chat/completions`,
+      {
+        model: options.model,
+        messages,
+        max_tokens: options.maxTokens,
+        temperature: options.temperature,
+        top_p: options.topP,
+        stream: true,
+        stream_options: { include_usage: true }
+      },
+      { headers: this.getHeaders(), responseType: 'stream', signal: options.signal }
+    );
+
+    let content = '';
+    let tokensUsed = 0;
+
+    await readEventStream(response.data, ({ data }) => {
+      if (data === '[DONE]') return;
+
+      const chunk = JSON.parse(data);
+      const delta = chunk.choices?.[0]?.delta?.content;
+      if (delta) {
+        content += delta;
+        onToken(delta);
+      }
+      if (chunk.usage?.total_tokens) {
+        tokensUsed = chunk.usage.total_tokens;
+      }
+    });
+
+    return { content, tokensUsed };
+  }
+
+  getHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+}
+
+module.exports = OpenAIChatProvider;
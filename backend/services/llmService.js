@@ -1,110 +1,254 @@
 /**
- * NVIDIA LLM Service
- * Handles all interactions with NVIDIA Large Language Models
- * Supports Nemotron and LLaMA-3 models via NVIDIA API
+ * LLM Service
+ * Handles all interactions with Large Language Models through a pluggable provider
+ * (NVIDIA, any OpenAI-compatible server, or an Anthropic-style Messages API)
+ * selected with LLM_PROVIDER or per user
  */
 
-const axios = require('axios');
+const { createLLMProvider, providerNames } = require('./llmProviders');
+const citationService = require('./citationService');
+const extractiveService = require('./extractiveService');
 const logger = require('../utils/logger');
 
+// Provider and model reported by answers from the offline extractive engine
+const OFFLINE_PROVIDER = 'offline';
+const OFFLINE_MODEL = 'extractive';
+
 class LLMService {
   constructor() {
     // Environment variables are read lazily via getters
+    this.providers = new Map(); // Map of provider name -> provider instance
   }
 
   // Getters to read env vars at runtime (after dotenv loads)
-  get apiKey() {
-    return process.env.NVIDIA_API_KEY;
+  get providerName() {
+    if (process.env.LLM_PROVIDER) {
+      return process.env.LLM_PROVIDER.toLowerCase();
+    }
+
+    // Keep existing NVIDIA setups working; a bare LLM_API_URL means an OpenAI-compatible server
+    return process.env.LLM_API_URL && !process.env.NVIDIA_API_KEY ? 'openai' : 'nvidia';
+  }
+
+  get maxTokens() {
+    return parseInt(process.env.LLM_MAX_TOKENS) || parseInt(process.env.NVIDIA_MAX_TOKENS) || 1024;
   }
 
-  get baseUrl() {
-    return process.env.NVIDIA_BASE_URL || 'https://integrate.api.nvidia.com/v1';
+  get temperature() {
+    return parseFloat(process.env.LLM_TEMPERATURE) || parseFloat(process.env.NVIDIA_TEMPERATURE) || 0.7;
   }
 
   get model() {
-    return process.env.NVIDIA_LLM_MODEL || 'nvidia/llama-3.1-nemotron-70b-instruct';
+    return this.getProvider().model;
   }
 
-  get maxTokens() {
-    return parseInt(process.env.NVIDIA_MAX_TOKENS) || 1024;
+  /**
+   * Get a provider instance by name, defaulting to the configured one
+   * @param {string} name - Provider name
+   * @returns {object} - Provider instance
+   */
+  getProvider(name = this.providerName) {
+    if (!this.providers.has(name)) {
+      this.providers.set(name, createLLMProvider(name));
+    }
+    return this.providers.get(name);
   }
 
-  get temperature() {
-    return parseFloat(process.env.NVIDIA_TEMPERATURE) || 0.7;
+  /**
+   * Names of the supported providers
+   * @returns {string[]}
+   */
+  getProviderNames() {
+    return providerNames;
+  }
+
+  /**
+   * Models users may choose for a provider: its configured model and those listed in its
+   * *_MODELS setting
+   * @param {string} name - Provider name
+   * @returns {string[]}
+   */
+  getModelNames(name = this.providerName) {
+    const provider = this.getProvider(name);
+    return [...new Set([provider.model, ...provider.models])];
+  }
+
+  /**
+   * Build request options from a user's LLM preferences
+   * @param {object} user - User document
+   * @returns {{provider?: string, model?: string}}
+   */
+  optionsForUser(user) {
+    const preferences = user?.preferences || {};
+    return {
+      ...(preferences.llmProvider && { provider: preferences.llmProvider }),
+      ...(preferences.llmModel && { model: preferences.llmModel })
+    };
   }
 
   /**
-   * Check if NVIDIA API is configured
+   * Pick the provider and model for a request
+   * A requested provider that is not configured falls back to the default one
+   * @param {object} options - Optional { provider, model }
+   * @returns {{provider: object, model: string}}
+   */
+  resolveProvider(options = {}) {
+    if (options.provider && options.provider !== this.providerName && providerNames.includes(options.provider)) {
+      const provider = this.getProvider(options.provider);
+      if (provider.isConfigured()) {
+        return { provider, model: options.model || provider.model };
+      }
+      logger.warn(`LLM provider '${options.provider}' not configured. Using '${this.providerName}'.`);
+    }
+
+    const provider = this.getProvider();
+    const sameProvider = !options.provider || options.provider === provider.name;
+    return { provider, model: (sameProvider && options.model) || provider.model };
+  }
+
+  /**
+   * Check if the default LLM provider is configured
    */
   isConfigured() {
-    const key = this.apiKey;
-    return key && key !== 'your_nvidia_api_key_here' && key.startsWith('nvapi-');
+    return this.getProvider().isConfigured();
   }
 
   /**
-   * Make a request to NVIDIA LLM API
+   * Make a request to the selected LLM provider
+   * @param {Array} messages - Chat messages
+   * @param {object} options - Optional { provider, model, maxTokens, temperature, topP }
+   * @returns {Promise<{content: string, tokensUsed: number, provider: string, model: string}|null>}
+   *   - null when no provider is configured
    */
   async makeRequest(messages, options = {}) {
-    if (!this.isConfigured()) {
-      logger.warn('NVIDIA API key not configured. Using mock responses.');
+    const { provider, model } = this.resolveProvider(options);
+
+    if (!provider.isConfigured()) {
+      logger.warn(`LLM provider '${provider.name}' not configured. Using the offline engine.`);
       return null;
     }
 
     try {
-      // Ensure messages are properly formatted for NVIDIA API
+      // Ensure messages are properly formatted for the provider API
       const formattedMessages = messages.map(msg => ({
         role: String(msg.role),
         content: String(msg.content)
       }));
 
-      const response = await axios.post(
-        `${this.baseUrl}/chat/completions`,
-        {
-          model: this.model,
-          messages: formattedMessages,
-          max_tokens: options.maxTokens || this.maxTokens,
-          temperature: options.temperature ?? this.temperature,
-          top_p: options.topP || 0.9,
-          stream: false
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json'
-          },
-          timeout: 60000
-        }
-      );
+      const result = await provider.complete(formattedMessages, {
+        model,
+        maxTokens: options.maxTokens || this.maxTokens,
+        temperature: options.temperature ?? this.temperature,
+        topP: options.topP || 0.9
+      });
 
       return {
-        content: response.data.choices[0].message.content,
-        tokensUsed: response.data.usage?.total_tokens || 0
+        ...result,
+        provider: provider.name,
+        model
       };
     } catch (error) {
       const errorDetails = error.response?.data || error.message;
-      logger.error(`NVIDIA LLM Error: ${JSON.stringify(errorDetails)}`);
-      logger.error(`Model: ${this.model}, URL: ${this.baseUrl}/chat/completions`);
+      logger.error(`${provider.name} LLM Error: ${JSON.stringify(errorDetails)}`);
+      logger.error(`Provider: ${provider.name}, Model: ${model}, URL: ${provider.baseUrl}`);
       throw error;
     }
   }
 
   /**
-   * Generate response with RAG context
+   * Make a streaming request to the selected LLM provider
+   * @param {Array} messages - Chat messages
+   * @param {object} options - Optional { provider, model, maxTokens, temperature, topP, signal }
+   * @param {Function} onToken - Called with each text delta as it arrives
+   * @returns {Promise<{content: string, tokensUsed: number, provider: string, model: string}|null>}
+   *   - null when no provider is configured
+   */
+  async makeStreamingRequest(messages, options = {}, onToken) {
+    const { provider, model } = this.resolveProvider(options);
+
+    if (!provider.isConfigured()) {
+      logger.warn(`LLM provider '${provider.name}' not configured. Using the offline engine.`);
+      return null;
+    }
+
+    try {
+      const formattedMessages = messages.map(msg => ({
+        role: String(msg.role),
+        content: String(msg.content)
+      }));
+
+      const result = await provider.stream(formattedMessages, {
+        model,
+        maxTokens: options.maxTokens || this.maxTokens,
+        temperature: options.temperature ?? this.temperature,
+        topP: options.topP || 0.9,
+        signal: options.signal
+      }, onToken);
+
+      return {
+        ...result,
+        provider: provider.name,
+        model
+      };
+    } catch (error) {
+      if (!options.signal?.aborted) {
+        logger.error(`${provider.name} LLM Stream Error: ${error.message}`);
+        logger.error(`Provider: ${provider.name}, Model: ${model}, URL: ${provider.baseUrl}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Stream a completion, falling back to the offline response if the provider
+   * is unavailable or fails before producing any text
+   * @param {Array} messages - Chat messages
+   * @param {object} options - Request options including an optional abort signal
+   * @param {Function} onToken - Called with each text delta
+   * @param {Function} getOffline - Returns { text, result } for the offline response
+   * @returns {Promise<{content: string, tokensUsed: number, provider: string, model: string}>}
+   */
+  async streamWithFallback(messages, options, onToken, getOffline) {
+    let started = false;
+
+    try {
+      const result = await this.makeStreamingRequest(messages, options, token => {
+        started = true;
+        onToken(token);
+      });
+
+      if (result) {
+        return result;
+      }
+    } catch (error) {
+      // Partial answers cannot be replaced, and cancelled requests need no answer
+      if (started || options.signal?.aborted) {
+        throw error;
+      }
+    }
+
+    const { text, result } = getOffline();
+    onToken(text);
+    return { ...result, content: text };
+  }
+
+  /**
+   * Build the messages for a RAG answer
    * @param {string} query - User's question
    * @param {Array} context - Retrieved notes context
-   * @param {string} mode - 'qa' or 'chat'
-   * @returns {Promise<{answer: string, tokensUsed: number}>}
+   * @returns {Array<{role: string, content: string}>}
    */
-  async generateResponse(query, context, mode = 'qa') {
+  buildResponseMessages(query, context) {
     // Build context string from retrieved notes
     const contextStr = context.map((note, i) => 
       `[Note ${i + 1}] Title: ${note.title}\nContent: ${note.content}`
     ).join('\n\n---\n\n');
 
-    const systemPrompt = `You are an intelligent AI assistant powered by NVIDIA Nemotron, helping users with their personal notes. 
+    const systemPrompt = `You are an intelligent AI assistant, helping users with their personal notes. 
 You have access to the user's notes which are provided as context.
 Use the information from these notes to provide accurate, helpful responses.
 If the answer cannot be found in the notes, say so clearly.
+${citationService.promptInstruction}
 Always be concise and helpful.`;
 
     const userPrompt = `Context from user's notes:
@@ -116,35 +260,77 @@ User's Question: ${query}
 
 Please provide a helpful response based on the context from the user's notes.`;
 
-    const messages = [
+    return [
       { role: 'system', content: systemPrompt },
       { role: 'user', content: userPrompt }
     ];
+  }
+
+  /**
+   * Generate response with RAG context
+   * @param {string} query - User's question
+   * @param {Array} context - Retrieved notes context
+   * @param {string} mode - 'qa' or 'chat'
+   * @param {object} options - Optional { provider, model } overrides
+   * @returns {Promise<{answer: string, tokensUsed: number, provider: string, model: string}>}
+   */
+  async generateResponse(query, context, mode = 'qa', options = {}) {
+    const messages = this.buildResponseMessages(query, context);
 
     try {
-      const result = await this.makeRequest(messages);
+      const result = await this.makeRequest(messages, options);
       
       if (!result) {
-        return this.getMockResponse(query, context, 'qa');
+        return this.getOfflineResponse(query, context, 'qa');
       }
 
       return {
         answer: result.content,
-        tokensUsed: result.tokensUsed
+        tokensUsed: result.tokensUsed,
+        provider: result.provider,
+        model: result.model
       };
     } catch (error) {
       logger.error(`RAG Response Error: ${error.message}`);
-      return this.getMockResponse(query, context, 'qa');
+      return this.getOfflineResponse(query, context, 'qa');
     }
   }
 
+  /**
+   * Stream a response with RAG context
+   * @param {string} query - User's question
+   * @param {Array} context - Retrieved notes context
+   * @param {Function} onToken - Called with each text delta
+   * @param {object} options - Optional { provider, model, signal }
+   * @returns {Promise<{answer: string, tokensUsed: number, provider: string, model: string}>}
+   */
+  async streamResponse(query, context, onToken, options = {}) {
+    const result = await this.streamWithFallback(
+      this.buildResponseMessages(query, context),
+      options,
+      onToken,
+      () => {
+        const offline = this.getOfflineResponse(query, context, 'qa');
+        return { text: offline.answer, result: offline };
+      }
+    );
+
+    return {
+      answer: result.content,
+      tokensUsed: result.tokensUsed,
+      provider: result.provider,
+      model: result.model
+    };
+  }
+
   /**
    * Generate summary for content
    * @param {string} content - Content to summarize
    * @param {string} length - 'short', 'medium', or 'long'
-   * @returns {Promise<{summary: string, tokensUsed: number}>}
+   * @param {object} options - Optional { provider, model } overrides
+   * @returns {Promise<{summary: string, tokensUsed: number, provider: string, model: string}>}
    */
-  async generateSummary(content, length = 'medium') {
+  async generateSummary(content, length = 'medium', options = {}) {
     const lengthGuide = {
       short: '2-3 sentences',
       medium: '1-2 paragraphs',
@@ -154,7 +340,7 @@ Please provide a helpful response based on the context from the user's notes.`;
     const messages = [
       { 
         role: 'system', 
-        content: 'You are a skilled summarizer powered by NVIDIA AI. Create clear, concise summaries that capture the key points.' 
+        content: 'You are a skilled summarizer. Create clear, concise summaries that capture the key points.' 
       },
       { 
         role: 'user', 
@@ -163,28 +349,31 @@ Please provide a helpful response based on the context from the user's notes.`;
     ];
 
     try {
-      const result = await this.makeRequest(messages, { temperature: 0.5 });
+      const result = await this.makeRequest(messages, { ...options, temperature: 0.5 });
       
       if (!result) {
-        return this.getMockResponse(content, [], 'summarize');
+        return this.getOfflineResponse(content, [], 'summarize', { length });
       }
 
       return {
         summary: result.content,
-        tokensUsed: result.tokensUsed
+        tokensUsed: result.tokensUsed,
+        provider: result.provider,
+        model: result.model
       };
     } catch (error) {
       logger.error(`Summarization Error: ${error.message}`);
-      return this.getMockResponse(content, [], 'summarize');
+      return this.getOfflineResponse(content, [], 'summarize', { length });
     }
   }
 
   /**
    * Generate title for content
    * @param {string} content - Content to generate title for
-   * @returns {Promise<{title: string, alternatives: string[], tokensUsed: number}>}
+   * @param {object} options - Optional { provider, model } overrides
+   * @returns {Promise<{title: string, alternatives: string[], tokensUsed: number, provider: string, model: string}>}
    */
-  async generateTitle(content) {
+  async generateTitle(content, options = {}) {
     const messages = [
       { 
         role: 'system', 
@@ -206,10 +395,10 @@ Respond in JSON format only:
     ];
 
     try {
-      const result = await this.makeRequest(messages, { temperature: 0.7, maxTokens: 200 });
+      const result = await this.makeRequest(messages, { ...options, temperature: 0.7, maxTokens: 200 });
       
       if (!result) {
-        return this.getMockResponse(content, [], 'title');
+        return this.getOfflineResponse(content, [], 'title');
       }
 
       // Parse JSON response
@@ -219,7 +408,9 @@ Respond in JSON format only:
         return {
           title: parsed.title,
           alternatives: parsed.alternatives || [],
-          tokensUsed: result.tokensUsed
+          tokensUsed: result.tokensUsed,
+          provider: result.provider,
+          model: result.model
         };
       }
 
@@ -227,17 +418,13 @@ Respond in JSON format only:
       return {
         title: result.content.substring(0, 100),
         alternatives: [],
-        tokensUsed: result.tokensUsed
+        tokensUsed: result.tokensUsed,
+        provider: result.provider,
+        model: result.model
       };
     } catch (error) {
       logger.error(`Title Generation Error: ${error.message}`);
-      
-      const fallbackTitle = content.split('\n')[0].substring(0, 50) || 'Untitled Note';
-      return {
-        title: fallbackTitle,
-        alternatives: [],
-        tokensUsed: 0
-      };
+      return this.getOfflineResponse(content, [], 'title');
     }
   }
 
@@ -245,9 +432,10 @@ Respond in JSON format only:
    * Explain content in simple language
    * @param {string} content - Content to explain
    * @param {string} level - 'simple', 'detailed', or 'technical'
-   * @returns {Promise<{explanation: string, tokensUsed: number}>}
+   * @param {object} options - Optional { provider, model } overrides
+   * @returns {Promise<{explanation: string, tokensUsed: number, provider: string, model: string}>}
    */
-  async explainContent(content, level = 'simple') {
+  async explainContent(content, level = 'simple', options = {}) {
     const levelGuide = {
       simple: 'Explain this in simple terms that anyone can understand. Use everyday language and analogies.',
       detailed: 'Provide a detailed explanation with examples and context.',
@@ -257,7 +445,7 @@ Respond in JSON format only:
     const messages = [
       { 
         role: 'system', 
-        content: 'You are a knowledgeable teacher powered by NVIDIA AI who excels at explaining complex topics clearly.' 
+        content: 'You are a knowledgeable teacher who excels at explaining complex topics clearly.' 
       },
       { 
         role: 'user', 
@@ -266,36 +454,40 @@ Respond in JSON format only:
     ];
 
     try {
-      const result = await this.makeRequest(messages, { temperature: 0.6 });
+      const result = await this.makeRequest(messages, { ...options, temperature: 0.6 });
       
       if (!result) {
-        return this.getMockResponse(content, [], 'explain');
+        return this.getOfflineResponse(content, [], 'explain', { level });
       }
 
       return {
         explanation: result.content,
-        tokensUsed: result.tokensUsed
+        tokensUsed: result.tokensUsed,
+        provider: result.provider,
+        model: result.model
       };
     } catch (error) {
       logger.error(`Explanation Error: ${error.message}`);
-      return this.getMockResponse(content, [], 'explain');
+      return this.getOfflineResponse(content, [], 'explain', { level });
     }
   }
 
   /**
    * Extract key points from content
    * @param {string} content - Content to analyze
-   * @returns {Promise<{keyPoints: string[], tokensUsed: number}>}
+   * @param {number} maxPoints - Maximum number of key points
+   * @param {object} options - Optional { provider, model } overrides
+   * @returns {Promise<{keyPoints: string[], tokensUsed: number, provider: string, model: string}>}
    */
-  async extractKeyPoints(content) {
+  async extractKeyPoints(content, maxPoints = 5, options = {}) {
     const messages = [
       { 
         role: 'system', 
-        content: 'You are an analytical assistant powered by NVIDIA AI. Extract key points as a JSON array of strings.' 
+        content: 'You are an analytical assistant. Extract key points as a JSON array of strings.' 
       },
       { 
         role: 'user', 
-        content: `Extract the main key points from the following content. Return ONLY a JSON array of strings.
+        content: `Extract up to ${maxPoints} main key points from the following content. Return ONLY a JSON array of strings.
 
 Content:
 ${content}
@@ -305,10 +497,10 @@ Return format: ["point 1", "point 2", "point 3"]`
     ];
 
     try {
-      const result = await this.makeRequest(messages, { temperature: 0.3 });
+      const result = await this.makeRequest(messages, { ...options, temperature: 0.3 });
       
       if (!result) {
-        return this.getMockResponse(content, [], 'keyPoints');
+        return this.getOfflineResponse(content, [], 'keyPoints', { maxPoints });
       }
 
       // Parse JSON array
@@ -317,36 +509,215 @@ Return format: ["point 1", "point 2", "point 3"]`
         const keyPoints = JSON.parse(jsonMatch[0]);
         return {
           keyPoints: Array.isArray(keyPoints) ? keyPoints : [keyPoints],
-          tokensUsed: result.tokensUsed
+          tokensUsed: result.tokensUsed,
+          provider: result.provider,
+          model: result.model
         };
       }
 
       // Fallback: split by newlines
       return {
         keyPoints: result.content.split('\n').filter(line => line.trim()),
-        tokensUsed: result.tokensUsed
+        tokensUsed: result.tokensUsed,
+        provider: result.provider,
+        model: result.model
       };
     } catch (error) {
       logger.error(`Key Points Extraction Error: ${error.message}`);
-      return this.getMockResponse(content, [], 'keyPoints');
+      return this.getOfflineResponse(content, [], 'keyPoints', { maxPoints });
     }
   }
 
   /**
-   * Chat with context
+   * Rate how relevant each document is to a query, for re-ranking retrieved context
+   * @param {string} query - Query text
+   * @param {string[]} documents - Passages to rate
+   * @param {object} options - Optional { provider, model } overrides
+   * @returns {Promise<{scores: number[], tokensUsed: number, provider: string, model: string}|null>}
+   *   - scores from 0 to 1 in document order; null when no provider is configured
+   */
+  async scoreRelevance(query, documents, options = {}) {
+    const list = documents.map((doc, i) => `[${i + 1}] ${doc}`).join('\n\n');
+
+    const messages = [
+      {
+        role: 'system',
+        content: 'You judge search relevance. Always respond with valid JSON only, no additional text.'
+      },
+      {
+        role: 'user',
+        content: `Rate how relevant each document is to the query, from 0 (unrelated) to 10 (directly answers it).
+
+Query: ${query}
+
+Documents:
+${list}
+
+Respond in JSON format only, with one score per document in the order given:
+{
+  "scores": [7, 0, 3]
+}`
+      }
+    ];
+
+    const result = await this.makeRequest(messages, { ...options, temperature: 0, maxTokens: 50 + documents.length * 5 });
+    if (!result) {
+      return null;
+    }
+
+    const jsonMatch = result.content.match(/\{[\s\S]*\}/);
+    const scores = jsonMatch ? JSON.parse(jsonMatch[0]).scores : null;
+    if (!Array.isArray(scores) || scores.length !== documents.length) {
+      throw new Error('Could not parse relevance scores');
+    }
+
+    return {
+      scores: scores.map(score => Math.min(Math.max(Number(score) / 10 || 0, 0), 1)),
+      tokensUsed: result.tokensUsed,
+      provider: result.provider,
+      model: result.model
+    };
+  }
+
+  /**
+   * Rewrite a follow-up message into a question that makes sense without the conversation
+   * @param {Array<{role: string, content: string}>} history - Previous messages
+   * @param {string} message - Latest user message
+   * @param {object} options - Optional { provider, model } overrides
+   * @returns {Promise<{query: string, tokensUsed: number, provider: string, model: string}|null>}
+   *   - null when no provider is configured
+   */
+  async condenseQuestion(history, message, options = {}) {
+    const transcript = history
+      .map(msg => `${msg.role === 'user' ? 'User' : msg.role === 'assistant' ? 'Assistant' : 'Context'}: ${msg.content.substring(0, 500)}`)
+      .join('\n');
+
+    const messages = [
+      {
+        role: 'system',
+        content: 'You rewrite follow-up messages into standalone search queries. Reply with the rewritten query only, no explanation.'
+      },
+      {
+        role: 'user',
+        content: `Conversation:
+${transcript}
+
+Follow-up message: ${message}
+
+Rewrite the follow-up as a standalone question that can be understood without the conversation, replacing pronouns and references like "the second one" with what they refer to. If it already stands alone, repeat it unchanged.
+
+Standalone question:`
+      }
+    ];
+
+    const result = await this.makeRequest(messages, { ...options, temperature: 0, maxTokens: 100 });
+    if (!result) {
+      return null;
+    }
+
+    return {
+      query: result.content.trim().replace(/^["']|["']$/g, ''),
+      tokensUsed: result.tokensUsed,
+      provider: result.provider,
+      model: result.model
+    };
+  }
+
+  /**
+   * Write alternative phrasings of a search query, to retrieve notes that word it differently
+   * @param {string} query - Standalone query
+   * @param {number} count - Number of alternatives
+   * @param {object} options - Optional { provider, model } overrides
+   * @returns {Promise<{queries: string[], tokensUsed: number, provider: string, model: string}|null>}
+   *   - null when no provider is configured
+   */
+  async expandQuery(query, count = 3, options = {}) {
+    const messages = [
+      {
+        role: 'system',
+        content: 'You help search a personal notes collection. Always respond with valid JSON only, no additional text.'
+      },
+      {
+        role: 'user',
+        content: `Write ${count} different search queries that could find notes answering this question, using other words and angles.
+
+Question: ${query}
+
+Respond in JSON format only:
+{
+  "queries": ["query 1", "query 2"]
+}`
+      }
+    ];
+
+    const result = await this.makeRequest(messages, { ...options, temperature: 0.7, maxTokens: 60 * count });
+    if (!result) {
+      return null;
+    }
+
+    const jsonMatch = result.content.match(/\{[\s\S]*\}/);
+    const queries = jsonMatch ? JSON.parse(jsonMatch[0]).queries : null;
+    if (!Array.isArray(queries)) {
+      throw new Error('Could not parse expanded queries');
+    }
+
+    return {
+      queries: queries.filter(q => typeof q === 'string' && q.trim()).map(q => q.trim()).slice(0, count),
+      tokensUsed: result.tokensUsed,
+      provider: result.provider,
+      model: result.model
+    };
+  }
+
+  /**
+   * Write a short passage that would answer a query (HyDE), to search by what an answer looks like
+   * @param {string} query - Standalone query
+   * @param {object} options - Optional { provider, model } overrides
+   * @returns {Promise<{document: string, tokensUsed: number, provider: string, model: string}|null>}
+   *   - null when no provider is configured
+   */
+  async writeHypotheticalDocument(query, options = {}) {
+    const messages = [
+      {
+        role: 'system',
+        content: 'You write short note excerpts. Reply with the excerpt only.'
+      },
+      {
+        role: 'user',
+        content: `Write a short passage (3-4 sentences) from a personal note that would answer this question. Plausible details are fine; it is only used to search for similar notes.
+
+Question: ${query}`
+      }
+    ];
+
+    const result = await this.makeRequest(messages, { ...options, temperature: 0.5, maxTokens: 200 });
+    if (!result) {
+      return null;
+    }
+
+    return {
+      document: result.content.trim(),
+      tokensUsed: result.tokensUsed,
+      provider: result.provider,
+      model: result.model
+    };
+  }
+
+  /**
+   * Build the messages for a chat turn
    * @param {Array} conversationHistory - Previous messages
    * @param {string} userMessage - Current user message
    * @param {Array} context - Retrieved notes context
-   * @returns {Promise<{response: string, tokensUsed: number}>}
+   * @returns {Array<{role: string, content: string}>}
    */
-  async chat(conversationHistory, userMessage, context = []) {
+  buildChatMessages(conversationHistory, userMessage, context = []) {
     const contextStr = Array.isArray(context) && context.length > 0
-      ? `\n\nRelevant notes context:\n${context.map(n => `- ${n.title}: ${(n.content || '').substring(0, 200)}...`).join('\n')}`
+      ? `\n\n${citationService.promptInstruction}\n\nRelevant notes context:\n${context.map((n, i) => `[Note ${i + 1}] ${n.title}: ${(n.content || '').substring(0, 200)}...`).join('\n')}`
       : '';
 
     const systemMessage = {
       role: 'system',
-      content: `You are a helpful AI assistant powered by NVIDIA, helping users manage and understand their notes. Be conversational, helpful, and concise.${contextStr}`
+      content: `You are a helpful AI assistant, helping users manage and understand their notes. Be conversational, helpful, and concise.${contextStr}`
     };
 
     // Ensure conversationHistory is an array
@@ -361,141 +732,435 @@ Return format: ["point 1", "point 2", "point 3"]`
         content: String(msg.content)
       }));
 
-    const messages = [
+    return [
       systemMessage,
       ...formattedHistory,
       { role: 'user', content: String(userMessage) }
     ];
+  }
+
+  /**
+   * Chat with context
+   * @param {Array} conversationHistory - Previous messages
+   * @param {string} userMessage - Current user message
+   * @param {Array} context - Retrieved notes context
+   * @param {object} options - Optional { provider, model } overrides
+   * @returns {Promise<{response: string, tokensUsed: number, provider: string, model: string}>}
+   */
+  async chat(conversationHistory, userMessage, context = [], options = {}) {
+    const messages = this.buildChatMessages(conversationHistory, userMessage, context);
 
     try {
-      const result = await this.makeRequest(messages);
+      const result = await this.makeRequest(messages, options);
       
       if (!result) {
-        return this.getMockResponse(userMessage, context, 'chat');
+        return this.getOfflineResponse(userMessage, context, 'chat');
       }
 
       return {
         response: result.content,
-        tokensUsed: result.tokensUsed
+        tokensUsed: result.tokensUsed,
+        provider: result.provider,
+        model: result.model
       };
     } catch (error) {
       logger.error(`Chat Error: ${error.message}`);
-      return this.getMockResponse(userMessage, context, 'chat');
+      return this.getOfflineResponse(userMessage, context, 'chat');
     }
   }
 
   /**
-   * Generate insights about notes collection
-   * @param {Array} notes - Array of notes
-   * @returns {Promise<{insights: object, tokensUsed: number}>}
+   * Stream a chat reply with context
+   * @param {Array} conversationHistory - Previous messages
+   * @param {string} userMessage - Current user message
+   * @param {Array} context - Retrieved notes context
+   * @param {Function} onToken - Called with each text delta
+   * @param {object} options - Optional { provider, model, signal }
+   * @returns {Promise<{response: string, tokensUsed: number, provider: string, model: string}>}
    */
-  async generateInsights(notes) {
-    const notesOverview = notes.map(n => ({
-      title: n.title,
-      category: n.category,
-      tags: n.tags,
-      wordCount: n.metadata?.wordCount || n.content?.split(' ').length || 0
-    }));
+  async streamChat(conversationHistory, userMessage, context, onToken, options = {}) {
+    const result = await this.streamWithFallback(
+      this.buildChatMessages(conversationHistory, userMessage, context),
+      options,
+      onToken,
+      () => {
+        const offline = this.getOfflineResponse(userMessage, context, 'chat');
+        return { text: offline.response, result: offline };
+      }
+    );
 
-    const messages = [
-      { 
-        role: 'system', 
-        content: 'You are an analytical assistant powered by NVIDIA AI. Analyze notes and provide insights in JSON format.' 
-      },
-      { 
-        role: 'user', 
-        content: `Analyze these notes and provide insights. Return ONLY valid JSON.
+    return {
+      response: result.content,
+      tokensUsed: result.tokensUsed,
+      provider: result.provider,
+      model: result.model
+    };
+  }
 
-Notes: ${JSON.stringify(notesOverview)}
+  /**
+   * Fold older chat messages into a running conversation summary
+   * @param {string|null} previousSummary - Summary of even earlier messages
+   * @param {Array<{role: string, content: string}>} messages - Messages to fold in
+   * @param {object} options - Optional { provider, model } overrides
+   * @returns {Promise<{summary: string, tokensUsed: number, provider: string, model: string}>}
+   */
+  async summarizeConversation(previousSummary, messages, options = {}) {
+    const transcript = messages
+      .map(msg => `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content}`)
+      .join('\n\n');
 
-Return format:
-{
-  "totalNotes": number,
-  "topCategories": ["category1", "category2"],
-  "suggestedTags": ["tag1", "tag2"],
-  "contentTrends": "brief description of trends",
-  "recommendations": ["recommendation 1", "recommendation 2"]
-}` 
+    // The offline engine summarizes the text itself, without the prompt's headings
+    const source = [previousSummary, transcript].filter(Boolean).join('\n\n');
+    const prompt = [
+      previousSummary ? `Summary of the conversation so far:\n${previousSummary}` : null,
+      `${previousSummary ? 'Newer messages' : 'Conversation'}:\n${transcript}`
+    ].filter(Boolean).join('\n\n');
+
+    const chatMessages = [
+      {
+        role: 'system',
+        content: 'You condense chat history. Write a brief summary that keeps the questions asked, facts and decisions established, and any open follow-ups, so the conversation can continue without the full transcript.'
+      },
+      {
+        role: 'user',
+        content: `${prompt}\n\nUpdated summary (one short paragraph):`
       }
     ];
 
     try {
-      const result = await this.makeRequest(messages, { temperature: 0.5 });
-      
-      if (!result) {
-        return this.getMockResponse(JSON.stringify(notesOverview), [], 'insights');
-      }
+      const result = await this.makeRequest(chatMessages, { ...options, temperature: 0.3, maxTokens: 300 });
 
-      const jsonMatch = result.content.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const insights = JSON.parse(jsonMatch[0]);
-        return {
-          insights,
-          tokensUsed: result.tokensUsed
-        };
+      if (!result) {
+        return this.getOfflineResponse(source, [], 'conversationSummary');
       }
 
       return {
-        insights: { error: 'Could not parse insights' },
-        tokensUsed: result.tokensUsed
+        summary: result.content.trim(),
+        tokensUsed: result.tokensUsed,
+        provider: result.provider,
+        model: result.model
       };
     } catch (error) {
-      logger.error(`Insights Error: ${error.message}`);
-      return this.getMockResponse(JSON.stringify(notes), [], 'insights');
+      logger.error(`Conversation Summary Error: ${error.message}`);
+      return this.getOfflineResponse(source, [], 'conversationSummary');
     }
   }
 
   /**
-   * Get mock response when API is not available
+   * Name a topic from a sample of the notes clustered under it
+   * @param {Array<{title: string, excerpt: string}>} samples - Notes closest to the topic's centre
+   * @param {string[]} keywords - Terms that set the topic apart from the user's other notes
+   * @param {object} options - Optional { provider, model } overrides
+   * @returns {Promise<{label: string, description: string, tokensUsed: number, provider: string, model: string}|null>}
+   *   - null when no provider is configured
    */
-  getMockResponse(content, context, type) {
-    // Ensure content is a string
-    const contentStr = typeof content === 'string' ? content : String(content || '');
-    const mockResponses = {
-      qa: {
-        answer: context.length > 0
-          ? `Based on your notes, I found ${context.length} relevant entries. The most relevant note "${context[0]?.title || 'Untitled'}" contains information that may help answer your question. [NVIDIA AI not configured - using mock response]`
-          : 'I couldn\'t find any relevant notes to answer your question. Try adding more notes or rephrasing your query. [NVIDIA AI not configured - using mock response]',
-        tokensUsed: 0
+  async labelTopic(samples, keywords = [], options = {}) {
+    const sampleText = samples
+      .map((sample, i) => `[${i + 1}] ${sample.title}\n${sample.excerpt}`)
+      .join('\n\n');
+
+    const messages = [
+      {
+        role: 'system',
+        content: 'You name topics in a personal notes collection. Always respond with valid JSON only, no additional text.'
       },
-      summarize: {
-        summary: `This content discusses key topics and ideas. Main points include the central theme presented in the text. [NVIDIA AI not configured - configure NVIDIA_API_KEY for full AI features]`,
-        tokensUsed: 0
+      {
+        role: 'user',
+        content: `These notes were grouped together because they are about the same topic.
+
+${sampleText}
+${keywords.length > 0 ? `\nDistinctive terms: ${keywords.join(', ')}\n` : ''}
+Name the topic they share in 2-4 words and describe it in one sentence.
+
+Respond in JSON format only:
+{
+  "label": "Topic name",
+  "description": "One sentence about what these notes cover"
+}`
+      }
+    ];
+
+    const result = await this.makeRequest(messages, { ...options, temperature: 0.3, maxTokens: 120 });
+    if (!result) {
+      return null;
+    }
+
+    const jsonMatch = result.content.match(/\{[\s\S]*\}/);
+    const topic = jsonMatch ? JSON.parse(jsonMatch[0]) : null;
+    if (!topic || typeof topic.label !== 'string' || !topic.label.trim()) {
+      throw new Error('Could not parse topic label');
+    }
+
+    return {
+      label: topic.label.trim().substring(0, 80),
+      description: typeof topic.description === 'string' ? topic.description.trim().substring(0, 300) : null,
+      tokensUsed: result.tokensUsed,
+      provider: result.provider,
+      model: result.model
+    };
+  }
+
+  /**
+   * Parse a JSON object from a model reply
+   * @param {string} content - Model reply
+   * @returns {object}
+   */
+  parseJsonReply(content) {
+    const jsonMatch = content.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      throw new Error('Could not parse model reply');
+    }
+    return JSON.parse(jsonMatch[0]);
+  }
+
+  /**
+   * Keep the string items of a list from a model reply
+   * @param {*} value - Parsed list
+   * @param {number} max - Most items kept
+   * @returns {string[]}
+   */
+  stringList(value, max) {
+    return Array.isArray(value)
+      ? value.filter(item => typeof item === 'string' && item.trim()).map(item => item.trim()).slice(0, max)
+      : [];
+  }
+
+  /**
+   * Shape a parsed batch summary reply
+   * @param {object} parsed - Parsed reply
+   * @returns {{summary: string, topics: string[], patterns: string[]}}
+   */
+  toBatchSummary(parsed) {
+    return {
+      summary: typeof parsed.summary === 'string' ? parsed.summary.trim() : '',
+      topics: this.stringList(parsed.topics, 10),
+      patterns: this.stringList(parsed.patterns, 10)
+    };
+  }
+
+  /**
+   * Summarize one batch of notes (the map step of insights)
+   * @param {string} notesText - The batch's notes, one entry each
+   * @param {object} options - Optional { provider, model } overrides
+   * @returns {Promise<{summary: object, tokensUsed: number, provider: string, model: string}|null>}
+   *   - summary is { summary, topics, patterns }; null when no provider is configured
+   */
+  async summarizeNoteBatch(notesText, options = {}) {
+    const messages = [
+      {
+        role: 'system',
+        content: 'You are an analytical assistant reviewing part of a personal notes collection. Always respond with valid JSON only, no additional text.'
       },
-      title: {
-        title: contentStr.split('\n')[0]?.substring(0, 50) || 'New Note',
-        alternatives: ['Quick Note', 'My Notes'],
-        tokensUsed: 0
+      {
+        role: 'user',
+        content: `Here is one batch of notes from the collection:
+
+${notesText}
+
+Summarize what this batch covers. Note recurring topics and any patterns (repeated concerns, ongoing projects, open questions, how the notes are organized).
+
+Respond in JSON format only:
+{
+  "summary": "2-3 sentences about this batch",
+  "topics": ["topic 1", "topic 2"],
+  "patterns": ["pattern 1", "pattern 2"]
+}`
+      }
+    ];
+
+    const result = await this.makeRequest(messages, { ...options, temperature: 0.3, maxTokens: 400 });
+    if (!result) {
+      return null;
+    }
+
+    return {
+      summary: this.toBatchSummary(this.parseJsonReply(result.content)),
+      tokensUsed: result.tokensUsed,
+      provider: result.provider,
+      model: result.model
+    };
+  }
+
+  /**
+   * Merge partial batch summaries into one, when there are too many to reduce in one prompt
+   * @param {object[]} partials - { summary, topics, patterns } from summarizeNoteBatch()
+   * @param {object} options - Optional { provider, model } overrides
+   * @returns {Promise<{summary: object, tokensUsed: number, provider: string, model: string}|null>}
+   *   - summary has the same shape as the partials; null when no provider is configured
+   */
+  async combineNoteSummaries(partials, options = {}) {
+    const messages = [
+      {
+        role: 'system',
+        content: 'You are an analytical assistant combining summaries of parts of a personal notes collection. Always respond with valid JSON only, no additional text.'
       },
-      explain: {
-        explanation: 'This content explains a concept or topic. [NVIDIA AI not configured - configure NVIDIA_API_KEY for detailed explanations]',
-        tokensUsed: 0
+      {
+        role: 'user',
+        content: `Combine these summaries of consecutive batches of notes into one, keeping the topics and patterns that matter most.
+
+${JSON.stringify(partials)}
+
+Respond in JSON format only:
+{
+  "summary": "2-4 sentences",
+  "topics": ["topic 1", "topic 2"],
+  "patterns": ["pattern 1", "pattern 2"]
+}`
+      }
+    ];
+
+    const result = await this.makeRequest(messages, { ...options, temperature: 0.3, maxTokens: 500 });
+    if (!result) {
+      return null;
+    }
+
+    return {
+      summary: this.toBatchSummary(this.parseJsonReply(result.content)),
+      tokensUsed: result.tokensUsed,
+      provider: result.provider,
+      model: result.model
+    };
+  }
+
+  /**
+   * Write insights about a notes collection from its batch summaries (the reduce step)
+   * @param {object[]} partials - { summary, topics, patterns } covering the whole collection
+   * @param {object} stats - Counts for the collection: { totalNotes, totalWords, topCategories, topTags, from }
+   * @param {object} options - Optional { provider, model } overrides
+   * @returns {Promise<{insights: object, tokensUsed: number, provider: string, model: string}|null>}
+   *   - insights is { summary, mainTopics, patterns, suggestions, suggestedTags }; null when no
+   *   provider is configured
+   */
+  async writeInsights(partials, stats, options = {}) {
+    const messages = [
+      {
+        role: 'system',
+        content: 'You are an analytical assistant. Analyze notes and provide insights in JSON format.'
       },
-      keyPoints: {
-        keyPoints: [
-          'Key point from the content',
-          'Another important aspect',
-          'Additional consideration'
-        ],
-        tokensUsed: 0
+      {
+        role: 'user',
+        content: `Analyze a personal notes collection from these summaries of its notes. Return ONLY valid JSON.
+
+Collection: ${JSON.stringify(stats)}
+
+Summaries: ${JSON.stringify(partials)}
+
+Return format:
+{
+  "summary": "brief overview of what the notes are about",
+  "mainTopics": ["topic 1", "topic 2"],
+  "patterns": ["pattern 1", "pattern 2"],
+  "suggestions": ["suggestion 1", "suggestion 2"],
+  "suggestedTags": ["tag1", "tag2"]
+}`
+      }
+    ];
+
+    const result = await this.makeRequest(messages, { ...options, temperature: 0.5 });
+    if (!result) {
+      return null;
+    }
+
+    const parsed = this.parseJsonReply(result.content);
+    return {
+      insights: {
+        summary: typeof parsed.summary === 'string' ? parsed.summary.trim() : '',
+        mainTopics: this.stringList(parsed.mainTopics, 8),
+        patterns: this.stringList(parsed.patterns, 6),
+        suggestions: this.stringList(parsed.suggestions, 6),
+        suggestedTags: this.stringList(parsed.suggestedTags, 10)
       },
-      chat: {
-        response: 'I\'m here to help you with your notes! [NVIDIA AI not configured - configure NVIDIA_API_KEY for full chat capabilities]',
-        tokensUsed: 0
+      tokensUsed: result.tokensUsed,
+      provider: result.provider,
+      model: result.model
+    };
+  }
+
+  /**
+   * Pick tags and a category for a note from the user's existing ones
+   * @param {string} noteText - Title and content of the note
+   * @param {object} taxonomy - The user's { tags, categories } to choose from
+   * @param {object} options - Optional { provider, model } overrides
+   * @returns {Promise<{tags: Array<{name: string, confidence: number}>, category: {name: string, confidence: number}|null, tokensUsed: number, provider: string, model: string}|null>}
+   *   - Names outside the taxonomy are dropped; null when no provider is configured
+   */
+  async suggestTags(noteText, taxonomy, options = {}) {
+    const messages = [
+      {
+        role: 'system',
+        content: 'You organize a personal notes collection using only its existing tags and categories. Always respond with valid JSON only, no additional text.'
       },
-      insights: {
-        insights: {
-          totalNotes: context.length || 0,
-          topCategories: ['general'],
-          suggestedTags: ['notes', 'ideas'],
-          contentTrends: 'Unable to analyze without NVIDIA AI configuration',
-          recommendations: ['Configure NVIDIA_API_KEY for full insights']
-        },
-        tokensUsed: 0
+      {
+        role: 'user',
+        content: `Note:
+${noteText}
+
+Existing tags: ${taxonomy.tags.join(', ') || '(none)'}
+Existing categories: ${taxonomy.categories.join(', ') || '(none)'}
+
+Choose up to 5 existing tags and at most one existing category that fit this note. Do not invent new ones. Give each a confidence between 0 and 1.
+
+Respond in JSON format only:
+{
+  "tags": [{ "name": "tag", "confidence": 0.8 }],
+  "category": { "name": "category", "confidence": 0.7 }
+}`
       }
+    ];
+
+    const result = await this.makeRequest(messages, { ...options, temperature: 0.2, maxTokens: 250 });
+    if (!result) {
+      return null;
+    }
+
+    // Map the reply onto the existing spelling of each name
+    const parsed = this.parseJsonReply(result.content);
+    const pick = (item, names) => {
+      const name = typeof item?.name === 'string' ? item.name.trim().toLowerCase() : null;
+      const match = name && names.find(existing => existing.toLowerCase() === name);
+      const confidence = Math.min(Math.max(Number(item.confidence) || 0, 0), 1);
+      return match && confidence > 0 ? { name: match, confidence } : null;
     };
 
-    return mockResponses[type] || { answer: 'Mock response', tokensUsed: 0 };
+    return {
+      tags: (Array.isArray(parsed.tags) ? parsed.tags : [])
+        .map(item => pick(item, taxonomy.tags))
+        .filter(Boolean)
+        .slice(0, 5),
+      category: pick(parsed.category, taxonomy.categories),
+      tokensUsed: result.tokensUsed,
+      provider: result.provider,
+      model: result.model
+    };
+  }
+
+  /**
+   * Answer with the offline extractive engine, when no provider is configured or a request failed
+   * @param {string} content - Question, message or content the request was about
+   * @param {Array} context - Retrieved notes context, for qa and chat
+   * @param {string} type - qa, chat, summarize, title, explain, keyPoints or conversationSummary
+   * @param {object} options - Optional { length, level, maxPoints } of the request
+   * @returns {object} - The fields the matching method returns, with provider 'offline'
+   */
+  getOfflineResponse(content, context, type, options = {}) {
+    const contentStr = typeof content === 'string' ? content : String(content || '');
+    const responses = {
+      qa: () => ({ answer: extractiveService.answer(contentStr, context) }),
+      chat: () => ({ response: extractiveService.answer(contentStr, context) }),
+      summarize: () => ({ summary: extractiveService.summarize(contentStr, options.length) }),
+      title: () => extractiveService.title(contentStr),
+      explain: () => ({ explanation: extractiveService.explain(contentStr, options.level) }),
+      keyPoints: () => ({ keyPoints: extractiveService.keyPoints(contentStr, options.maxPoints) }),
+      // The earlier summary's and the messages' highest-ranked sentences
+      conversationSummary: () => ({ summary: extractiveService.summarize(contentStr, 'long') })
+    };
+
+    return {
+      ...(responses[type] || responses.qa)(),
+      tokensUsed: 0,
+      provider: OFFLINE_PROVIDER,
+      model: OFFLINE_MODEL
+    };
   }
 }
 
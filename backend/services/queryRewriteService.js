@@ -0,0 +1,99 @@
+/**
+ * Query Rewrite Service
+ * Turns a chat message into the queries used for retrieval: follow-ups are condensed into a
+ * standalone question using the conversation, and optionally expanded into alternative
+ * phrasings (multi-query) and a hypothetical answer passage (HyDE)
+ */
+
+const llmService = require('./llmService');
+const logger = require('../utils/logger');
+
+class QueryRewriteService {
+  // Getters to read env vars at runtime (after dotenv loads)
+  get condense() {
+    return process.env.QUERY_CONDENSE !== 'false';
+  }
+
+  get expansions() {
+    const expansions = parseInt(process.env.QUERY_EXPANSIONS);
+    return Number.isNaN(expansions) ? 3 : expansions;
+  }
+
+  get expandByDefault() {
+    return process.env.QUERY_EXPAND === 'true';
+  }
+
+  get hydeByDefault() {
+    return process.env.QUERY_HYDE === 'true';
+  }
+
+  get historyMessages() {
+    return parseInt(process.env.QUERY_REWRITE_HISTORY_MESSAGES) || 6;
+  }
+
+  /**
+   * Build the retrieval queries for a chat message
+   * Each step is skipped when no LLM is configured or it fails, so retrieval always has the message
+   * @param {string} message - Latest user message
+   * @param {Array<{role: string, content: string}>} history - Previous messages
+   * @param {object} options - Optional { expand, hyde } overriding QUERY_EXPAND and QUERY_HYDE,
+   *   and llmOptions ({ provider, model })
+   * @returns {Promise<{standalone: string, queries: Array<{text: string, type: string}>, tokensUsed: number}>}
+   *   - the first query is the standalone question; type is original, condensed, expansion or hyde.
+   *   HyDE passages should be embedded as passages, the others as queries
+   */
+  async rewrite(message, history = [], options = {}) {
+    const { expand = this.expandByDefault, hyde = this.hydeByDefault, llmOptions = {} } = options;
+    let tokensUsed = 0;
+
+    const step = async (name, run) => {
+      try {
+        const result = await run();
+        tokensUsed += result?.tokensUsed || 0;
+        return result;
+      } catch (error) {
+        logger.warn(`Query rewrite (${name}) failed: ${error.message}`);
+        return null;
+      }
+    };
+
+    // Only follow-ups need condensing
+    const recent = (Array.isArray(history) ? history : [])
+      .filter(msg => msg && msg.content && ['user', 'assistant', 'system'].includes(msg.role))
+      .slice(-this.historyMessages);
+
+    let standalone = message;
+    if (this.condense && recent.some(msg => msg.role !== 'system')) {
+      const condensed = await step('condense', () => llmService.condenseQuestion(recent, message, llmOptions));
+      if (condensed?.query) standalone = condensed.query;
+    }
+
+    const queries = [{ text: standalone, type: standalone === message ? 'original' : 'condensed' }];
+
+    const [expanded, hypothetical] = await Promise.all([
+      expand && this.expansions > 0
+        ? step('expand', () => llmService.expandQuery(standalone, this.expansions, llmOptions))
+        : null,
+      hyde
+        ? step('hyde', () => llmService.writeHypotheticalDocument(standalone, llmOptions))
+        : null
+    ]);
+
+    // Drop alternatives that repeat the question
+    const seen = new Set([standalone.toLowerCase()]);
+    (expanded?.queries || []).forEach((text) => {
+      if (seen.has(text.toLowerCase())) return;
+      seen.add(text.toLowerCase());
+      queries.push({ text, type: 'expansion' });
+    });
+
+    if (hypothetical?.document) {
+      queries.push({ text: hypothetical.document, type: 'hyde' });
+    }
+
+    return { standalone, queries, tokensUsed };
+  }
+}
+
+// Export singleton instance
+module.exports = new QueryRewriteService();
@@ -0,0 +1,63 @@
+/**
+ * HTTP Rerank Provider
+ * Any server exposing POST /rerank in the Cohere format
+ * (Cohere, Jina, Infinity and other compatible servers)
+ */
+
+const axios = require('axios');
+
+class HttpRerankProvider {
+  constructor() {
+    this.name = 'http';
+  }
+
+  // Getters to read env vars at runtime (after dotenv loads)
+  get apiKey() {
+    return process.env.RERANK_API_KEY;
+  }
+
+  get baseUrl() {
+    return (process.env.RERANK_API_URL || '').replace(/\/$/, '');
+  }
+
+  get model() {
+    return process.env.RERANK_MODEL || 'rerank-v3.5';
+  }
+
+  /**
+   * Needs a server URL; hosted APIs also need a key
+   */
+  isConfigured() {
+    return Boolean(this.baseUrl);
+  }
+
+  /**
+   * Score documents against a query
+   * @param {string} query - Query text
+   * @param {string[]} documents - Passages to score
+   * @returns {Promise<{scores: number[], tokensUsed: number}>}
+   */
+  async rerank(query, documents) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await axios.post(`${this.baseUrl}/rerank`, {
+      model: this.model,
+      query,
+      documents,
+      top_n: documents.length
+    }, { headers, timeout: 30000 });
+
+    // Results come back sorted by relevance; the index field maps them to documents
+    const scores = new Array(documents.length).fill(0);
+    response.data.results.forEach(result => {
+      scores[result.index] = result.relevance_score;
+    });
+
+    return { scores, tokensUsed: 0 };
+  }
+}
+
+module.exports = HttpRerankProvider;
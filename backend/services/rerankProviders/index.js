@@ -0,0 +1,36 @@
+/**
+ * Rerank Providers Index
+ * Maps RERANK_PROVIDER names to provider implementations
+ *
+ * Every provider exposes: name, model, isConfigured() and
+ * rerank(query, documents, options) resolving to { scores, tokensUsed }, with one
+ * relevance score from 0 to 1 per document, in document order
+ */
+
+const LLMRerankProvider = require('./llmProvider');
+const LocalRerankProvider = require('./localProvider');
+const HttpRerankProvider = require('./httpProvider');
+
+const providers = {
+  llm: LLMRerankProvider,
+  local: LocalRerankProvider,
+  http: HttpRerankProvider
+};
+
+/**
+ * Create a provider by name
+ * @param {string} name - Provider name
+ * @returns {object} - Provider instance
+ */
+const createRerankProvider = (name) => {
+  const Provider = providers[name];
+  if (!Provider) {
+    throw new Error(`Unknown rerank provider '${name}'. Expected one of: ${Object.keys(providers).join(', ')}`);
+  }
+  return new Provider();
+};
+
+module.exports = {
+  createRerankProvider,
+  providerNames: Object.keys(providers)
+};
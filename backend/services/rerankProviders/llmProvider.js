@@ -0,0 +1,41 @@
+/**
+ * LLM Rerank Provider
+ * Asks the chat model, through llmService, to rate each passage's relevance to the query
+ */
+
+const llmService = require('../llmService');
+
+class LLMRerankProvider {
+  constructor() {
+    this.name = 'llm';
+  }
+
+  get model() {
+    return llmService.model;
+  }
+
+  /**
+   * Available whenever an LLM provider is configured
+   */
+  isConfigured() {
+    return llmService.isConfigured();
+  }
+
+  /**
+   * Score documents against a query
+   * @param {string} query - Query text
+   * @param {string[]} documents - Passages to score
+   * @param {object} options - Optional { provider, model } LLM overrides
+   * @returns {Promise<{scores: number[], tokensUsed: number}>}
+   */
+  async rerank(query, documents, options = {}) {
+    const result = await llmService.scoreRelevance(query, documents, options);
+    if (!result) {
+      throw new Error('No LLM provider configured');
+    }
+
+    return { scores: result.scores, tokensUsed: result.tokensUsed };
+  }
+}
+
+module.exports = LLMRerankProvider;
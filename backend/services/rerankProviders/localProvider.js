@@ -0,0 +1,91 @@
+/**
+ * Local Rerank Provider
+ * Runs a cross-encoder in process via transformers.js (ONNX runtime): the query and each
+ * passage are read together, which judges relevance better than comparing embeddings
+ */
+
+const logger = require('../../utils/logger');
+
+class LocalRerankProvider {
+  constructor() {
+    this.name = 'local';
+    this.models = null;
+    this.loading = null;
+  }
+
+  // Getters to read env vars at runtime (after dotenv loads)
+  get model() {
+    return process.env.RERANK_MODEL || 'Xenova/ms-marco-MiniLM-L-6-v2';
+  }
+
+  get cacheDir() {
+    return process.env.LOCAL_EMBEDDING_CACHE_DIR || './data/models';
+  }
+
+  /**
+   * Available when the optional transformers.js package is installed
+   */
+  isConfigured() {
+    try {
+      require.resolve('@xenova/transformers');
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Load the tokenizer and model once and share them
+   */
+  async getModels() {
+    if (this.models) {
+      return this.models;
+    }
+
+    if (!this.loading) {
+      this.loading = (async () => {
+        // transformers.js is published as an ES module
+        const { AutoTokenizer, AutoModelForSequenceClassification, env } = await import('@xenova/transformers');
+        env.cacheDir = this.cacheDir;
+        if (process.env.LOCAL_EMBEDDING_OFFLINE === 'true') {
+          env.allowRemoteModels = false;
+        }
+
+        logger.info(`Loading local rerank model: ${this.model}`);
+        const [tokenizer, model] = await Promise.all([
+          AutoTokenizer.from_pretrained(this.model),
+          AutoModelForSequenceClassification.from_pretrained(this.model)
+        ]);
+        this.models = { tokenizer, model };
+        return this.models;
+      })().catch(error => {
+        this.loading = null;
+        throw error;
+      });
+    }
+
+    return this.loading;
+  }
+
+  /**
+   * Score documents against a query
+   * @param {string} query - Query text
+   * @param {string[]} documents - Passages to score
+   * @returns {Promise<{scores: number[], tokensUsed: number}>}
+   */
+  async rerank(query, documents) {
+    const { tokenizer, model } = await this.getModels();
+
+    const inputs = tokenizer(new Array(documents.length).fill(query), {
+      text_pair: documents,
+      padding: true,
+      truncation: true
+    });
+    const { logits } = await model(inputs);
+
+    // One relevance logit per pair; the sigmoid maps it to 0-1
+    return { scores: logits.sigmoid().tolist().map(([score]) => score), tokensUsed: 0 };
+  }
+}
+
+module.exports = LocalRerankProvider;
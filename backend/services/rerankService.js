@@ -0,0 +1,164 @@
+/**
+ * Rerank Service
+ * Optional second retrieval stage: fetches a larger candidate set from the vector index,
+ * scores each candidate's passages against the query with a re-ranker (LLM, local
+ * cross-encoder or rerank API), and drops candidates below a relevance threshold before
+ * they reach the prompt. Returns a trace of which candidates were kept and dropped.
+ */
+
+const { createRerankProvider } = require('./rerankProviders');
+const retrievalService = require('./retrievalService');
+const logger = require('../utils/logger');
+
+class RerankService {
+  constructor() {
+    this.providers = new Map(); // Map of provider name -> provider instance
+  }
+
+  // Getters to read env vars at runtime (after dotenv loads)
+  get providerName() {
+    return (process.env.RERANK_PROVIDER || 'none').toLowerCase();
+  }
+
+  get candidates() {
+    return parseInt(process.env.RERANK_CANDIDATES) || 20;
+  }
+
+  get minScore() {
+    const minScore = parseFloat(process.env.RERANK_MIN_SCORE);
+    return Number.isNaN(minScore) ? 0.3 : minScore;
+  }
+
+  get maxChars() {
+    return parseInt(process.env.RERANK_MAX_CHARS) || 1500;
+  }
+
+  /**
+   * Get the configured provider, or null when re-ranking is off
+   * @returns {object|null}
+   */
+  getProvider() {
+    const name = this.providerName;
+    if (name === 'none') {
+      return null;
+    }
+
+    if (!this.providers.has(name)) {
+      this.providers.set(name, createRerankProvider(name));
+    }
+    return this.providers.get(name);
+  }
+
+  /**
+   * Whether a re-ranker is selected and usable
+   */
+  isEnabled() {
+    const provider = this.getProvider();
+    return Boolean(provider && provider.isConfigured());
+  }
+
+  /**
+   * Retrieve a user's notes for a query, re-ranking a larger candidate set when enabled
+   * @param {object|object[]} queries - { vector, model } from vectorStore.embedQuery(), or several
+   *   whose results are merged (see retrievalService.retrieveMany())
+   * @param {string} text - Query text the re-ranker compares passages with
+   * @param {string} userId - Owner of the notes to search
+   * @param {number} topK - Number of notes to return
+   * @param {object} options - Optional { filter, noteQuery } for retrievalService.retrieve(), and
+   *   llmOptions ({ provider, model }) for the LLM re-ranker
+   * @returns {Promise<{retrieved: Array, trace: object|null}>} - trace is null when re-ranking is off
+   */
+  async retrieve(queries, text, userId, topK, options = {}) {
+    const { llmOptions = {}, ...retrieveOptions } = options;
+    const list = Array.isArray(queries) ? queries : [queries];
+
+    if (!this.isEnabled()) {
+      return {
+        retrieved: await retrievalService.retrieveMany(list, userId, topK, retrieveOptions),
+        trace: null
+      };
+    }
+
+    const candidates = await retrievalService.retrieveMany(list, userId, Math.max(topK, this.candidates), retrieveOptions);
+    return this.rerank(text, candidates, topK, llmOptions);
+  }
+
+  /**
+   * Re-rank retrieved notes and drop the ones below the threshold
+   * Falls back to similarity order when the re-ranker fails
+   * @param {string} text - Query text
+   * @param {Array<{note: object, score: number, passages: Array}>} candidates - From retrievalService.retrieve()
+   * @param {number} topK - Number of notes to keep at most
+   * @param {object} llmOptions - Optional { provider, model } for the LLM re-ranker
+   * @returns {Promise<{retrieved: Array, trace: object}>} - Kept notes carry rerankScore
+   */
+  async rerank(text, candidates, topK, llmOptions = {}) {
+    const provider = this.getProvider();
+    const { minScore } = this;
+    const startedAt = Date.now();
+
+    const trace = {
+      reranker: provider.name,
+      model: provider.model,
+      minScore,
+      candidates: candidates.length,
+      tokensUsed: 0,
+      kept: [],
+      dropped: []
+    };
+
+    const entry = ({ note, score }, index, rerankScore) => ({
+      noteId: note._id,
+      title: note.title,
+      similarity: score,
+      similarityRank: index + 1,
+      rerankScore
+    });
+
+    if (candidates.length === 0) {
+      return { retrieved: [], trace: { ...trace, durationMs: 0 } };
+    }
+
+    let scores;
+    try {
+      const documents = candidates.map(({ note, passages }) =>
+        `${note.title}\n${retrievalService.buildContextText(note.content, passages)}`.substring(0, this.maxChars)
+      );
+      const result = await provider.rerank(text, documents, llmOptions);
+      scores = result.scores;
+      trace.tokensUsed = result.tokensUsed || 0;
+    } catch (error) {
+      logger.warn(`Rerank (${provider.name}) failed, keeping similarity order: ${error.message}`);
+      trace.error = error.message;
+
+      candidates.forEach((candidate, i) => {
+        (i < topK ? trace.kept : trace.dropped).push({
+          ...entry(candidate, i, null),
+          ...(i >= topK && { reason: 'limit' })
+        });
+      });
+      return { retrieved: candidates.slice(0, topK), trace: { ...trace, durationMs: Date.now() - startedAt } };
+    }
+
+    const ranked = candidates
+      .map((candidate, i) => ({ candidate, entry: entry(candidate, i, scores[i]) }))
+      .sort((a, b) => b.entry.rerankScore - a.entry.rerankScore);
+
+    const retrieved = [];
+    ranked.forEach(({ candidate, entry: item }) => {
+      if (item.rerankScore < minScore) {
+        trace.dropped.push({ ...item, reason: 'threshold' });
+      } else if (retrieved.length >= topK) {
+        trace.dropped.push({ ...item, reason: 'limit' });
+      } else {
+        retrieved.push({ ...candidate, rerankScore: item.rerankScore });
+        trace.kept.push(item);
+      }
+    });
+
+    return { retrieved, trace: { ...trace, durationMs: Date.now() - startedAt } };
+  }
+}
+
+// Export singleton instance
+module.exports = new RerankService();
@@ -0,0 +1,157 @@
+/**
+ * Retrieval Service
+ * Runs passage-level vector search for a user and loads the matching notes
+ * with the passages that matched
+ */
+
+const Note = require('../models/Note');
+const vectorStore = require('./vectorStore');
+const chunkingService = require('./chunkingService');
+
+class RetrievalService {
+  /**
+   * Retrieve a user's notes most similar to a query
+   * @param {object} query - { vector, model } from vectorStore.embedQuery() or getNoteQueryVector()
+   * @param {string} userId - Owner of the notes to search
+   * @param {number} topK - Number of notes to return
+   * @param {object} options - Optional { filter, noteQuery } extra vector filter and Mongo conditions
+   * @returns {Promise<Array<{note: object, score: number, passages: Array}>>} - In similarity order
+   */
+  async retrieve(query, userId, topK, options = {}) {
+    return this.retrieveMany([query], userId, topK, options);
+  }
+
+  /**
+   * Retrieve a user's notes for several queries at once, e.g. rewrites of one question
+   * A note found by several queries appears once, with its best score and best passages
+   * @param {object[]} queries - Queries from vectorStore.embedQuery()
+   * @param {string} userId - Owner of the notes to search
+   * @param {number} topK - Number of notes to return, and to take from each query
+   * @param {object} options - Optional { filter, noteQuery } extra vector filter and Mongo conditions
+   * @returns {Promise<Array<{note: object, score: number, passages: Array, matchedQueries?: number[]}>>}
+   *   - In similarity order; matchedQueries lists the indexes of the queries that found the note
+   *   when there are several
+   */
+  async retrieveMany(queries, userId, topK, options = {}) {
+    const { filter = {}, noteQuery = {} } = options;
+
+    const results = await Promise.all(queries.map(query => vectorStore.searchNotes(query, topK, {
+      ...filter,
+      userId: userId.toString()
+    })));
+
+    const byNote = new Map();
+    results.forEach((queryHits, queryIndex) => queryHits.forEach(hit => {
+      const existing = byNote.get(hit.id);
+      if (!existing) {
+        byNote.set(hit.id, { ...hit, passages: [...hit.passages], maxPassages: hit.passages.length, queries: [queryIndex] });
+        return;
+      }
+
+      existing.score = Math.max(existing.score, hit.score);
+      existing.maxPassages = Math.max(existing.maxPassages, hit.passages.length);
+      existing.queries.push(queryIndex);
+      hit.passages.forEach(passage => {
+        const same = existing.passages.find(p => p.chunkIndex === passage.chunkIndex);
+        if (!same) existing.passages.push(passage);
+        else if (passage.score > same.score) Object.assign(same, passage);
+      });
+    }));
+
+    const hits = Array.from(byNote.values())
+      // As many passages per note as one query returns, best first
+      .map(hit => ({ ...hit, passages: hit.passages.sort((a, b) => b.score - a.score).slice(0, hit.maxPassages) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+
+    if (hits.length === 0) {
+      return [];
+    }
+
+    const notes = await Note.find({
+      ...noteQuery,
+      _id: { $in: hits.map(hit => hit.id) },
+      user: userId
+    }).lean();
+
+    // Keep similarity order and attach the matched passages
+    return hits.map(hit => {
+      const note = notes.find(n => n._id.toString() === hit.id);
+      return note ? {
+        note,
+        score: hit.score,
+        passages: this.resolvePassages(note.content, hit.passages),
+        ...(queries.length > 1 && { matchedQueries: hit.queries })
+      } : null;
+    }).filter(Boolean);
+  }
+
+  /**
+   * Build a query representing a whole note
+   * Averages the note's stored chunk vectors, embedding the content only when none are stored
+   * @param {object} note - Note document
+   * @returns {Promise<{vector: number[], model: string}>} - Query for retrieve()
+   */
+  async getNoteQueryVector(note) {
+    const chunkVectors = vectorStore.getNoteVectors(note._id);
+
+    if (chunkVectors.length === 0) {
+      return vectorStore.embedQuery(note.content);
+    }
+
+    const centroid = new Array(chunkVectors[0].vector.length).fill(0);
+    for (const { vector } of chunkVectors) {
+      const normalized = vectorStore.normalizeVector(vector);
+      for (let i = 0; i < centroid.length; i++) {
+        centroid[i] += normalized[i] / chunkVectors.length;
+      }
+    }
+
+    return { vector: centroid, model: vectorStore.model };
+  }
+
+  /**
+   * Attach passage text to search hits, dropping offsets that no longer fit the content
+   * @param {string} content - Current note content
+   * @param {Array<{chunkIndex: number, start: number, end: number, score: number}>} passages - Matched passages
+   * @returns {Array<{chunkIndex: number, start: number, end: number, score: number, text: string}>}
+   */
+  resolvePassages(content, passages = []) {
+    return passages
+      .filter(p => p.start !== null && p.end !== null && p.end <= content.length)
+      .map(p => ({ ...p, text: content.slice(p.start, p.end) }));
+  }
+
+  /**
+   * Build the text sent to the LLM for a retrieved note
+   * Uses the matched passages in document order, or the note start for legacy whole-note vectors
+   * @param {string} content - Note content
+   * @param {Array} passages - Resolved passages
+   * @returns {string} - Context text
+   */
+  buildContextText(content, passages = []) {
+    if (passages.length === 0) {
+      return content.substring(0, chunkingService.chunkSize);
+    }
+
+    return [...passages]
+      .sort((a, b) => a.start - b.start)
+      .map(p => p.text)
+      .join('\n...\n');
+  }
+
+  /**
+   * Short preview for a retrieved note, taken from its best passage
+   * @param {object} note - Note document
+   * @param {Array} passages - Resolved passages
+   * @param {number} length - Preview length
+   * @returns {string} - Preview text
+   */
+  buildPreview(note, passages = [], length = 200) {
+    const text = passages[0]?.text || note.content;
+    return text.length > length ? text.substring(0, length) + '...' : text;
+  }
+}
+
+// Export singleton instance
+module.exports = new RetrievalService();
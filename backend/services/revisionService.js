@@ -0,0 +1,225 @@
+/**
+ * Revision Service
+ * Keeps a snapshot of a note's title, content, tags and category for every saved
+ * version, and compares or restores them
+ */
+
+const Note = require('../models/Note');
+const NoteRevision = require('../models/NoteRevision');
+const { diffLines, diffStats } = require('../utils/diff');
+const logger = require('../utils/logger');
+
+class RevisionService {
+  // Getter to read env vars at runtime (after dotenv loads)
+  get maxRevisions() {
+    return parseInt(process.env.NOTE_REVISION_LIMIT) || 100;
+  }
+
+  /**
+   * The versioned fields of a note
+   * @param {object} note - Note document
+   * @returns {{title: string, content: string, tags: string[], category: string}}
+   */
+  snapshot(note) {
+    return {
+      title: note.title,
+      content: note.content,
+      tags: [...(note.tags || [])],
+      category: note.category
+    };
+  }
+
+  /**
+   * Whether two snapshots differ in any versioned field
+   */
+  isChanged(before, after) {
+    return before.title !== after.title ||
+      before.content !== after.content ||
+      before.category !== after.category ||
+      before.tags.join('\u0000') !== after.tags.join('\u0000');
+  }
+
+  async getLatestVersion(noteId) {
+    const latest = await NoteRevision.findOne({ note: noteId }).sort({ version: -1 }).select('version').lean();
+    return latest ? latest.version : 0;
+  }
+
+  /**
+   * Allocate the note's next version number with an atomic $inc, so concurrent saves
+   * never get the same one
+   * Notes saved before the counter existed start it at their newest revision
+   * @param {string} noteId - Note ID
+   * @returns {Promise<number>}
+   */
+  async nextVersion(noteId) {
+    const increment = () => Note.findOneAndUpdate(
+      { _id: noteId, latestVersion: { $exists: true } },
+      { $inc: { latestVersion: 1 } },
+      { new: true, projection: { latestVersion: 1 }, timestamps: false }
+    ).lean();
+
+    let note = await increment();
+    if (!note) {
+      const latest = await this.getLatestVersion(noteId);
+      await Note.updateOne(
+        { _id: noteId, latestVersion: { $exists: false } },
+        { $set: { latestVersion: latest } },
+        { timestamps: false }
+      );
+      note = await increment();
+    }
+    if (!note) {
+      throw new Error(`Note ${noteId} not found`);
+    }
+
+    return note.latestVersion;
+  }
+
+  /**
+   * Store the note's current state as its next version
+   * @param {object} note - Note document (already saved)
+   * @param {string} authorId - User who made the change
+   * @param {string} reason - 'create' | 'update' | 'restore' | 'baseline' | 'merge' | 'auto-apply'
+   * @param {number} restoredFrom - Version copied by a restore
+   * @param {object} snapshot - Versioned fields to store (defaults to the note's current ones)
+   * @returns {Promise<object>} - Created revision
+   */
+  async recordRevision(note, authorId, reason = 'update', restoredFrom = null, snapshot = this.snapshot(note)) {
+    const version = await this.nextVersion(note._id);
+
+    const revision = await NoteRevision.create({
+      note: note._id,
+      user: note.user,
+      version,
+      author: authorId || null,
+      reason,
+      restoredFrom,
+      ...snapshot
+    });
+
+    await this.prune(note._id);
+    return revision;
+  }
+
+  /**
+   * Notes created before revisions existed have no history; record the state
+   * they had before their first change so it can still be restored
+   * @param {object} note - Note document
+   * @param {object} before - Snapshot taken before the change
+   */
+  async ensureBaseline(note, before) {
+    const exists = await NoteRevision.exists({ note: note._id });
+    if (!exists) {
+      await this.recordRevision(note, null, 'baseline', null, before);
+    }
+  }
+
+  /**
+   * Drop the oldest versions beyond the retention limit
+   */
+  async prune(noteId) {
+    const stale = await NoteRevision.find({ note: noteId })
+      .sort({ version: -1 })
+      .skip(this.maxRevisions)
+      .select('_id')
+      .lean();
+
+    if (stale.length > 0) {
+      await NoteRevision.deleteMany({ _id: { $in: stale.map(r => r._id) } });
+      logger.debug(`Pruned ${stale.length} old revisions of note ${noteId}`);
+    }
+  }
+
+  /**
+   * List a note's versions, newest first, without their text
+   * @returns {Promise<Array>}
+   */
+  async listRevisions(noteId) {
+    const revisions = await NoteRevision.find({ note: noteId })
+      .sort({ version: -1 })
+      .populate('author', 'name')
+      .lean();
+
+    return revisions.map(({ content, ...revision }) => ({
+      ...revision,
+      characterCount: content.length
+    }));
+  }
+
+  async getRevision(noteId, version) {
+    return NoteRevision.findOne({ note: noteId, version }).populate('author', 'name').lean();
+  }
+
+  /**
+   * Compare two versions of a note
+   * @param {string} noteId - Note ID
+   * @param {number} fromVersion - Older version
+   * @param {number} toVersion - Newer version (defaults to the latest)
+   * @returns {Promise<object|null>} - null if either version does not exist
+   */
+  async compare(noteId, fromVersion, toVersion) {
+    const to = toVersion || await this.getLatestVersion(noteId);
+    const [from, target] = await Promise.all([
+      this.getRevision(noteId, fromVersion),
+      this.getRevision(noteId, to)
+    ]);
+
+    if (!from || !target) {
+      return null;
+    }
+
+    const content = diffLines(from.content, target.content);
+    const meta = ({ version, reason, restoredFrom, author, createdAt }) => ({ version, reason, restoredFrom, author, createdAt });
+
+    return {
+      from: meta(from),
+      to: meta(target),
+      title: { from: from.title, to: target.title, changed: from.title !== target.title },
+      category: { from: from.category, to: target.category, changed: from.category !== target.category },
+      tags: {
+        added: target.tags.filter(tag => !from.tags.includes(tag)),
+        removed: from.tags.filter(tag => !target.tags.includes(tag))
+      },
+      content,
+      stats: diffStats(content)
+    };
+  }
+
+  /**
+   * Restore a note to an earlier version, recorded as a new version
+   * @param {object} note - Note document
+   * @param {number} version - Version to restore
+   * @param {string} authorId - User restoring it
+   * @returns {Promise<{revision: object|null, changed: boolean}|null>} - null if the version does not exist
+   */
+  async restore(note, version, authorId) {
+    const source = await this.getRevision(note._id, version);
+    if (!source) {
+      return null;
+    }
+
+    const before = this.snapshot(note);
+    if (!this.isChanged(before, this.snapshot(source))) {
+      return { revision: null, changed: false };
+    }
+
+    note.title = source.title;
+    note.content = source.content;
+    note.tags = source.tags;
+    note.category = source.category;
+    await note.save();
+
+    const revision = await this.recordRevision(note, authorId, 'restore', version);
+    return { revision, changed: true };
+  }
+
+  /**
+   * Delete a note's history
+   */
+  async removeNote(noteId) {
+    await NoteRevision.deleteMany({ note: noteId });
+  }
+}
+
+// Export singleton instance
+module.exports = new RevisionService();
@@ -0,0 +1,182 @@
+/**
+ * Saved Search Service
+ * Runs saved searches as live smart collections: each one's query and filters are searched
+ * in its mode, and matches that weren't there when it was last viewed are counted as new
+ */
+
+const SavedSearch = require('../models/SavedSearch');
+const searchService = require('./searchService');
+const { parseQuery } = require('../utils/queryParser');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+class SavedSearchService {
+  // Getter to read env vars at runtime (after dotenv loads)
+  get resultLimit() {
+    return parseInt(process.env.SAVED_SEARCH_LIMIT) || 50;
+  }
+
+  /**
+   * Combine a saved search's query and filters into one query string
+   * @param {object} saved - { query, filters }
+   * @returns {string} - e.g. 'postmortem tag:incident after:last-week'
+   */
+  toQueryString({ query = '', filters = {} }) {
+    const operator = (name, value) => {
+      const clean = String(value).replace(/"/g, '').trim();
+      return clean ? `${name}:${/\s/.test(clean) ? `"${clean}"` : clean}` : null;
+    };
+
+    const tokens = [
+      query.trim(),
+      ...(filters.tags || []).map(tag => operator('tag', tag)),
+      ...(filters.categories || []).map(category => operator('category', category)),
+      ...(filters.colors || []).map(color => operator('color', color))
+    ];
+
+    if (filters.pinned === true) tokens.push('is:pinned');
+    if (filters.pinned === false) tokens.push('-is:pinned');
+    if (filters.archived === true) tokens.push('is:archived');
+    if (filters.after) tokens.push(operator('after', filters.after));
+    if (filters.before) tokens.push(operator('before', filters.before));
+
+    return tokens.filter(Boolean).join(' ');
+  }
+
+  /**
+   * Parse a saved search, rejecting one that searches for nothing or doesn't parse
+   * @param {object} saved - { query, filters }
+   * @returns {object} - Result of parseQuery()
+   */
+  parse(saved) {
+    const queryString = this.toQueryString(saved);
+    if (!queryString) {
+      throw new AppError('A saved search needs a query or at least one filter', 400);
+    }
+
+    const parsed = parseQuery(queryString);
+    if (parsed.errors.length > 0) {
+      throw new AppError(parsed.errors.join('; '), 400);
+    }
+    return parsed;
+  }
+
+  /**
+   * Run a saved search
+   * @param {object} user - Owner of the saved search
+   * @param {object} saved - SavedSearch document
+   * @returns {Promise<object[]>} - Matching notes, best first, each flagged isNew
+   */
+  async run(user, saved) {
+    const results = await searchService.run(user, this.parse(saved), {
+      mode: saved.mode,
+      limit: this.resultLimit,
+      semanticWeight: saved.semanticWeight
+    });
+
+    // Nothing is new until the collection has been viewed once
+    const tracking = saved.trackNew && saved.lastViewedAt;
+    const seen = new Set((saved.seenNoteIds || []).map(id => id.toString()));
+
+    return results.map(note => ({
+      ...note,
+      isNew: Boolean(tracking && !seen.has(note._id.toString()))
+    }));
+  }
+
+  /**
+   * A saved search with its current result count and number of new matches
+   * @param {object} user - Owner of the saved search
+   * @param {object} saved - SavedSearch document
+   * @param {object[]} results - Results of run(), when already available
+   * @returns {Promise<object>} - The saved search without seenNoteIds, plus queryString, count,
+   *   newCount and limited (more notes match than were counted); error is set instead of the
+   *   counts when the search failed
+   */
+  async summarize(user, saved, results = null) {
+    const { seenNoteIds, ...summary } = saved.toObject();
+    summary.queryString = this.toQueryString(saved);
+
+    try {
+      const matches = results || await this.run(user, saved);
+      return {
+        ...summary,
+        count: matches.length,
+        newCount: matches.filter(note => note.isNew).length,
+        limited: matches.length >= this.resultLimit
+      };
+    } catch (error) {
+      logger.warn(`Saved search ${saved._id} failed: ${error.message}`);
+      return { ...summary, count: null, newCount: 0, limited: false, error: error.message };
+    }
+  }
+
+  /**
+   * List a user's saved searches with their counts
+   * @param {object} user - Owner of the saved searches
+   * @returns {Promise<object[]>} - Oldest first
+   */
+  async list(user) {
+    const savedSearches = await SavedSearch.find({ user: user._id }).sort({ createdAt: 1 });
+
+    // One at a time, as each search may embed a query or call a re-ranker
+    const summaries = [];
+    for (const saved of savedSearches) {
+      summaries.push(await this.summarize(user, saved));
+    }
+    return summaries;
+  }
+
+  /**
+   * Record that a saved search's results have been seen, so later matches count as new
+   * @param {object} saved - SavedSearch document
+   * @param {object[]} results - Results the user was shown
+   * @returns {Promise<object>} - The updated document
+   */
+  async markViewed(saved, results) {
+    saved.lastViewedAt = new Date();
+    saved.seenNoteIds = results.map(note => note._id);
+    return saved.save();
+  }
+
+  /**
+   * Run a saved search for viewing: flags new matches, then marks them as seen
+   * @param {object} user - Owner of the saved search
+   * @param {object} saved - SavedSearch document
+   * @returns {Promise<{results: object[], savedSearch: object}>} - savedSearch counts the
+   *   matches that were new before this view
+   */
+  async view(user, saved) {
+    const results = await this.run(user, saved);
+    const savedSearch = await this.summarize(user, saved, results);
+
+    await this.markViewed(saved, results);
+    return { results, savedSearch: { ...savedSearch, lastViewedAt: saved.lastViewedAt } };
+  }
+
+  /**
+   * Set the current matches as the baseline for new-match counts, after the saved search is
+   * created or its search changes
+   * @param {object} user - Owner of the saved search
+   * @param {object} saved - SavedSearch document
+   * @returns {Promise<object>} - Summary with the current count
+   */
+  async resetBaseline(user, saved) {
+    let results;
+    try {
+      results = await this.run(user, saved);
+    } catch (error) {
+      // New matches are counted from the first view instead
+      saved.lastViewedAt = null;
+      saved.seenNoteIds = [];
+      await saved.save();
+      return this.summarize(user, saved);
+    }
+
+    await this.markViewed(saved, results);
+    return this.summarize(user, saved, results.map(note => ({ ...note, isNew: false })));
+  }
+}
+
+// Export singleton instance
+module.exports = new SavedSearchService();
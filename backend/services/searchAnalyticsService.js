@@ -0,0 +1,301 @@
+/**
+ * Search Analytics Service
+ * Logs each search (query, mode, latency, result count, top score and the result clicked)
+ * for users who haven't opted out, and reports top queries, queries without results,
+ * low-confidence semantic queries and click-through rates
+ */
+
+const mongoose = require('mongoose');
+const SearchLog = require('../models/SearchLog');
+const logger = require('../utils/logger');
+
+// Searches typed in quick succession (each extending or trimming the last) are kept as one
+const TYPING_WINDOW_MS = 10000;
+
+class SearchAnalyticsService {
+  // Getters to read env vars at runtime (after dotenv loads)
+  get enabled() {
+    return process.env.SEARCH_ANALYTICS !== 'false';
+  }
+
+  get retentionDays() {
+    return parseInt(process.env.SEARCH_LOG_RETENTION_DAYS) || 90;
+  }
+
+  get lowConfidence() {
+    const threshold = parseFloat(process.env.SEARCH_LOW_CONFIDENCE);
+    return Number.isNaN(threshold) ? 0.4 : threshold;
+  }
+
+  /**
+   * Whether a user's searches are logged
+   * @param {object} user - Searching user
+   * @returns {boolean}
+   */
+  isTracking(user) {
+    return this.enabled && user?.preferences?.searchAnalytics !== false;
+  }
+
+  /**
+   * Lowercase a query and collapse its whitespace, so repeats group together
+   * @param {string} query - Query as typed
+   * @returns {string}
+   */
+  normalize(query) {
+    return query.trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+
+  /**
+   * Log a search without delaying the response
+   * @param {object} user - Searching user
+   * @param {object} search - { query, mode, startedAt (ms timestamp), results }
+   * @returns {string|null} - Id to report clicks against, or null when not logged
+   */
+  record(user, { query, mode, startedAt, results }) {
+    if (!this.isTracking(user) || !query?.trim()) {
+      return null;
+    }
+
+    const log = new SearchLog({
+      _id: new mongoose.Types.ObjectId(),
+      user: user._id,
+      query: query.trim().substring(0, 500),
+      normalizedQuery: this.normalize(query).substring(0, 500),
+      mode,
+      latencyMs: Date.now() - startedAt,
+      resultsCount: results.length,
+      ...this.scoresOf(mode, results),
+      expireAt: new Date(Date.now() + this.retentionDays * 24 * 60 * 60 * 1000)
+    });
+
+    this.save(log).catch(error => logger.warn(`Search log failed: ${error.message}`));
+    return log._id.toString();
+  }
+
+  /**
+   * Save a log, replacing the unclicked log of a search it continues (search-as-you-type
+   * sends "inc", "incid", "incident" within moments of each other)
+   * @param {object} log - Unsaved SearchLog document
+   */
+  async save(log) {
+    await SearchLog.deleteMany({
+      user: log.user,
+      mode: log.mode,
+      clicks: 0,
+      createdAt: { $gte: new Date(Date.now() - TYPING_WINDOW_MS) },
+      $expr: {
+        $or: [
+          { $eq: [{ $indexOfCP: [log.normalizedQuery, '$normalizedQuery'] }, 0] },
+          { $eq: [{ $indexOfCP: ['$normalizedQuery', log.normalizedQuery] }, 0] }
+        ]
+      }
+    });
+    await log.save();
+  }
+
+  /**
+   * The top result's score and the best similarity among the results
+   * @param {string} mode - semantic, keyword or hybrid
+   * @param {object[]} results - Search results, best first
+   * @returns {{topScore: number|null, topSimilarity: number|null}}
+   */
+  scoresOf(mode, results) {
+    if (results.length === 0) {
+      return { topScore: null, topSimilarity: null };
+    }
+
+    const [top] = results;
+    if (mode === 'keyword') {
+      return { topScore: typeof top.score === 'number' ? top.score : null, topSimilarity: null };
+    }
+
+    const similarities = results
+      .map(result => mode === 'semantic' ? result.similarityScore : result.ranking?.semantic?.score)
+      .filter(score => typeof score === 'number');
+    const topSimilarity = similarities.length > 0 ? Math.max(...similarities) : null;
+
+    const topScore = mode === 'semantic'
+      ? (top.rerankScore ?? top.similarityScore ?? null)
+      : (top.scores ? parseFloat(top.scores.total) : null);
+
+    return { topScore, topSimilarity };
+  }
+
+  /**
+   * Record a click on a search result; the first click is kept as the clicked result
+   * @param {string} userId - Searching user
+   * @param {string} searchId - Id returned by record()
+   * @param {string} noteId - Clicked note
+   * @param {number} rank - 1-based position of the clicked result
+   * @returns {Promise<boolean>} - false when the search isn't logged (opted out or expired)
+   */
+  async recordClick(userId, searchId, noteId, rank) {
+    const log = await SearchLog.findOne({ _id: searchId, user: userId });
+    if (!log) {
+      return false;
+    }
+
+    if (!log.clickedNoteId) {
+      log.clickedNoteId = noteId;
+      log.clickedRank = rank || null;
+      log.clickedAt = new Date();
+    }
+    log.clicks += 1;
+    await log.save();
+    return true;
+  }
+
+  /**
+   * Delete a user's search logs
+   * @param {string} userId - Owner of the logs
+   * @returns {Promise<number>} - Number deleted
+   */
+  async clear(userId) {
+    const { deletedCount } = await SearchLog.deleteMany({ user: userId });
+    return deletedCount;
+  }
+
+  /**
+   * Match stage for a report
+   * @param {object} options - { userId (omit for every user), days }
+   * @returns {object}
+   */
+  scope({ userId, days = 30 }) {
+    return {
+      ...(userId && { user: new mongoose.Types.ObjectId(userId.toString()) }),
+      createdAt: { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) }
+    };
+  }
+
+  /**
+   * Most frequent queries
+   * @param {object} options - { userId, days, limit }
+   * @returns {Promise<object[]>} - { query, count, avgResults, zeroResults, clicked, lastSearchedAt }
+   */
+  async topQueries({ limit = 20, ...options } = {}) {
+    return SearchLog.aggregate([
+      { $match: this.scope(options) },
+      { $sort: { createdAt: -1 } },
+      {
+        $group: {
+          _id: '$normalizedQuery',
+          query: { $first: '$query' },
+          count: { $sum: 1 },
+          avgResults: { $avg: '$resultsCount' },
+          zeroResults: { $sum: { $cond: [{ $eq: ['$resultsCount', 0] }, 1, 0] } },
+          clicked: { $sum: { $cond: [{ $gt: ['$clicks', 0] }, 1, 0] } },
+          lastSearchedAt: { $first: '$createdAt' }
+        }
+      },
+      { $sort: { count: -1, lastSearchedAt: -1 } },
+      { $limit: limit },
+      { $project: { _id: 0 } }
+    ]);
+  }
+
+  /**
+   * Queries that returned nothing
+   * @param {object} options - { userId, days, limit }
+   * @returns {Promise<object[]>} - { query, count, modes, lastSearchedAt }
+   */
+  async zeroResultQueries({ limit = 20, ...options } = {}) {
+    return SearchLog.aggregate([
+      { $match: { ...this.scope(options), resultsCount: 0 } },
+      { $sort: { createdAt: -1 } },
+      {
+        $group: {
+          _id: '$normalizedQuery',
+          query: { $first: '$query' },
+          count: { $sum: 1 },
+          modes: { $addToSet: '$mode' },
+          lastSearchedAt: { $first: '$createdAt' }
+        }
+      },
+      { $sort: { count: -1, lastSearchedAt: -1 } },
+      { $limit: limit },
+      { $project: { _id: 0 } }
+    ]);
+  }
+
+  /**
+   * Semantic and hybrid queries whose best match was not very similar (below
+   * SEARCH_LOW_CONFIDENCE), so the notes probably don't answer them
+   * @param {object} options - { userId, days, limit }
+   * @returns {Promise<{threshold: number, queries: object[]}>} - { query, count, avgSimilarity,
+   *   bestSimilarity, lastSearchedAt }, least similar first
+   */
+  async lowConfidenceQueries({ limit = 20, ...options } = {}) {
+    const threshold = this.lowConfidence;
+    const queries = await SearchLog.aggregate([
+      {
+        $match: {
+          ...this.scope(options),
+          mode: { $in: ['semantic', 'hybrid'] },
+          resultsCount: { $gt: 0 },
+          topSimilarity: { $ne: null, $lt: threshold }
+        }
+      },
+      { $sort: { createdAt: -1 } },
+      {
+        $group: {
+          _id: '$normalizedQuery',
+          query: { $first: '$query' },
+          count: { $sum: 1 },
+          avgSimilarity: { $avg: '$topSimilarity' },
+          bestSimilarity: { $max: '$topSimilarity' },
+          lastSearchedAt: { $first: '$createdAt' }
+        }
+      },
+      { $sort: { bestSimilarity: 1, count: -1 } },
+      { $limit: limit },
+      { $project: { _id: 0 } }
+    ]);
+
+    return { threshold, queries };
+  }
+
+  /**
+   * Share of searches with results where a result was clicked, overall and per mode
+   * @param {object} options - { userId, days }
+   * @returns {Promise<object>} - { searches, withResults, clicked, rate, avgClickedRank,
+   *   avgLatencyMs, zeroResults, byMode: [...same per mode] }
+   */
+  async clickThrough(options = {}) {
+    const stats = {
+      searches: { $sum: 1 },
+      withResults: { $sum: { $cond: [{ $gt: ['$resultsCount', 0] }, 1, 0] } },
+      zeroResults: { $sum: { $cond: [{ $eq: ['$resultsCount', 0] }, 1, 0] } },
+      clicked: { $sum: { $cond: [{ $gt: ['$clicks', 0] }, 1, 0] } },
+      avgClickedRank: { $avg: '$clickedRank' },
+      avgLatencyMs: { $avg: '$latencyMs' }
+    };
+
+    const [result] = await SearchLog.aggregate([
+      { $match: this.scope(options) },
+      {
+        $facet: {
+          overall: [{ $group: { _id: null, ...stats } }],
+          byMode: [{ $group: { _id: '$mode', ...stats } }, { $sort: { searches: -1 } }]
+        }
+      }
+    ]);
+
+    const withRate = ({ _id, ...group }) => ({
+      ...group,
+      avgLatencyMs: Math.round(group.avgLatencyMs || 0),
+      rate: group.withResults > 0 ? group.clicked / group.withResults : 0
+    });
+
+    const overall = result.overall[0]
+      ? withRate(result.overall[0])
+      : withRate({ searches: 0, withResults: 0, zeroResults: 0, clicked: 0, avgClickedRank: null, avgLatencyMs: 0 });
+
+    return {
+      ...overall,
+      byMode: result.byMode.map(group => ({ mode: group._id, ...withRate(group) }))
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new SearchAnalyticsService();
@@ -0,0 +1,409 @@
+/**
+ * Search Service
+ * Applies structured query filters (see utils/queryParser) to a user's notes, and runs
+ * hybrid search: semantic and keyword retrieval fused into one ranking, recording for
+ * every result how each list contributed to its score
+ */
+
+const Note = require('../models/Note');
+const vectorStore = require('./vectorStore');
+const bm25Service = require('./bm25Service');
+const retrievalService = require('./retrievalService');
+const rerankService = require('./rerankService');
+const llmService = require('./llmService');
+const snippetService = require('./snippetService');
+const { OPERATORS, IS_VALUES, NOTE_COLORS } = require('../utils/queryParser');
+const { buildAttributeFilter } = require('../utils/noteAttributes');
+
+const DATE_EXAMPLES = ['today', 'yesterday', '7d', '30d', '6m', '1y', 'last-week', 'last-month', 'last-year'];
+
+class SearchService {
+  // Getter to read env vars at runtime (after dotenv loads)
+  get rrfK() {
+    return parseInt(process.env.RRF_K) || 60;
+  }
+
+  /**
+   * Escape text for use inside a regular expression
+   * @param {string} text - Literal text
+   * @returns {string}
+   */
+  escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Case-insensitive whole-value match
+   * @param {string} value - Literal value
+   * @returns {RegExp}
+   */
+  exactly(value) {
+    return new RegExp(`^${this.escapeRegex(value)}$`, 'i');
+  }
+
+  /**
+   * Autocomplete the search operator at the end of a query
+   * "ta" suggests tag:, "tag:wo" suggests the user's tags starting with "wo"
+   * @param {string} userId - Owner of the notes
+   * @param {string} query - Query as typed
+   * @param {number} limit - Maximum number of suggestions
+   * @returns {Promise<{complete: boolean, suggestions: object[]}>} - complete is set when an
+   *   operator value is being typed, so other suggestions don't apply; each suggestion's value
+   *   replaces the query's last word
+   */
+  async suggestOperators(userId, query, limit = 5) {
+    const token = /\s$/.test(query) ? '' : query.split(/\s+/).pop();
+    const valueMatch = token.match(/^(-?)([a-zA-Z]+):"?([^"]*)$/);
+
+    if (valueMatch && OPERATORS[valueMatch[2].toLowerCase()]) {
+      const [, negated, name, partial] = valueMatch;
+      const operator = name.toLowerCase();
+
+      let values;
+      if (operator === 'tag') values = await Note.distinct('tags', { user: userId });
+      else if (operator === 'category') values = await Note.distinct('category', { user: userId });
+      else if (operator === 'is') values = IS_VALUES;
+      else if (operator === 'color') values = Object.keys(NOTE_COLORS);
+      else values = DATE_EXAMPLES;
+
+      const lower = partial.toLowerCase();
+      const suggestions = values
+        .filter(value => value && value.toLowerCase().startsWith(lower) && value.toLowerCase() !== lower)
+        .slice(0, limit)
+        .map(value => ({
+          type: 'operator',
+          value: `${negated}${operator}:${/\s/.test(value) ? `"${value}"` : value}`,
+          description: OPERATORS[operator]
+        }));
+
+      return { complete: true, suggestions };
+    }
+
+    const nameMatch = token.match(/^(-?)([a-zA-Z]+)$/);
+    if (!nameMatch) {
+      return { complete: false, suggestions: [] };
+    }
+
+    const [, negated, partial] = nameMatch;
+    const suggestions = Object.keys(OPERATORS)
+      .filter(operator => operator.startsWith(partial.toLowerCase()))
+      .map(operator => ({ type: 'operator', value: `${negated}${operator}:`, description: OPERATORS[operator] }));
+
+    return { complete: false, suggestions };
+  }
+
+  /**
+   * Build the MongoDB conditions for a parsed query's filters, phrases and exclusions
+   * Archived notes are only searched with is:archived
+   * @param {string} userId - Owner of the notes
+   * @param {object} parsed - Result of parseQuery()
+   * @returns {object} - Note query
+   */
+  buildNoteQuery(userId, { filters, phrases, exclude }) {
+    const query = { user: userId, isArchived: filters.archived ?? false };
+    const and = [];
+
+    if (filters.pinned !== undefined) query.isPinned = filters.pinned;
+
+    // Every tag is required; one of several categories or colors is enough
+    filters.tags.forEach(tag => and.push({ tags: this.exactly(tag) }));
+    if (filters.notTags.length > 0) and.push({ tags: { $nin: filters.notTags.map(value => this.exactly(value)) } });
+    if (filters.categories.length > 0) and.push({ category: { $in: filters.categories.map(value => this.exactly(value)) } });
+    if (filters.notCategories.length > 0) and.push({ category: { $nin: filters.notCategories.map(value => this.exactly(value)) } });
+    if (filters.colors.length > 0) and.push({ color: { $in: filters.colors.map(value => this.exactly(value)) } });
+    if (filters.notColors.length > 0) and.push({ color: { $nin: filters.notColors.map(value => this.exactly(value)) } });
+
+    if (filters.before || filters.after) {
+      query.createdAt = {};
+      if (filters.before) query.createdAt.$lt = filters.before;
+      if (filters.after) query.createdAt.$gte = filters.after;
+    }
+
+    phrases.forEach((phrase) => {
+      const pattern = new RegExp(this.escapeRegex(phrase), 'i');
+      and.push({ $or: [{ title: pattern }, { content: pattern }] });
+    });
+    exclude.forEach((text) => {
+      const pattern = new RegExp(`\\b${this.escapeRegex(text)}\\b`, 'i');
+      and.push({ title: { $not: pattern }, content: { $not: pattern } });
+    });
+
+    if (and.length > 0) query.$and = and;
+    return query;
+  }
+
+  /**
+   * Pre-filter for the vector and BM25 indexes from a parsed query
+   * Operators are checked against the note attributes kept in the indexes; only phrases and
+   * exclusions, which need the note text, are looked up in MongoDB
+   * @param {string} userId - Owner of the notes
+   * @param {object} parsed - Result of parseQuery()
+   * @returns {Promise<object|null>} - { attributes, noteIds? }, or null when no note can match
+   */
+  async buildIndexFilter(userId, parsed) {
+    const filter = { attributes: buildAttributeFilter(parsed.filters) };
+    if (parsed.phrases.length === 0 && parsed.exclude.length === 0) {
+      return filter;
+    }
+
+    const notes = await Note.find(this.buildNoteQuery(userId, parsed)).select('_id').lean();
+    return notes.length > 0 ? { ...filter, noteIds: notes.map(note => note._id.toString()) } : null;
+  }
+
+  /**
+   * List the notes that pass a query's filters when it has no text to rank by
+   * @param {string} userId - Owner of the notes
+   * @param {object} parsed - Result of parseQuery()
+   * @param {object} options - Optional { limit, skip }
+   * @returns {Promise<object[]>} - Pinned first, then most recently updated, with snippets
+   */
+  async browse(userId, parsed, { limit = 20, skip = 0 } = {}) {
+    const notes = await Note.find(this.buildNoteQuery(userId, parsed))
+      .sort({ isPinned: -1, updatedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    return notes.map(note => ({ ...note, ...this.describeMatch(note, parsed) }));
+  }
+
+  /**
+   * Show why a note matched a query
+   * @param {object} note - Matched note
+   * @param {object} parsed - Result of parseQuery()
+   * @param {object} options - Optional { passages, prefer } for snippetService.build()
+   * @returns {{preview: string, snippet: object, titleHighlights: Array<{start: number, end: number}>}}
+   */
+  describeMatch(note, parsed, options = {}) {
+    const snippet = snippetService.build(note.content, parsed, options);
+    return {
+      preview: snippetService.toPreview(snippet),
+      snippet,
+      titleHighlights: snippetService.highlight(note.title, parsed)
+    };
+  }
+
+  /**
+   * Run a parsed query in one of the search modes
+   * @param {object} user - Requesting user
+   * @param {object} parsed - Result of parseQuery()
+   * @param {object} options - { mode: 'semantic'|'keyword'|'hybrid', limit }, plus
+   *   semanticWeight, fusion and keywordScorer for hybrid
+   * @returns {Promise<object[]>} - Matching notes, best first
+   */
+  async run(user, parsed, options = {}) {
+    const { mode = 'hybrid', ...searchOptions } = options;
+
+    if (mode === 'semantic') {
+      const { results } = await this.semantic(user, parsed, searchOptions);
+      return results;
+    }
+    if (mode === 'keyword') {
+      return this.keyword(user._id, parsed, searchOptions);
+    }
+    return this.hybrid(user._id, parsed, searchOptions);
+  }
+
+  /**
+   * Search a user's notes by meaning, re-ranked when a re-ranker is configured
+   * @param {object} user - Requesting user (the LLM re-ranker uses their provider preferences)
+   * @param {object} parsed - Result of parseQuery(); its filters pre-filter the vector search
+   * @param {object} options - Optional { limit }
+   * @returns {Promise<{results: object[], trace: object|null}>} - Notes with similarity scores,
+   *   snippet and passages, and the re-ranking trace
+   */
+  async semantic(user, parsed, { limit = 10 } = {}) {
+    // Only operators, nothing to compare meaning with
+    if (!parsed.text) {
+      return { results: await this.browse(user._id, parsed, { limit }), trace: null };
+    }
+
+    const filter = await this.buildIndexFilter(user._id, parsed);
+    if (!filter) {
+      return { results: [], trace: null };
+    }
+
+    // Embed the query with the model the index was built with; the note query drops hits whose
+    // indexed attributes were behind the note
+    const queryEmbedding = await vectorStore.embedQuery(parsed.text);
+    const { retrieved, trace } = await rerankService.retrieve(queryEmbedding, parsed.text, user._id, limit, {
+      filter,
+      noteQuery: this.buildNoteQuery(user._id, parsed),
+      llmOptions: llmService.optionsForUser(user)
+    });
+
+    const results = retrieved.map(({ note, score, rerankScore, passages }) => ({
+      ...note,
+      similarityScore: score,
+      ...(rerankScore !== undefined && { rerankScore }),
+      ...this.describeMatch(note, parsed, { passages, prefer: 'semantic' }),
+      passages
+    }));
+
+    return { results, trace };
+  }
+
+  /**
+   * Search a user's notes with the MongoDB text index
+   * @param {string} userId - Owner of the notes
+   * @param {object} parsed - Result of parseQuery()
+   * @param {object} options - Optional { limit, skip }
+   * @returns {Promise<object[]>} - Notes with text scores and snippets
+   */
+  async keyword(userId, parsed, { limit = 20, skip = 0 } = {}) {
+    if (!parsed.text) {
+      return this.browse(userId, parsed, { limit, skip });
+    }
+
+    // Phrases are passed on quoted, which $text also treats as phrases
+    const notes = await Note.searchNotes(parsed.text, {
+      limit,
+      skip,
+      userId,
+      filter: this.buildNoteQuery(userId, parsed)
+    }).lean();
+
+    return notes.map(note => ({ ...note, ...this.describeMatch(note, parsed) }));
+  }
+
+  /**
+   * Search a user's notes by meaning and keywords and fuse the results
+   * @param {string} userId - Owner of the notes
+   * @param {object} parsed - Result of parseQuery(); its filters apply to both searches
+   * @param {object} options - Optional { limit, semanticWeight, fusion, keywordScorer }
+   * @returns {Promise<object[]>} - Notes with scores, ranking explanation, snippet and passages
+   */
+  async hybrid(userId, parsed, options = {}) {
+    const { limit = 10, semanticWeight = 0.7, fusion = 'rrf', keywordScorer = 'bm25' } = options;
+    const depth = limit * 2;
+
+    if (!parsed.text) {
+      return this.browse(userId, parsed, { limit });
+    }
+
+    const filter = await this.buildIndexFilter(userId, parsed);
+    if (!filter) {
+      return [];
+    }
+
+    const queryEmbedding = await vectorStore.embedQuery(parsed.text);
+    const [semantic, keyword] = await Promise.all([
+      vectorStore.searchNotes(queryEmbedding, depth, { ...filter, userId: userId.toString() }),
+      this.keywordSearch(userId, parsed, depth, keywordScorer, filter)
+    ]);
+
+    const fused = this.fuse(semantic, keyword, { fusion, semanticWeight }).slice(0, limit);
+    const notes = await Note.find({
+      ...this.buildNoteQuery(userId, parsed),
+      _id: { $in: fused.map(result => result.id) }
+    }).lean();
+
+    return fused.map((result, index) => {
+      const note = notes.find(n => n._id.toString() === result.id);
+      if (!note) return null;
+
+      const passages = retrievalService.resolvePassages(note.content, result.passages);
+      return {
+        ...note,
+        ...this.describeMatch(note, parsed, { passages, prefer: result.keyword ? 'keyword' : 'semantic' }),
+        scores: {
+          total: result.total.toFixed(3),
+          semantic: (result.semantic?.contribution || 0).toFixed(3),
+          keyword: (result.keyword?.contribution || 0).toFixed(3)
+        },
+        ranking: {
+          position: index + 1,
+          fusion,
+          keywordScorer,
+          semanticWeight,
+          semantic: result.semantic,
+          keyword: result.keyword
+        },
+        passages
+      };
+    }).filter(Boolean);
+  }
+
+  /**
+   * Rank a user's notes by keywords
+   * @param {string} userId - Owner of the notes
+   * @param {object} parsed - Result of parseQuery()
+   * @param {number} limit - Number of notes to return
+   * @param {string} scorer - 'bm25' (in-process, field boosted) or 'text' (MongoDB text index)
+   * @param {object} filter - From buildIndexFilter(), for the BM25 index
+   * @returns {Promise<Array<{id: string, score: number, matches?: object}>>} - Best first
+   */
+  async keywordSearch(userId, parsed, limit, scorer, filter) {
+    if (scorer === 'text') {
+      const notes = await Note.searchNotes(parsed.text, {
+        limit,
+        userId,
+        filter: this.buildNoteQuery(userId, parsed)
+      }).lean();
+      return notes.map(note => ({ id: note._id.toString(), score: note.score }));
+    }
+
+    return bm25Service.search(userId, parsed.text, limit, filter);
+  }
+
+  /**
+   * Combine semantic and keyword results into one ranking
+   * @param {Array<{id: string, score: number}>} semantic - Semantic results, best first
+   * @param {Array<{id: string, score: number}>} keyword - Keyword results, best first
+   * @param {object} options - { fusion, semanticWeight }
+   * @returns {object[]} - { id, passages, total, semantic, keyword }, best first; semantic and
+   *   keyword hold each list's rank, raw score and contribution to the total, or null
+   */
+  fuse(semantic, keyword, { fusion = 'rrf', semanticWeight = 0.7 } = {}) {
+    const weights = { semantic: semanticWeight, keyword: 1 - semanticWeight };
+    const contribution = fusion === 'linear'
+      ? this.linearContribution(keyword)
+      : this.rrfContribution();
+
+    const byId = new Map();
+    const add = (source, results) => results.forEach((result, index) => {
+      if (!byId.has(result.id)) {
+        byId.set(result.id, { id: result.id, passages: [], total: 0, semantic: null, keyword: null });
+      }
+
+      const item = byId.get(result.id);
+      const rank = index + 1;
+      item[source] = {
+        rank,
+        score: result.score,
+        contribution: weights[source] * contribution(source, result, rank),
+        ...(result.matches && { matches: result.matches })
+      };
+      item.total += item[source].contribution;
+      if (result.passages) item.passages = result.passages;
+    });
+
+    add('semantic', semantic);
+    add('keyword', keyword);
+
+    return Array.from(byId.values()).sort((a, b) => b.total - a.total);
+  }
+
+  /**
+   * Reciprocal rank fusion: a result scores by its rank in each list, ignoring raw scores,
+   * scaled so first place in both lists totals 1
+   */
+  rrfContribution() {
+    const k = this.rrfK;
+    return (source, result, rank) => (k + 1) / (k + rank);
+  }
+
+  /**
+   * Score-normalized linear blending: cosine similarity is already on a fixed 0-1 scale,
+   * keyword scores are unbounded and are taken relative to the best keyword match
+   */
+  linearContribution(keyword) {
+    const maxKeyword = Math.max(0, ...keyword.map(result => result.score));
+    return (source, result) => source === 'semantic'
+      ? Math.min(Math.max(result.score, 0), 1)
+      : (maxKeyword > 0 ? result.score / maxKeyword : 0);
+  }
+}
+
+// Export singleton instance
+module.exports = new SearchService();
@@ -0,0 +1,195 @@
+/**
+ * Snippet Service
+ * Picks the part of a note that explains why it matched a search: the window with the most
+ * query terms for keyword matches, or the most similar chunk for semantic matches. Highlights
+ * are returned as character offsets so clients can mark them up without rendering HTML.
+ */
+
+const bm25Service = require('./bm25Service');
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+const SENTENCE_PATTERN = /[^.!?\n]+(?:[.!?]+|\n|$)\s*/g;
+
+class SnippetService {
+  // Getter to read env vars at runtime (after dotenv loads)
+  get length() {
+    return parseInt(process.env.SNIPPET_LENGTH) || 200;
+  }
+
+  /**
+   * Find query terms and phrases in text
+   * Terms match whole words, allowing a short suffix ("note" matches "notes")
+   * @param {string} text - Text to search
+   * @param {object} query - { terms, phrases } from parseQuery()
+   * @returns {Array<{start: number, end: number, term: string}>} - Non-overlapping, in text order
+   */
+  findMatches(text = '', { terms = [], phrases = [] } = {}) {
+    const wanted = bm25Service.tokenize(terms.join(' '));
+    const matches = [];
+
+    if (wanted.length > 0) {
+      for (const word of text.matchAll(WORD_PATTERN)) {
+        const lower = word[0].toLowerCase();
+        const term = wanted.find(t => lower === t || (t.length >= 3 && lower.startsWith(t) && lower.length - t.length <= 3));
+        if (term) matches.push({ start: word.index, end: word.index + word[0].length, term });
+      }
+    }
+
+    const lowerText = text.toLowerCase();
+    for (const phrase of phrases) {
+      const lower = phrase.toLowerCase();
+      for (let at = lowerText.indexOf(lower); lower && at !== -1; at = lowerText.indexOf(lower, at + lower.length)) {
+        matches.push({ start: at, end: at + lower.length, term: lower });
+      }
+    }
+
+    // A phrase usually contains matched terms; keep the longer, earlier range
+    matches.sort((a, b) => a.start - b.start || b.end - a.end);
+    let covered = 0;
+    return matches.filter((match) => {
+      if (match.start < covered) return false;
+      covered = match.end;
+      return true;
+    });
+  }
+
+  /**
+   * Character offsets of query matches in text, e.g. a note title
+   * @param {string} text - Text to search
+   * @param {object} query - { terms, phrases }
+   * @returns {Array<{start: number, end: number}>}
+   */
+  highlight(text, query) {
+    return this.findMatches(text, query).map(({ start, end }) => ({ start, end }));
+  }
+
+  /**
+   * Build the snippet shown for a search result
+   * @param {string} content - Note content
+   * @param {object} query - { terms, phrases } from parseQuery()
+   * @param {object} options - Optional { passages, prefer: 'keyword'|'semantic', length }; passages
+   *   are the note's matched chunks, used for semantic snippets
+   * @returns {{text: string, start: number, end: number, truncatedStart: boolean, truncatedEnd: boolean,
+   *   highlights: Array<{start: number, end: number}>, source: string}} - start and end locate the
+   *   snippet in the content; highlights are offsets into text; source is keyword, semantic or start
+   */
+  build(content = '', query = {}, options = {}) {
+    const { passages = [], prefer = 'keyword', length = this.length } = options;
+    const matches = this.findMatches(content, query);
+
+    let window;
+    let source;
+    if (matches.length > 0 && (prefer === 'keyword' || passages.length === 0)) {
+      window = this.keywordWindow(content, matches, length);
+      source = 'keyword';
+    } else if (passages.length > 0) {
+      window = this.semanticWindow(content, passages, matches, length);
+      source = 'semantic';
+    } else {
+      window = this.snapToWords(content, 0, length);
+      source = 'start';
+    }
+
+    const { start, end } = window;
+    return {
+      text: content.slice(start, end),
+      start,
+      end,
+      truncatedStart: start > 0,
+      truncatedEnd: end < content.length,
+      highlights: matches
+        .filter(match => match.start >= start && match.end <= end)
+        .map(match => ({ start: match.start - start, end: match.end - start })),
+      source
+    };
+  }
+
+  /**
+   * Plain-text preview of a snippet, with ellipses where it was cut
+   * @param {object} snippet - Result of build()
+   * @returns {string}
+   */
+  toPreview(snippet) {
+    return `${snippet.truncatedStart ? '...' : ''}${snippet.text}${snippet.truncatedEnd ? '...' : ''}`;
+  }
+
+  /**
+   * Window holding the most distinct query terms, then the most matches
+   * @returns {{start: number, end: number}}
+   */
+  keywordWindow(content, matches, length) {
+    let best = null;
+
+    for (let i = 0; i < matches.length; i++) {
+      const terms = new Set();
+      let j = i;
+      for (; j < matches.length && matches[j].end - matches[i].start <= length; j++) {
+        terms.add(matches[j].term);
+      }
+
+      const score = terms.size * 1000 + (j - i);
+      if (!best || score > best.score) {
+        best = { score, start: matches[i].start, end: matches[Math.max(j - 1, i)].end };
+      }
+    }
+
+    // Lead in with some context before the first match
+    const lead = Math.min(best.start, Math.floor(Math.max(length - (best.end - best.start), 0) / 3));
+    return this.snapToWords(content, best.start - lead, length, best);
+  }
+
+  /**
+   * Window inside the note's most similar chunk: the whole chunk when it fits, otherwise
+   * starting at its sentence with the most query terms (or its first sentence)
+   * @returns {{start: number, end: number}}
+   */
+  semanticWindow(content, passages, matches, length) {
+    const passage = passages.reduce((best, p) => (p.score > best.score ? p : best), passages[0]);
+    const { start, end } = passage;
+
+    if (end - start <= length) {
+      return { start, end };
+    }
+
+    let best = { start, count: 0 };
+    for (const sentence of content.slice(start, end).matchAll(SENTENCE_PATTERN)) {
+      const from = start + sentence.index;
+      const to = from + sentence[0].length;
+      const count = new Set(matches.filter(m => m.start >= from && m.end <= to).map(m => m.term)).size;
+      if (count > best.count) best = { start: from, count };
+    }
+
+    return this.snapToWords(content, best.start, Math.min(length, end - best.start), { start: best.start, end: best.start });
+  }
+
+  /**
+   * Clamp a window to the content and move its edges to word boundaries
+   * @param {string} content - Note content
+   * @param {number} start - Preferred start
+   * @param {number} length - Window length
+   * @param {object} keep - Optional { start, end } range the window must still contain
+   * @returns {{start: number, end: number}}
+   */
+  snapToWords(content, start, length, keep = { start, end: start }) {
+    let from = Math.max(0, Math.min(start, content.length - length));
+    let to = Math.min(content.length, from + length);
+
+    if (from > 0 && /\S/.test(content[from - 1])) {
+      const space = content.slice(from, keep.start).search(/\s/);
+      if (space !== -1) from += space + 1;
+    }
+    if (to < content.length && /\S/.test(content[to])) {
+      const space = content.slice(from, to).search(/\s\S*$/);
+      if (space !== -1 && from + space >= keep.end) to = from + space;
+    }
+
+    // Drop whitespace at the edges
+    while (from < to && /\s/.test(content[from])) from++;
+    while (to > from && /\s/.test(content[to - 1])) to--;
+
+    return { start: from, end: to };
+  }
+}
+
+// Export singleton instance
+module.exports = new SnippetService();
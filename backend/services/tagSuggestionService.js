@@ -0,0 +1,296 @@
+/**
+ * Tag Suggestion Service
+ * Suggests tags and a category for a note after it is indexed: the user's most similar notes
+ * vote with their tags and category, weighted by similarity, and an optional LLM pass picks
+ * from the user's existing tags and categories. Suggestions confident enough are applied
+ * when the user has turned on auto-apply.
+ */
+
+const mongoose = require('mongoose');
+const Note = require('../models/Note');
+const User = require('../models/User');
+const vectorStore = require('./vectorStore');
+const llmService = require('./llmService');
+const revisionService = require('./revisionService');
+const bm25Service = require('./bm25Service');
+const logger = require('../utils/logger');
+
+// The default category isn't suggested
+const DEFAULT_CATEGORY = 'General';
+
+// Added to the neighbours' total weight, so a vote from few or weak neighbours counts for less
+const VOTE_PRIOR = 1;
+
+// Most tags and categories offered to the LLM to choose from
+const MAX_TAXONOMY = 100;
+
+class TagSuggestionService {
+  // Getters to read env vars at runtime (after dotenv loads)
+  get neighbours() {
+    return parseInt(process.env.TAG_SUGGEST_NEIGHBOURS) || 10;
+  }
+
+  get minSimilarity() {
+    const similarity = parseFloat(process.env.TAG_SUGGEST_MIN_SIMILARITY);
+    return Number.isNaN(similarity) ? 0.3 : similarity;
+  }
+
+  get minConfidence() {
+    const confidence = parseFloat(process.env.TAG_SUGGEST_MIN_CONFIDENCE);
+    return Number.isNaN(confidence) ? 0.2 : confidence;
+  }
+
+  get maxTags() {
+    return parseInt(process.env.TAG_SUGGEST_MAX) || 5;
+  }
+
+  get useLLM() {
+    return process.env.TAG_SUGGEST_LLM === 'true';
+  }
+
+  /**
+   * Suggest tags and a category for a note that was just indexed, store them on the note and
+   * apply the confident ones when the owner has auto-apply on
+   * Runs in the note's index-note job, so saving never waits for it, and compares the
+   * note's freshly stored chunk vectors instead of embedding its text again
+   * Never throws: a failure leaves the note's previous suggestions in place
+   * @param {object} note - Note as indexed (lean), with user, title, content, tags and category
+   * @returns {Promise<{suggestions: object, autoApplied: object|null}|null>} - suggestions from
+   *   suggest(); autoApplied is { tags, category } when some were applied. null on failure
+   */
+  async suggestForNote(note) {
+    try {
+      const user = await User.findById(note.user).select('preferences');
+      if (!user) {
+        return null;
+      }
+
+      const suggestions = await this.suggest(user, note);
+      const autoApplied = this.autoApply(user, note, suggestions);
+      await this.store(note, suggestions, autoApplied);
+
+      return { suggestions, autoApplied };
+    } catch (error) {
+      logger.warn(`Tag suggestions failed for note ${note._id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Save suggestions on a note and add the auto-applied ones
+   * Applied tags are added with $addToSet and the category is only set while the note is
+   * still in the default one, so edits made since the note was indexed are kept
+   * @param {object} note - Note as indexed
+   * @param {object} suggestions - From suggest()
+   * @param {object|null} autoApplied - From autoApply()
+   */
+  async store(note, suggestions, autoApplied) {
+    const appliedTags = autoApplied?.tags || [];
+
+    // Suggestions aren't an edit, so they leave updatedAt alone
+    await Note.updateOne({ _id: note._id }, {
+      $set: {
+        'aiGenerated.suggestedTags': suggestions.tags.filter(suggestion => !appliedTags.includes(suggestion.name)),
+        'aiGenerated.suggestedCategory': autoApplied?.category ? null : suggestions.category
+      }
+    }, { timestamps: false });
+
+    if (!autoApplied) {
+      return;
+    }
+
+    if (appliedTags.length > 0) {
+      await Note.updateOne({ _id: note._id }, { $addToSet: { tags: { $each: appliedTags } } });
+    }
+    if (autoApplied.category) {
+      await Note.updateOne({ _id: note._id, category: DEFAULT_CATEGORY }, { $set: { category: autoApplied.category } });
+    }
+    bm25Service.invalidate(note.user);
+
+    // The added tags and category are a new version of the note
+    const updated = await Note.findById(note._id);
+    if (updated) {
+      await revisionService.recordRevision(updated, null, 'auto-apply');
+    }
+  }
+
+  /**
+   * Suggest tags and a category for a note
+   * @param {object} user - Owner of the note
+   * @param {object} note - Note with _id, title, content, tags and category
+   * @returns {Promise<{tags: object[], category: object|null}>} - Suggestions are
+   *   { name, confidence, sources }, most confident first; sources lists 'similar-notes'
+   *   and/or 'llm'. The note's own tags and category are left out
+   */
+  async suggest(user, note) {
+    const text = note.title ? `${note.title}\n\n${note.content}` : note.content;
+    const [votes, llm] = await Promise.all([
+      this.vote(user._id, note._id),
+      this.askLLM(user, text)
+    ]);
+
+    const own = new Set((note.tags || []).map(tag => tag.toLowerCase()));
+    const tags = this.combine(votes.tags, llm?.tags || [])
+      .filter(suggestion => !own.has(suggestion.name.toLowerCase()))
+      .slice(0, this.maxTags);
+    const category = this.combine(votes.categories, llm?.category ? [llm.category] : [])
+      .find(suggestion => suggestion.name !== DEFAULT_CATEGORY && suggestion.name !== note.category) || null;
+
+    return { tags, category };
+  }
+
+  /**
+   * Similarity-weighted vote of the user's notes nearest a note, compared by the centroid of
+   * the note's chunk vectors
+   * @param {string} userId - Owner of the notes
+   * @param {string} noteId - Note to find neighbours of (left out of the vote)
+   * @returns {Promise<{tags: Array<{name: string, confidence: number}>, categories: Array<{name: string, confidence: number}>}>}
+   *   - A name's confidence is the similarity of the neighbours that have it over the
+   *   neighbours' total (plus VOTE_PRIOR); empty when the note isn't in the index
+   */
+  async vote(userId, noteId) {
+    const vector = vectorStore.getNoteCentroids([noteId]).get(noteId.toString());
+    if (!vector) {
+      return { tags: [], categories: [] };
+    }
+
+    const hits = (await vectorStore.searchNotes({ vector, model: vectorStore.model }, this.neighbours, {
+      userId,
+      excludeIds: [noteId]
+    }, { maxPassages: 1 })).filter(hit => hit.score >= this.minSimilarity);
+
+    if (hits.length === 0) {
+      return { tags: [], categories: [] };
+    }
+
+    const neighbours = await Note.find({ _id: { $in: hits.map(hit => hit.id) }, user: userId })
+      .select('tags category')
+      .lean();
+    const byId = new Map(neighbours.map(neighbour => [neighbour._id.toString(), neighbour]));
+
+    const tagWeights = new Map();
+    const categoryWeights = new Map();
+    let total = VOTE_PRIOR;
+    for (const hit of hits) {
+      const neighbour = byId.get(hit.id);
+      if (!neighbour) continue;
+
+      total += hit.score;
+      new Set(neighbour.tags).forEach(tag => tagWeights.set(tag, (tagWeights.get(tag) || 0) + hit.score));
+      if (neighbour.category) {
+        categoryWeights.set(neighbour.category, (categoryWeights.get(neighbour.category) || 0) + hit.score);
+      }
+    }
+
+    const toList = (weights) => [...weights.entries()]
+      .map(([name, weight]) => ({ name, confidence: weight / total }));
+
+    return { tags: toList(tagWeights), categories: toList(categoryWeights) };
+  }
+
+  /**
+   * Ask the LLM to pick from the user's existing tags and categories, when TAG_SUGGEST_LLM
+   * is on
+   * @param {object} user - Owner of the note
+   * @param {string} text - Title and content of the note
+   * @returns {Promise<object|null>} - llmService.suggestTags() result; null when off, not
+   *   configured, the user has no tags yet or the request failed
+   */
+  async askLLM(user, text) {
+    if (!this.useLLM) {
+      return null;
+    }
+
+    const taxonomy = await this.getTaxonomy(user._id);
+    if (taxonomy.tags.length === 0 && taxonomy.categories.length === 0) {
+      return null;
+    }
+
+    try {
+      return await llmService.suggestTags(text, taxonomy, llmService.optionsForUser(user));
+    } catch (error) {
+      logger.warn(`LLM tag suggestions failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * A user's most used tags and categories
+   * @param {string} userId - Owner of the notes
+   * @returns {Promise<{tags: string[], categories: string[]}>}
+   */
+  async getTaxonomy(userId) {
+    const user = new mongoose.Types.ObjectId(userId.toString());
+    const mostUsed = (field) => Note.aggregate([
+      { $match: { user } },
+      ...(field === 'tags' ? [{ $unwind: '$tags' }] : []),
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: MAX_TAXONOMY }
+    ]);
+
+    const [tags, categories] = await Promise.all([mostUsed('tags'), mostUsed('category')]);
+    return {
+      tags: tags.map(tag => tag._id),
+      categories: categories.map(category => category._id).filter(name => name && name !== DEFAULT_CATEGORY)
+    };
+  }
+
+  /**
+   * Merge the suggestions of the neighbour vote and the LLM
+   * A name both suggest gets 1 - (1 - a)(1 - b), so agreement raises confidence
+   * @param {Array<{name: string, confidence: number}>} voted - From vote()
+   * @param {Array<{name: string, confidence: number}>} picked - From the LLM
+   * @returns {Array<{name: string, confidence: number, sources: string[]}>} - Those at or
+   *   above TAG_SUGGEST_MIN_CONFIDENCE, most confident first
+   */
+  combine(voted, picked) {
+    const merged = new Map();
+    const add = (suggestions, source) => suggestions.forEach(({ name, confidence }) => {
+      const entry = merged.get(name) || { name, confidence: 0, sources: [] };
+      entry.confidence = 1 - (1 - entry.confidence) * (1 - confidence);
+      entry.sources.push(source);
+      merged.set(name, entry);
+    });
+
+    add(voted, 'similar-notes');
+    add(picked, 'llm');
+
+    return [...merged.values()]
+      .map(entry => ({ ...entry, confidence: Math.round(entry.confidence * 100) / 100 }))
+      .filter(entry => entry.confidence >= this.minConfidence)
+      .sort((a, b) => b.confidence - a.confidence || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Pick the suggestions at or above the user's auto-apply threshold
+   * Tags are added; the category is only set on a note still in the default category
+   * @param {object} user - Owner of the note, with preferences
+   * @param {object} note - Note the suggestions are for
+   * @param {object} suggestions - From suggest()
+   * @returns {{tags: string[], category: string|null}|null} - What to apply, or null when
+   *   auto-apply is off or nothing reached the threshold
+   */
+  autoApply(user, note, suggestions) {
+    if (!user.preferences?.autoApplySuggestions) {
+      return null;
+    }
+
+    const threshold = user.preferences.autoApplyThreshold ?? 0.8;
+    const tags = suggestions.tags
+      .filter(suggestion => suggestion.confidence >= threshold)
+      .map(suggestion => suggestion.name);
+    const category = suggestions.category?.confidence >= threshold && note.category === DEFAULT_CATEGORY
+      ? suggestions.category.name
+      : null;
+
+    if (tags.length === 0 && !category) {
+      return null;
+    }
+
+    return { tags, category };
+  }
+}
+
+// Export singleton instance
+module.exports = new TagSuggestionService();
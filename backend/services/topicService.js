@@ -0,0 +1,424 @@
+/**
+ * Topic Service
+ * Discovers the topics in a user's notes by clustering their whole-note vectors with
+ * spherical k-means, names each cluster with the LLM from the notes nearest its centre,
+ * and lays the notes out on a 2D map along their first two principal components.
+ * Results are cached per user (TopicMap) until the notes or the embedding model change.
+ */
+
+const crypto = require('crypto');
+const Note = require('../models/Note');
+const TopicMap = require('../models/TopicMap');
+const vectorStore = require('./vectorStore');
+const bm25Service = require('./bm25Service');
+const llmService = require('./llmService');
+const logger = require('../utils/logger');
+
+// k-means runs from different starting centroids; the tightest clustering is kept
+const RESTARTS = 3;
+const MAX_ITERATIONS = 50;
+
+// Power iterations per principal component of the map
+const PROJECTION_ITERATIONS = 30;
+
+const KEYWORDS_PER_TOPIC = 6;
+const EXCERPT_LENGTH = 300;
+
+class TopicService {
+  // Getters to read env vars at runtime (after dotenv loads)
+  get maxTopics() {
+    return parseInt(process.env.TOPIC_MAX_CLUSTERS) || 12;
+  }
+
+  get sampleSize() {
+    return parseInt(process.env.TOPIC_SAMPLE_SIZE) || 5;
+  }
+
+  /**
+   * A user's topics, from the cache unless their notes changed since it was built
+   * @param {object} user - Owner of the notes
+   * @param {object} options - Optional { k } number of topics (chosen from the note count
+   *   otherwise), { refresh } to rebuild regardless of the cache
+   * @returns {Promise<object>} - TopicMap fields plus cached (served without rebuilding)
+   */
+  async getTopics(user, { k = null, refresh = false } = {}) {
+    const notes = await Note.find({ user: user._id, isArchived: false })
+      .select('title updatedAt')
+      .lean();
+    const vectors = vectorStore.getNoteCentroids(notes.map(note => note._id.toString()));
+    const { model } = vectorStore.getSpec();
+    const fingerprint = this.fingerprint(notes, vectors, model, k);
+
+    if (!refresh) {
+      const cached = await TopicMap.findOne({ user: user._id }).lean();
+      if (cached && cached.fingerprint === fingerprint) {
+        return { ...cached, cached: true };
+      }
+    }
+
+    const built = await this.build(user, notes, vectors, k);
+    const topicMap = await TopicMap.findOneAndUpdate(
+      { user: user._id },
+      { ...built, fingerprint, model, requestedK: k },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean();
+
+    return { ...topicMap, cached: false };
+  }
+
+  /**
+   * Identify the state a topic map is built from: which notes, when each was last changed,
+   * which have embeddings, the embedding model and the requested number of topics
+   * @returns {string}
+   */
+  fingerprint(notes, vectors, model, k) {
+    const entries = notes
+      .map(note => `${note._id}:${note.updatedAt?.getTime() || 0}:${vectors.has(note._id.toString()) ? 1 : 0}`)
+      .sort();
+
+    return crypto
+      .createHash('sha1')
+      .update([model, k || 'auto', ...entries].join('|'))
+      .digest('hex');
+  }
+
+  /**
+   * Number of topics for a collection: about sqrt(n / 2), at most TOPIC_MAX_CLUSTERS
+   * @param {number} count - Number of notes
+   * @returns {number}
+   */
+  chooseK(count) {
+    return Math.max(1, Math.min(this.maxTopics, Math.round(Math.sqrt(count / 2)), Math.floor(count / 2)));
+  }
+
+  /**
+   * Cluster, label and lay out a user's indexed notes
+   * @param {object} user - Owner of the notes
+   * @param {object[]} notes - The user's active notes ({ _id, title })
+   * @param {Map<string, Float32Array>} vectors - Whole-note vectors by note ID
+   * @param {number|null} requestedK - Number of topics, or null to choose it
+   * @returns {Promise<object>} - { noteCount, unindexed, topics, labelProvider, tokensUsed }
+   */
+  async build(user, notes, vectors, requestedK) {
+    const indexed = notes.filter(note => vectors.has(note._id.toString()));
+    const result = {
+      noteCount: notes.length,
+      unindexed: notes.length - indexed.length,
+      topics: [],
+      labelProvider: null,
+      tokensUsed: 0
+    };
+
+    if (indexed.length < 2) {
+      return result;
+    }
+
+    const points = indexed.map(note => vectors.get(note._id.toString()));
+    const k = Math.min(requestedK || this.chooseK(indexed.length), indexed.length);
+    const { assignments, centroids } = this.kmeans(points, k);
+    const coords = this.project(points);
+
+    const details = await Note.find({ _id: { $in: indexed.map(note => note._id) } })
+      .select('title content tags')
+      .lean();
+    const byId = new Map(details.map(note => [note._id.toString(), note]));
+
+    // Members of each cluster, nearest the centroid first
+    const clusters = centroids
+      .map((centroid, c) => assignments
+        .map((assigned, i) => assigned === c ? { i, similarity: vectorStore.dotProduct(points[i], centroid) } : null)
+        .filter(Boolean)
+        .sort((a, b) => b.similarity - a.similarity))
+      .filter(members => members.length > 0);
+
+    const keywords = this.keywords(clusters.map(members =>
+      members.map(({ i }) => byId.get(indexed[i]._id.toString()) || indexed[i])
+    ));
+
+    const options = llmService.optionsForUser(user);
+    for (const [c, members] of clusters.entries()) {
+      const samples = members.slice(0, this.sampleSize).map(({ i }) => {
+        const note = byId.get(indexed[i]._id.toString()) || indexed[i];
+        return {
+          title: note.title,
+          excerpt: (note.content || '').replace(/\s+/g, ' ').trim().substring(0, EXCERPT_LENGTH)
+        };
+      });
+
+      const label = await this.label(samples, keywords[c], options);
+      // Credit the LLM if it named any topic
+      if (!result.labelProvider || result.labelProvider === 'keywords') {
+        result.labelProvider = label.provider;
+      }
+      result.tokensUsed += label.tokensUsed || 0;
+
+      result.topics.push({
+        label: label.label,
+        description: label.description,
+        keywords: keywords[c],
+        size: members.length,
+        cohesion: members.reduce((sum, { similarity }) => sum + similarity, 0) / members.length,
+        x: members.reduce((sum, { i }) => sum + coords[i].x, 0) / members.length,
+        y: members.reduce((sum, { i }) => sum + coords[i].y, 0) / members.length,
+        notes: members.map(({ i, similarity }) => ({
+          note: indexed[i]._id,
+          title: indexed[i].title,
+          similarity,
+          x: coords[i].x,
+          y: coords[i].y
+        }))
+      });
+    }
+
+    result.topics.sort((a, b) => b.size - a.size);
+    return result;
+  }
+
+  /**
+   * Name a topic with the LLM, or from its keywords when no provider is configured or it fails
+   * @param {object[]} samples - { title, excerpt } of the notes nearest the topic's centre
+   * @param {string[]} keywords - The topic's distinctive terms
+   * @param {object} options - Optional { provider, model } overrides
+   * @returns {Promise<{label: string, description: string|null, tokensUsed: number, provider: string}>}
+   */
+  async label(samples, keywords, options) {
+    try {
+      const labeled = await llmService.labelTopic(samples, keywords, options);
+      if (labeled) {
+        return labeled;
+      }
+    } catch (error) {
+      logger.warn(`Topic labeling failed, using keywords: ${error.message}`);
+    }
+
+    const label = keywords.length > 0
+      ? keywords.slice(0, 3).map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(', ')
+      : samples[0]?.title || 'Untitled topic';
+
+    return { label, description: null, tokensUsed: 0, provider: 'keywords' };
+  }
+
+  /**
+   * Spherical k-means over unit vectors (cosine similarity), seeded with k-means++
+   * Deterministic for the same input, so an unchanged collection keeps its topics
+   * @param {Float32Array[]} points - Unit-length vectors
+   * @param {number} k - Number of clusters
+   * @returns {{assignments: number[], centroids: Float32Array[]}}
+   */
+  kmeans(points, k) {
+    const random = this.random(points.length * 31 + k);
+    let best = null;
+
+    for (let restart = 0; restart < RESTARTS; restart++) {
+      const centroids = this.seedCentroids(points, k, random);
+      const assignments = new Array(points.length).fill(-1);
+      let total = 0;
+
+      for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+        let changed = false;
+        total = 0;
+
+        points.forEach((point, i) => {
+          let nearest = 0;
+          let nearestSimilarity = -Infinity;
+          centroids.forEach((centroid, c) => {
+            const similarity = vectorStore.dotProduct(point, centroid);
+            if (similarity > nearestSimilarity) {
+              nearest = c;
+              nearestSimilarity = similarity;
+            }
+          });
+
+          if (assignments[i] !== nearest) {
+            assignments[i] = nearest;
+            changed = true;
+          }
+          total += nearestSimilarity;
+        });
+
+        if (!changed) break;
+
+        for (let c = 0; c < k; c++) {
+          const sum = new Float32Array(points[0].length);
+          let members = 0;
+          points.forEach((point, i) => {
+            if (assignments[i] !== c) return;
+            members++;
+            for (let d = 0; d < sum.length; d++) {
+              sum[d] += point[d];
+            }
+          });
+
+          // An emptied cluster restarts from the point its cluster fits worst
+          centroids[c] = members > 0 ? vectorStore.normalizeVector(sum) : this.worstFit(points, centroids, assignments);
+        }
+      }
+
+      if (!best || total > best.total) {
+        best = { total, assignments: [...assignments], centroids };
+      }
+    }
+
+    return { assignments: best.assignments, centroids: best.centroids };
+  }
+
+  /**
+   * k-means++ seeding: each next centroid is a point picked with probability proportional
+   * to its distance from the nearest centroid so far
+   * @returns {Float32Array[]}
+   */
+  seedCentroids(points, k, random) {
+    const centroids = [points[Math.floor(random() * points.length)]];
+    const distances = points.map(point => 1 - vectorStore.dotProduct(point, centroids[0]));
+
+    while (centroids.length < k) {
+      const total = distances.reduce((sum, distance) => sum + Math.max(distance, 0), 0);
+      let target = random() * total;
+      let picked = distances.length - 1;
+      for (let i = 0; i < distances.length; i++) {
+        target -= Math.max(distances[i], 0);
+        if (target <= 0) {
+          picked = i;
+          break;
+        }
+      }
+
+      const centroid = points[picked];
+      centroids.push(centroid);
+      points.forEach((point, i) => {
+        distances[i] = Math.min(distances[i], 1 - vectorStore.dotProduct(point, centroid));
+      });
+    }
+
+    return centroids;
+  }
+
+  /**
+   * The point least similar to its own centroid
+   * @returns {Float32Array}
+   */
+  worstFit(points, centroids, assignments) {
+    let worst = 0;
+    let worstSimilarity = Infinity;
+    points.forEach((point, i) => {
+      const similarity = vectorStore.dotProduct(point, centroids[assignments[i]]);
+      if (similarity < worstSimilarity) {
+        worst = i;
+        worstSimilarity = similarity;
+      }
+    });
+    return points[worst];
+  }
+
+  /**
+   * Seeded pseudo-random numbers in [0, 1) (mulberry32)
+   * @param {number} seed - Seed
+   * @returns {Function}
+   */
+  random(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Positions on the map: each point's coordinates along the two directions the notes vary
+   * most in (principal components, by power iteration), scaled to [-1, 1]
+   * @param {Float32Array[]} points - Vectors
+   * @returns {Array<{x: number, y: number}>}
+   */
+  project(points) {
+    const dimension = points[0].length;
+    const mean = new Float32Array(dimension);
+    for (const point of points) {
+      for (let d = 0; d < dimension; d++) {
+        mean[d] += point[d] / points.length;
+      }
+    }
+    const centered = points.map(point => point.map((value, d) => value - mean[d]));
+
+    const random = this.random(points.length);
+    const components = [];
+    for (let c = 0; c < 2; c++) {
+      let component = vectorStore.normalizeVector(Float32Array.from({ length: dimension }, () => random() - 0.5));
+
+      for (let iteration = 0; iteration < PROJECTION_ITERATIONS; iteration++) {
+        const next = new Float32Array(dimension);
+        for (const point of centered) {
+          const weight = vectorStore.dotProduct(point, component);
+          for (let d = 0; d < dimension; d++) {
+            next[d] += weight * point[d];
+          }
+        }
+
+        // Keep the second component perpendicular to the first
+        for (const previous of components) {
+          const overlap = vectorStore.dotProduct(next, previous);
+          for (let d = 0; d < dimension; d++) {
+            next[d] -= overlap * previous[d];
+          }
+        }
+        component = vectorStore.normalizeVector(next);
+      }
+      components.push(component);
+    }
+
+    const coords = centered.map(point => ({
+      x: vectorStore.dotProduct(point, components[0]),
+      y: vectorStore.dotProduct(point, components[1])
+    }));
+
+    const scale = (axis) => Math.max(...coords.map(coord => Math.abs(coord[axis]))) || 1;
+    const scaleX = scale('x');
+    const scaleY = scale('y');
+    return coords.map(({ x, y }) => ({ x: x / scaleX, y: y / scaleY }));
+  }
+
+  /**
+   * Terms that set each cluster apart: common among its notes but rare in the others
+   * (document frequency within the cluster times inverse document frequency overall)
+   * @param {Array<object[]>} clusters - Notes ({ title, tags, content }) of each cluster
+   * @returns {string[][]} - Keywords of each cluster, most distinctive first
+   */
+  keywords(clusters) {
+    const termSets = clusters.map(notes => notes.map(note => new Set(
+      bm25Service.tokenize(`${note.title || ''} ${(note.tags || []).join(' ')} ${note.content || ''}`)
+        .filter(term => term.length > 2 && !/^\d+$/.test(term))
+    )));
+
+    const total = termSets.reduce((sum, notes) => sum + notes.length, 0);
+    const documentFrequency = new Map();
+    termSets.flat().forEach(terms => terms.forEach(term => {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }));
+
+    return termSets.map(notes => {
+      const clusterFrequency = new Map();
+      notes.forEach(terms => terms.forEach(term => {
+        clusterFrequency.set(term, (clusterFrequency.get(term) || 0) + 1);
+      }));
+
+      // A term must recur within a cluster of several notes to describe it; terms in every
+      // note describe none (unless there is only one cluster)
+      const minimum = notes.length > 1 ? 2 : 1;
+      return [...clusterFrequency.entries()]
+        .filter(([, count]) => count >= minimum)
+        .map(([term, count]) => ({
+          term,
+          score: (count / notes.length) * (clusters.length > 1 ? Math.log(total / documentFrequency.get(term)) : 1)
+        }))
+        .filter(({ score }) => score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, KEYWORDS_PER_TOPIC)
+        .map(({ term }) => term);
+    });
+  }
+}
+
+// Export singleton instance
+module.exports = new TopicService();
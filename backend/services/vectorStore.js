@@ -1,25 +1,92 @@
 /**
- * FAISS Vector Store Service
- * High-performance vector similarity search using FAISS
- * Falls back to in-memory search if FAISS is not available
+ * Vector Store Service
+ * Approximate nearest-neighbour search over pre-normalized vectors using a
+ * pure JavaScript HNSW graph per owner, with an exact scan for small partitions.
+ * Every vector is tagged with the embedding model that produced it and a store
+ * only ever holds (and is only ever queried with) vectors of one model.
+ * The files on disk are a per-instance cache; the Embedding collection is the
+ * source of truth (see vectorSyncService).
  */
 
 const fs = require('fs').promises;
+const os = require('os');
 const path = require('path');
+const HNSWIndex = require('./hnswIndex');
+const embeddingService = require('./embeddingService');
+const { AppError } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
+const { normalizeAttributes } = require('../utils/noteAttributes');
+
+const VECTORS_MAGIC = 'NVEC';
+const GRAPHS_MAGIC = 'NVGR';
+const FORMAT_VERSION = 1;
+const LITTLE_ENDIAN_HOST = os.endianness() === 'LE';
+
+const UNKNOWN_MODEL = 'unknown';
 
 class VectorStore {
-  constructor() {
-    this.vectors = new Map(); // Map of id -> vector
+  /**
+   * @param {object} options - Optional { spec, storagePath }; spec is the { provider, model, dimension }
+   *                           a new store is built with (defaults to the configured embedding model)
+   */
+  constructor(options = {}) {
+    this.vectors = new Map(); // Map of id -> unit-length Float32Array
     this.metadata = new Map(); // Map of id -> metadata
-    this.dimension = parseInt(process.env.NVIDIA_EMBEDDING_DIMENSION) || 1024;
-    this.storagePath = process.env.FAISS_INDEX_PATH || './data/faiss_index';
-    this.indexFile = 'vectors.json';
+    this.partitions = new Map(); // Map of owner userId -> Set of vector ids
+    this.graphs = new Map(); // Map of owner userId -> HNSWIndex
+    this.embeddingIds = new Map(); // Map of Embedding document id -> vector id
+    this.noteVectors = new Map(); // Map of note ID -> Set of its vector ids
+    this.defaultSpec = options.spec || null;
+    this.setSpec(this.defaultSpec || embeddingService.getSpec());
+    this.storagePath = options.storagePath || process.env.VECTOR_STORE_PATH || process.env.FAISS_INDEX_PATH || './data/faiss_index';
+    this.vectorsFile = 'vectors.bin';
+    this.metadataFile = 'metadata.json';
+    this.graphsFile = 'hnsw.bin';
+    this.legacyIndexFile = 'vectors.json';
     this.topK = parseInt(process.env.TOP_K_RESULTS) || 5;
-    this.useGPU = process.env.FAISS_USE_GPU === 'true';
-    this.faissIndex = null;
-    this.idToIndex = new Map(); // Map FAISS index to note ID
-    this.indexToId = []; // Array to map FAISS index back to ID
+    this.indexType = process.env.VECTOR_INDEX_TYPE === 'flat' ? 'flat' : 'hnsw';
+    this.hnswOptions = {
+      M: parseInt(process.env.HNSW_M) || 16,
+      efConstruction: parseInt(process.env.HNSW_EF_CONSTRUCTION) || 200,
+      efSearch: parseInt(process.env.HNSW_EF_SEARCH) || 64
+    };
+    // Partitions smaller than this are scanned exactly; the graph only pays off beyond it
+    this.hnswMinVectors = parseInt(process.env.HNSW_MIN_VECTORS) || 1000;
+    // Changes are written this long after the first unsaved one, so a burst of adds or
+    // removes costs one rewrite of the files
+    this.saveDelay = parseInt(process.env.VECTOR_STORE_SAVE_DELAY_MS) || 5000;
+    this.dirty = false;
+    this.saveTimer = null;
+    this.activeSave = null;
+    this.pendingSave = null;
+    this.staging = null; // Index being built for an embedding model migration
+  }
+
+  /**
+   * Set the embedding model this store holds vectors of
+   * @param {object} spec - { provider, model, dimension }
+   */
+  setSpec({ provider, model, dimension }) {
+    this.provider = provider;
+    this.model = model;
+    this.dimension = dimension;
+  }
+
+  /**
+   * Get the embedding model this store holds vectors of
+   * @returns {{provider: string, model: string, dimension: number}}
+   */
+  getSpec() {
+    return { provider: this.provider, model: this.model, dimension: this.dimension };
+  }
+
+  /**
+   * Whether vectors of a spec can be stored in or searched against this store
+   * @param {object} spec - { model, dimension }
+   * @returns {boolean}
+   */
+  isCompatible(spec) {
+    return spec.model === this.model && spec.dimension === this.dimension;
   }
 
   /**
@@ -33,11 +100,10 @@ class VectorStore {
       // Load existing vectors
       await this.load();
       
-      logger.info(`FAISS Vector Store initialized with ${this.vectors.size} vectors (dimension: ${this.dimension})`);
+      logger.info(`Vector Store initialized with ${this.vectors.size} vectors (model: ${this.model}, dimension: ${this.dimension}, index: ${this.indexType})`);
     } catch (error) {
       logger.warn(`Could not load existing vectors: ${error.message}`);
-      this.vectors = new Map();
-      this.metadata = new Map();
+      this.resetMemory();
     }
   }
 
@@ -45,41 +111,184 @@ class VectorStore {
    * Add vector to store
    * @param {string} id - Unique identifier (usually note ID)
    * @param {number[]} vector - Embedding vector
-   * @param {object} meta - Optional metadata
+   * @param {object} meta - Metadata; must include userId of the owning user
    */
   async addVector(id, vector, meta = {}) {
+    this.storeVector(id, vector, meta);
+    this.save();
+
+    logger.debug(`Added vector for ID: ${id} (${this.dimension} dimensions)`);
+  }
+
+  /**
+   * Add several vectors and persist once
+   * Used for the per-chunk vectors of a single note
+   * @param {Array<{id: string, vector: number[], meta: object}>} entries - Vectors to add
+   */
+  async addVectors(entries) {
+    // Reject the whole batch before storing any of it
+    for (const { id, vector, meta } of entries) {
+      this.checkVector(id, vector, meta);
+    }
+    for (const { id, vector, meta } of entries) {
+      this.storeVector(id, vector, meta);
+    }
+
+    this.save();
+
+    logger.debug(`Added ${entries.length} vectors`);
+  }
+
+  /**
+   * Check that a vector can be stored: it needs an owner and must come from this store's model
+   * @param {string} id - Unique identifier
+   * @param {number[]} vector - Embedding vector
+   * @param {object} meta - Metadata; must include userId, and model when it was embedded elsewhere
+   */
+  checkVector(id, vector, meta = {}) {
     if (!id || !vector) {
       throw new Error('ID and vector are required');
     }
 
-    // Validate and potentially resize vector to match expected dimension
-    let processedVector = vector;
+    if (!meta.userId) {
+      throw new Error('Owner userId is required in vector metadata');
+    }
+
+    // Vectors of different models are not comparable, so never mix them
+    const model = meta.model || this.model;
+    if (model !== this.model) {
+      throw new Error(`Vector ${id} was embedded with ${model}, but this index holds ${this.model} vectors`);
+    }
     if (vector.length !== this.dimension) {
-      logger.warn(`Vector dimension mismatch: expected ${this.dimension}, got ${vector.length}. Adjusting...`);
-      if (vector.length < this.dimension) {
-        // Pad with zeros
-        processedVector = [...vector, ...new Array(this.dimension - vector.length).fill(0)];
-      } else {
-        // Truncate
-        processedVector = vector.slice(0, this.dimension);
+      throw new Error(`Vector ${id} has ${vector.length} dimensions, but this index holds ${this.dimension}-dimensional vectors`);
+    }
+  }
+
+  /**
+   * Validate a vector, normalize it and place it in memory and the index without persisting
+   * @param {string} id - Unique identifier
+   * @param {number[]} vector - Embedding vector
+   * @param {object} meta - Metadata; must include userId of the owning user
+   */
+  storeVector(id, vector, meta = {}) {
+    this.checkVector(id, vector, meta);
+
+    // Replace any previous entry so the index never holds a stale copy
+    if (this.vectors.has(id)) {
+      this.unindexVector(id);
+      this.embeddingIds.delete(this.metadata.get(id)?.embeddingId);
+    }
+
+    // Store pre-normalized vector and metadata
+    this.vectors.set(id, this.normalizeVector(Float32Array.from(vector)));
+    this.metadata.set(id, {
+      ...meta,
+      userId: meta.userId.toString(),
+      attributes: normalizeAttributes(meta.attributes),
+      model: this.model,
+      addedAt: meta.addedAt || new Date().toISOString()
+    });
+
+    // The Embedding document a vector came from identifies its exact version across instances
+    if (meta.embeddingId) {
+      this.embeddingIds.set(meta.embeddingId.toString(), id);
+    }
+
+    this.indexVector(id);
+  }
+
+  /**
+   * Drop a vector from memory and the index without persisting
+   * @param {string} id - Vector ID
+   * @returns {boolean} - Whether the vector existed
+   */
+  deleteVector(id) {
+    if (!this.vectors.has(id)) {
+      return false;
+    }
+
+    this.unindexVector(id);
+    this.embeddingIds.delete(this.metadata.get(id)?.embeddingId);
+    this.vectors.delete(id);
+    this.metadata.delete(id);
+    return true;
+  }
+
+  /**
+   * Add a stored vector to its owner's partition and graph, and to its note's vector ids
+   * @param {string} id - Vector ID
+   */
+  indexVector(id) {
+    const owner = this.getOwner(id);
+    this.linkNote(id);
+
+    if (!this.partitions.has(owner)) {
+      this.partitions.set(owner, new Set());
+    }
+    this.partitions.get(owner).add(id);
+
+    if (this.indexType === 'hnsw') {
+      if (!this.graphs.has(owner)) {
+        this.graphs.set(owner, new HNSWIndex({ dimension: this.dimension, ...this.hnswOptions }));
       }
+      this.graphs.get(owner).add(id, this.vectors.get(id));
     }
+  }
 
-    // Store vector and metadata
-    this.vectors.set(id, processedVector);
-    this.metadata.set(id, { ...meta, addedAt: new Date().toISOString() });
-    
-    // Update index mappings
-    if (!this.idToIndex.has(id)) {
-      const index = this.indexToId.length;
-      this.idToIndex.set(id, index);
-      this.indexToId.push(id);
+  /**
+   * Take a stored vector out of its owner's partition and graph, and its note's vector ids
+   * @param {string} id - Vector ID
+   */
+  unindexVector(id) {
+    const owner = this.getOwner(id);
+    this.unlinkNote(id);
+
+    const partition = this.partitions.get(owner);
+    if (partition) {
+      partition.delete(id);
+      if (partition.size === 0) this.partitions.delete(owner);
     }
 
-    // Save to disk
-    await this.save();
+    const graph = this.graphs.get(owner);
+    if (graph) {
+      graph.remove(id);
+      if (graph.size === 0) this.graphs.delete(owner);
+    }
+  }
 
-    logger.debug(`Added vector for ID: ${id} (${processedVector.length} dimensions)`);
+  /**
+   * Record a stored vector under its note
+   * @param {string} id - Vector ID
+   */
+  linkNote(id) {
+    const noteId = this.getNoteId(id);
+    if (!this.noteVectors.has(noteId)) {
+      this.noteVectors.set(noteId, new Set());
+    }
+    this.noteVectors.get(noteId).add(id);
+  }
+
+  /**
+   * Forget a stored vector under its note
+   * @param {string} id - Vector ID
+   */
+  unlinkNote(id) {
+    const noteId = this.getNoteId(id);
+    const ids = this.noteVectors.get(noteId);
+    if (ids) {
+      ids.delete(id);
+      if (ids.size === 0) this.noteVectors.delete(noteId);
+    }
+  }
+
+  /**
+   * Partition key for a vector; vectors without a recorded owner share the '' partition
+   * @param {string} id - Vector ID
+   * @returns {string} - Owner userId
+   */
+  getOwner(id) {
+    const meta = this.metadata.get(id);
+    return meta?.userId ? meta.userId.toString() : '';
   }
 
   /**
@@ -87,15 +296,142 @@ class VectorStore {
    * @param {string} id - ID to remove
    */
   async removeVector(id) {
-    const deleted = this.vectors.delete(id);
-    this.metadata.delete(id);
-    
-    if (deleted) {
-      await this.save();
-      logger.debug(`Removed vector for ID: ${id}`);
+    if (!this.deleteVector(id)) {
+      return false;
+    }
+
+    this.save();
+    logger.debug(`Removed vector for ID: ${id}`);
+
+    return true;
+  }
+
+  /**
+   * Remove every chunk vector belonging to a note
+   * Also removes legacy whole-note vectors keyed by the note ID itself
+   * @param {string} noteId - Note ID
+   * @returns {Promise<number>} - Number of vectors removed
+   */
+  async removeByNoteId(noteId) {
+    const target = noteId.toString();
+    let removed = 0;
+
+    for (const id of Array.from(this.noteVectors.get(target) || [])) {
+      this.deleteVector(id);
+      removed++;
     }
 
-    return deleted;
+    if (removed > 0) {
+      this.save();
+      logger.debug(`Removed ${removed} vectors for note: ${target}`);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Replace the note attributes kept with a vector (see utils/noteAttributes)
+   * @param {string} id - Vector ID
+   * @param {object|null} attributes - From pickAttributes()
+   * @returns {boolean} - Whether they changed
+   */
+  setVectorAttributes(id, attributes) {
+    const meta = this.metadata.get(id);
+    const normalized = normalizeAttributes(attributes);
+    if (!meta || JSON.stringify(meta.attributes ?? null) === JSON.stringify(normalized)) {
+      return false;
+    }
+
+    meta.attributes = normalized;
+    return true;
+  }
+
+  /**
+   * Replace the note attributes kept with each of a note's vectors, e.g. after its tags changed
+   * @param {string} noteId - Note ID
+   * @param {object} attributes - From pickAttributes()
+   * @returns {number} - Number of vectors changed
+   */
+  setNoteAttributes(noteId, attributes) {
+    let changed = 0;
+    for (const id of this.noteVectors.get(noteId.toString()) || []) {
+      if (this.setVectorAttributes(id, attributes)) changed++;
+    }
+
+    if (changed > 0) {
+      this.save();
+    }
+    return changed;
+  }
+
+  /**
+   * Get all chunk vectors belonging to a note, ordered by chunk index
+   * @param {string} noteId - Note ID
+   * @returns {Array<{id: string, vector: Float32Array, metadata: object}>}
+   */
+  getNoteVectors(noteId) {
+    const results = Array.from(this.noteVectors.get(noteId.toString()) || [], id => ({
+      id,
+      vector: this.vectors.get(id),
+      metadata: this.metadata.get(id) || {}
+    }));
+
+    return results.sort((a, b) => (a.metadata.chunkIndex || 0) - (b.metadata.chunkIndex || 0));
+  }
+
+  /**
+   * Whole-note vectors: the unit-length average of each note's chunk vectors
+   * @param {string[]} noteIds - Note IDs
+   * @returns {Map<string, Float32Array>} - Note ID -> vector; notes without vectors are left out
+   */
+  getNoteCentroids(noteIds) {
+    const centroids = new Map();
+
+    for (const noteId of new Set(noteIds.map(id => id.toString()))) {
+      const ids = this.noteVectors.get(noteId);
+      if (!ids) continue;
+
+      const sum = new Float32Array(this.dimension);
+      for (const id of ids) {
+        const vector = this.vectors.get(id);
+        for (let i = 0; i < sum.length; i++) {
+          sum[i] += vector[i];
+        }
+      }
+      centroids.set(noteId, this.normalizeVector(sum));
+    }
+    return centroids;
+  }
+
+  /**
+   * IDs of the notes with vectors in an owner's partition
+   * @param {string} userId - Owner
+   * @returns {Set<string>}
+   */
+  getOwnerNoteIds(userId) {
+    const ids = this.partitions.get(userId.toString()) || [];
+    return new Set(Array.from(ids, id => this.getNoteId(id)));
+  }
+
+  /**
+   * Resolve the note a vector belongs to
+   * Chunk vectors carry noteId in metadata; legacy vectors are keyed by note ID
+   * @param {string} id - Vector ID
+   * @returns {string} - Note ID
+   */
+  getNoteId(id) {
+    const meta = this.metadata.get(id);
+    return meta?.noteId ? meta.noteId.toString() : id;
+  }
+
+  /**
+   * Build the vector ID for a note chunk
+   * @param {string} noteId - Note ID
+   * @param {number} chunkIndex - Chunk index within the note
+   * @returns {string} - Vector ID
+   */
+  chunkId(noteId, chunkIndex) {
+    return `${noteId}:${chunkIndex}`;
   }
 
   /**
@@ -109,91 +445,230 @@ class VectorStore {
       return this.addVector(id, vector, meta);
     }
 
-    let processedVector = vector;
-    if (vector.length !== this.dimension) {
-      if (vector.length < this.dimension) {
-        processedVector = [...vector, ...new Array(this.dimension - vector.length).fill(0)];
-      } else {
-        processedVector = vector.slice(0, this.dimension);
-      }
-    }
-
-    this.vectors.set(id, processedVector);
-    
     const existingMeta = this.metadata.get(id) || {};
-    this.metadata.set(id, { ...existingMeta, ...meta, updatedAt: new Date().toISOString() });
+    this.storeVector(id, vector, { ...existingMeta, ...meta, updatedAt: new Date().toISOString() });
     
-    await this.save();
+    this.save();
     logger.debug(`Updated vector for ID: ${id}`);
   }
 
   /**
    * Get vector by ID
    * @param {string} id - Vector ID
-   * @returns {number[]|null} - Vector or null
+   * @returns {Float32Array|null} - Unit-length vector or null
    */
   getVector(id) {
     return this.vectors.get(id) || null;
   }
 
   /**
-   * Search for similar vectors using FAISS-like algorithm
-   * Uses optimized cosine similarity with early termination
-   * @param {number[]} queryVector - Query embedding
+   * Embed a search query with the model this store was built with
+   * @param {string} text - Query text
+   * @param {string} inputType - 'query', or 'passage' for text written like a note (e.g. HyDE)
+   * @returns {Promise<{vector: number[], model: string}>} - Query for search() and searchNotes()
+   */
+  async embedQuery(text, inputType = 'query') {
+    if (this.model === UNKNOWN_MODEL) {
+      throw new AppError('The search index was built with an unknown embedding model; an embedding migration is required', 503);
+    }
+
+    const { vectors, model } = await embeddingService.embedTexts([text], inputType, this.getSpec());
+    return { vector: vectors[0], model };
+  }
+
+  /**
+   * Unwrap a query and make sure it is comparable with the stored vectors
+   * @param {object|number[]} query - { vector, model } from embedQuery(), or a vector built from this store's own vectors
+   * @returns {number[]|Float32Array} - Query vector
+   */
+  resolveQuery(query) {
+    const { vector, model = null } = Array.isArray(query) || ArrayBuffer.isView(query)
+      ? { vector: query }
+      : query || {};
+
+    if (!vector || vector.length === 0) {
+      throw new Error('Query vector is required');
+    }
+
+    // Refuse rather than return meaningless scores, e.g. when the provider failed and the query got a fallback embedding
+    if (model && model !== this.model) {
+      throw new AppError(`Search is unavailable: the query was embedded with ${model}, but the index holds ${this.model} vectors`, 503);
+    }
+    if (vector.length !== this.dimension) {
+      throw new AppError(`Search is unavailable: the query has ${vector.length} dimensions, but the index holds ${this.dimension}-dimensional vectors`, 503);
+    }
+
+    return vector;
+  }
+
+  /**
+   * Search for similar vectors
+   * Uses the owner's HNSW graph for large partitions and an exact scan otherwise;
+   * stored vectors are unit length so the dot product is the cosine similarity
+   * @param {object|number[]} query - { vector, model } from embedQuery(), or a raw vector of this store's model
    * @param {number} topK - Number of results
-   * @param {object} filter - Optional filter criteria
+   * @param {object} filter - Optional filter criteria (userId, noteIds, excludeIds, attributes)
    * @returns {Array<{id: string, score: number, metadata: object}>}
    */
-  async search(queryVector, topK = null, filter = {}) {
+  async search(query, topK = null, filter = {}) {
     const k = topK || this.topK;
-    
-    if (!queryVector || queryVector.length === 0) {
-      throw new Error('Query vector is required');
-    }
+    const queryVector = this.resolveQuery(query);
 
     // Normalize query vector for cosine similarity
-    const normalizedQuery = this.normalizeVector(queryVector);
-    
-    // Calculate similarities using optimized dot product (for normalized vectors)
-    const results = [];
+    const normalizedQuery = this.normalizeVector(Float32Array.from(queryVector));
+    const accept = this.buildFilter(filter);
+    const candidates = filter.noteIds ? this.getVectorIds(filter.noteIds) : null;
 
-    for (const [id, vector] of this.vectors.entries()) {
-      // Apply filters if provided
-      if (filter.excludeIds && filter.excludeIds.includes(id)) {
-        continue;
-      }
+    // Owner isolation: a user-scoped search only ever looks at that user's partition
+    const owners = filter.userId
+      ? [filter.userId.toString()]
+      : Array.from(this.partitions.keys());
+
+    const results = [];
+    for (const owner of owners) {
+      const partition = this.partitions.get(owner);
+      if (!partition) continue;
 
-      const meta = this.metadata.get(id);
-      if (filter.category && meta?.category !== filter.category) {
-        continue;
+      // A short allow-list of notes is scanned directly instead of being filtered out of the graph
+      const graph = this.graphs.get(owner);
+      let hits;
+      if (candidates && candidates.length < partition.size / 2) {
+        hits = this.exactSearch(candidates.filter(id => partition.has(id)), normalizedQuery, k, accept);
+      } else if (graph && partition.size >= this.hnswMinVectors) {
+        hits = graph.search(normalizedQuery, k, accept);
+      } else {
+        hits = this.exactSearch(partition, normalizedQuery, k, accept);
       }
 
-      // For normalized vectors, dot product = cosine similarity
-      const score = this.dotProduct(normalizedQuery, this.normalizeVector(vector));
-      
-      results.push({ id, score, metadata: meta || {} });
+      results.push(...hits);
     }
 
     // Sort by score descending and return top K
     results.sort((a, b) => b.score - a.score);
 
+    return results.slice(0, k).map(({ id, score }) => ({
+      id,
+      score,
+      metadata: this.metadata.get(id) || {}
+    }));
+  }
+
+  /**
+   * Exact scan over a set of vector IDs
+   * @param {Iterable<string>} ids - Candidate vector IDs
+   * @param {Float32Array} query - Unit-length query vector
+   * @param {number} k - Number of results
+   * @param {Function|null} accept - Optional predicate on vector IDs
+   * @returns {Array<{id: string, score: number}>}
+   */
+  exactSearch(ids, query, k, accept = null) {
+    const results = [];
+
+    for (const id of ids) {
+      if (accept && !accept(id)) continue;
+      results.push({ id, score: this.dotProduct(query, this.vectors.get(id)) });
+    }
+
+    results.sort((a, b) => b.score - a.score);
     return results.slice(0, k);
   }
 
+  /**
+   * Build a predicate for the non-owner filter criteria
+   * @param {object} filter - Filter criteria (noteIds to search within, excludeIds to skip;
+   *   arrays or Sets of note IDs; attributes, a predicate on the note attributes kept with
+   *   each vector, from buildAttributeFilter())
+   * @returns {Function|null} - Predicate on vector IDs, or null when nothing is filtered
+   */
+  buildFilter(filter) {
+    // A Set is used as it is, so a filter reused for many searches isn't copied for each
+    const toSet = (ids) => (ids instanceof Set ? ids : new Set(ids.map(String)));
+    const excluded = filter.excludeIds ? toSet(filter.excludeIds) : null;
+    const allowed = filter.noteIds ? toSet(filter.noteIds) : null;
+    const matches = filter.attributes || null;
+
+    if (!excluded && !allowed && !matches) {
+      return null;
+    }
+
+    return (id) => {
+      if (matches && !matches(this.metadata.get(id)?.attributes)) {
+        return false;
+      }
+
+      // Both lists hold note IDs
+      const noteId = this.getNoteId(id);
+      if (excluded && excluded.has(noteId)) {
+        return false;
+      }
+      if (allowed && !allowed.has(noteId)) {
+        return false;
+      }
+      return true;
+    };
+  }
+
+  /**
+   * Get the vector IDs stored for a set of notes
+   * @param {string[]} noteIds - Note IDs
+   * @returns {string[]}
+   */
+  getVectorIds(noteIds) {
+    return Array.from(noteIds, String).flatMap(noteId => Array.from(this.noteVectors.get(noteId) || []));
+  }
+
+  /**
+   * Search chunk vectors and group the hits by note
+   * Each note is scored by its best passage and carries its matched passages
+   * @param {object|number[]} query - { vector, model } from embedQuery(), or a raw vector of this store's model
+   * @param {number} topK - Number of notes to return
+   * @param {object} filter - Optional filter criteria (userId, noteIds, excludeIds, attributes)
+   * @param {object} options - Optional { maxPassages } per note
+   * @returns {Array<{id: string, score: number, passages: Array, metadata: object}>}
+   */
+  async searchNotes(query, topK = null, filter = {}, options = {}) {
+    const k = topK || this.topK;
+    const maxPassages = options.maxPassages || 3;
+
+    // Over-fetch chunks so several passages of one note don't crowd out other notes
+    const chunkResults = await this.search(query, k * 4, filter);
+
+    const byNote = new Map();
+    for (const result of chunkResults) {
+      const noteId = this.getNoteId(result.id);
+      if (!byNote.has(noteId)) {
+        byNote.set(noteId, { id: noteId, score: result.score, passages: [], metadata: result.metadata });
+      }
+
+      const entry = byNote.get(noteId);
+      if (entry.passages.length < maxPassages) {
+        entry.passages.push({
+          chunkIndex: result.metadata.chunkIndex ?? 0,
+          start: result.metadata.start ?? null,
+          end: result.metadata.end ?? null,
+          score: result.score
+        });
+      }
+    }
+
+    return Array.from(byNote.values()).slice(0, k);
+  }
+
   /**
    * Batch search for multiple queries
-   * @param {number[][]} queryVectors - Array of query vectors
+   * @param {Array<object|number[]>} queries - Queries from embedQuery() or raw vectors
    * @param {number} topK - Number of results per query
+   * @param {object} filter - Optional filter criteria applied to every query
    * @returns {Array<Array<{id: string, score: number}>>}
    */
-  async batchSearch(queryVectors, topK = null) {
-    return Promise.all(queryVectors.map(qv => this.search(qv, topK)));
+  async batchSearch(queries, topK = null, filter = {}) {
+    return Promise.all(queries.map(query => this.search(query, topK, filter)));
   }
 
   /**
    * Normalize a vector to unit length
-   * @param {number[]} vector - Vector to normalize
-   * @returns {number[]} - Normalized vector
+   * @param {number[]|Float32Array} vector - Vector to normalize
+   * @returns {number[]|Float32Array} - Normalized vector of the same type
    */
   normalizeVector(vector) {
     let magnitude = 0;
@@ -304,41 +779,106 @@ class VectorStore {
   getStats() {
     return {
       totalVectors: this.vectors.size,
+      provider: this.provider,
+      model: this.model,
       dimension: this.dimension,
-      useGPU: this.useGPU,
+      indexType: this.indexType,
+      partitions: this.partitions.size,
+      graphPartitions: Array.from(this.partitions.entries())
+        .filter(([owner, ids]) => this.graphs.has(owner) && ids.size >= this.hnswMinVectors).length,
       storagePath: this.storagePath,
       memoryUsageBytes: this.vectors.size * this.dimension * 4 // 4 bytes per float
     };
   }
 
+  /**
+   * Drop all in-memory vectors, metadata and graphs
+   */
+  resetMemory() {
+    this.vectors = new Map();
+    this.metadata = new Map();
+    this.partitions = new Map();
+    this.graphs = new Map();
+    this.embeddingIds = new Map();
+    this.noteVectors = new Map();
+  }
+
   /**
    * Clear all vectors
    */
   async clear() {
-    this.vectors.clear();
-    this.metadata.clear();
-    this.idToIndex.clear();
-    this.indexToId = [];
-    await this.save();
+    this.resetMemory();
+    this.save();
     logger.info('Vector store cleared');
   }
 
   /**
-   * Save vectors to disk
+   * Mark the in-memory state as changed and schedule writing it to disk
+   * Changes made within saveDelay of each other are written together; flush() writes them
+   * now. Losing unwritten changes in a crash is safe: the files are a cache that the next
+   * startup reconciles with MongoDB
    */
-  async save() {
+  save() {
+    this.dirty = true;
+
+    if (!this.saveTimer) {
+      this.saveTimer = setTimeout(() => {
+        this.saveTimer = null;
+        this.flush().catch(() => {});
+      }, this.saveDelay);
+      this.saveTimer.unref();
+    }
+  }
+
+  /**
+   * Write unsaved changes to disk now and wait for any save in progress
+   * Calls made while a save is running share a single follow-up save
+   */
+  flush() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+
+    if (this.dirty && !this.pendingSave) {
+      const previous = this.activeSave || Promise.resolve();
+      this.pendingSave = previous.catch(() => {}).then(() => {
+        this.pendingSave = null;
+        this.dirty = false;
+        this.activeSave = this.writeToDisk()
+          .catch((error) => {
+            // Try again with the next change or flush
+            this.dirty = true;
+            throw error;
+          })
+          .finally(() => {
+            this.activeSave = null;
+          });
+        return this.activeSave;
+      });
+    }
+
+    return this.pendingSave || this.activeSave || Promise.resolve();
+  }
+
+  /**
+   * Write the current state to disk; each file is replaced atomically
+   */
+  async writeToDisk() {
     try {
       await fs.mkdir(this.storagePath, { recursive: true });
 
-      const data = {
+      const metadata = {
+        provider: this.provider,
+        model: this.model,
         dimension: this.dimension,
-        vectors: Object.fromEntries(this.vectors),
         metadata: Object.fromEntries(this.metadata),
         savedAt: new Date().toISOString()
       };
 
-      const filePath = path.join(this.storagePath, this.indexFile);
-      await fs.writeFile(filePath, JSON.stringify(data), 'utf8');
+      await this.writeFileAtomic(this.vectorsFile, this.serializeVectors());
+      await this.writeFileAtomic(this.metadataFile, JSON.stringify(metadata));
+      if (this.indexType === 'hnsw') {
+        await this.writeFileAtomic(this.graphsFile, this.serializeGraphs());
+      }
 
       logger.debug(`Saved ${this.vectors.size} vectors to disk`);
     } catch (error) {
@@ -348,38 +888,362 @@ class VectorStore {
   }
 
   /**
-   * Load vectors from disk
+   * Write a file via a temporary file and rename
    */
-  async load() {
-    try {
-      const filePath = path.join(this.storagePath, this.indexFile);
-      const data = await fs.readFile(filePath, 'utf8');
-      const parsed = JSON.parse(data);
+  async writeFileAtomic(fileName, data) {
+    const filePath = path.join(this.storagePath, fileName);
+    const tempPath = `${filePath}.tmp`;
+    await fs.writeFile(tempPath, data);
+    await fs.rename(tempPath, filePath);
+  }
 
-      // Handle dimension change
-      if (parsed.dimension && parsed.dimension !== this.dimension) {
-        logger.warn(`Stored dimension (${parsed.dimension}) differs from configured (${this.dimension}). Vectors will be adjusted.`);
+  /**
+   * Serialize vectors to the binary vector file
+   *
+   * Layout (little-endian): 'NVEC' | u32 version | u32 dimension | u32 count, then per vector:
+   * u16 idLength | id (utf8) | u32 length | float32 values
+   * @returns {Buffer}
+   */
+  serializeVectors() {
+    const parts = [];
+    const header = Buffer.alloc(16);
+    header.write(VECTORS_MAGIC, 0, 'ascii');
+    header.writeUInt32LE(FORMAT_VERSION, 4);
+    header.writeUInt32LE(this.dimension, 8);
+    header.writeUInt32LE(this.vectors.size, 12);
+    parts.push(header);
+
+    for (const [id, vector] of this.vectors.entries()) {
+      const idBytes = Buffer.from(id, 'utf8');
+      const entryHeader = Buffer.alloc(2 + idBytes.length + 4);
+      entryHeader.writeUInt16LE(idBytes.length, 0);
+      idBytes.copy(entryHeader, 2);
+      entryHeader.writeUInt32LE(vector.length, 2 + idBytes.length);
+      parts.push(entryHeader);
+
+      if (LITTLE_ENDIAN_HOST) {
+        parts.push(Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength));
+      } else {
+        const values = Buffer.alloc(vector.length * 4);
+        vector.forEach((value, i) => values.writeFloatLE(value, i * 4));
+        parts.push(values);
       }
+    }
+
+    return Buffer.concat(parts);
+  }
+
+  /**
+   * Parse the binary vector file
+   * @param {Buffer} buffer - File contents
+   * @returns {{dimension: number, vectors: Map<string, Float32Array>}}
+   */
+  deserializeVectors(buffer) {
+    if (buffer.toString('ascii', 0, 4) !== VECTORS_MAGIC) {
+      throw new Error('Not a vector store file');
+    }
+    if (buffer.readUInt32LE(4) !== FORMAT_VERSION) {
+      throw new Error(`Unsupported vector file version ${buffer.readUInt32LE(4)}`);
+    }
+
+    const dimension = buffer.readUInt32LE(8);
+    const count = buffer.readUInt32LE(12);
+    const vectors = new Map();
 
-      this.vectors = new Map(Object.entries(parsed.vectors || {}));
-      this.metadata = new Map(Object.entries(parsed.metadata || {}));
+    let offset = 16;
+    for (let n = 0; n < count; n++) {
+      const idLength = buffer.readUInt16LE(offset);
+      offset += 2;
+      const id = buffer.toString('utf8', offset, offset + idLength);
+      offset += idLength;
+      const length = buffer.readUInt32LE(offset);
+      offset += 4;
 
-      // Rebuild index mappings
-      this.idToIndex.clear();
-      this.indexToId = [];
-      for (const id of this.vectors.keys()) {
-        this.idToIndex.set(id, this.indexToId.length);
-        this.indexToId.push(id);
+      const vector = new Float32Array(length);
+      for (let i = 0; i < length; i++) {
+        vector[i] = buffer.readFloatLE(offset);
+        offset += 4;
       }
+      vectors.set(id, vector);
+    }
+
+    return { dimension, vectors };
+  }
+
+  /**
+   * Serialize every owner's HNSW graph
+   *
+   * Layout (little-endian): 'NVGR' | u32 version | u32 count, then per graph:
+   * u16 ownerLength | owner (utf8) | u32 byteLength | graph bytes (see HNSWIndex.serialize)
+   * @returns {Buffer}
+   */
+  serializeGraphs() {
+    const parts = [];
+    const header = Buffer.alloc(12);
+    header.write(GRAPHS_MAGIC, 0, 'ascii');
+    header.writeUInt32LE(FORMAT_VERSION, 4);
+    header.writeUInt32LE(this.graphs.size, 8);
+    parts.push(header);
+
+    for (const [owner, graph] of this.graphs.entries()) {
+      const ownerBytes = Buffer.from(owner, 'utf8');
+      const graphBytes = graph.serialize();
+      const entryHeader = Buffer.alloc(2 + ownerBytes.length + 4);
+      entryHeader.writeUInt16LE(ownerBytes.length, 0);
+      ownerBytes.copy(entryHeader, 2);
+      entryHeader.writeUInt32LE(graphBytes.length, 2 + ownerBytes.length);
+      parts.push(entryHeader, graphBytes);
+    }
+
+    return Buffer.concat(parts);
+  }
 
-      logger.info(`Loaded ${this.vectors.size} vectors from disk`);
+  /**
+   * Restore HNSW graphs, rebuilding any partition whose saved graph is missing or stale
+   * @param {Buffer|null} buffer - Graph file contents, or null when absent
+   */
+  loadGraphs(buffer) {
+    const saved = new Map();
+
+    if (buffer) {
+      try {
+        if (buffer.toString('ascii', 0, 4) !== GRAPHS_MAGIC || buffer.readUInt32LE(4) !== FORMAT_VERSION) {
+          throw new Error('unrecognised graph file');
+        }
+
+        const count = buffer.readUInt32LE(8);
+        let offset = 12;
+        for (let n = 0; n < count; n++) {
+          const ownerLength = buffer.readUInt16LE(offset);
+          offset += 2;
+          const owner = buffer.toString('utf8', offset, offset + ownerLength);
+          offset += ownerLength;
+          const byteLength = buffer.readUInt32LE(offset);
+          offset += 4;
+          saved.set(owner, buffer.subarray(offset, offset + byteLength));
+          offset += byteLength;
+        }
+      } catch (error) {
+        logger.warn(`Ignoring saved HNSW graphs: ${error.message}`);
+        saved.clear();
+      }
+    }
+
+    this.graphs = new Map();
+    for (const [owner, ids] of this.partitions.entries()) {
+      let graph = null;
+
+      if (saved.has(owner)) {
+        try {
+          graph = HNSWIndex.deserialize(saved.get(owner), id => (ids.has(id) ? this.vectors.get(id) : null));
+          graph.efSearch = this.hnswOptions.efSearch;
+          if (graph.size !== ids.size) {
+            throw new Error(`graph holds ${graph.size} of ${ids.size} vectors`);
+          }
+        } catch (error) {
+          logger.warn(`Rebuilding HNSW graph for partition '${owner}': ${error.message}`);
+          graph = null;
+        }
+      }
+
+      if (!graph) {
+        graph = this.buildGraph(ids);
+      }
+      this.graphs.set(owner, graph);
+    }
+  }
+
+  /**
+   * Build a fresh HNSW graph over a set of stored vectors
+   * @param {Iterable<string>} ids - Vector IDs
+   * @returns {HNSWIndex}
+   */
+  buildGraph(ids) {
+    const graph = new HNSWIndex({ dimension: this.dimension, ...this.hnswOptions });
+    for (const id of ids) {
+      graph.add(id, this.vectors.get(id));
+    }
+    return graph;
+  }
+
+  /**
+   * Read a file from the storage directory, or null if it does not exist
+   */
+  async readStorageFile(fileName, encoding = null) {
+    try {
+      return await fs.readFile(path.join(this.storagePath, fileName), encoding);
     } catch (error) {
       if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Load vectors from disk
+   * Converts a legacy vectors.json store to the binary format on first load
+   */
+  async load() {
+    const vectorsBuffer = await this.readStorageFile(this.vectorsFile);
+    const configured = this.defaultSpec || embeddingService.getSpec();
+    let storedDimension;
+    let stored = {};
+    let metadata = {};
+
+    this.resetMemory();
+    this.setSpec(configured);
+
+    if (vectorsBuffer) {
+      const parsed = this.deserializeVectors(vectorsBuffer);
+      const metadataJson = await this.readStorageFile(this.metadataFile, 'utf8');
+
+      storedDimension = parsed.dimension;
+      this.vectors = parsed.vectors;
+      stored = metadataJson ? JSON.parse(metadataJson) : {};
+      metadata = stored.metadata || {};
+
+      if (stored.dimension && stored.dimension !== storedDimension) {
+        throw new Error(`${this.metadataFile} describes ${stored.dimension}-dimensional vectors but ${this.vectorsFile} holds ${storedDimension}`);
+      }
+    } else {
+      const legacyJson = await this.readStorageFile(this.legacyIndexFile, 'utf8');
+      if (!legacyJson) {
         logger.info('No existing vector store found, starting fresh');
-      } else {
-        throw error;
+        return;
+      }
+
+      const parsed = JSON.parse(legacyJson);
+      storedDimension = parsed.dimension;
+      for (const [id, vector] of Object.entries(parsed.vectors || {})) {
+        this.vectors.set(id, this.normalizeVector(Float32Array.from(vector)));
       }
+      metadata = parsed.metadata || {};
+      logger.info(`Converting legacy ${this.legacyIndexFile} with ${this.vectors.size} vectors to binary format`);
+    }
+
+    // A non-empty index keeps serving the model it was built with until a migration replaces it
+    if (this.vectors.size > 0) {
+      this.setSpec(this.resolveStoredSpec(stored, storedDimension || configured.dimension, configured));
     }
+
+    this.metadata = new Map(Object.entries(metadata).filter(([id]) => this.vectors.has(id)));
+    for (const [id, meta] of this.metadata.entries()) {
+      meta.model = meta.model || this.model;
+      if (meta.embeddingId) {
+        this.embeddingIds.set(meta.embeddingId, id);
+      }
+    }
+
+    // Rebuild owner partitions and the vector ids of each note
+    for (const id of this.vectors.keys()) {
+      const owner = this.getOwner(id);
+      if (!this.partitions.has(owner)) {
+        this.partitions.set(owner, new Set());
+      }
+      this.partitions.get(owner).add(id);
+      this.linkNote(id);
+    }
+
+    if (this.indexType === 'hnsw') {
+      this.loadGraphs(await this.readStorageFile(this.graphsFile));
+    }
+
+    // Convert legacy files and record the model of stores that predate model tracking
+    if (!vectorsBuffer || !stored.model) {
+      this.save();
+    }
+
+    logger.info(`Loaded ${this.vectors.size} vectors from disk`);
+  }
+
+  /**
+   * Work out which model a loaded store was built with
+   * @param {object} stored - Parsed metadata file (provider, model, dimension)
+   * @param {number} storedDimension - Length of the stored vectors
+   * @param {object} configured - Configured { provider, model, dimension }
+   * @returns {{provider: string|null, model: string, dimension: number}}
+   */
+  resolveStoredSpec(stored, storedDimension, configured) {
+    let spec;
+
+    if (stored.model) {
+      spec = { provider: stored.provider || null, model: stored.model, dimension: storedDimension };
+    } else if (storedDimension === configured.dimension) {
+      logger.warn(`Vector store predates model tracking; assuming its vectors come from ${configured.model}`);
+      spec = configured;
+    } else {
+      logger.warn(`Vector store predates model tracking and holds ${storedDimension}-dimensional vectors, ` +
+        `which ${configured.model} (${configured.dimension}) did not produce. Semantic search is unavailable until an embedding migration completes.`);
+      return { provider: null, model: UNKNOWN_MODEL, dimension: storedDimension };
+    }
+
+    if (spec.model !== configured.model || spec.dimension !== configured.dimension) {
+      logger.warn(`Vector store holds ${spec.model} vectors but ${configured.model} is configured; ` +
+        'it keeps serving the stored model until an embedding migration switches it over');
+    }
+
+    return spec;
+  }
+
+  /**
+   * Start an empty index for an embedding migration to build next to this one
+   * @param {object} spec - { provider, model, dimension } of the new index
+   * @returns {Promise<VectorStore>}
+   */
+  async openStaging(spec) {
+    await this.discardStaging();
+
+    const staging = new VectorStore({ spec, storagePath: path.join(this.storagePath, 'migration') });
+    await staging.clear();
+
+    this.staging = staging;
+    return staging;
+  }
+
+  /**
+   * Replace this index with the finished migration index
+   * The in-memory swap is a single synchronous step, so every search sees either
+   * the complete old index or the complete new one
+   * @returns {Promise<{from: object, to: object}>} - Previous and new specs
+   */
+  async promoteStaging() {
+    const staging = this.staging;
+    if (!staging) {
+      throw new Error('No migration index to switch to');
+    }
+    await staging.flush();
+
+    const from = this.getSpec();
+    this.setSpec(staging.getSpec());
+    this.vectors = staging.vectors;
+    this.metadata = staging.metadata;
+    this.partitions = staging.partitions;
+    this.graphs = staging.graphs;
+    this.embeddingIds = staging.embeddingIds;
+    this.noteVectors = staging.noteVectors;
+    this.staging = null;
+
+    this.save();
+    await this.flush();
+    await fs.rm(staging.storagePath, { recursive: true, force: true });
+
+    logger.info(`Switched vector index from ${from.model} to ${this.model} (${this.vectors.size} vectors)`);
+    return { from, to: this.getSpec() };
+  }
+
+  /**
+   * Drop the migration index, in memory and on disk
+   */
+  async discardStaging() {
+    const staging = this.staging;
+    if (!staging) return;
+
+    this.staging = null;
+    // Its unsaved changes are thrown away; only a write already running is waited for
+    staging.dirty = false;
+    await staging.flush().catch(() => {});
+    await fs.rm(staging.storagePath, { recursive: true, force: true });
   }
 
   /**
@@ -387,15 +1251,15 @@ class VectorStore {
    * Useful after bulk updates
    */
   async rebuildIndex() {
-    this.idToIndex.clear();
-    this.indexToId = [];
-    
-    for (const id of this.vectors.keys()) {
-      this.idToIndex.set(id, this.indexToId.length);
-      this.indexToId.push(id);
+    this.graphs = new Map();
+
+    if (this.indexType === 'hnsw') {
+      for (const [owner, ids] of this.partitions.entries()) {
+        this.graphs.set(owner, this.buildGraph(ids));
+      }
     }
     
-    await this.save();
+    this.save();
     logger.info(`Rebuilt index with ${this.vectors.size} vectors`);
   }
 }
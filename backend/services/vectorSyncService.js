@@ -0,0 +1,296 @@
+/**
+ * Vector Sync Service
+ * Keeps every instance's in-memory vector index in line with the Embedding collection,
+ * which is the source of truth. On startup the locally cached index is reconciled with
+ * MongoDB; after that, changes made by any instance arrive through change streams, or by
+ * polling where change streams are unavailable (a standalone MongoDB server).
+ */
+
+const mongoose = require('mongoose');
+const Embedding = require('../models/Embedding');
+const VectorIndex = require('../models/VectorIndex');
+const vectorStore = require('./vectorStore');
+const logger = require('../utils/logger');
+
+const INDEX_NAME = 'notes';
+const FETCH_BATCH_SIZE = 500;
+
+class VectorSyncService {
+  constructor() {
+    this.streams = [];
+    this.timer = null;
+    this.mode = null; // 'changeStream' or 'poll' once started
+    this.syncing = null;
+    this.fingerprint = null;
+  }
+
+  // Getter to read env vars at runtime (after dotenv loads)
+  get pollInterval() {
+    return parseInt(process.env.VECTOR_SYNC_POLL_MS) || 10000;
+  }
+
+  /**
+   * Hydrate the index from MongoDB and start following changes
+   * Waits for the database connection
+   */
+  async start() {
+    if (mongoose.connection.readyState !== 1) {
+      await new Promise(resolve => mongoose.connection.once('open', resolve));
+    }
+
+    try {
+      await this.loadActiveSpec();
+      // Follow changes before reconciling so nothing written in between is missed
+      this.watch();
+      await this.reconcile();
+    } catch (error) {
+      logger.error(`Vector sync failed to start: ${error.message}`);
+      this.startPolling();
+    }
+  }
+
+  /**
+   * Adopt the embedding model recorded in MongoDB; the first instance records its own
+   */
+  async loadActiveSpec() {
+    const state = await VectorIndex.findOneAndUpdate(
+      { name: INDEX_NAME },
+      { $setOnInsert: { ...vectorStore.getSpec(), switchedAt: new Date() } },
+      { upsert: true, new: true }
+    ).lean();
+
+    this.applySpec(state);
+  }
+
+  /**
+   * Record a new active embedding model so other instances switch to it
+   * @param {object} spec - { provider, model, dimension }
+   */
+  async setActiveSpec({ provider, model, dimension }) {
+    await VectorIndex.updateOne(
+      { name: INDEX_NAME },
+      { $set: { provider, model, dimension, switchedAt: new Date() } },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Empty the index and switch it to another model when it differs from the recorded one
+   * @param {object} state - VectorIndex document
+   * @returns {boolean} - Whether the index switched
+   */
+  applySpec(state) {
+    if (vectorStore.isCompatible(state)) {
+      return false;
+    }
+
+    logger.info(`Vector index uses ${state.model} (${state.dimension} dimensions); loading it from MongoDB`);
+    vectorStore.resetMemory();
+    vectorStore.setSpec({ provider: state.provider, model: state.model, dimension: state.dimension });
+    this.fingerprint = null;
+    return true;
+  }
+
+  /**
+   * Bring the in-memory index in line with the Embedding collection
+   * Runs are queued so a switch of model is always followed by a full run
+   * @returns {Promise<void>}
+   */
+  reconcile() {
+    const previous = this.syncing || Promise.resolve();
+    const run = previous.catch(() => {}).then(() => this.runReconcile());
+
+    this.syncing = run.finally(() => {
+      if (this.syncing === run) this.syncing = null;
+    });
+    return run;
+  }
+
+  /**
+   * Add the chunks the index is missing, drop vectors whose chunk no longer exists and
+   * refresh the note attributes kept with the rest
+   * Vectors stored after the run began are left alone: they are newer than what it read
+   */
+  async runReconcile() {
+    const startedAt = Date.now();
+    const { model, dimension } = vectorStore.getSpec();
+    const isNewer = (id) => Date.parse(vectorStore.metadata.get(id)?.addedAt) >= startedAt;
+
+    const docs = await Embedding.find({ model, dimension }).select('_id noteId chunkIndex attributes').lean();
+    const ids = new Set(docs.map(doc => doc._id.toString()));
+
+    // Cached vectors without an Embedding id predate tracking and can't be verified
+    const stale = Array.from(vectorStore.vectors.keys()).filter(id => {
+      const embeddingId = vectorStore.metadata.get(id)?.embeddingId;
+      return !isNewer(id) && (!embeddingId || !ids.has(embeddingId));
+    });
+    stale.forEach(id => vectorStore.deleteVector(id));
+
+    let updated = 0;
+    for (const doc of docs) {
+      const id = vectorStore.embeddingIds.get(doc._id.toString());
+      if (id && !isNewer(id) && vectorStore.setVectorAttributes(id, doc.attributes)) {
+        updated++;
+      }
+    }
+
+    const missing = Array.from(ids).filter(id => !vectorStore.embeddingIds.has(id));
+    let added = 0;
+
+    for (let i = 0; i < missing.length; i += FETCH_BATCH_SIZE) {
+      const batch = await Embedding.find({ _id: { $in: missing.slice(i, i + FETCH_BATCH_SIZE) } }).lean();
+
+      for (const doc of batch) {
+        const id = vectorStore.chunkId(doc.noteId, doc.chunkIndex);
+        if (!isNewer(id) && this.storeDoc(doc)) {
+          added++;
+        }
+      }
+    }
+
+    if (stale.length > 0 || added > 0 || updated > 0) {
+      vectorStore.save();
+      logger.info(`Vector index synced with MongoDB: ${added} added, ${stale.length} removed, ${updated} updated, ${vectorStore.getCount()} total`);
+    }
+  }
+
+  /**
+   * Put an Embedding document's vector in the index, or refresh the note attributes of one
+   * already there
+   * @param {object} doc - Embedding document (lean)
+   * @returns {boolean} - Whether the index changed
+   */
+  storeDoc(doc) {
+    const embeddingId = doc._id.toString();
+
+    if (doc.model !== vectorStore.model || doc.dimension !== vectorStore.dimension) {
+      return false;
+    }
+
+    // The same chunk: only its note's attributes can have changed
+    const existing = vectorStore.embeddingIds.get(embeddingId);
+    if (existing) {
+      return vectorStore.setVectorAttributes(existing, doc.attributes);
+    }
+
+    try {
+      vectorStore.storeVector(vectorStore.chunkId(doc.noteId, doc.chunkIndex), doc.vector, {
+        userId: doc.user,
+        noteId: doc.noteId.toString(),
+        model: doc.model,
+        embeddingId,
+        chunkIndex: doc.chunkIndex,
+        chunkCount: doc.chunkCount,
+        start: doc.startOffset,
+        end: doc.endOffset,
+        attributes: doc.attributes
+      });
+      return true;
+    } catch (error) {
+      logger.warn(`Skipping embedding ${embeddingId}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Follow Embedding and VectorIndex changes through change streams
+   * Falls back to polling if the server does not support them
+   */
+  watch() {
+    try {
+      const embeddings = Embedding.watch([], { fullDocument: 'updateLookup' });
+      const state = VectorIndex.watch([], { fullDocument: 'updateLookup' });
+
+      embeddings.on('change', change => this.handleEmbeddingChange(change));
+      state.on('change', (change) => {
+        if (change.fullDocument?.name === INDEX_NAME && this.applySpec(change.fullDocument)) {
+          this.reconcile().catch(error => logger.error(`Vector sync error: ${error.message}`));
+        }
+      });
+
+      for (const stream of [embeddings, state]) {
+        stream.on('error', error => this.startPolling(error));
+      }
+
+      this.streams = [embeddings, state];
+      this.mode = 'changeStream';
+    } catch (error) {
+      this.startPolling(error);
+    }
+  }
+
+  /**
+   * Apply one Embedding change made by any instance
+   * @param {object} change - Change stream event
+   */
+  handleEmbeddingChange(change) {
+    let changed = false;
+
+    if (change.operationType === 'delete') {
+      const id = vectorStore.embeddingIds.get(change.documentKey._id.toString());
+      changed = id ? vectorStore.deleteVector(id) : false;
+    } else if (change.fullDocument) {
+      changed = this.storeDoc(change.fullDocument);
+    }
+
+    if (changed) {
+      vectorStore.save();
+    }
+  }
+
+  /**
+   * Switch to polling, e.g. on a standalone server where change streams are not supported
+   * @param {Error} error - Why change streams can't be used
+   */
+  startPolling(error = null) {
+    if (this.mode === 'poll') return;
+
+    for (const stream of this.streams) {
+      stream.close().catch(() => {});
+    }
+    this.streams = [];
+    this.mode = 'poll';
+
+    if (error) {
+      logger.warn(`Change streams unavailable: ${error.message}`);
+    }
+    logger.info(`Polling MongoDB every ${this.pollInterval}ms to keep the vector index in sync`);
+
+    this.timer = setInterval(() => this.poll(), this.pollInterval);
+    this.timer.unref();
+  }
+
+  /**
+   * Pick up a switch of model, then reconcile when the active model's chunks changed
+   */
+  async poll() {
+    if (this.syncing || mongoose.connection.readyState !== 1) return;
+
+    try {
+      const state = await VectorIndex.findOne({ name: INDEX_NAME }).lean();
+      if (state) {
+        this.applySpec(state);
+      }
+
+      // Chunks are inserted and deleted, and updated only when their note's attributes change,
+      // so a count, the newest id and the latest update reveal changes
+      const filter = { model: vectorStore.model, dimension: vectorStore.dimension };
+      const [count, newest, latest] = await Promise.all([
+        Embedding.countDocuments(filter),
+        Embedding.findOne(filter).sort({ _id: -1 }).select('_id').lean(),
+        Embedding.findOne(filter).sort({ updatedAt: -1 }).select('updatedAt').lean()
+      ]);
+      const fingerprint = `${vectorStore.model}:${count}:${newest?._id || ''}:${latest?.updatedAt?.getTime() || 0}`;
+
+      if (fingerprint !== this.fingerprint) {
+        await this.reconcile();
+        this.fingerprint = fingerprint;
+      }
+    } catch (error) {
+      logger.error(`Vector sync poll error: ${error.message}`);
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new VectorSyncService();
@@ -0,0 +1,111 @@
+/**
+ * Text Diff Helper
+ * Line-based diff (longest common subsequence) used to compare note versions
+ */
+
+// Above this many line pairs the LCS table gets too large; changed regions are then shown as replaced
+const MAX_LCS_CELLS = 4000000;
+
+/**
+ * Diff two texts line by line
+ * @param {string} oldText - Previous text
+ * @param {string} newText - New text
+ * @returns {Array<{type: 'equal'|'removed'|'added', lines: string[], oldStart: number, newStart: number}>}
+ *   - consecutive lines of the same type are grouped; starts are 1-based line numbers
+ */
+const diffLines = (oldText, newText) => {
+  const a = (oldText || '').split('\n');
+  const b = (newText || '').split('\n');
+
+  // Common prefix and suffix need no LCS
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix &&
+    suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) suffix++;
+
+  const oldMid = a.slice(prefix, a.length - suffix);
+  const newMid = b.slice(prefix, b.length - suffix);
+
+  const ops = [
+    ...a.slice(0, prefix).map(line => ({ type: 'equal', line })),
+    ...diffMiddle(oldMid, newMid),
+    ...a.slice(a.length - suffix).map(line => ({ type: 'equal', line }))
+  ];
+
+  // Group consecutive operations and number the lines
+  const changes = [];
+  let oldLine = 1;
+  let newLine = 1;
+
+  for (const op of ops) {
+    const last = changes[changes.length - 1];
+    if (last && last.type === op.type) {
+      last.lines.push(op.line);
+    } else {
+      changes.push({ type: op.type, lines: [op.line], oldStart: oldLine, newStart: newLine });
+    }
+    if (op.type !== 'added') oldLine++;
+    if (op.type !== 'removed') newLine++;
+  }
+
+  return changes;
+};
+
+/**
+ * LCS diff of the lines between the common prefix and suffix
+ */
+const diffMiddle = (a, b) => {
+  if (a.length * b.length > MAX_LCS_CELLS) {
+    return [
+      ...a.map(line => ({ type: 'removed', line })),
+      ...b.map(line => ({ type: 'added', line }))
+    ];
+  }
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push({ type: 'equal', line: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      ops.push({ type: 'removed', line: a[i++] });
+    } else {
+      ops.push({ type: 'added', line: b[j++] });
+    }
+  }
+  while (i < a.length) ops.push({ type: 'removed', line: a[i++] });
+  while (j < b.length) ops.push({ type: 'added', line: b[j++] });
+
+  return ops;
+};
+
+/**
+ * Count added and removed lines in a diff
+ * @param {Array} changes - Result of diffLines
+ * @returns {{added: number, removed: number}}
+ */
+const diffStats = (changes) => changes.reduce((stats, change) => {
+  if (change.type === 'added') stats.added += change.lines.length;
+  if (change.type === 'removed') stats.removed += change.lines.length;
+  return stats;
+}, { added: 0, removed: 0 });
+
+module.exports = { diffLines, diffStats };
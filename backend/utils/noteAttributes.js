@@ -0,0 +1,80 @@
+/**
+ * Note Attributes
+ * The note fields search operators filter on (tag:, category:, color:, is:, before:, after:).
+ * They are copied into the search indexes (Embedding documents, vector metadata and the BM25
+ * index) so a filtered search can skip non-matching notes without loading them.
+ */
+
+/**
+ * The attributes of a note, as stored on its Embedding documents
+ * @param {object} note - Note
+ * @returns {{category: string, tags: string[], color: string, isPinned: boolean, isArchived: boolean, createdAt: Date}}
+ */
+const pickAttributes = (note) => ({
+  category: note.category || null,
+  tags: note.tags || [],
+  color: note.color || null,
+  isPinned: Boolean(note.isPinned),
+  isArchived: Boolean(note.isArchived),
+  createdAt: note.createdAt || null
+});
+
+/**
+ * Attributes in the form the indexes compare: lowercase strings and createdAt in milliseconds
+ * @param {object|null} attributes - From pickAttributes(), a note, or null
+ * @returns {object|null} - null for chunks stored before attributes were kept
+ */
+const normalizeAttributes = (attributes) => {
+  if (!attributes) {
+    return null;
+  }
+
+  const lower = (value) => (value ? String(value).toLowerCase() : null);
+  return {
+    category: lower(attributes.category),
+    tags: (attributes.tags || []).map(lower),
+    color: lower(attributes.color),
+    isPinned: Boolean(attributes.isPinned),
+    isArchived: Boolean(attributes.isArchived),
+    createdAt: attributes.createdAt ? new Date(attributes.createdAt).getTime() : null
+  };
+};
+
+/**
+ * Predicate on normalized attributes for a parsed query's filters, matching what
+ * searchService.buildNoteQuery() selects in MongoDB: every tag, one of the categories or
+ * colors, and archived notes only with is:archived
+ * Chunks without attributes count as unpinned, unarchived and untagged
+ * @param {object} filters - filters from parseQuery()
+ * @returns {Function} - (attributes) => boolean
+ */
+const buildAttributeFilter = (filters) => {
+  const lower = (values) => values.map(value => value.toLowerCase());
+  const tags = lower(filters.tags);
+  const notTags = lower(filters.notTags);
+  const categories = lower(filters.categories);
+  const notCategories = lower(filters.notCategories);
+  const colors = lower(filters.colors);
+  const notColors = lower(filters.notColors);
+  const archived = filters.archived ?? false;
+  const before = filters.before ? filters.before.getTime() : null;
+  const after = filters.after ? filters.after.getTime() : null;
+
+  return (attributes) => {
+    const note = attributes || { tags: [], isPinned: false, isArchived: false };
+
+    if (note.isArchived !== archived) return false;
+    if (filters.pinned !== undefined && note.isPinned !== filters.pinned) return false;
+    if (!tags.every(tag => note.tags.includes(tag))) return false;
+    if (notTags.some(tag => note.tags.includes(tag))) return false;
+    if (categories.length > 0 && !categories.includes(note.category)) return false;
+    if (notCategories.includes(note.category)) return false;
+    if (colors.length > 0 && !colors.includes(note.color)) return false;
+    if (notColors.includes(note.color)) return false;
+    if (before !== null && (!note.createdAt || note.createdAt >= before)) return false;
+    if (after !== null && (!note.createdAt || note.createdAt < after)) return false;
+    return true;
+  };
+};
+
+module.exports = { pickAttributes, normalizeAttributes, buildAttributeFilter };
@@ -0,0 +1,172 @@
+/**
+ * Search Query Parser
+ * Splits a search bar query into free text and structured filters:
+ *   tag:work  category:ideas  is:pinned  is:archived  before:2024-05-01  after:30d
+ *   color:yellow  "exact phrase"  -excluded  -tag:draft
+ */
+
+const NOTE_COLORS = {
+  white: '#ffffff',
+  yellow: '#fef3c7',
+  green: '#dcfce7',
+  blue: '#dbeafe',
+  pink: '#fce7f3',
+  purple: '#f3e8ff'
+};
+
+const OPERATORS = {
+  tag: 'Notes with this tag',
+  category: 'Notes in this category',
+  is: 'Pinned or archived notes (is:pinned, is:archived)',
+  before: 'Created before a date (2024-05-01, 2024-05, 30d, 2w, 6m, 1y, last-week)',
+  after: 'Created on or after a date (2024-05-01, 2024-05, 30d, 2w, 6m, 1y, last-week)',
+  color: `Note color (${Object.keys(NOTE_COLORS).join(', ')} or a hex code)`
+};
+
+const IS_VALUES = ['pinned', 'archived'];
+
+// Named ages, the same as 1w, 1m and 1y
+const LAST_PERIODS = { 'last-week': '1w', 'last-month': '1m', 'last-year': '1y' };
+
+// Optional "-", optional "operator:", then a quoted value (closing quote optional) or a bare word
+const TOKEN_PATTERN = /(-)?(?:([a-zA-Z]+):)?(?:"([^"]*)"?|(\S+))/g;
+
+/**
+ * Parse a date value: YYYY, YYYY-MM, YYYY-MM-DD (UTC), today, yesterday, or an age such as
+ * 30d, 2w, 6m, 1y, last-week, last-month, last-year
+ * @param {string} value - Operator value
+ * @param {Date} now - Reference time for relative values
+ * @returns {Date|null} - Start of the period, or null when not understood
+ */
+const parseDate = (value, now = new Date()) => {
+  const lower = value.toLowerCase();
+
+  if (lower === 'today' || lower === 'yesterday') {
+    const date = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    if (lower === 'yesterday') date.setUTCDate(date.getUTCDate() - 1);
+    return date;
+  }
+
+  const age = (LAST_PERIODS[lower] || lower).match(/^(\d+)([dwmy])$/);
+  if (age) {
+    const amount = parseInt(age[1]);
+    const date = new Date(now);
+    if (age[2] === 'd') date.setDate(date.getDate() - amount);
+    if (age[2] === 'w') date.setDate(date.getDate() - amount * 7);
+    if (age[2] === 'm') date.setMonth(date.getMonth() - amount);
+    if (age[2] === 'y') date.setFullYear(date.getFullYear() - amount);
+    return date;
+  }
+
+  const iso = lower.match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+  if (iso) {
+    const [year, month = 1, day = 1] = iso.slice(1).filter(Boolean).map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    // Reject overflow such as 2024-02-31
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+  }
+
+  return null;
+};
+
+/**
+ * Resolve a color name or hex code to the stored hex value
+ * @param {string} value - Operator value
+ * @returns {string|null}
+ */
+const parseColor = (value) => {
+  const lower = value.toLowerCase();
+  if (NOTE_COLORS[lower]) return NOTE_COLORS[lower];
+
+  const hex = lower.replace(/^#/, '');
+  return /^([0-9a-f]{3}|[0-9a-f]{6})$/.test(hex) ? `#${hex}` : null;
+};
+
+/**
+ * Parse a search query
+ * Operators with an empty value (e.g. while "tag:" is still being typed) are ignored;
+ * unknown operators are searched as plain words
+ * @param {string} input - Query as typed
+ * @returns {{text: string, terms: string[], phrases: string[], exclude: string[], filters: object, errors: string[]}}
+ *   - text is the words and quoted phrases to search for; exclude holds words and phrases the
+ *   note must not contain; filters holds tags, notTags, categories, notCategories, colors,
+ *   notColors, pinned, archived, before and after
+ */
+const parseQuery = (input = '') => {
+  const terms = [];
+  const phrases = [];
+  const exclude = [];
+  const errors = [];
+  const filters = {
+    tags: [],
+    notTags: [],
+    categories: [],
+    notCategories: [],
+    colors: [],
+    notColors: [],
+    pinned: undefined,
+    archived: undefined,
+    before: null,
+    after: null
+  };
+
+  for (const match of input.matchAll(TOKEN_PATTERN)) {
+    const [raw, negated, name, quoted, bare] = match;
+    const operator = name?.toLowerCase();
+    const value = (quoted ?? bare ?? '').trim();
+
+    if (!raw.trim()) continue;
+
+    // An operator still waiting for its value, e.g. "tag:" followed by a space
+    if (!name && value.endsWith(':') && OPERATORS[value.slice(0, -1).toLowerCase()]) continue;
+
+    if (operator && OPERATORS[operator]) {
+      if (!value) continue;
+
+      if (operator === 'tag') {
+        (negated ? filters.notTags : filters.tags).push(value);
+      } else if (operator === 'category') {
+        (negated ? filters.notCategories : filters.categories).push(value);
+      } else if (operator === 'color') {
+        const color = parseColor(value);
+        if (color) (negated ? filters.notColors : filters.colors).push(color);
+        else errors.push(`Unknown color "${value}"`);
+      } else if (operator === 'is') {
+        const flag = value.toLowerCase();
+        if (IS_VALUES.includes(flag)) filters[flag] = !negated;
+        else errors.push(`is: must be ${IS_VALUES.join(' or ')}`);
+      } else {
+        const date = parseDate(value);
+        if (date) filters[operator] = date;
+        else errors.push(`Invalid date "${value}" for ${operator}:`);
+      }
+      continue;
+    }
+
+    // Not an operator: a word or phrase, keeping an unknown "name:" prefix as typed
+    const text = name && !quoted ? `${name}:${value}` : value;
+    if (!/[\p{L}\p{N}]/u.test(text)) continue;
+
+    if (negated) {
+      exclude.push(text);
+    } else if (quoted !== undefined) {
+      phrases.push(text);
+    } else {
+      terms.push(text);
+    }
+  }
+
+  const text = [...terms, ...phrases.map(phrase => `"${phrase}"`)].join(' ');
+  return { text, terms, phrases, exclude, filters, errors };
+};
+
+/**
+ * Whether a parsed query narrows the notes searched beyond free text
+ * @param {object} parsed - Result of parseQuery()
+ * @returns {boolean}
+ */
+const hasFilters = ({ filters, phrases, exclude }) =>
+  phrases.length > 0 || exclude.length > 0 ||
+  Object.values(filters).some(value => Array.isArray(value) ? value.length > 0 : value !== undefined && value !== null);
+
+module.exports = { parseQuery, hasFilters, parseDate, OPERATORS, IS_VALUES, NOTE_COLORS };
@@ -0,0 +1,51 @@
+/**
+ * Server-Sent Events Helper
+ * Turns an Express response into an event stream
+ */
+
+/**
+ * Start an event stream on a response
+ * The returned signal is aborted when the client disconnects before the stream ends,
+ * so upstream work (such as an LLM request) can be cancelled
+ * @param {object} res - Express response
+ * @returns {{signal: AbortSignal, send: Function, end: Function}}
+ */
+const openEventStream = (res) => {
+  const controller = new AbortController();
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
+  return {
+    signal: controller.signal,
+
+    /**
+     * Send one event with a JSON payload
+     * @param {string} event - Event name
+     * @param {object} data - Payload
+     */
+    send(event, data) {
+      if (res.writableEnded || controller.signal.aborted) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      // compression() buffers output until flushed
+      if (typeof res.flush === 'function') res.flush();
+    },
+
+    end() {
+      if (!res.writableEnded) res.end();
+    }
+  };
+};
+
+module.exports = { openEventStream };
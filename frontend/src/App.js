@@ -6,6 +6,8 @@ import Dashboard from './pages/Dashboard';
 import NoteEditor from './pages/NoteEditor';
 import AIAssistant from './pages/AIAssistant';
 import Search from './pages/Search';
+import SearchAnalytics from './pages/SearchAnalytics';
+import TopicMap from './pages/TopicMap';
 import Login from './pages/Login';
 import Register from './pages/Register';
 import ErrorBoundary from './components/ErrorBoundary';
@@ -69,6 +71,8 @@ function AppRoutes() {
         <Route path="note/:id" element={<NoteEditor />} />
         <Route path="ai" element={<AIAssistant />} />
         <Route path="search" element={<Search />} />
+        <Route path="topics" element={<TopicMap />} />
+        <Route path="analytics" element={<SearchAnalytics />} />
       </Route>
     </Routes>
   );
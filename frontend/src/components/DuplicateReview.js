@@ -0,0 +1,251 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  DocumentDuplicateIcon,
+  ArrowPathIcon,
+  ArrowsPointingInIcon,
+  ArchiveBoxIcon,
+} from '@heroicons/react/24/outline';
+import { formatDistanceToNow } from 'date-fns';
+import { notesAPI } from '../services/api';
+import { useNotes } from '../context/NotesContext';
+import { LoadingScreen } from './LoadingSpinner';
+import ConfirmDialog from './ConfirmDialog';
+import toast from 'react-hot-toast';
+
+const reasonLabels = {
+  both: 'Same meaning and wording',
+  semantic: 'Same meaning',
+  content: 'Same wording',
+};
+
+const percent = (value) => `${(value * 100).toFixed(0)}%`;
+
+// One group of near-duplicates: pick the note to keep and which of the others to fold into it
+function DuplicateGroup({ group, onMerge, onSkip }) {
+  const navigate = useNavigate();
+  const [primaryId, setPrimaryId] = useState(group.primaryId);
+  const [selected, setSelected] = useState(group.notes.map((note) => note._id));
+  const [strategy, setStrategy] = useState('archive');
+  const [confirmOpen, setConfirmOpen] = useState(false);
+  const [merging, setMerging] = useState(false);
+
+  const others = selected.filter((id) => id !== primaryId);
+
+  const toggleSelected = (id) => {
+    setSelected((current) =>
+      current.includes(id) ? current.filter((noteId) => noteId !== id) : [...current, id]
+    );
+  };
+
+  // Best match between a note and any other note in the group
+  const similarityOf = (id) => {
+    const scores = group.pairs
+      .filter((pair) => pair.a === id || pair.b === id)
+      .map((pair) => pair.similarity);
+    return scores.length > 0 ? Math.max(...scores) : null;
+  };
+
+  const handleMerge = async () => {
+    setConfirmOpen(false);
+    setMerging(true);
+    await onMerge({ primaryId, noteIds: others, strategy });
+    setMerging(false);
+  };
+
+  const reasons = [...new Set(group.pairs.map((pair) => pair.reason))];
+
+  return (
+    <div className="card p-5">
+      <div className="flex items-center justify-between gap-3 mb-4">
+        <div className="flex items-center gap-2 flex-wrap">
+          <span className="badge badge-primary">{percent(group.similarity)} similar</span>
+          {reasons.map((reason) => (
+            <span key={reason} className="badge badge-secondary">{reasonLabels[reason]}</span>
+          ))}
+        </div>
+        <span className="text-xs text-secondary-500">{group.notes.length} notes</span>
+      </div>
+
+      <ul className="space-y-3 mb-4">
+        {group.notes.map((note) => {
+          const isPrimary = note._id === primaryId;
+          const similarity = similarityOf(note._id);
+
+          return (
+            <li
+              key={note._id}
+              className={`flex items-start gap-3 p-3 rounded-lg border ${
+                isPrimary ? 'border-primary-300 bg-primary-50' : 'border-secondary-200'
+              }`}
+            >
+              <input
+                type="checkbox"
+                checked={isPrimary || selected.includes(note._id)}
+                disabled={isPrimary}
+                onChange={() => toggleSelected(note._id)}
+                className="mt-1 rounded border-secondary-300 text-primary-600 focus:ring-primary-500"
+                title="Include in the merge"
+              />
+              <div className="flex-1 min-w-0">
+                <div className="flex items-center gap-2">
+                  <button
+                    onClick={() => navigate(`/note/${note._id}`)}
+                    className="font-medium text-secondary-900 hover:text-primary-600 truncate text-left"
+                  >
+                    {note.title}
+                  </button>
+                  {note.isArchived && <ArchiveBoxIcon className="w-4 h-4 text-secondary-400 flex-shrink-0" />}
+                </div>
+                <p className="text-sm text-secondary-600 line-clamp-2">{note.preview}</p>
+                <p className="text-xs text-secondary-400 mt-1">
+                  {note.category} · {note.wordCount} words · updated{' '}
+                  {formatDistanceToNow(new Date(note.updatedAt), { addSuffix: true })}
+                  {!isPrimary && similarity !== null && ` · ${percent(similarity)} similar`}
+                </p>
+              </div>
+              <label className="flex items-center gap-1 text-xs text-secondary-600 flex-shrink-0">
+                <input
+                  type="radio"
+                  name={`primary-${group.primaryId}`}
+                  checked={isPrimary}
+                  onChange={() => {
+                    setPrimaryId(note._id);
+                    setSelected((current) => current.includes(note._id) ? current : [...current, note._id]);
+                  }}
+                  className="border-secondary-300 text-primary-600 focus:ring-primary-500"
+                />
+                Keep
+              </label>
+            </li>
+          );
+        })}
+      </ul>
+
+      <div className="flex items-center justify-between gap-3">
+        <select
+          value={strategy}
+          onChange={(e) => setStrategy(e.target.value)}
+          className="input w-auto text-sm"
+        >
+          <option value="archive">Archive merged notes</option>
+          <option value="delete">Delete merged notes</option>
+        </select>
+        <div className="flex items-center gap-2">
+          <button onClick={onSkip} className="btn-ghost text-sm">
+            Not duplicates
+          </button>
+          <button
+            onClick={() => setConfirmOpen(true)}
+            disabled={others.length === 0 || merging}
+            className="btn-primary text-sm"
+          >
+            <ArrowsPointingInIcon className="w-4 h-4 mr-2" />
+            {merging ? 'Merging...' : `Merge ${others.length + 1} notes`}
+          </button>
+        </div>
+      </div>
+
+      <ConfirmDialog
+        isOpen={confirmOpen}
+        onClose={() => setConfirmOpen(false)}
+        onConfirm={handleMerge}
+        title="Merge Notes"
+        message={`Combine the content, tags and categories of ${others.length} ${
+          others.length === 1 ? 'note' : 'notes'
+        } into the kept note, then ${strategy} ${others.length === 1 ? 'it' : 'them'}?`}
+        confirmText="Merge"
+        type={strategy === 'delete' ? 'danger' : 'warning'}
+      />
+    </div>
+  );
+}
+
+// "Possible duplicates" review: lists groups of near-duplicate notes to merge or dismiss
+function DuplicateReview({ includeArchived = false }) {
+  const { fetchNotes, fetchStats, fetchCategories } = useNotes();
+  const [loading, setLoading] = useState(true);
+  const [groups, setGroups] = useState([]);
+  const [unindexed, setUnindexed] = useState(0);
+
+  const loadDuplicates = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await notesAPI.getDuplicates({ includeArchived });
+      setGroups(response.data.data);
+      setUnindexed(response.data.unindexed);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to find duplicates');
+    } finally {
+      setLoading(false);
+    }
+  }, [includeArchived]);
+
+  useEffect(() => {
+    loadDuplicates();
+  }, [loadDuplicates]);
+
+  const groupKey = (group) => group.notes.map((note) => note._id).join('-');
+
+  const handleMerge = async (group, data) => {
+    try {
+      const response = await notesAPI.mergeDuplicates(data);
+      toast.success(response.data.message);
+      setGroups((current) => current.filter((g) => g !== group));
+      fetchNotes({ archived: includeArchived });
+      fetchStats();
+      fetchCategories();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to merge notes');
+    }
+  };
+
+  const handleSkip = (group) => {
+    setGroups((current) => current.filter((g) => g !== group));
+  };
+
+  if (loading) {
+    return <LoadingScreen message="Looking for duplicates..." />;
+  }
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-secondary-900 flex items-center gap-2">
+          <DocumentDuplicateIcon className="w-5 h-5 text-primary-500" />
+          Possible Duplicates
+        </h2>
+        <button onClick={loadDuplicates} className="btn-ghost text-sm">
+          <ArrowPathIcon className="w-4 h-4 mr-2" />
+          Check again
+        </button>
+      </div>
+
+      {unindexed > 0 && (
+        <p className="text-xs text-secondary-500 mb-4">
+          {unindexed} {unindexed === 1 ? 'note is' : 'notes are'} not AI-indexed yet and{' '}
+          {unindexed === 1 ? 'was' : 'were'} compared by wording only.
+        </p>
+      )}
+
+      {groups.length === 0 ? (
+        <div className="card p-8 text-center text-secondary-500">
+          No possible duplicates found
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+          {groups.map((group) => (
+            <DuplicateGroup
+              key={groupKey(group)}
+              group={group}
+              onMerge={(data) => handleMerge(group, data)}
+              onSkip={() => handleSkip(group)}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DuplicateReview;
@@ -0,0 +1,36 @@
+import React from 'react';
+
+/**
+ * Render text with highlighted ranges as React elements, so search matches can be
+ * marked without injecting HTML. Ranges are { start, end } character offsets into text.
+ */
+function HighlightedText({ text = '', highlights = [], truncatedStart = false, truncatedEnd = false }) {
+  const parts = [];
+  let position = 0;
+
+  [...highlights]
+    .sort((a, b) => a.start - b.start)
+    .forEach(({ start, end }, index) => {
+      if (start < position || end > text.length || end <= start) return;
+
+      if (start > position) parts.push(text.slice(position, start));
+      parts.push(
+        <mark key={index} className="bg-amber-100 text-secondary-900 rounded px-0.5">
+          {text.slice(start, end)}
+        </mark>
+      );
+      position = end;
+    });
+
+  if (position < text.length) parts.push(text.slice(position));
+
+  return (
+    <>
+      {truncatedStart && '...'}
+      {parts}
+      {truncatedEnd && '...'}
+    </>
+  );
+}
+
+export default HighlightedText;
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useEffect } from 'react';
 import { Outlet, NavLink, useLocation } from 'react-router-dom';
 import {
   HomeIcon,
@@ -8,19 +8,33 @@ import {
   DocumentTextIcon,
   ArrowRightOnRectangleIcon,
   UserCircleIcon,
+  RectangleStackIcon,
+  ArrowPathIcon,
+  ChartBarIcon,
+  MapIcon,
 } from '@heroicons/react/24/outline';
 import { useAuth } from '../context/AuthContext';
+import { useNotes } from '../context/NotesContext';
 
 const navigation = [
   { name: 'Dashboard', href: '/', icon: HomeIcon },
   { name: 'New Note', href: '/note/new', icon: PlusIcon },
   { name: 'AI Assistant', href: '/ai', icon: SparklesIcon },
   { name: 'Search', href: '/search', icon: MagnifyingGlassIcon },
+  { name: 'Topic Map', href: '/topics', icon: MapIcon },
+  { name: 'Search Analytics', href: '/analytics', icon: ChartBarIcon },
 ];
 
 function Layout() {
   const location = useLocation();
   const { user, logout } = useAuth();
+  const { savedSearches, fetchSavedSearches } = useNotes();
+  const activeSavedId = new URLSearchParams(location.search).get('saved');
+
+  // Smart collection counts are refreshed here and whenever a collection is saved or opened
+  useEffect(() => {
+    fetchSavedSearches();
+  }, [fetchSavedSearches]);
 
   return (
     <div className="flex min-h-screen">
@@ -38,7 +52,7 @@ function Layout() {
         </div>
 
         {/* Navigation */}
-        <nav className="px-4 py-6 space-y-1 flex-1">
+        <nav className="px-4 py-6 space-y-1 flex-1 overflow-y-auto">
           {navigation.map((item) => {
             const isActive = location.pathname === item.href || 
               (item.href !== '/' && location.pathname.startsWith(item.href));
@@ -58,6 +72,49 @@ function Layout() {
               </NavLink>
             );
           })}
+
+          {/* Smart Collections (saved searches) */}
+          {savedSearches.length > 0 && (
+            <div className="pt-6">
+              <div className="flex items-center justify-between px-4 mb-2">
+                <h2 className="text-xs font-semibold uppercase tracking-wider text-secondary-400">
+                  Smart Collections
+                </h2>
+                <button
+                  onClick={fetchSavedSearches}
+                  className="p-1 rounded text-secondary-400 hover:text-secondary-600"
+                  title="Refresh counts"
+                >
+                  <ArrowPathIcon className="w-4 h-4" />
+                </button>
+              </div>
+              {savedSearches.map((saved) => {
+                const isActive = location.pathname === '/search' && activeSavedId === saved._id;
+
+                return (
+                  <NavLink
+                    key={saved._id}
+                    to={`/search?saved=${saved._id}`}
+                    title={saved.error || saved.queryString}
+                    className={`flex items-center gap-3 px-4 py-2 rounded-xl text-sm transition-all duration-200 ${
+                      isActive
+                        ? 'bg-primary-50 text-primary-700'
+                        : 'text-secondary-600 hover:bg-secondary-50 hover:text-secondary-900'
+                    }`}
+                  >
+                    <RectangleStackIcon className={`w-4 h-4 flex-shrink-0 ${isActive ? 'text-primary-600' : ''}`} />
+                    <span className="flex-1 truncate">{saved.name}</span>
+                    {saved.newCount > 0 && (
+                      <span className="badge badge-success">{saved.newCount} new</span>
+                    )}
+                    <span className="text-xs text-secondary-400">
+                      {saved.count === null ? '–' : `${saved.count}${saved.limited ? '+' : ''}`}
+                    </span>
+                  </NavLink>
+                );
+              })}
+            </div>
+          )}
         </nav>
 
         {/* User Section */}
@@ -10,6 +10,7 @@ import {
 } from '@heroicons/react/24/outline';
 import { BookmarkIcon as BookmarkSolidIcon } from '@heroicons/react/24/solid';
 import { Menu } from '@headlessui/react';
+import HighlightedText from './HighlightedText';
 
 function NoteCard({ note, onDelete, onTogglePin, onToggleArchive }) {
   const navigate = useNavigate();
@@ -57,7 +58,9 @@ function NoteCard({ note, onDelete, onTogglePin, onToggleArchive }) {
                 <BookmarkSolidIcon className="w-4 h-4 text-amber-500 flex-shrink-0" />
               )}
               <h3 className="text-base font-semibold text-secondary-900 truncate">
-                {note.title || 'Untitled Note'}
+                {note.title ? (
+                  <HighlightedText text={note.title} highlights={note.titleHighlights} />
+                ) : 'Untitled Note'}
               </h3>
             </div>
             <p className="text-xs text-secondary-500">
@@ -134,9 +137,13 @@ function NoteCard({ note, onDelete, onTogglePin, onToggleArchive }) {
           </Menu>
         </div>
 
-        {/* Content Preview */}
+        {/* Content Preview, or the search snippet when the note came from a search */}
         <p className="text-sm text-secondary-600 leading-relaxed mb-4">
-          {getPreview(note.content)}
+          {note.snippet ? (
+            <HighlightedText {...note.snippet} />
+          ) : (
+            getPreview(note.content)
+          )}
         </p>
 
         {/* Footer */}
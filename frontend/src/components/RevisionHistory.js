@@ -0,0 +1,317 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Dialog } from '@headlessui/react';
+import { XMarkIcon, ClockIcon, ArrowUturnLeftIcon } from '@heroicons/react/24/outline';
+import { format } from 'date-fns';
+import { notesAPI } from '../services/api';
+import { LoadingDots } from './LoadingSpinner';
+import ConfirmDialog from './ConfirmDialog';
+import toast from 'react-hot-toast';
+
+const reasonLabels = {
+  create: 'Created',
+  update: 'Edited',
+  restore: 'Restored',
+  baseline: 'Earlier version',
+  merge: 'Merged duplicates',
+  'auto-apply': 'Suggested tags applied',
+};
+
+// Pair the diff's removed and added lines into side-by-side rows
+const toRows = (changes) => {
+  const rows = [];
+
+  for (let i = 0; i < changes.length; i++) {
+    const change = changes[i];
+
+    if (change.type === 'equal') {
+      change.lines.forEach((line, j) => rows.push({
+        left: { number: change.oldStart + j, text: line, type: 'equal' },
+        right: { number: change.newStart + j, text: line, type: 'equal' },
+      }));
+    } else if (change.type === 'removed') {
+      const next = changes[i + 1];
+      const added = next && next.type === 'added' ? next : null;
+      const count = Math.max(change.lines.length, added ? added.lines.length : 0);
+
+      for (let j = 0; j < count; j++) {
+        rows.push({
+          left: j < change.lines.length
+            ? { number: change.oldStart + j, text: change.lines[j], type: 'removed' }
+            : null,
+          right: added && j < added.lines.length
+            ? { number: added.newStart + j, text: added.lines[j], type: 'added' }
+            : null,
+        });
+      }
+      if (added) i++;
+    } else {
+      change.lines.forEach((line, j) => rows.push({
+        left: null,
+        right: { number: change.newStart + j, text: line, type: 'added' },
+      }));
+    }
+  }
+
+  return rows;
+};
+
+const cellStyles = {
+  equal: 'text-secondary-600',
+  removed: 'bg-red-50 text-red-800',
+  added: 'bg-green-50 text-green-800',
+};
+
+function DiffCell({ cell, divider = false }) {
+  const border = divider ? 'border-l border-secondary-200' : '';
+
+  if (!cell) {
+    return <td colSpan={2} className={`bg-secondary-50 ${border}`} />;
+  }
+  return (
+    <>
+      <td className={`w-10 px-2 text-right select-none text-secondary-400 ${cellStyles[cell.type]} ${border}`}>
+        {cell.number}
+      </td>
+      <td className={`px-2 whitespace-pre-wrap break-words ${cellStyles[cell.type]}`}>
+        {cell.text || ' '}
+      </td>
+    </>
+  );
+}
+
+function RevisionHistory({ isOpen, onClose, noteId, hasChanges, onRestored }) {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [selected, setSelected] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [loadingDiff, setLoadingDiff] = useState(false);
+  const [restoring, setRestoring] = useState(false);
+  const [showRestoreConfirm, setShowRestoreConfirm] = useState(false);
+
+  const latest = revisions[0]?.version;
+
+  const loadRevisions = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await notesAPI.getRevisions(noteId);
+      const list = response.data.data;
+      setRevisions(list);
+      // Start by comparing the previous version with the current one
+      setSelected(list.length > 1 ? list[1].version : null);
+    } catch (error) {
+      toast.error('Failed to load history');
+    } finally {
+      setLoading(false);
+    }
+  }, [noteId]);
+
+  useEffect(() => {
+    if (isOpen) {
+      loadRevisions();
+    } else {
+      setDiff(null);
+    }
+  }, [isOpen, loadRevisions]);
+
+  // Compare the selected version with the latest one
+  useEffect(() => {
+    if (!isOpen || !selected || !latest || selected === latest) {
+      setDiff(null);
+      return;
+    }
+
+    setLoadingDiff(true);
+    notesAPI.compareRevisions(noteId, selected, latest)
+      .then(response => setDiff(response.data.data))
+      .catch(() => toast.error('Failed to compare versions'))
+      .finally(() => setLoadingDiff(false));
+  }, [isOpen, noteId, selected, latest]);
+
+  const handleRestore = async () => {
+    setRestoring(true);
+    try {
+      const response = await notesAPI.restoreRevision(noteId, selected);
+      toast.success(response.data.message);
+      await onRestored();
+      await loadRevisions();
+    } catch (error) {
+      toast.error('Failed to restore version');
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  const rows = diff ? toRows(diff.content) : [];
+
+  return (
+    <Dialog open={isOpen} onClose={onClose} className="relative z-40">
+      <div className="fixed inset-0 bg-secondary-900/50 backdrop-blur-sm" aria-hidden="true" />
+
+      <div className="fixed inset-0 flex items-center justify-center p-4">
+        <Dialog.Panel className="w-full max-w-6xl h-[85vh] bg-white rounded-2xl shadow-2xl overflow-hidden flex flex-col animate-slide-up">
+          {/* Header */}
+          <div className="flex items-center justify-between px-6 py-4 border-b border-secondary-100">
+            <Dialog.Title className="text-lg font-semibold text-secondary-900 flex items-center gap-2">
+              <ClockIcon className="w-5 h-5 text-primary-600" />
+              Version History
+            </Dialog.Title>
+            <button
+              onClick={onClose}
+              className="p-1.5 rounded-lg text-secondary-400 hover:text-secondary-600 hover:bg-secondary-100 transition-colors"
+            >
+              <XMarkIcon className="w-5 h-5" />
+            </button>
+          </div>
+
+          <div className="flex flex-1 min-h-0">
+            {/* Versions */}
+            <div className="w-64 border-r border-secondary-200 overflow-auto p-2 space-y-1">
+              {loading ? (
+                <div className="flex justify-center py-8"><LoadingDots /></div>
+              ) : revisions.length === 0 ? (
+                <p className="text-sm text-secondary-500 text-center py-8 px-4">
+                  No history yet. A version is saved every time the note changes.
+                </p>
+              ) : (
+                revisions.map(revision => (
+                  <button
+                    key={revision.version}
+                    onClick={() => setSelected(revision.version)}
+                    className={`block w-full text-left rounded-lg px-3 py-2 transition-colors ${
+                      revision.version === selected
+                        ? 'bg-primary-50 text-primary-700'
+                        : 'text-secondary-700 hover:bg-secondary-50'
+                    }`}
+                  >
+                    <p className="text-sm font-medium">
+                      Version {revision.version}
+                      {revision.version === latest && (
+                        <span className="ml-2 badge-primary">Current</span>
+                      )}
+                    </p>
+                    <p className="text-xs text-secondary-500">
+                      {reasonLabels[revision.reason]}
+                      {revision.restoredFrom && ` from v${revision.restoredFrom}`}
+                      {revision.author?.name && ` by ${revision.author.name}`}
+                    </p>
+                    <p className="text-xs text-secondary-400">
+                      {format(new Date(revision.createdAt), 'MMM d, yyyy h:mm a')}
+                    </p>
+                  </button>
+                ))
+              )}
+            </div>
+
+            {/* Diff */}
+            <div className="flex-1 flex flex-col min-w-0">
+              {selected && selected !== latest && (
+                <div className="flex items-center justify-between px-4 py-3 border-b border-secondary-100">
+                  <div className="text-sm text-secondary-600">
+                    Version {selected} → current (v{latest})
+                    {diff && (
+                      <span className="ml-3">
+                        <span className="text-green-600">+{diff.stats.added}</span>{' '}
+                        <span className="text-red-600">−{diff.stats.removed}</span>
+                      </span>
+                    )}
+                  </div>
+                  <button
+                    onClick={() => setShowRestoreConfirm(true)}
+                    disabled={restoring}
+                    className="btn-secondary text-sm"
+                  >
+                    {restoring ? <LoadingDots /> : (
+                      <>
+                        <ArrowUturnLeftIcon className="w-4 h-4 mr-1.5" />
+                        Restore version {selected}
+                      </>
+                    )}
+                  </button>
+                </div>
+              )}
+
+              <div className="flex-1 overflow-auto p-4">
+                {!selected || selected === latest ? (
+                  <p className="text-sm text-secondary-500 text-center py-8">
+                    Select an earlier version to compare it with the current note
+                  </p>
+                ) : loadingDiff || !diff ? (
+                  <div className="flex justify-center py-8"><LoadingDots /></div>
+                ) : (
+                  <div className="space-y-4">
+                    {(diff.title.changed || diff.category.changed || diff.tags.added.length > 0 || diff.tags.removed.length > 0) && (
+                      <div className="card p-3 text-sm space-y-1">
+                        {diff.title.changed && (
+                          <p>
+                            <span className="text-secondary-500">Title: </span>
+                            <span className="line-through text-red-700">{diff.title.from}</span>{' → '}
+                            <span className="text-green-700">{diff.title.to}</span>
+                          </p>
+                        )}
+                        {diff.category.changed && (
+                          <p>
+                            <span className="text-secondary-500">Category: </span>
+                            <span className="line-through text-red-700">{diff.category.from}</span>{' → '}
+                            <span className="text-green-700">{diff.category.to}</span>
+                          </p>
+                        )}
+                        {(diff.tags.added.length > 0 || diff.tags.removed.length > 0) && (
+                          <p>
+                            <span className="text-secondary-500">Tags: </span>
+                            {diff.tags.added.map(tag => (
+                              <span key={`+${tag}`} className="text-green-700 mr-2">+{tag}</span>
+                            ))}
+                            {diff.tags.removed.map(tag => (
+                              <span key={`-${tag}`} className="text-red-700 mr-2">−{tag}</span>
+                            ))}
+                          </p>
+                        )}
+                      </div>
+                    )}
+
+                    <table className="w-full table-fixed text-xs font-mono border border-secondary-200 rounded-lg overflow-hidden">
+                      <colgroup>
+                        <col className="w-10" />
+                        <col />
+                        <col className="w-10" />
+                        <col />
+                      </colgroup>
+                      <thead>
+                        <tr className="bg-secondary-50 text-secondary-500">
+                          <th colSpan={2} className="px-2 py-1.5 text-left font-medium">Version {selected}</th>
+                          <th colSpan={2} className="px-2 py-1.5 text-left font-medium border-l border-secondary-200">Current</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {rows.map((row, i) => (
+                          <tr key={i} className="align-top">
+                            <DiffCell cell={row.left} />
+                            <DiffCell cell={row.right} divider />
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
+            </div>
+          </div>
+        </Dialog.Panel>
+      </div>
+
+      <ConfirmDialog
+        isOpen={showRestoreConfirm}
+        onClose={() => setShowRestoreConfirm(false)}
+        onConfirm={handleRestore}
+        title="Restore Version"
+        message={`Restore version ${selected}? The current text is kept in the history as its own version.${
+          hasChanges ? ' Your unsaved changes will be discarded.' : ''
+        }`}
+        confirmText="Restore"
+        type="warning"
+      />
+    </Dialog>
+  );
+}
+
+export default RevisionHistory;
@@ -1,5 +1,5 @@
 import React, { createContext, useContext, useReducer, useCallback } from 'react';
-import { notesAPI } from '../services/api';
+import { notesAPI, searchAPI } from '../services/api';
 import toast from 'react-hot-toast';
 
 // Initial state
@@ -11,6 +11,7 @@ const initialState = {
   stats: null,
   categories: [],
   tags: [],
+  savedSearches: [],
   pagination: {
     current: 1,
     limit: 20,
@@ -37,6 +38,9 @@ const ACTIONS = {
   SET_STATS: 'SET_STATS',
   SET_CATEGORIES: 'SET_CATEGORIES',
   SET_TAGS: 'SET_TAGS',
+  SET_SAVED_SEARCHES: 'SET_SAVED_SEARCHES',
+  UPSERT_SAVED_SEARCH: 'UPSERT_SAVED_SEARCH',
+  DELETE_SAVED_SEARCH: 'DELETE_SAVED_SEARCH',
   SET_PAGINATION: 'SET_PAGINATION',
   SET_FILTERS: 'SET_FILTERS',
   CLEAR_ERROR: 'CLEAR_ERROR',
@@ -93,6 +97,25 @@ function notesReducer(state, action) {
     case ACTIONS.SET_TAGS:
       return { ...state, tags: action.payload };
     
+    case ACTIONS.SET_SAVED_SEARCHES:
+      return { ...state, savedSearches: action.payload };
+    
+    case ACTIONS.UPSERT_SAVED_SEARCH:
+      return {
+        ...state,
+        savedSearches: state.savedSearches.some(saved => saved._id === action.payload._id)
+          ? state.savedSearches.map(saved =>
+            saved._id === action.payload._id ? action.payload : saved
+          )
+          : [...state.savedSearches, action.payload],
+      };
+    
+    case ACTIONS.DELETE_SAVED_SEARCH:
+      return {
+        ...state,
+        savedSearches: state.savedSearches.filter(saved => saved._id !== action.payload),
+      };
+    
     case ACTIONS.SET_PAGINATION:
       return { ...state, pagination: { ...state.pagination, ...action.payload } };
     
@@ -152,7 +175,8 @@ export function NotesProvider({ children }) {
       const response = await notesAPI.create(data);
       dispatch({ type: ACTIONS.ADD_NOTE, payload: response.data.data });
       toast.success('Note created successfully');
-      return response.data.data;
+      // indexJob also computes the note's tag suggestions
+      return { ...response.data.data, indexJob: response.data.indexJob };
     } catch (error) {
       dispatch({ type: ACTIONS.SET_ERROR, payload: error.message });
       toast.error('Failed to create note');
@@ -167,7 +191,8 @@ export function NotesProvider({ children }) {
       const response = await notesAPI.update(id, data);
       dispatch({ type: ACTIONS.UPDATE_NOTE, payload: response.data.data });
       toast.success('Note updated successfully');
-      return response.data.data;
+      // indexJob is null when the indexed text didn't change
+      return { ...response.data.data, indexJob: response.data.indexJob };
     } catch (error) {
       dispatch({ type: ACTIONS.SET_ERROR, payload: error.message });
       toast.error('Failed to update note');
@@ -242,6 +267,68 @@ export function NotesProvider({ children }) {
     }
   }, []);
 
+  // Fetch saved searches (smart collections) with their counts
+  const fetchSavedSearches = useCallback(async () => {
+    try {
+      const response = await searchAPI.getSaved();
+      dispatch({ type: ACTIONS.SET_SAVED_SEARCHES, payload: response.data.data });
+    } catch (error) {
+      console.error('Failed to fetch saved searches:', error);
+    }
+  }, []);
+
+  // Save a search
+  const createSavedSearch = useCallback(async (data) => {
+    try {
+      const response = await searchAPI.createSaved(data);
+      dispatch({ type: ACTIONS.UPSERT_SAVED_SEARCH, payload: response.data.data });
+      toast.success('Search saved');
+      return response.data.data;
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to save search');
+      return null;
+    }
+  }, []);
+
+  // Update a saved search
+  const updateSavedSearch = useCallback(async (id, data) => {
+    try {
+      const response = await searchAPI.updateSaved(id, data);
+      dispatch({ type: ACTIONS.UPSERT_SAVED_SEARCH, payload: response.data.data });
+      toast.success('Saved search updated');
+      return response.data.data;
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update saved search');
+      return null;
+    }
+  }, []);
+
+  // Delete a saved search
+  const deleteSavedSearch = useCallback(async (id) => {
+    try {
+      await searchAPI.deleteSaved(id);
+      dispatch({ type: ACTIONS.DELETE_SAVED_SEARCH, payload: id });
+      toast.success('Saved search deleted');
+      return true;
+    } catch (error) {
+      toast.error('Failed to delete saved search');
+      return false;
+    }
+  }, []);
+
+  // Open a saved search; its new-match badge clears once viewed
+  const runSavedSearch = useCallback(async (id) => {
+    try {
+      const response = await searchAPI.runSaved(id);
+      const { savedSearch } = response.data;
+      dispatch({ type: ACTIONS.UPSERT_SAVED_SEARCH, payload: { ...savedSearch, newCount: 0 } });
+      return response.data;
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to run saved search');
+      return null;
+    }
+  }, []);
+
   // Set filters
   const setFilters = useCallback((filters) => {
     dispatch({ type: ACTIONS.SET_FILTERS, payload: filters });
@@ -269,6 +356,11 @@ export function NotesProvider({ children }) {
     fetchStats,
     fetchCategories,
     fetchTags,
+    fetchSavedSearches,
+    createSavedSearch,
+    updateSavedSearch,
+    deleteSavedSearch,
+    runSavedSearch,
     setFilters,
     clearCurrentNote,
     clearError,
@@ -1,4 +1,4 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import {
   SparklesIcon,
@@ -7,21 +7,99 @@ import {
   LightBulbIcon,
   ArrowPathIcon,
   ChatBubbleLeftRightIcon,
+  StopIcon,
+  PlusIcon,
+  PencilIcon,
+  TrashIcon,
 } from '@heroicons/react/24/outline';
 import ReactMarkdown from 'react-markdown';
-import { aiAPI } from '../services/api';
+import { aiAPI, jobsAPI } from '../services/api';
 import { LoadingDots } from '../components/LoadingSpinner';
+import ConfirmDialog from '../components/ConfirmDialog';
 import toast from 'react-hot-toast';
 
+// Periods insights can cover (window values of /api/ai/insights)
+const INSIGHT_WINDOWS = [
+  ['all', 'All notes'],
+  ['7d', 'Last 7 days'],
+  ['30d', 'Last 30 days'],
+  ['this-week', 'This week'],
+  ['this-month', 'This month'],
+  ['this-year', 'This year'],
+];
+
+// How often to check the job building an insights report
+const INSIGHTS_POLL_MS = 2000;
+
+// Turn the answer's [Note N] markers into links that render as citation chips
+const linkCitations = (content, citations = []) => {
+  const markers = new Map();
+  citations.forEach((citation, i) => {
+    const { start, end } = citation.marker;
+    if (!markers.has(start)) markers.set(start, { end, links: [] });
+    markers.get(start).links.push(`[${citation.number}](#citation-${i})`);
+  });
+
+  let linked = content;
+  [...markers.entries()]
+    .sort(([a], [b]) => b - a)
+    .forEach(([start, { end, links }]) => {
+      linked = linked.slice(0, start) + links.join(' ') + linked.slice(end);
+    });
+  return linked;
+};
+
+const welcomeMessage = {
+  role: 'assistant',
+  content: `👋 Hi! I'm your AI assistant powered by RAG (Retrieval-Augmented Generation). 
+
+I can help you with:
+- **Ask questions** about your notes
+- **Find information** across all your notes
+- **Summarize** specific topics from your notes
+- **Get insights** about your knowledge base
+
+Just type your question below to get started!`,
+  sources: [],
+};
+
+// How each retrieval query was produced
+const QUERY_TYPE_LABELS = {
+  original: 'Your message',
+  condensed: 'Rewritten',
+  expansion: 'Alternative',
+  hyde: 'Draft answer',
+};
+
+// Stored conversation messages keep the note id as noteId
+const fromStoredMessage = (message) => ({
+  role: message.role,
+  content: message.content,
+  citations: message.citations || [],
+  sources: (message.sources || []).map(source => ({ ...source, id: source.noteId })),
+  tokensUsed: message.tokensUsed,
+});
+
 function AIAssistant() {
   const navigate = useNavigate();
   const [mode, setMode] = useState('chat'); // 'chat' or 'qa'
+  const [expandQueries, setExpandQueries] = useState(false);
+  const [hyde, setHyde] = useState(false);
   const [input, setInput] = useState('');
   const [loading, setLoading] = useState(false);
   const [messages, setMessages] = useState([]);
   const [insights, setInsights] = useState(null);
+  const [insightsWindow, setInsightsWindow] = useState('all');
+  const [insightsMeta, setInsightsMeta] = useState(null);
   const [loadingInsights, setLoadingInsights] = useState(false);
+  const [insightsProgress, setInsightsProgress] = useState(null);
+  const insightsRequestRef = useRef(0); // Bumped to stop following an older insights job
+  const [conversations, setConversations] = useState([]);
+  const [conversationId, setConversationId] = useState(null);
+  const [renaming, setRenaming] = useState({ id: null, title: '' });
+  const [deleteConfirm, setDeleteConfirm] = useState({ open: false, conversationId: null });
   const messagesEndRef = useRef(null);
+  const abortRef = useRef(null);
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -31,24 +109,96 @@ function AIAssistant() {
     scrollToBottom();
   }, [messages]);
 
+  // Stop any generation still running, and stop following an insights job, when leaving the page
+  useEffect(() => () => {
+    abortRef.current?.abort();
+    insightsRequestRef.current++;
+  }, []);
+
+  const updateMessage = (id, changes) => {
+    setMessages(prev => prev.map(m => (
+      m.id === id ? { ...m, ...(typeof changes === 'function' ? changes(m) : changes) } : m
+    )));
+  };
+
   // Add welcome message on mount
   useEffect(() => {
-    setMessages([
-      {
-        role: 'assistant',
-        content: `👋 Hi! I'm your AI assistant powered by RAG (Retrieval-Augmented Generation). 
+    setMessages([welcomeMessage]);
+  }, []);
 
-I can help you with:
-- **Ask questions** about your notes
-- **Find information** across all your notes
-- **Summarize** specific topics from your notes
-- **Get insights** about your knowledge base
+  const loadConversations = useCallback(async () => {
+    try {
+      const response = await aiAPI.getConversations();
+      setConversations(response.data.data);
+    } catch (error) {
+      toast.error('Failed to load conversations');
+    }
+  }, []);
 
-Just type your question below to get started!`,
-        sources: [],
+  useEffect(() => {
+    loadConversations();
+  }, [loadConversations]);
+
+  const openConversation = async (id) => {
+    if (id === conversationId) return;
+    abortRef.current?.abort();
+
+    try {
+      const response = await aiAPI.getConversation(id);
+      const conversation = response.data.data;
+      setConversationId(conversation._id);
+      setMode('chat');
+      setMessages(conversation.messages.length > 0
+        ? conversation.messages.map(fromStoredMessage)
+        : [welcomeMessage]);
+    } catch (error) {
+      toast.error('Failed to load conversation');
+    }
+  };
+
+  // Move the thread that was just used to the top of the list
+  const touchConversation = (result) => {
+    setConversations(prev => {
+      const existing = prev.find(c => c._id === result.conversationId);
+      const updated = {
+        ...existing,
+        _id: result.conversationId,
+        title: result.title,
+        lastMessageAt: new Date().toISOString(),
+        messageCount: (existing?.messageCount || 0) + 2,
+      };
+      return [updated, ...prev.filter(c => c._id !== result.conversationId)];
+    });
+  };
+
+  const saveRename = async () => {
+    const { id, title } = renaming;
+    setRenaming({ id: null, title: '' });
+    if (!title.trim()) return;
+
+    try {
+      await aiAPI.renameConversation(id, title.trim());
+      setConversations(prev => prev.map(c => (c._id === id ? { ...c, title: title.trim() } : c)));
+    } catch (error) {
+      toast.error('Failed to rename conversation');
+    }
+  };
+
+  const handleDeleteConversation = async () => {
+    const id = deleteConfirm.conversationId;
+    setDeleteConfirm({ open: false, conversationId: null });
+
+    try {
+      await aiAPI.deleteConversation(id);
+      setConversations(prev => prev.filter(c => c._id !== id));
+      if (id === conversationId) {
+        startNewConversation();
       }
-    ]);
-  }, []);
+      toast.success('Conversation deleted');
+    } catch (error) {
+      toast.error('Failed to delete conversation');
+    }
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -56,65 +206,141 @@ Just type your question below to get started!`,
 
     const userMessage = input.trim();
     setInput('');
-    
-    // Add user message
-    setMessages(prev => [...prev, { role: 'user', content: userMessage }]);
+
+    // Add user message and a placeholder the answer streams into
+    const replyId = Date.now();
+    setMessages(prev => [
+      ...prev,
+      { role: 'user', content: userMessage },
+      { id: replyId, role: 'assistant', content: '', sources: [], streaming: true },
+    ]);
     setLoading(true);
 
+    const controller = new AbortController();
+    abortRef.current = controller;
+    const options = {
+      signal: controller.signal,
+      onToken: (text) => updateMessage(replyId, m => ({ content: m.content + text })),
+    };
+
     try {
-      let response;
-      
+      let result;
       if (mode === 'qa') {
-        response = await aiAPI.ask(userMessage, 5);
-        setMessages(prev => [...prev, {
-          role: 'assistant',
-          content: response.data.data.answer,
-          sources: response.data.data.sources || [],
-          tokensUsed: response.data.data.tokensUsed,
-        }]);
+        result = await aiAPI.askStream(userMessage, 5, options);
       } else {
-        // Chat mode with conversation history
-        const history = messages
-          .filter(m => m.role !== 'system')
-          .slice(-6)
-          .map(m => ({ role: m.role, content: m.content }));
-        
-        response = await aiAPI.chat(userMessage, history);
-        setMessages(prev => [...prev, {
-          role: 'assistant',
-          content: response.data.data.response,
-          sources: response.data.data.sources || [],
-          tokensUsed: response.data.data.tokensUsed,
-        }]);
+        // Chat messages are saved to a thread, started on the first message
+        let threadId = conversationId;
+        if (!threadId) {
+          const response = await aiAPI.createConversation();
+          threadId = response.data.data._id;
+          setConversationId(threadId);
+        }
+        result = await aiAPI.sendConversationMessageStream(threadId, userMessage, options, { expandQueries, hyde });
+        touchConversation(result);
       }
+
+      updateMessage(replyId, {
+        content: mode === 'qa' ? result.answer : result.response,
+        citations: result.citations || [],
+        sources: result.sources || [],
+        retrieval: result.retrieval,
+        queryRewrite: result.queryRewrite,
+        tokensUsed: result.tokensUsed,
+        streaming: false,
+      });
     } catch (error) {
-      toast.error('Failed to get AI response');
-      setMessages(prev => [...prev, {
-        role: 'assistant',
-        content: 'Sorry, I encountered an error processing your request. Please try again.',
-        isError: true,
-      }]);
+      if (error.name === 'AbortError') {
+        // Keep whatever was generated before the user stopped it
+        updateMessage(replyId, { streaming: false, cancelled: true });
+      } else {
+        toast.error('Failed to get AI response');
+        updateMessage(replyId, m => ({
+          content: m.content || 'Sorry, I encountered an error processing your request. Please try again.',
+          streaming: false,
+          isError: !m.content,
+        }));
+      }
     } finally {
+      abortRef.current = null;
       setLoading(false);
     }
   };
 
-  const loadInsights = async () => {
+  // Open the cited note with the quoted span (or the whole passage) selected
+  const openCitation = (citation) => {
+    const span = citation.quote || citation.passage;
+    navigate(span ? `/note/${citation.noteId}?start=${span.start}&end=${span.end}` : `/note/${citation.noteId}`);
+  };
+
+  const markdownComponents = (citations = []) => ({
+    a: ({ node, href, children, ...props }) => {
+      const citation = href?.startsWith('#citation-') && citations[Number(href.slice('#citation-'.length))];
+      if (!citation) {
+        return <a href={href} {...props}>{children}</a>;
+      }
+      return (
+        <button
+          type="button"
+          onClick={() => openCitation(citation)}
+          title={`${citation.title}${citation.quote ? `: "${citation.quote.text}"` : ''}`}
+          className="inline-flex items-center justify-center min-w-[1.25rem] h-5 px-1.5 mx-0.5 rounded-full bg-primary-100 text-primary-700 text-xs font-semibold align-text-top hover:bg-primary-200 transition-colors"
+        >
+          {children}
+        </button>
+      );
+    },
+  });
+
+  const stopGeneration = () => {
+    abortRef.current?.abort();
+  };
+
+  const loadInsights = async (period = insightsWindow, refresh = false) => {
+    const request = ++insightsRequestRef.current;
     setLoadingInsights(true);
+    setInsightsProgress(null);
     try {
-      const response = await aiAPI.getInsights();
-      setInsights(response.data.data.insights);
+      const response = await aiAPI.getInsights({ window: period, ...(refresh && { refresh: true }) });
+      let data = response.data.data;
+
+      // Reports that aren't cached are built by a background job
+      while (data.jobId) {
+        await new Promise(resolve => setTimeout(resolve, INSIGHTS_POLL_MS));
+        if (request !== insightsRequestRef.current) return;
+
+        const job = (await jobsAPI.get(data.jobId)).data.data;
+        if (job.status === 'dead') throw new Error(job.lastError);
+        if (job.status === 'completed') {
+          data = job.result;
+        } else {
+          setInsightsProgress(job.progress);
+        }
+      }
+      if (request !== insightsRequestRef.current) return;
+
+      const { insights: result, ...meta } = data;
+      setInsights(result);
+      setInsightsMeta(meta);
     } catch (error) {
-      toast.error('Failed to load insights');
+      if (request === insightsRequestRef.current) toast.error('Failed to load insights');
     } finally {
-      setLoadingInsights(false);
+      if (request === insightsRequestRef.current) {
+        setLoadingInsights(false);
+        setInsightsProgress(null);
+      }
     }
   };
 
-  const clearConversation = () => {
+  const insightsLoadingLabel = insightsProgress?.total > 0
+    ? `Analyzing... ${insightsProgress.processed}/${insightsProgress.total}`
+    : <LoadingDots />;
+
+  const startNewConversation = () => {
+    stopGeneration();
+    setConversationId(null);
     setMessages([{
       role: 'assistant',
-      content: 'Conversation cleared! How can I help you?',
+      content: 'New conversation started! How can I help you?',
     }]);
   };
 
@@ -127,6 +353,80 @@ Just type your question below to get started!`,
 
   return (
     <div className="flex h-screen">
+      {/* Conversations Sidebar */}
+      <aside className="w-64 border-r border-secondary-200 bg-white flex flex-col">
+        <div className="p-4 border-b border-secondary-200">
+          <button
+            onClick={startNewConversation}
+            className="btn-primary w-full"
+          >
+            <PlusIcon className="w-4 h-4 mr-1.5" />
+            New Chat
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-auto p-2 space-y-1">
+          {conversations.length === 0 ? (
+            <p className="text-xs text-secondary-400 text-center py-6">
+              Your chat threads will appear here
+            </p>
+          ) : (
+            conversations.map(conversation => (
+              <div
+                key={conversation._id}
+                className={`group flex items-center gap-1 rounded-lg px-3 py-2 transition-colors ${
+                  conversation._id === conversationId
+                    ? 'bg-primary-50 text-primary-700'
+                    : 'text-secondary-700 hover:bg-secondary-50'
+                }`}
+              >
+                {renaming.id === conversation._id ? (
+                  <input
+                    type="text"
+                    value={renaming.title}
+                    onChange={(e) => setRenaming({ id: conversation._id, title: e.target.value })}
+                    onBlur={saveRename}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') saveRename();
+                      if (e.key === 'Escape') setRenaming({ id: null, title: '' });
+                    }}
+                    maxLength={200}
+                    className="input py-1 text-sm flex-1"
+                    autoFocus
+                  />
+                ) : (
+                  <>
+                    <button
+                      onClick={() => openConversation(conversation._id)}
+                      className="flex-1 min-w-0 text-left"
+                    >
+                      <p className="text-sm font-medium truncate">{conversation.title}</p>
+                      <p className="text-xs text-secondary-400">
+                        {conversation.messageCount} messages · {new Date(conversation.lastMessageAt).toLocaleDateString()}
+                      </p>
+                    </button>
+                    <button
+                      onClick={() => setRenaming({ id: conversation._id, title: conversation.title })}
+                      className="p-1 rounded text-secondary-400 hover:text-secondary-700 opacity-0 group-hover:opacity-100 transition-opacity"
+                      title="Rename"
+                    >
+                      <PencilIcon className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => setDeleteConfirm({ open: true, conversationId: conversation._id })}
+                      className="p-1 rounded text-secondary-400 hover:text-red-600 opacity-0 group-hover:opacity-100 transition-opacity"
+                      title="Delete"
+                    >
+                      <TrashIcon className="w-4 h-4" />
+                    </button>
+                  </>
+                )}
+              </div>
+            ))
+          )}
+        </div>
+      </aside>
+
       {/* Main Chat Area */}
       <div className="flex-1 flex flex-col">
         {/* Header */}
@@ -170,8 +470,9 @@ Just type your question below to get started!`,
               </div>
 
               <button
-                onClick={clearConversation}
+                onClick={startNewConversation}
                 className="btn-ghost"
+                title="New conversation"
               >
                 <ArrowPathIcon className="w-5 h-5" />
               </button>
@@ -197,10 +498,42 @@ Just type your question below to get started!`,
               >
                 {message.role === 'assistant' ? (
                   <>
-                    <div className="prose-notes">
-                      <ReactMarkdown>{message.content}</ReactMarkdown>
-                    </div>
+                    {message.streaming && !message.content ? (
+                      <div className="flex items-center gap-2 text-secondary-500">
+                        <LoadingDots />
+                        <span className="text-sm">Searching your notes...</span>
+                      </div>
+                    ) : (
+                      <div className="prose-notes">
+                        <ReactMarkdown components={markdownComponents(message.citations)}>
+                          {message.citations?.length ? linkCitations(message.content, message.citations) : message.content}
+                        </ReactMarkdown>
+                        {message.streaming && (
+                          <span className="inline-block w-2 h-4 ml-0.5 bg-primary-500 animate-pulse align-middle" />
+                        )}
+                      </div>
+                    )}
+
+                    {message.cancelled && (
+                      <p className={`text-xs text-secondary-400 italic ${message.content ? 'mt-2' : ''}`}>
+                        {message.content ? 'Stopped before completion' : 'Generation stopped'}
+                      </p>
+                    )}
                     
+                    {/* Queries the notes were searched with, when the message was rewritten */}
+                    {message.queryRewrite && (message.queryRewrite.queries.length > 1 || message.queryRewrite.queries[0]?.type !== 'original') && (
+                      <div className="mt-4 pt-4 border-t border-secondary-200 text-xs text-secondary-500">
+                        <p className="font-medium mb-1">Searched your notes for:</p>
+                        <ul className="space-y-0.5">
+                          {message.queryRewrite.queries.map((q, i) => (
+                            <li key={i} className="truncate" title={q.text}>
+                              <span className="text-secondary-400">{QUERY_TYPE_LABELS[q.type] || q.type}:</span> {q.text}
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    )}
+
                     {/* Sources */}
                     {message.sources && message.sources.length > 0 && (
                       <div className="mt-4 pt-4 border-t border-secondary-200">
@@ -215,6 +548,11 @@ Just type your question below to get started!`,
                               className="block w-full text-left p-2 rounded-lg bg-secondary-50 hover:bg-secondary-100 transition-colors"
                             >
                               <p className="text-sm font-medium text-secondary-900 truncate">
+                                {source.number && (
+                                  <span className={`mr-1.5 text-xs ${source.cited ? 'text-primary-600' : 'text-secondary-400'}`}>
+                                    [{source.number}]
+                                  </span>
+                                )}
                                 {source.title}
                               </p>
                               <p className="text-xs text-secondary-500 truncate">
@@ -225,6 +563,35 @@ Just type your question below to get started!`,
                         </div>
                       </div>
                     )}
+
+                    {/* Re-ranking trace */}
+                    {message.retrieval && (
+                      <details className="mt-3 text-xs text-secondary-500">
+                        <summary className="cursor-pointer hover:text-secondary-700">
+                          Re-ranked {message.retrieval.candidates} candidate{message.retrieval.candidates !== 1 ? 's' : ''} with {message.retrieval.reranker}:
+                          {' '}kept {message.retrieval.kept.length}, dropped {message.retrieval.dropped.length}
+                          {message.retrieval.error && ' (re-ranker failed, kept similarity order)'}
+                        </summary>
+                        <ul className="mt-2 space-y-1">
+                          {[...message.retrieval.kept, ...message.retrieval.dropped].map((candidate) => (
+                            <li
+                              key={candidate.noteId}
+                              className={`flex justify-between gap-3 ${candidate.reason ? 'text-secondary-400' : 'text-secondary-700'}`}
+                            >
+                              <span className="truncate">
+                                {candidate.reason ? '✗' : '✓'} {candidate.title}
+                              </span>
+                              <span className="flex-shrink-0">
+                                {candidate.rerankScore !== null && `${(candidate.rerankScore * 100).toFixed(0)}% relevant · `}
+                                #{candidate.similarityRank} by similarity
+                                {candidate.reason === 'threshold' && ' · below threshold'}
+                                {candidate.reason === 'limit' && ' · over limit'}
+                              </span>
+                            </li>
+                          ))}
+                        </ul>
+                      </details>
+                    )}
                   </>
                 ) : (
                   <p className="whitespace-pre-wrap">{message.content}</p>
@@ -233,18 +600,6 @@ Just type your question below to get started!`,
             </div>
           ))}
 
-          {/* Loading Indicator */}
-          {loading && (
-            <div className="flex justify-start">
-              <div className="bg-white rounded-2xl px-5 py-4 shadow-sm border border-secondary-200">
-                <div className="flex items-center gap-2 text-secondary-500">
-                  <LoadingDots />
-                  <span className="text-sm">Searching your notes...</span>
-                </div>
-              </div>
-            </div>
-          )}
-
           <div ref={messagesEndRef} />
         </div>
 
@@ -281,18 +636,51 @@ Just type your question below to get started!`,
                 className="input flex-1"
                 disabled={loading}
               />
-              <button
-                type="submit"
-                disabled={loading || !input.trim()}
-                className="btn-primary"
-              >
-                <PaperAirplaneIcon className="w-5 h-5" />
-              </button>
+              {loading ? (
+                <button
+                  type="button"
+                  onClick={stopGeneration}
+                  className="btn-secondary"
+                  title="Stop generating"
+                >
+                  <StopIcon className="w-5 h-5" />
+                </button>
+              ) : (
+                <button
+                  type="submit"
+                  disabled={!input.trim()}
+                  className="btn-primary"
+                >
+                  <PaperAirplaneIcon className="w-5 h-5" />
+                </button>
+              )}
             </div>
+            {mode === 'chat' && (
+              <div className="flex justify-center gap-4 mt-2 text-xs text-secondary-500">
+                <label className="flex items-center gap-1.5 cursor-pointer" title="Also search with alternative phrasings of your question">
+                  <input
+                    type="checkbox"
+                    checked={expandQueries}
+                    onChange={(e) => setExpandQueries(e.target.checked)}
+                    className="rounded border-secondary-300 text-primary-600 focus:ring-primary-500"
+                  />
+                  Multi-query
+                </label>
+                <label className="flex items-center gap-1.5 cursor-pointer" title="Also search with a drafted answer (hypothetical document)">
+                  <input
+                    type="checkbox"
+                    checked={hyde}
+                    onChange={(e) => setHyde(e.target.checked)}
+                    className="rounded border-secondary-300 text-primary-600 focus:ring-primary-500"
+                  />
+                  HyDE
+                </label>
+              </div>
+            )}
             <p className="text-xs text-secondary-400 mt-2 text-center">
               {mode === 'qa' 
                 ? 'Answers are generated using relevant context from your notes (RAG)'
-                : 'Chat maintains conversation history for context-aware responses'
+                : 'Chats are saved as threads; older messages are summarized to keep context-aware responses'
               }
             </p>
           </form>
@@ -309,6 +697,18 @@ Just type your question below to get started!`,
           <p className="text-xs text-secondary-500 mt-1">
             Patterns and insights from your notes
           </p>
+          <select
+            value={insightsWindow}
+            onChange={(e) => {
+              setInsightsWindow(e.target.value);
+              if (insightsMeta) loadInsights(e.target.value);
+            }}
+            className="input mt-3 text-sm"
+          >
+            {INSIGHT_WINDOWS.map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
         </div>
 
         <div className="flex-1 overflow-auto p-4">
@@ -318,14 +718,14 @@ Just type your question below to get started!`,
                 <LightBulbIcon className="w-8 h-8 text-amber-500" />
               </div>
               <p className="text-sm text-secondary-600 mb-4">
-                Analyze your notes to discover patterns and insights
+                {insightsMeta?.message || 'Analyze your notes to discover patterns and insights'}
               </p>
               <button
-                onClick={loadInsights}
+                onClick={() => loadInsights()}
                 disabled={loadingInsights}
                 className="btn-primary"
               >
-                {loadingInsights ? <LoadingDots /> : 'Generate Insights'}
+                {loadingInsights ? insightsLoadingLabel : 'Generate Insights'}
               </button>
             </div>
           ) : (
@@ -378,13 +778,18 @@ Just type your question below to get started!`,
                 </div>
               )}
 
+              <p className="text-xs text-secondary-400 text-center">
+                Based on {insightsMeta.notesAnalyzed} {insightsMeta.notesAnalyzed === 1 ? 'note' : 'notes'}
+                {insightsMeta.cached && ' · unchanged since last time'}
+              </p>
+
               {/* Refresh Button */}
               <button
-                onClick={loadInsights}
+                onClick={() => loadInsights(insightsWindow, true)}
                 disabled={loadingInsights}
                 className="btn-secondary w-full"
               >
-                {loadingInsights ? <LoadingDots /> : 'Refresh Insights'}
+                {loadingInsights ? insightsLoadingLabel : 'Refresh Insights'}
               </button>
             </div>
           )}
@@ -399,6 +804,17 @@ Just type your question below to get started!`,
           </div>
         </div>
       </aside>
+
+      {/* Delete Conversation Confirmation */}
+      <ConfirmDialog
+        isOpen={deleteConfirm.open}
+        onClose={() => setDeleteConfirm({ open: false, conversationId: null })}
+        onConfirm={handleDeleteConversation}
+        title="Delete Conversation"
+        message="Are you sure you want to delete this conversation? This action cannot be undone."
+        confirmText="Delete"
+        type="danger"
+      />
     </div>
   );
 }
@@ -8,12 +8,15 @@ import {
   BookmarkIcon,
   ChartBarIcon,
   FunnelIcon,
+  RectangleStackIcon,
+  DocumentDuplicateIcon,
 } from '@heroicons/react/24/outline';
 import { useNotes } from '../context/NotesContext';
 import NoteCard from '../components/NoteCard';
 import { LoadingScreen } from '../components/LoadingSpinner';
 import EmptyState from '../components/EmptyState';
 import ConfirmDialog from '../components/ConfirmDialog';
+import DuplicateReview from '../components/DuplicateReview';
 
 function Dashboard() {
   const navigate = useNavigate();
@@ -22,6 +25,7 @@ function Dashboard() {
     loading,
     stats,
     categories,
+    savedSearches,
     filters,
     fetchNotes,
     fetchStats,
@@ -34,6 +38,7 @@ function Dashboard() {
 
   const [deleteConfirm, setDeleteConfirm] = useState({ open: false, noteId: null });
   const [showArchived, setShowArchived] = useState(false);
+  const [showDuplicates, setShowDuplicates] = useState(false);
 
   useEffect(() => {
     fetchNotes({ archived: showArchived });
@@ -80,6 +85,13 @@ function Dashboard() {
           </p>
         </div>
         <div className="flex items-center gap-3">
+          <button
+            onClick={() => setShowDuplicates(!showDuplicates)}
+            className={`btn ${showDuplicates ? 'btn-primary' : 'btn-secondary'}`}
+          >
+            <DocumentDuplicateIcon className="w-5 h-5 mr-2" />
+            {showDuplicates ? 'Show Notes' : 'Possible Duplicates'}
+          </button>
           <button
             onClick={() => setShowArchived(!showArchived)}
             className={`btn ${showArchived ? 'btn-primary' : 'btn-secondary'}`}
@@ -155,8 +167,42 @@ function Dashboard() {
         </div>
       )}
 
-      {/* Category Filter */}
-      {categories.length > 0 && (
+      {/* Smart Collections (saved searches, counted live) */}
+      {!showArchived && savedSearches.length > 0 && (
+        <div className="mb-8">
+          <h2 className="text-lg font-semibold text-secondary-900 mb-4 flex items-center gap-2">
+            <RectangleStackIcon className="w-5 h-5 text-primary-500" />
+            Smart Collections
+          </h2>
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+            {savedSearches.map((saved) => (
+              <button
+                key={saved._id}
+                onClick={() => navigate(`/search?saved=${saved._id}`)}
+                className="card p-4 text-left hover:shadow-md transition-shadow"
+              >
+                <div className="flex items-start justify-between gap-2 mb-2">
+                  <h3 className="font-medium text-secondary-900 truncate">{saved.name}</h3>
+                  {saved.newCount > 0 && (
+                    <span className="badge badge-success flex-shrink-0">{saved.newCount} new</span>
+                  )}
+                </div>
+                <p className="text-xs font-mono text-secondary-500 truncate mb-3" title={saved.queryString}>
+                  {saved.queryString}
+                </p>
+                <p className="text-sm text-secondary-600">
+                  {saved.count === null
+                    ? <span className="text-red-600">{saved.error}</span>
+                    : `${saved.count}${saved.limited ? '+' : ''} ${saved.count === 1 ? 'note' : 'notes'} · ${saved.mode}`}
+                </p>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+            {/* Category Filter */}
+      {!showDuplicates && categories.length > 0 && (
         <div className="flex items-center gap-2 mb-6 overflow-x-auto pb-2">
           <FunnelIcon className="w-5 h-5 text-secondary-400 flex-shrink-0" />
           <button
@@ -177,8 +223,10 @@ function Dashboard() {
         </div>
       )}
 
-      {/* Loading State */}
-      {loading && notes.length === 0 ? (
+      {/* Duplicate Review replaces the notes while open */}
+      {showDuplicates ? (
+        <DuplicateReview includeArchived={showArchived} />
+      ) : loading && notes.length === 0 ? (
         <LoadingScreen message="Loading your notes..." />
       ) : notes.length === 0 ? (
         <EmptyState
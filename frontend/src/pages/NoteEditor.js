@@ -1,5 +1,5 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { useParams, useNavigate, useSearchParams, useLocation } from 'react-router-dom';
 import {
   ArrowLeftIcon,
   SparklesIcon,
@@ -9,15 +9,48 @@ import {
   FolderIcon,
   ClockIcon,
   DocumentTextIcon,
+  XMarkIcon,
+  PlusIcon,
 } from '@heroicons/react/24/outline';
 import { BookmarkIcon as BookmarkSolidIcon } from '@heroicons/react/24/solid';
 import { format } from 'date-fns';
 import { useNotes } from '../context/NotesContext';
-import { aiAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { aiAPI, jobsAPI } from '../services/api';
 import { LoadingScreen, LoadingDots } from '../components/LoadingSpinner';
 import ConfirmDialog from '../components/ConfirmDialog';
+import RevisionHistory from '../components/RevisionHistory';
 import toast from 'react-hot-toast';
 
+// Auto-apply settings: off, or the least confidence of a suggestion applied after saving
+const AUTO_APPLY_OPTIONS = [
+  { value: '', label: 'Off' },
+  { value: '0.9', label: 'Above 90%' },
+  { value: '0.8', label: 'Above 80%' },
+  { value: '0.7', label: 'Above 70%' },
+];
+
+// Suggestions come from the note's index job: how often and how many times to check it
+const SUGGESTION_POLL_MS = 2000;
+const SUGGESTION_MAX_POLLS = 30;
+
+// What the index job added to the note, as a toast message
+const describeAutoApplied = (applied) => {
+  const names = [...(applied?.tags || []), ...(applied?.category ? [`category ${applied.category}`] : [])];
+  return names.length > 0 ? `Auto-applied ${names.join(', ')}` : null;
+};
+
+const percent = (value) => `${Math.round(value * 100)}%`;
+
+const sourceLabel = (sources = []) => sources
+  .map(source => (source === 'llm' ? 'AI' : 'similar notes'))
+  .join(' + ');
+
+// Results of the offline engine are picked from the note rather than written by a model
+const aiMessage = (data, message) => (
+  data.provider === 'offline' ? `${message} (offline: picked from your note, no AI provider available)` : message
+);
+
 // Color options for notes
 const colorOptions = [
   { value: '#ffffff', label: 'White', class: 'bg-white' },
@@ -31,6 +64,9 @@ const colorOptions = [
 function NoteEditor() {
   const { id } = useParams();
   const navigate = useNavigate();
+  const location = useLocation();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const contentRef = useRef(null);
   const { 
     currentNote, 
     categories,
@@ -42,6 +78,7 @@ function NoteEditor() {
     fetchCategories,
     clearCurrentNote 
   } = useNotes();
+  const { user, updateProfile } = useAuth();
 
   const [formData, setFormData] = useState({
     title: '',
@@ -55,7 +92,11 @@ function NoteEditor() {
   const [saving, setSaving] = useState(false);
   const [aiLoading, setAiLoading] = useState(false);
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
   const [hasChanges, setHasChanges] = useState(false);
+  const [citedPassage, setCitedPassage] = useState(null);
+  const [suggestionJob, setSuggestionJob] = useState(location.state?.indexJob || null);
+  const hasChangesRef = useRef(false); // Read when the suggestion job finishes
   const [aiSuggestions, setAiSuggestions] = useState({
     title: null,
     summary: null,
@@ -64,6 +105,16 @@ function NoteEditor() {
 
   const isEditing = Boolean(id);
 
+  // Suggestions computed after the note was last saved, without those already applied
+  const suggestedTags = (currentNote?.aiGenerated?.suggestedTags || [])
+    .filter(suggestion => !formData.tags.some(tag => tag.toLowerCase() === suggestion.name.toLowerCase()));
+  const suggestedCategory = currentNote?.aiGenerated?.suggestedCategory?.name !== formData.category
+    ? currentNote?.aiGenerated?.suggestedCategory
+    : null;
+  const autoApply = user?.preferences?.autoApplySuggestions
+    ? String(user.preferences.autoApplyThreshold ?? 0.8)
+    : '';
+
   // Fetch note if editing
   useEffect(() => {
     if (id) {
@@ -95,6 +146,33 @@ function NoteEditor() {
     }
   }, [currentNote, isEditing]);
 
+  // Select a cited passage when opened from an AI citation (?start=&end=)
+  useEffect(() => {
+    const start = parseInt(searchParams.get('start'), 10);
+    const end = parseInt(searchParams.get('end'), 10);
+    const content = currentNote?.content;
+
+    if (!isEditing || !content || currentNote._id !== id || Number.isNaN(start) || Number.isNaN(end)) return;
+    if (start < 0 || end <= start || end > content.length) return;
+
+    setCitedPassage(content.slice(start, end));
+    setSearchParams({}, { replace: true });
+
+    // Wait for the form to render the loaded content
+    requestAnimationFrame(() => {
+      const textarea = contentRef.current;
+      if (!textarea) return;
+      textarea.focus({ preventScroll: true });
+      textarea.setSelectionRange(start, end);
+
+      // Scroll the selected line into view
+      const lineHeight = parseFloat(getComputedStyle(textarea).lineHeight) || 24;
+      const line = content.slice(0, start).split('\n').length - 1;
+      textarea.scrollTop = Math.max(0, line * lineHeight - textarea.clientHeight / 3);
+      textarea.scrollIntoView({ block: 'center' });
+    });
+  }, [currentNote, id, isEditing, searchParams, setSearchParams]);
+
   // Track changes
   useEffect(() => {
     if (isEditing && currentNote) {
@@ -105,11 +183,53 @@ function NoteEditor() {
         formData.color !== (currentNote.color || '#ffffff') ||
         JSON.stringify(formData.tags) !== JSON.stringify(currentNote.tags || []);
       setHasChanges(changed);
+      hasChangesRef.current = changed;
     } else if (!isEditing) {
       setHasChanges(formData.content.length > 0);
     }
   }, [formData, currentNote, isEditing]);
 
+  // Follow the saved note's index job, then show its suggestions and what it auto-applied
+  useEffect(() => {
+    if (!suggestionJob || !id) return;
+
+    let polls = 0;
+    let done = false;
+    const timer = setInterval(async () => {
+      polls++;
+      try {
+        const job = (await jobsAPI.get(suggestionJob)).data.data;
+        if (done || (['queued', 'running'].includes(job.status) && polls < SUGGESTION_MAX_POLLS)) return;
+
+        done = true;
+        setSuggestionJob(null);
+        if (job.status !== 'completed' || !job.result?.suggestions) return;
+
+        const applied = job.result.autoApplied;
+        const message = describeAutoApplied(applied);
+        if (message) toast.success(message);
+
+        if (!hasChangesRef.current) {
+          fetchNote(id);
+        } else if (applied) {
+          // Keep the applied tags and category in the edited form, so the next save doesn't drop them
+          setFormData(prev => ({
+            ...prev,
+            tags: [...prev.tags, ...applied.tags.filter(tag => !prev.tags.includes(tag))],
+            category: applied.category && prev.category === 'General' ? applied.category : prev.category,
+          }));
+        }
+      } catch (error) {
+        if (polls >= SUGGESTION_MAX_POLLS) setSuggestionJob(null);
+      }
+    }, SUGGESTION_POLL_MS);
+
+    return () => {
+      done = true;
+      clearInterval(timer);
+    };
+  }, [suggestionJob, id, fetchNote]);
+
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({ ...prev, [name]: value }));
@@ -130,6 +250,23 @@ function NoteEditor() {
     }));
   };
 
+  const handleApplySuggestedTag = (name) => {
+    setFormData(prev => ({ ...prev, tags: [...prev.tags, name] }));
+  };
+
+  const handleApplySuggestedCategory = () => {
+    setFormData(prev => ({ ...prev, category: suggestedCategory.name }));
+  };
+
+  const handleAutoApplyChange = (e) => {
+    const { value } = e.target;
+    updateProfile({
+      preferences: value
+        ? { autoApplySuggestions: true, autoApplyThreshold: parseFloat(value) }
+        : { autoApplySuggestions: false },
+    });
+  };
+
   const handleTagKeyDown = (e) => {
     if (e.key === 'Enter') {
       e.preventDefault();
@@ -146,11 +283,14 @@ function NoteEditor() {
     setSaving(true);
     try {
       if (isEditing) {
-        await updateNote(id, formData);
+        const updated = await updateNote(id, formData);
+        if (updated?.indexJob) {
+          setSuggestionJob(updated.indexJob);
+        }
       } else {
         const newNote = await createNote(formData);
         if (newNote) {
-          navigate(`/note/${newNote._id}`, { replace: true });
+          navigate(`/note/${newNote._id}`, { replace: true, state: { indexJob: newNote.indexJob } });
         }
       }
       setHasChanges(false);
@@ -183,7 +323,7 @@ function NoteEditor() {
     try {
       const response = await aiAPI.generateTitle(formData.content);
       setAiSuggestions(prev => ({ ...prev, title: response.data.data.title }));
-      toast.success('Title suggestion generated!');
+      toast.success(aiMessage(response.data.data, 'Title suggestion generated!'));
     } catch (error) {
       toast.error('Failed to generate title');
     } finally {
@@ -201,7 +341,7 @@ function NoteEditor() {
     try {
       const response = await aiAPI.summarize({ content: formData.content });
       setAiSuggestions(prev => ({ ...prev, summary: response.data.data.summary }));
-      toast.success('Summary generated!');
+      toast.success(aiMessage(response.data.data, 'Summary generated!'));
     } catch (error) {
       toast.error('Failed to generate summary');
     } finally {
@@ -219,7 +359,7 @@ function NoteEditor() {
     try {
       const response = await aiAPI.extractKeyPoints({ content: formData.content });
       setAiSuggestions(prev => ({ ...prev, keyPoints: response.data.data.keyPoints }));
-      toast.success('Key points extracted!');
+      toast.success(aiMessage(response.data.data, 'Key points extracted!'));
     } catch (error) {
       toast.error('Failed to extract key points');
     } finally {
@@ -283,6 +423,13 @@ function NoteEditor() {
                       <BookmarkIcon className="w-5 h-5" />
                     )}
                   </button>
+                  <button
+                    onClick={() => setShowHistory(true)}
+                    className="p-2 rounded-lg text-secondary-400 hover:bg-secondary-100 transition-colors"
+                    title="Version history"
+                  >
+                    <ClockIcon className="w-5 h-5" />
+                  </button>
                   <button
                     onClick={() => setShowDeleteConfirm(true)}
                     className="p-2 rounded-lg text-red-500 hover:bg-red-50 transition-colors"
@@ -317,9 +464,28 @@ function NoteEditor() {
               />
             </div>
 
+            {/* Cited passage from an AI answer */}
+            {citedPassage && (
+              <div className="flex items-start gap-3 p-3 rounded-lg bg-primary-50 border border-primary-100">
+                <SparklesIcon className="w-4 h-4 text-primary-500 mt-0.5 flex-shrink-0" />
+                <div className="flex-1 min-w-0">
+                  <p className="text-xs font-medium text-primary-700 mb-1">Cited passage</p>
+                  <p className="text-sm text-secondary-700 line-clamp-3">{citedPassage}</p>
+                </div>
+                <button
+                  onClick={() => setCitedPassage(null)}
+                  className="text-secondary-400 hover:text-secondary-600"
+                  title="Dismiss"
+                >
+                  <XMarkIcon className="w-4 h-4" />
+                </button>
+              </div>
+            )}
+
             {/* Content Textarea */}
             <div>
               <textarea
+                ref={contentRef}
                 name="content"
                 value={formData.content}
                 onChange={handleInputChange}
@@ -356,6 +522,20 @@ function NoteEditor() {
                     ))
                   }
                 </select>
+                {suggestedCategory && (
+                  <div className="flex items-center gap-2 mt-2">
+                    <span className="text-xs text-secondary-500">Suggested:</span>
+                    <button
+                      onClick={handleApplySuggestedCategory}
+                      className="badge-secondary flex items-center gap-1 hover:bg-secondary-200"
+                      title={`From ${sourceLabel(suggestedCategory.sources)}`}
+                    >
+                      <PlusIcon className="w-3 h-3" />
+                      {suggestedCategory.name}
+                      <span className="text-secondary-400">{percent(suggestedCategory.confidence)}</span>
+                    </button>
+                  </div>
+                )}
               </div>
 
               {/* Color */}
@@ -415,6 +595,23 @@ function NoteEditor() {
                     Add
                   </button>
                 </div>
+                {suggestedTags.length > 0 && (
+                  <div className="flex flex-wrap items-center gap-2 mt-3">
+                    <span className="text-xs text-secondary-500">Suggested:</span>
+                    {suggestedTags.map(suggestion => (
+                      <button
+                        key={suggestion.name}
+                        onClick={() => handleApplySuggestedTag(suggestion.name)}
+                        className="badge-secondary flex items-center gap-1 hover:bg-secondary-200"
+                        title={`From ${sourceLabel(suggestion.sources)}`}
+                      >
+                        <PlusIcon className="w-3 h-3" />
+                        {suggestion.name}
+                        <span className="text-secondary-400">{percent(suggestion.confidence)}</span>
+                      </button>
+                    ))}
+                  </div>
+                )}
               </div>
             </div>
           </div>
@@ -511,6 +708,24 @@ function NoteEditor() {
             )}
           </div>
 
+          {/* Tag Suggestions */}
+          <div className="card p-4">
+            <h3 className="font-medium text-secondary-900 mb-2">Tag Suggestions</h3>
+            <p className="text-xs text-secondary-500 mb-3">
+              Tags and a category are suggested from your similar notes shortly after each save
+            </p>
+            <label className="label text-xs">Auto-apply suggestions</label>
+            <select
+              value={autoApply}
+              onChange={handleAutoApplyChange}
+              className="input text-sm"
+            >
+              {AUTO_APPLY_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
           {/* Note Stats */}
           {formData.content && (
             <div className="card p-4">
@@ -538,6 +753,17 @@ function NoteEditor() {
         </div>
       </aside>
 
+      {/* Version History */}
+      {isEditing && (
+        <RevisionHistory
+          isOpen={showHistory}
+          onClose={() => setShowHistory(false)}
+          noteId={id}
+          hasChanges={hasChanges}
+          onRestored={() => fetchNote(id)}
+        />
+      )}
+
       {/* Delete Confirmation */}
       <ConfirmDialog
         isOpen={showDeleteConfirm}
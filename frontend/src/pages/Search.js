@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useNavigate, useSearchParams } from 'react-router-dom';
 import {
   MagnifyingGlassIcon,
@@ -6,11 +6,17 @@ import {
   AdjustmentsHorizontalIcon,
   DocumentTextIcon,
   ClockIcon,
+  BookmarkSquareIcon,
+  RectangleStackIcon,
+  TrashIcon,
 } from '@heroicons/react/24/outline';
 import { format } from 'date-fns';
 import { searchAPI } from '../services/api';
+import { useNotes } from '../context/NotesContext';
+import { useAuth } from '../context/AuthContext';
 import { LoadingScreen, LoadingDots } from '../components/LoadingSpinner';
 import EmptyState from '../components/EmptyState';
+import HighlightedText from '../components/HighlightedText';
 import toast from 'react-hot-toast';
 
 // Debounce hook
@@ -28,6 +34,38 @@ function useDebounce(value, delay) {
   return debouncedValue;
 }
 
+const FUSION_LABELS = {
+  rrf: 'Reciprocal rank fusion',
+  linear: 'Weighted scores',
+};
+
+const KEYWORD_SCORER_LABELS = {
+  bm25: 'BM25',
+  text: 'Text index',
+};
+
+// Describe how a hybrid result earned its place: its rank and score in each list
+// and how much each contributed to the fused score
+function explainRanking(ranking) {
+  const parts = [];
+  const { semantic, keyword } = ranking;
+
+  parts.push(semantic
+    ? `#${semantic.rank} by meaning (${(semantic.score * 100).toFixed(0)}% similar) +${semantic.contribution.toFixed(2)}`
+    : 'not found by meaning');
+
+  if (keyword) {
+    const matched = Object.entries(keyword.matches || {})
+      .map(([field, terms]) => `${terms.map(term => `"${term}"`).join(', ')} in ${field}`)
+      .join('; ');
+    parts.push(`#${keyword.rank} by keywords (${KEYWORD_SCORER_LABELS[ranking.keywordScorer]} ${keyword.score.toFixed(2)}${matched ? `: ${matched}` : ''}) +${keyword.contribution.toFixed(2)}`);
+  } else {
+    parts.push('no keyword match');
+  }
+
+  return `${FUSION_LABELS[ranking.fusion]}: ${parts.join(' · ')}`;
+}
+
 function Search() {
   const navigate = useNavigate();
   const [searchParams, setSearchParams] = useSearchParams();
@@ -35,27 +73,66 @@ function Search() {
   const [query, setQuery] = useState(searchParams.get('q') || '');
   const [searchType, setSearchType] = useState('hybrid'); // 'semantic', 'keyword', 'hybrid'
   const [results, setResults] = useState([]);
+  const [searchId, setSearchId] = useState(null); // Logged search that result clicks are reported against
   const [suggestions, setSuggestions] = useState([]);
   const [loading, setLoading] = useState(false);
-  const [reindexing, setReindexing] = useState(false);
+  const [reindexJob, setReindexJob] = useState(null);
   const [showFilters, setShowFilters] = useState(false);
   const [semanticWeight, setSemanticWeight] = useState(0.7);
+  const [fusion, setFusion] = useState('rrf');
+  const [keywordScorer, setKeywordScorer] = useState('bm25');
+  const [activeSaved, setActiveSaved] = useState(null); // Saved search being viewed
+  const [saveName, setSaveName] = useState(null); // Name being typed, null when not saving
+  const openedSavedId = useRef(null); // Saved search in the URL that was opened (or is loading)
+  const { runSavedSearch, createSavedSearch, updateSavedSearch, deleteSavedSearch } = useNotes();
+  const { user } = useAuth();
+  const isAdmin = user?.role === 'admin'; // Reindexing rebuilds every user's index
+
+  const savedId = searchParams.get('saved');
 
   const debouncedQuery = useDebounce(query, 300);
 
-  // Search when query changes
+  const reindexing = Boolean(reindexJob) && ['queued', 'running'].includes(reindexJob.status);
+
+  // Pick up a reindex that is already running
   useEffect(() => {
-    if (debouncedQuery.trim().length >= 2) {
-      performSearch(debouncedQuery);
-      loadSuggestions(debouncedQuery);
-      setSearchParams({ q: debouncedQuery });
-    } else {
-      setResults([]);
-      setSuggestions([]);
-    }
-  }, [debouncedQuery, searchType, semanticWeight]);
+    if (!isAdmin) return;
+
+    searchAPI.reindexStatus()
+      .then(response => {
+        const job = response.data.data;
+        if (['queued', 'running'].includes(job.status)) {
+          setReindexJob(job);
+        }
+      })
+      .catch(() => {}); // No reindex has run yet
+  }, [isAdmin]);
+
+  // Poll the reindex job until it finishes
+  useEffect(() => {
+    if (!reindexing) return;
+
+    const timer = setInterval(async () => {
+      try {
+        const response = await searchAPI.reindexStatus(reindexJob._id);
+        const job = response.data.data;
+        setReindexJob(job);
+
+        if (job.status === 'completed') {
+          const { processed, errors } = job.result;
+          toast.success(`Reindexed ${processed} notes${errors ? ` (${errors} queued for retry)` : ''}`);
+        } else if (job.status === 'dead') {
+          toast.error('Failed to reindex notes');
+        }
+      } catch (error) {
+        // Keep polling through transient errors
+      }
+    }, 1000);
 
-  const performSearch = async (searchQuery) => {
+    return () => clearInterval(timer);
+  }, [reindexing, reindexJob?._id]);
+
+  const performSearch = useCallback(async (searchQuery) => {
     setLoading(true);
     try {
       let response;
@@ -69,44 +146,150 @@ function Search() {
           break;
         case 'hybrid':
         default:
-          response = await searchAPI.hybrid(searchQuery, 20, semanticWeight);
+          response = await searchAPI.hybrid(searchQuery, 20, semanticWeight, fusion, keywordScorer);
           break;
       }
 
       setResults(response.data.data || []);
+      setSearchId(response.data.searchId || null);
     } catch (error) {
-      toast.error('Search failed');
+      toast.error(error.response?.data?.error || 'Search failed');
       setResults([]);
+      setSearchId(null);
     } finally {
       setLoading(false);
     }
-  };
+  }, [searchType, semanticWeight, fusion, keywordScorer]);
 
-  const loadSuggestions = async (searchQuery) => {
+  const loadSuggestions = useCallback(async (searchQuery) => {
     try {
       const response = await searchAPI.suggestions(searchQuery, 5);
       setSuggestions(response.data.data || []);
     } catch (error) {
       setSuggestions([]);
     }
-  };
+  }, []);
+
+  // Open the saved search in the URL; its results come back with new matches flagged
+  useEffect(() => {
+    if (!savedId) {
+      openedSavedId.current = null;
+      setActiveSaved(null);
+      return;
+    }
+    if (openedSavedId.current === savedId) return;
+    openedSavedId.current = savedId;
+
+    const openSavedSearch = async () => {
+      setLoading(true);
+      const data = await runSavedSearch(savedId);
+      if (data) {
+        setActiveSaved(data.savedSearch);
+        setQuery(data.savedSearch.queryString);
+        setSearchType(data.savedSearch.mode);
+        setSemanticWeight(data.savedSearch.semanticWeight);
+        setFusion('rrf');
+        setKeywordScorer('bm25');
+        setResults(data.data || []);
+        setSearchId(null);
+      }
+      setLoading(false);
+    };
+    openSavedSearch();
+  }, [savedId, runSavedSearch]);
+
+  // Changing the search leaves the open saved search
+  useEffect(() => {
+    if (!activeSaved) return;
+
+    const unchanged = query === activeSaved.queryString &&
+      searchType === activeSaved.mode &&
+      semanticWeight === activeSaved.semanticWeight &&
+      fusion === 'rrf' && keywordScorer === 'bm25';
+    if (!unchanged) {
+      setActiveSaved(null);
+      setSearchParams(debouncedQuery.trim().length >= 2 ? { q: debouncedQuery } : {});
+    }
+  }, [activeSaved, query, debouncedQuery, searchType, semanticWeight, fusion, keywordScorer, setSearchParams]);
+
+  // Search when the query or settings change; the open saved search's results are already shown
+  useEffect(() => {
+    if (activeSaved) return;
+
+    if (debouncedQuery.trim().length >= 2) {
+      performSearch(debouncedQuery);
+      loadSuggestions(debouncedQuery);
+    } else {
+      setResults([]);
+      setSuggestions([]);
+    }
+  }, [activeSaved, debouncedQuery, performSearch, loadSuggestions]);
+
+  // Keep the searched query in the URL, unless it points at a saved search
+  useEffect(() => {
+    if (savedId || debouncedQuery.trim().length < 2 || searchParams.get('q') === debouncedQuery) return;
+    setSearchParams({ q: debouncedQuery });
+  }, [savedId, debouncedQuery, searchParams, setSearchParams]);
 
   const handleReindex = async () => {
     if (reindexing) return;
-    
-    setReindexing(true);
+
     try {
       const response = await searchAPI.reindex();
-      toast.success(`Reindexed ${response.data.data.processed} notes`);
+      setReindexJob(response.data.data);
+      toast.success(response.data.message);
     } catch (error) {
-      toast.error('Failed to reindex notes');
-    } finally {
-      setReindexing(false);
+      toast.error('Failed to start reindex');
+    }
+  };
+
+  const handleResultClick = (note, index) => {
+    if (searchId) {
+      searchAPI.recordClick(searchId, note._id, index + 1).catch(() => {}); // Analytics only
+    }
+    navigate(`/note/${note._id}`);
+  };
+
+  const handleSaveSearch = async (e) => {
+    e.preventDefault();
+    if (!saveName?.trim()) return;
+
+    const saved = await createSavedSearch({
+      name: saveName.trim(),
+      query: query.trim(),
+      mode: searchType,
+      semanticWeight,
+    });
+
+    if (saved) {
+      setSaveName(null);
+      setActiveSaved(saved);
+      openedSavedId.current = saved._id; // Already showing its results
+      setSearchParams({ saved: saved._id });
+    }
+  };
+
+  const handleToggleTrackNew = async () => {
+    const saved = await updateSavedSearch(activeSaved._id, { trackNew: !activeSaved.trackNew });
+    if (saved) setActiveSaved(saved);
+  };
+
+  const handleDeleteSaved = async () => {
+    if (await deleteSavedSearch(activeSaved._id)) {
+      setActiveSaved(null);
+      setSearchParams(query.trim() ? { q: query.trim() } : {});
     }
   };
 
   const handleSuggestionClick = (suggestion) => {
-    setQuery(suggestion.value);
+    if (suggestion.type !== 'operator') {
+      setQuery(suggestion.value);
+      return;
+    }
+
+    // Operators complete the word being typed; leave "tag:" open for its value
+    const base = /\s$/.test(query) ? query : query.replace(/\S+$/, '');
+    setQuery(`${base}${suggestion.value}${suggestion.value.endsWith(':') ? '' : ' '}`);
   };
 
   const getSearchTypeDescription = () => {
@@ -140,7 +323,7 @@ function Search() {
             type="text"
             value={query}
             onChange={(e) => setQuery(e.target.value)}
-            placeholder="Search your notes..."
+            placeholder='Search your notes... try tag:work, is:pinned, after:30d, "exact phrase" or -exclude'
             className="w-full pl-12 pr-4 py-4 text-lg border border-secondary-200 rounded-xl bg-white focus:ring-2 focus:ring-primary-500 focus:border-primary-500 transition-all"
             autoFocus
           />
@@ -158,7 +341,8 @@ function Search() {
               <button
                 key={index}
                 onClick={() => handleSuggestionClick(suggestion)}
-                className="badge-secondary hover:bg-secondary-200 cursor-pointer transition-colors"
+                title={suggestion.description}
+                className={`${suggestion.type === 'operator' ? 'badge-primary font-mono hover:bg-primary-200' : 'badge-secondary hover:bg-secondary-200'} cursor-pointer transition-colors`}
               >
                 {suggestion.type === 'tag' && '#'}
                 {suggestion.value}
@@ -217,15 +401,104 @@ function Search() {
           )}
         </div>
 
-        <button
-          onClick={handleReindex}
-          disabled={reindexing}
-          className="btn-secondary text-sm"
-        >
-          {reindexing ? <LoadingDots /> : 'Reindex All Notes'}
-        </button>
+        <div className="flex items-center gap-3">
+          {!activeSaved && query.trim().length >= 2 && saveName === null && (
+            <button onClick={() => setSaveName('')} className="btn-secondary text-sm">
+              <BookmarkSquareIcon className="w-4 h-4 mr-1.5" />
+              Save Search
+            </button>
+          )}
+          {isAdmin && (
+            <button
+              onClick={handleReindex}
+              disabled={reindexing}
+              className="btn-secondary text-sm"
+            >
+              {reindexing ? <LoadingDots /> : 'Reindex All Notes'}
+            </button>
+          )}
+        </div>
       </div>
 
+      {/* Save as a smart collection */}
+      {saveName !== null && (
+        <form onSubmit={handleSaveSearch} className="card p-4 mb-4 flex items-center gap-3">
+          <BookmarkSquareIcon className="w-5 h-5 text-primary-500 flex-shrink-0" />
+          <input
+            type="text"
+            value={saveName}
+            onChange={(e) => setSaveName(e.target.value)}
+            placeholder="Name this collection, e.g. Recent incidents"
+            maxLength={100}
+            className="input flex-1"
+            autoFocus
+          />
+          <button type="submit" disabled={!saveName.trim()} className="btn-primary text-sm">
+            Save
+          </button>
+          <button type="button" onClick={() => setSaveName(null)} className="btn-ghost text-sm">
+            Cancel
+          </button>
+        </form>
+      )}
+
+      {/* Open smart collection */}
+      {activeSaved && (
+        <div className="card p-4 mb-4 flex items-center justify-between gap-4">
+          <div className="flex items-center gap-3 min-w-0">
+            <RectangleStackIcon className="w-5 h-5 text-primary-500 flex-shrink-0" />
+            <div className="min-w-0">
+              <p className="font-medium text-secondary-900 truncate">{activeSaved.name}</p>
+              <p className="text-xs text-secondary-500">
+                {activeSaved.newCount > 0
+                  ? `${activeSaved.newCount} new since you last viewed it`
+                  : 'No new matches since you last viewed it'}
+                {' · '}changing the search leaves this collection
+              </p>
+            </div>
+          </div>
+          <div className="flex items-center gap-3 flex-shrink-0">
+            <label className="flex items-center gap-2 text-sm text-secondary-600">
+              <input
+                type="checkbox"
+                checked={activeSaved.trackNew}
+                onChange={handleToggleTrackNew}
+                className="rounded border-secondary-300 text-primary-600 focus:ring-primary-500"
+              />
+              Badge new matches
+            </label>
+            <button onClick={handleDeleteSaved} className="btn-ghost text-red-600" title="Delete saved search">
+              <TrashIcon className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Reindex Progress */}
+      {reindexing && (
+        <div className="card p-4 mb-4">
+          <div className="flex items-center justify-between text-sm mb-2">
+            <span className="font-medium text-secondary-900">
+              {reindexJob.status === 'queued'
+                ? reindexJob.lastError ? 'Reindex failed, retrying shortly...' : 'Reindex queued...'
+                : 'Reindexing notes...'}
+            </span>
+            <span className="text-secondary-500">
+              {reindexJob.progress.processed + reindexJob.progress.failed} / {reindexJob.progress.total}
+              {reindexJob.progress.failed > 0 && (
+                <span className="text-red-600 ml-2">{reindexJob.progress.failed} failed</span>
+              )}
+            </span>
+          </div>
+          <div className="h-2 rounded-full bg-secondary-100 overflow-hidden">
+            <div
+              className="h-full bg-primary-500 transition-all duration-500"
+              style={{ width: `${reindexJob.percent}%` }}
+            />
+          </div>
+        </div>
+      )}
+
       {/* Search Type Description */}
       <p className="text-sm text-secondary-500 mb-4 flex items-center gap-2">
         <SparklesIcon className="w-4 h-4 text-primary-500" />
@@ -257,6 +530,54 @@ function Search() {
               </span>
             </div>
           </div>
+
+          <div className="flex items-center justify-between mt-4 pt-4 border-t border-secondary-100">
+            <div>
+              <p className="font-medium text-secondary-900">Fusion</p>
+              <p className="text-xs text-secondary-500">
+                Rank fusion combines positions in each list; weighted scores blend similarity and keyword scores
+              </p>
+            </div>
+            <div className="flex bg-secondary-100 rounded-lg p-1">
+              {Object.entries(FUSION_LABELS).map(([value, label]) => (
+                <button
+                  key={value}
+                  onClick={() => setFusion(value)}
+                  className={`px-3 py-1.5 text-sm font-medium rounded-lg transition-all ${
+                    fusion === value
+                      ? 'bg-white text-primary-600 shadow-sm'
+                      : 'text-secondary-600 hover:text-secondary-900'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex items-center justify-between mt-4 pt-4 border-t border-secondary-100">
+            <div>
+              <p className="font-medium text-secondary-900">Keyword Scoring</p>
+              <p className="text-xs text-secondary-500">
+                BM25 weighs matches in titles and tags above matches in the content
+              </p>
+            </div>
+            <div className="flex bg-secondary-100 rounded-lg p-1">
+              {Object.entries(KEYWORD_SCORER_LABELS).map(([value, label]) => (
+                <button
+                  key={value}
+                  onClick={() => setKeywordScorer(value)}
+                  className={`px-3 py-1.5 text-sm font-medium rounded-lg transition-all ${
+                    keywordScorer === value
+                      ? 'bg-white text-primary-600 shadow-sm'
+                      : 'text-secondary-600 hover:text-secondary-900'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
         </div>
       )}
 
@@ -275,10 +596,10 @@ function Search() {
             Found {results.length} result{results.length !== 1 ? 's' : ''}
           </p>
           <div className="space-y-4">
-            {results.map((note) => (
+            {results.map((note, index) => (
               <div
                 key={note._id}
-                onClick={() => navigate(`/note/${note._id}`)}
+                onClick={() => handleResultClick(note, index)}
                 className="card p-5 cursor-pointer hover:shadow-lg transition-all"
               >
                 <div className="flex items-start justify-between mb-2">
@@ -288,7 +609,10 @@ function Search() {
                     </div>
                     <div>
                       <h3 className="font-semibold text-secondary-900">
-                        {note.title || 'Untitled Note'}
+                        {note.title ? (
+                          <HighlightedText text={note.title} highlights={note.titleHighlights} />
+                        ) : 'Untitled Note'}
+                        {note.isNew && <span className="badge badge-success ml-2 align-middle">New</span>}
                       </h3>
                       <div className="flex items-center gap-2 text-xs text-secondary-500">
                         <ClockIcon className="w-3 h-3" />
@@ -309,7 +633,9 @@ function Search() {
                       {note.scores ? (
                         <div className="space-y-1">
                           <div className="badge-primary">
-                            {(parseFloat(note.scores.total) * 100).toFixed(0)}% match
+                            {note.ranking?.fusion === 'rrf'
+                              ? `Score ${parseFloat(note.scores.total).toFixed(2)}`
+                              : `${(parseFloat(note.scores.total) * 100).toFixed(0)}% match`}
                           </div>
                           <div className="text-xs text-secondary-400">
                             S: {(parseFloat(note.scores.semantic) * 100).toFixed(0)}% | 
@@ -325,11 +651,22 @@ function Search() {
                   )}
                 </div>
 
-                {/* Preview */}
+                {/* Snippet, with the query's matches marked */}
                 <p className="text-sm text-secondary-600 line-clamp-2 ml-13">
-                  {note.preview || note.content?.substring(0, 200)}
+                  {note.snippet ? (
+                    <HighlightedText {...note.snippet} />
+                  ) : (
+                    note.preview || note.content?.substring(0, 200)
+                  )}
                 </p>
 
+                {/* Why it ranked here */}
+                {note.ranking && (
+                  <p className="text-xs text-secondary-400 mt-2 ml-13">
+                    {explainRanking(note.ranking)}
+                  </p>
+                )}
+
                 {/* Tags */}
                 {note.tags && note.tags.length > 0 && (
                   <div className="flex flex-wrap gap-1.5 mt-3 ml-13">
@@ -372,7 +709,13 @@ function Search() {
             <strong>Keyword Search:</strong> Traditional text matching that finds exact words and phrases in your notes.
           </p>
           <p>
-            <strong>Hybrid Search:</strong> Combines both methods for the best results, balancing meaning and exact matches.
+            <strong>Hybrid Search:</strong> Combines both methods for the best results, balancing meaning and exact matches. Each result shows where it ranked in each list and how much that added to its score.
+          </p>
+          <p>
+            <strong>Filters:</strong> Narrow any search with <code>tag:</code>, <code>category:</code>, <code>is:pinned</code>, <code>is:archived</code>, <code>before:</code>, <code>after:</code> and <code>color:</code>. Quote words to match an exact phrase, and put <code>-</code> in front of a word or filter to exclude it. A query with only filters lists the matching notes.
+          </p>
+          <p>
+            <strong>Smart Collections:</strong> Save a search to keep it in the sidebar and on the dashboard with a live count of matching notes, and a badge for notes that match since you last opened it.
           </p>
         </div>
       </div>
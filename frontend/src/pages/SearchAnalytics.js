@@ -0,0 +1,315 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  ChartBarIcon,
+  CursorArrowRaysIcon,
+  NoSymbolIcon,
+  ClockIcon,
+  ExclamationTriangleIcon,
+  MagnifyingGlassIcon,
+  TrashIcon,
+} from '@heroicons/react/24/outline';
+import { formatDistanceToNow } from 'date-fns';
+import { searchAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { LoadingScreen } from '../components/LoadingSpinner';
+import ConfirmDialog from '../components/ConfirmDialog';
+import toast from 'react-hot-toast';
+
+const PERIODS = [7, 30, 90];
+
+const percent = (value) => `${(value * 100).toFixed(0)}%`;
+
+// One ranked list of queries; clicking a query searches for it again
+function QueryList({ title, description, icon: Icon, queries, detail, emptyMessage }) {
+  const navigate = useNavigate();
+
+  return (
+    <div className="card p-5">
+      <h2 className="font-semibold text-secondary-900 flex items-center gap-2">
+        <Icon className="w-5 h-5 text-primary-500" />
+        {title}
+      </h2>
+      <p className="text-xs text-secondary-500 mb-4">{description}</p>
+
+      {queries.length === 0 ? (
+        <p className="text-sm text-secondary-400">{emptyMessage}</p>
+      ) : (
+        <ul className="space-y-2">
+          {queries.map((item) => (
+            <li key={item.query} className="flex items-center justify-between gap-3 text-sm">
+              <button
+                onClick={() => navigate(`/search?q=${encodeURIComponent(item.query)}`)}
+                className="font-mono text-secondary-700 hover:text-primary-600 truncate text-left"
+                title={`Searched ${formatDistanceToNow(new Date(item.lastSearchedAt), { addSuffix: true })}`}
+              >
+                {item.query}
+              </button>
+              <span className="text-xs text-secondary-500 flex-shrink-0">{detail(item)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+function SearchAnalytics() {
+  const { user, updateProfile } = useAuth();
+  const [days, setDays] = useState(30);
+  const [scope, setScope] = useState('mine');
+  const [loading, setLoading] = useState(true);
+  const [report, setReport] = useState(null);
+  const [clearConfirm, setClearConfirm] = useState(false);
+
+  const tracking = user?.preferences?.searchAnalytics !== false;
+
+  const loadReport = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = { days, scope, limit: 10 };
+      const [top, zero, low, clicks] = await Promise.all([
+        searchAPI.topQueries(params),
+        searchAPI.zeroResultQueries(params),
+        searchAPI.lowConfidenceQueries(params),
+        searchAPI.clickThrough(params),
+      ]);
+
+      setReport({
+        topQueries: top.data.data,
+        zeroResults: zero.data.data,
+        lowConfidence: low.data.data,
+        threshold: low.data.threshold,
+        clickThrough: clicks.data.data,
+      });
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to load search analytics');
+    } finally {
+      setLoading(false);
+    }
+  }, [days, scope]);
+
+  useEffect(() => {
+    loadReport();
+  }, [loadReport]);
+
+  const handleToggleTracking = async () => {
+    const result = await updateProfile({ preferences: { searchAnalytics: !tracking } });
+    if (result.success && tracking) {
+      loadReport(); // Opting out deleted the logged searches
+    }
+  };
+
+  const handleClear = async () => {
+    try {
+      const response = await searchAPI.clearAnalytics();
+      toast.success(response.data.message);
+      loadReport();
+    } catch (error) {
+      toast.error('Failed to delete search history');
+    }
+    setClearConfirm(false);
+  };
+
+  const stats = report?.clickThrough;
+
+  return (
+    <div className="p-8">
+      {/* Header */}
+      <div className="flex items-center justify-between mb-8">
+        <div>
+          <h1 className="text-2xl font-bold text-secondary-900">Search Analytics</h1>
+          <p className="text-secondary-500 mt-1">
+            What gets searched, and which searches come up empty
+          </p>
+        </div>
+        <div className="flex items-center gap-3">
+          {user?.role === 'admin' && (
+            <div className="flex bg-secondary-100 rounded-lg p-1">
+              {[['mine', 'My searches'], ['all', 'All users']].map(([value, label]) => (
+                <button
+                  key={value}
+                  onClick={() => setScope(value)}
+                  className={`px-3 py-1.5 text-sm font-medium rounded-lg transition-all ${
+                    scope === value
+                      ? 'bg-white text-primary-600 shadow-sm'
+                      : 'text-secondary-600 hover:text-secondary-900'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          )}
+          <div className="flex bg-secondary-100 rounded-lg p-1">
+            {PERIODS.map((period) => (
+              <button
+                key={period}
+                onClick={() => setDays(period)}
+                className={`px-3 py-1.5 text-sm font-medium rounded-lg transition-all ${
+                  days === period
+                    ? 'bg-white text-primary-600 shadow-sm'
+                    : 'text-secondary-600 hover:text-secondary-900'
+                }`}
+              >
+                {period} days
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {loading && !report ? (
+        <LoadingScreen message="Loading search analytics..." />
+      ) : report && (
+        <>
+          {/* Stats Cards */}
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-8">
+            <div className="card p-5">
+              <div className="flex items-center gap-4">
+                <div className="w-12 h-12 rounded-xl bg-primary-100 flex items-center justify-center">
+                  <MagnifyingGlassIcon className="w-6 h-6 text-primary-600" />
+                </div>
+                <div>
+                  <p className="text-2xl font-bold text-secondary-900">{stats.searches}</p>
+                  <p className="text-sm text-secondary-500">Searches</p>
+                </div>
+              </div>
+            </div>
+            <div className="card p-5">
+              <div className="flex items-center gap-4">
+                <div className="w-12 h-12 rounded-xl bg-green-100 flex items-center justify-center">
+                  <CursorArrowRaysIcon className="w-6 h-6 text-green-600" />
+                </div>
+                <div>
+                  <p className="text-2xl font-bold text-secondary-900">{percent(stats.rate)}</p>
+                  <p className="text-sm text-secondary-500">Click-through rate</p>
+                </div>
+              </div>
+            </div>
+            <div className="card p-5">
+              <div className="flex items-center gap-4">
+                <div className="w-12 h-12 rounded-xl bg-red-100 flex items-center justify-center">
+                  <NoSymbolIcon className="w-6 h-6 text-red-600" />
+                </div>
+                <div>
+                  <p className="text-2xl font-bold text-secondary-900">{stats.zeroResults}</p>
+                  <p className="text-sm text-secondary-500">Without results</p>
+                </div>
+              </div>
+            </div>
+            <div className="card p-5">
+              <div className="flex items-center gap-4">
+                <div className="w-12 h-12 rounded-xl bg-amber-100 flex items-center justify-center">
+                  <ClockIcon className="w-6 h-6 text-amber-600" />
+                </div>
+                <div>
+                  <p className="text-2xl font-bold text-secondary-900">{stats.avgLatencyMs} ms</p>
+                  <p className="text-sm text-secondary-500">Average latency</p>
+                </div>
+              </div>
+            </div>
+          </div>
+
+          {/* Per Mode */}
+          {stats.byMode.length > 0 && (
+            <div className="card p-5 mb-8 overflow-x-auto">
+              <h2 className="font-semibold text-secondary-900 flex items-center gap-2 mb-4">
+                <ChartBarIcon className="w-5 h-5 text-primary-500" />
+                By search mode
+              </h2>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-secondary-500">
+                    <th className="pb-2 font-medium">Mode</th>
+                    <th className="pb-2 font-medium">Searches</th>
+                    <th className="pb-2 font-medium">Without results</th>
+                    <th className="pb-2 font-medium">Click-through</th>
+                    <th className="pb-2 font-medium">Avg. clicked position</th>
+                    <th className="pb-2 font-medium">Avg. latency</th>
+                  </tr>
+                </thead>
+                <tbody className="text-secondary-700">
+                  {stats.byMode.map((row) => (
+                    <tr key={row.mode} className="border-t border-secondary-100">
+                      <td className="py-2 capitalize">{row.mode}</td>
+                      <td className="py-2">{row.searches}</td>
+                      <td className="py-2">{row.zeroResults}</td>
+                      <td className="py-2">{percent(row.rate)}</td>
+                      <td className="py-2">{row.avgClickedRank ? row.avgClickedRank.toFixed(1) : '–'}</td>
+                      <td className="py-2">{row.avgLatencyMs} ms</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* Query Lists */}
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-4 mb-8">
+            <QueryList
+              title="Top queries"
+              description="Searched most often"
+              icon={MagnifyingGlassIcon}
+              queries={report.topQueries}
+              detail={(item) => `${item.count}× · ${item.clicked} clicked`}
+              emptyMessage="No searches yet"
+            />
+            <QueryList
+              title="No results"
+              description="Searches that found nothing"
+              icon={NoSymbolIcon}
+              queries={report.zeroResults}
+              detail={(item) => `${item.count}× · ${item.modes.join(', ')}`}
+              emptyMessage="Every search found something"
+            />
+            <QueryList
+              title="Low confidence"
+              description={`Semantic searches whose best match was under ${percent(report.threshold)} similar`}
+              icon={ExclamationTriangleIcon}
+              queries={report.lowConfidence}
+              detail={(item) => `${percent(item.bestSimilarity)} best · ${item.count}×`}
+              emptyMessage="No weak semantic matches"
+            />
+          </div>
+        </>
+      )}
+
+      {/* Privacy */}
+      <div className="card p-5 flex items-center justify-between gap-4">
+        <div>
+          <p className="font-medium text-secondary-900">Log my searches</p>
+          <p className="text-xs text-secondary-500">
+            Searches are kept for a limited time. Turning this off stops logging and deletes your search history.
+          </p>
+        </div>
+        <div className="flex items-center gap-3 flex-shrink-0">
+          <label className="flex items-center gap-2 text-sm text-secondary-600">
+            <input
+              type="checkbox"
+              checked={tracking}
+              onChange={handleToggleTracking}
+              className="rounded border-secondary-300 text-primary-600 focus:ring-primary-500"
+            />
+            {tracking ? 'On' : 'Off'}
+          </label>
+          <button onClick={() => setClearConfirm(true)} className="btn-ghost text-red-600" title="Delete my search history">
+            <TrashIcon className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      <ConfirmDialog
+        isOpen={clearConfirm}
+        onClose={() => setClearConfirm(false)}
+        onConfirm={handleClear}
+        title="Delete Search History"
+        message="Delete every search you have made from the analytics? This action cannot be undone."
+        confirmText="Delete"
+        type="danger"
+      />
+    </div>
+  );
+}
+
+export default SearchAnalytics;
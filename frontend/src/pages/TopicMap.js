@@ -0,0 +1,249 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  MapIcon,
+  ArrowPathIcon,
+  TagIcon,
+  DocumentTextIcon,
+} from '@heroicons/react/24/outline';
+import { formatDistanceToNow } from 'date-fns';
+import { aiAPI } from '../services/api';
+import { LoadingScreen } from '../components/LoadingSpinner';
+import EmptyState from '../components/EmptyState';
+import toast from 'react-hot-toast';
+
+const COLORS = [
+  '#6366f1', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#06b6d4',
+  '#ec4899', '#84cc16', '#f97316', '#14b8a6', '#a855f7', '#64748b',
+];
+
+const TOPIC_COUNTS = [2, 3, 4, 5, 6, 8, 10, 12];
+
+const percent = (value) => `${(value * 100).toFixed(0)}%`;
+
+// Map coordinates are in [-1, 1]; leave room for labels at the edges
+const VIEW_BOX = '-1.25 -1.15 2.5 2.3';
+
+function TopicMap() {
+  const navigate = useNavigate();
+  const [loading, setLoading] = useState(true);
+  const [topicMap, setTopicMap] = useState(null);
+  const [k, setK] = useState('');
+  const [selected, setSelected] = useState(null);
+
+  const loadTopics = useCallback(async (refresh = false) => {
+    setLoading(true);
+    try {
+      const response = await aiAPI.getTopics({ ...(k && { k }), ...(refresh && { refresh: true }) });
+      setTopicMap(response.data.data);
+      setSelected(null);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to load topics');
+    } finally {
+      setLoading(false);
+    }
+  }, [k]);
+
+  useEffect(() => {
+    loadTopics();
+  }, [loadTopics]);
+
+  const topics = topicMap?.topics || [];
+  const activeTopic = selected !== null ? topics[selected] : null;
+  const maxSize = Math.max(1, ...topics.map((topic) => topic.size));
+
+  return (
+    <div className="p-8">
+      {/* Header */}
+      <div className="flex items-center justify-between mb-8">
+        <div>
+          <h1 className="text-2xl font-bold text-secondary-900">Topic Map</h1>
+          <p className="text-secondary-500 mt-1">
+            Your notes grouped by what they are about
+          </p>
+        </div>
+        <div className="flex items-center gap-3">
+          <select
+            value={k}
+            onChange={(e) => setK(e.target.value)}
+            className="input w-auto"
+            title="Number of topics"
+          >
+            <option value="">Auto topics</option>
+            {TOPIC_COUNTS.map((count) => (
+              <option key={count} value={count}>{count} topics</option>
+            ))}
+          </select>
+          <button onClick={() => loadTopics(true)} disabled={loading} className="btn-secondary">
+            <ArrowPathIcon className={`w-5 h-5 mr-2 ${loading ? 'animate-spin' : ''}`} />
+            Rebuild
+          </button>
+        </div>
+      </div>
+
+      {loading && !topicMap ? (
+        <LoadingScreen message="Finding topics in your notes..." />
+      ) : topics.length === 0 ? (
+        <EmptyState
+          type="notes"
+          title="Not enough notes to map"
+          message={topicMap?.unindexed
+            ? `${topicMap.unindexed} of your notes are still being indexed. Topics appear once at least two notes are AI-indexed.`
+            : 'Topics appear once you have at least two AI-indexed notes.'}
+        />
+      ) : (
+        <>
+          <p className="text-xs text-secondary-500 mb-4">
+            {topics.length} topics across {topicMap.noteCount - topicMap.unindexed} notes
+            {topicMap.unindexed > 0 && ` (${topicMap.unindexed} not indexed yet)`}
+            {' · '}
+            {topicMap.labelProvider === 'keywords' ? 'named from keywords' : `named by ${topicMap.labelProvider}`}
+            {' · '}
+            built {formatDistanceToNow(new Date(topicMap.generatedAt), { addSuffix: true })}
+          </p>
+
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            {/* Map */}
+            <div className="card p-4 lg:col-span-2">
+              <svg viewBox={VIEW_BOX} className="w-full h-[32rem]" onClick={() => setSelected(null)}>
+                {topics.map((topic, t) => topic.notes.map((note) => (
+                  <circle
+                    key={note.note}
+                    cx={note.x}
+                    cy={-note.y}
+                    r={0.022}
+                    fill={COLORS[t % COLORS.length]}
+                    opacity={activeTopic && selected !== t ? 0.15 : 0.8}
+                    className="cursor-pointer"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      navigate(`/note/${note.note}`);
+                    }}
+                  >
+                    <title>{`${note.title} (${topic.label})`}</title>
+                  </circle>
+                )))}
+
+                {topics.map((topic, t) => (
+                  <g
+                    key={topic.label + t}
+                    className="cursor-pointer"
+                    opacity={activeTopic && selected !== t ? 0.3 : 1}
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      setSelected(selected === t ? null : t);
+                    }}
+                  >
+                    <circle
+                      cx={topic.x}
+                      cy={-topic.y}
+                      r={0.06 + 0.12 * Math.sqrt(topic.size / maxSize)}
+                      fill={COLORS[t % COLORS.length]}
+                      fillOpacity={0.15}
+                      stroke={COLORS[t % COLORS.length]}
+                      strokeWidth={selected === t ? 0.012 : 0.005}
+                    />
+                    <text
+                      x={topic.x}
+                      y={-topic.y}
+                      textAnchor="middle"
+                      dominantBaseline="middle"
+                      fontSize={0.055}
+                      fontWeight={600}
+                      fill="#1e293b"
+                    >
+                      {topic.label}
+                    </text>
+                  </g>
+                ))}
+              </svg>
+              <p className="text-xs text-secondary-400 text-center">
+                Nearby notes have similar content. Click a topic to explore it, or a dot to open the note.
+              </p>
+            </div>
+
+            {/* Topic Details */}
+            <div className="space-y-4">
+              {activeTopic ? (
+                <div className="card p-5">
+                  <div className="flex items-center gap-2 mb-1">
+                    <span
+                      className="w-3 h-3 rounded-full flex-shrink-0"
+                      style={{ backgroundColor: COLORS[selected % COLORS.length] }}
+                    />
+                    <h2 className="font-semibold text-secondary-900">{activeTopic.label}</h2>
+                  </div>
+                  {activeTopic.description && (
+                    <p className="text-sm text-secondary-600 mb-3">{activeTopic.description}</p>
+                  )}
+                  <p className="text-xs text-secondary-500 mb-3">
+                    {activeTopic.size} {activeTopic.size === 1 ? 'note' : 'notes'} · {percent(activeTopic.cohesion)} cohesion
+                  </p>
+                  {activeTopic.keywords.length > 0 && (
+                    <div className="flex flex-wrap gap-1 mb-4">
+                      {activeTopic.keywords.map((keyword) => (
+                        <span key={keyword} className="badge badge-secondary">{keyword}</span>
+                      ))}
+                    </div>
+                  )}
+                  <ul className="space-y-1 max-h-96 overflow-y-auto">
+                    {activeTopic.notes.map((note) => (
+                      <li key={note.note}>
+                        <button
+                          onClick={() => navigate(`/note/${note.note}`)}
+                          className="w-full flex items-center justify-between gap-2 text-sm text-left px-2 py-1.5 rounded-lg hover:bg-secondary-50"
+                        >
+                          <span className="flex items-center gap-2 truncate text-secondary-700">
+                            <DocumentTextIcon className="w-4 h-4 text-secondary-400 flex-shrink-0" />
+                            <span className="truncate">{note.title}</span>
+                          </span>
+                          <span className="text-xs text-secondary-400 flex-shrink-0">{percent(note.similarity)}</span>
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              ) : (
+                <div className="card p-5">
+                  <h2 className="font-semibold text-secondary-900 flex items-center gap-2 mb-4">
+                    <MapIcon className="w-5 h-5 text-primary-500" />
+                    Topics
+                  </h2>
+                  <ul className="space-y-2">
+                    {topics.map((topic, t) => (
+                      <li key={topic.label + t}>
+                        <button
+                          onClick={() => setSelected(t)}
+                          className="w-full text-left px-2 py-1.5 rounded-lg hover:bg-secondary-50"
+                        >
+                          <div className="flex items-center justify-between gap-2">
+                            <span className="flex items-center gap-2 font-medium text-secondary-800 truncate">
+                              <span
+                                className="w-3 h-3 rounded-full flex-shrink-0"
+                                style={{ backgroundColor: COLORS[t % COLORS.length] }}
+                              />
+                              <span className="truncate">{topic.label}</span>
+                            </span>
+                            <span className="text-xs text-secondary-500 flex-shrink-0">{topic.size}</span>
+                          </div>
+                          {topic.keywords.length > 0 && (
+                            <p className="text-xs text-secondary-400 flex items-center gap-1 mt-0.5 truncate">
+                              <TagIcon className="w-3 h-3 flex-shrink-0" />
+                              {topic.keywords.slice(0, 4).join(', ')}
+                            </p>
+                          )}
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default TopicMap;
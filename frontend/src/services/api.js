@@ -39,6 +39,73 @@ api.interceptors.response.use(
   }
 );
 
+/**
+ * POST to an endpoint that answers with server-sent events
+ * Calls onToken with each streamed text delta and resolves with the final 'done' payload.
+ * Abort the signal to cancel; the promise then rejects with an AbortError.
+ */
+const streamRequest = async (url, body, { onToken, signal } = {}) => {
+  const token = localStorage.getItem('token');
+  const response = await fetch(`${api.defaults.baseURL}${url}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'text/event-stream',
+      ...(token && { Authorization: `Bearer ${token}` }),
+    },
+    body: JSON.stringify(body),
+    signal,
+  });
+
+  if (!response.ok) {
+    // Handle 401 Unauthorized - redirect to login
+    if (response.status === 401) {
+      localStorage.removeItem('token');
+      window.location.href = '/login';
+    }
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || `Request failed with status ${response.status}`);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let result = null;
+
+  const handleEvent = (raw) => {
+    let event = 'message';
+    const data = [];
+    raw.split('\n').forEach((line) => {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+    });
+    if (data.length === 0) return;
+
+    const payload = JSON.parse(data.join('\n'));
+    if (event === 'token') onToken?.(payload.text);
+    else if (event === 'done') result = payload;
+    else if (event === 'error') throw new Error(payload.error || 'An error occurred');
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      handleEvent(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+    }
+  }
+  if (buffer.trim()) handleEvent(buffer);
+
+  if (!result) {
+    throw new Error('The response ended unexpectedly');
+  }
+  return result;
+};
+
 // Auth API
 export const authAPI = {
   register: (data) => api.post('/auth/register', data),
@@ -62,6 +129,15 @@ export const notesAPI = {
   getStats: () => api.get('/notes/stats'),
   getCategories: () => api.get('/notes/categories'),
   getTags: () => api.get('/notes/tags'),
+  // Version history
+  getRevisions: (id) => api.get(`/notes/${id}/revisions`),
+  getRevision: (id, version) => api.get(`/notes/${id}/revisions/${version}`),
+  compareRevisions: (id, from, to) =>
+    api.get(`/notes/${id}/revisions/diff`, { params: { from, to } }),
+  restoreRevision: (id, version) => api.post(`/notes/${id}/revisions/${version}/restore`),
+  // Near-duplicates
+  getDuplicates: (params = {}) => api.get('/notes/duplicates', { params }),
+  mergeDuplicates: (data) => api.post('/notes/duplicates/merge', data),
 };
 
 // AI API
@@ -71,9 +147,29 @@ export const aiAPI = {
   generateTitle: (content) => api.post('/ai/generate-title', { content }),
   explain: (content, style = 'simple') => api.post('/ai/explain', { content, style }),
   extractKeyPoints: (data) => api.post('/ai/key-points', data),
-  chat: (message, conversationHistory = []) => 
-    api.post('/ai/chat', { message, conversationHistory }),
-  getInsights: () => api.get('/ai/insights'),
+  // retrieval options are { expandQueries, hyde } for chat turns
+  chat: (message, conversationHistory = [], retrieval = {}) => 
+    api.post('/ai/chat', { message, conversationHistory, ...retrieval }),
+  // Streaming variants: options are { onToken, signal }
+  askStream: (query, topK = 5, options) =>
+    streamRequest('/ai/ask/stream', { query, topK }, options),
+  chatStream: (message, conversationHistory = [], options, retrieval = {}) =>
+    streamRequest('/ai/chat/stream', { message, conversationHistory, ...retrieval }, options),
+  // Persistent conversations
+  getConversations: (page = 1, limit = 20) =>
+    api.get('/ai/conversations', { params: { page, limit } }),
+  getConversation: (id) => api.get(`/ai/conversations/${id}`),
+  createConversation: (title) => api.post('/ai/conversations', title ? { title } : {}),
+  renameConversation: (id, title) => api.put(`/ai/conversations/${id}`, { title }),
+  deleteConversation: (id) => api.delete(`/ai/conversations/${id}`),
+  sendConversationMessage: (id, message, retrieval = {}) =>
+    api.post(`/ai/conversations/${id}/messages`, { message, ...retrieval }),
+  sendConversationMessageStream: (id, message, options, retrieval = {}) =>
+    streamRequest(`/ai/conversations/${id}/messages/stream`, { message, ...retrieval }, options),
+  // params are { window, refresh }
+  getInsights: (params = {}) => api.get('/ai/insights', { params }),
+  // params are { k, refresh }
+  getTopics: (params = {}) => api.get('/ai/topics', { params }),
   getRelated: (noteId, limit = 5) => 
     api.get(`/ai/related/${noteId}`, { params: { limit } }),
 };
@@ -84,11 +180,36 @@ export const searchAPI = {
     api.get('/search/semantic', { params: { q: query, limit } }),
   keyword: (query, limit = 20, page = 1) => 
     api.get('/search/keyword', { params: { q: query, limit, page } }),
-  hybrid: (query, limit = 10, semanticWeight = 0.7) =>
-    api.get('/search/hybrid', { params: { q: query, limit, semanticWeight } }),
+  // fusion: 'rrf' | 'linear', keywordScorer: 'bm25' | 'text'
+  hybrid: (query, limit = 10, semanticWeight = 0.7, fusion = 'rrf', keywordScorer = 'bm25') =>
+    api.get('/search/hybrid', { params: { q: query, limit, semanticWeight, fusion, keywordScorer } }),
   suggestions: (query, limit = 5) =>
     api.get('/search/suggestions', { params: { q: query, limit } }),
   reindex: () => api.post('/search/reindex'),
+  // Latest reindex job, or a given one
+  reindexStatus: (jobId) =>
+    api.get(jobId ? `/search/reindex/${jobId}` : '/search/reindex/status'),
+  // Saved searches (smart collections): { name, query, mode, filters, semanticWeight, trackNew }
+  getSaved: () => api.get('/search/saved'),
+  createSaved: (data) => api.post('/search/saved', data),
+  updateSaved: (id, data) => api.put(`/search/saved/${id}`, data),
+  deleteSaved: (id) => api.delete(`/search/saved/${id}`),
+  // Results with new matches flagged; marks them as seen
+  runSaved: (id) => api.post(`/search/saved/${id}/run`),
+  // Search analytics reports, params: { days, limit, scope: 'mine' | 'all' (admins) }
+  topQueries: (params) => api.get('/search/analytics/top-queries', { params }),
+  zeroResultQueries: (params) => api.get('/search/analytics/zero-results', { params }),
+  lowConfidenceQueries: (params) => api.get('/search/analytics/low-confidence', { params }),
+  clickThrough: (params) => api.get('/search/analytics/click-through', { params }),
+  // searchId comes with each search response; rank is the result's 1-based position
+  recordClick: (searchId, noteId, rank) =>
+    api.post('/search/analytics/clicks', { searchId, noteId, rank }),
+  clearAnalytics: () => api.delete('/search/analytics'),
+};
+
+// Jobs API
+export const jobsAPI = {
+  get: (id) => api.get(`/jobs/${id}`),
 };
 
 export default api;
@@ -0,0 +1,84 @@
+/**
+ * Index Consistency Check
+ * Audits notes, their stored chunks (the Embedding collection) and the vector index
+ * cached under VECTOR_STORE_PATH against each other
+ *
+ * Usage: node scripts/check-index.js [--fix]
+ *   --fix  repair every problem found; missing and stale notes are queued for the
+ *          server's job worker to embed again
+ * Exits non-zero when problems are found and --fix was not given.
+ */
+
+const path = require('path');
+const { createRequire } = require('module');
+
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  red: '\x1b[31m',
+};
+
+// Run as the backend does, so its .env, dependencies and relative paths apply
+const backendDir = path.join(__dirname, '..', 'backend');
+const backendRequire = createRequire(path.join(backendDir, 'package.json'));
+process.chdir(backendDir);
+backendRequire('dotenv').config();
+
+const mongoose = backendRequire('mongoose');
+const vectorStore = require('../backend/services/vectorStore');
+const vectorSyncService = require('../backend/services/vectorSyncService');
+const consistencyService = require('../backend/services/consistencyService');
+
+const fix = process.argv.includes('--fix');
+
+const printReport = (report) => {
+  console.log(`\n${colors.blue}Index: ${report.model} (${report.dimension} dimensions)${colors.reset}`);
+  if (report.migratingTo) {
+    console.log(`   Migrating to ${report.migratingTo.model}`);
+  }
+  console.log(`   Notes: ${report.totals.notes}, chunks: ${report.totals.chunks}, vectors: ${report.totals.vectors}\n`);
+
+  for (const [kind, issue] of Object.entries(report.issues)) {
+    const color = issue.count > 0 ? colors.yellow : colors.green;
+    console.log(`${color}${issue.count > 0 ? '✗' : '✓'} ${kind}: ${issue.count}${colors.reset}  ${issue.description}`);
+    issue.noteIds.slice(0, 10).forEach(id => console.log(`     ${id}`));
+    if (issue.count > 10) {
+      console.log(`     ...and ${issue.count - 10} more`);
+    }
+  }
+};
+
+const main = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/ai-notes-app', {
+    serverSelectionTimeoutMS: 5000
+  });
+
+  await vectorStore.initialize();
+  await vectorSyncService.loadActiveSpec();
+
+  const report = fix ? await consistencyService.repair() : await consistencyService.audit();
+  printReport(report);
+
+  if (report.consistent) {
+    console.log(`\n${colors.green}No problems found${colors.reset}`);
+  } else if (fix) {
+    const { repaired } = report;
+    console.log(`\n${colors.green}Repaired:${colors.reset} ${repaired.orphanedChunks} orphaned and ${repaired.mismatchedChunks} mismatched chunks removed, ` +
+      `${repaired.flags} flags fixed, ${repaired.queuedNotes} notes queued for reindexing, ${repaired.vectors} vectors in the index`);
+  } else {
+    console.log(`\n${colors.yellow}Run with --fix to repair${colors.reset}`);
+  }
+
+  await vectorStore.flush();
+  await mongoose.disconnect();
+  return report.consistent || fix ? 0 : 1;
+};
+
+main()
+  .then(code => process.exit(code))
+  .catch((error) => {
+    console.error(`${colors.red}❌ ${error.message}${colors.reset}`);
+    process.exit(2);
+  });
@@ -0,0 +1,199 @@
+/**
+ * LLM Stub Server
+ * Minimal stand-in for the live AI APIs so the backend can run and be tested offline.
+ * Speaks the OpenAI chat/embeddings format and the Anthropic Messages format with
+ * deterministic replies, streamed word by word when the request asks for it.
+ *
+ * Usage: node scripts/llm-stub-server.js [--port 8089] [--dim 384] [--delay 20]
+ *   LLM_PROVIDER=openai LLM_API_URL=http://localhost:8089/v1
+ *   LLM_PROVIDER=anthropic ANTHROPIC_BASE_URL=http://localhost:8089
+ *   EMBEDDING_PROVIDER=openai EMBEDDING_API_URL=http://localhost:8089/v1
+ *
+ * Tests can also require it: const server = createStubServer({ reply: 'Canned answer' })
+ */
+
+const http = require('http');
+
+/**
+ * Build the reply text for a conversation
+ * Prompts that ask for JSON get JSON so title, key point and insight parsing is exercised
+ */
+const buildReply = (messages, reply) => {
+  if (reply) return reply;
+
+  const lastUser = [...messages].reverse().find(msg => msg.role === 'user');
+  const prompt = typeof lastUser?.content === 'string' ? lastUser.content : '';
+
+  if (prompt.includes('"alternatives"')) {
+    return JSON.stringify({ title: 'Stub title', alternatives: ['Stub alternative 1', 'Stub alternative 2'] });
+  }
+  if (prompt.includes('JSON array')) {
+    return JSON.stringify(['Stub key point 1', 'Stub key point 2']);
+  }
+  if (prompt.includes('"recommendations"')) {
+    return JSON.stringify({
+      totalNotes: 0,
+      topCategories: ['general'],
+      suggestedTags: ['stub'],
+      contentTrends: 'Stub trends',
+      recommendations: ['Stub recommendation']
+    });
+  }
+
+  return `Stub reply to: ${prompt.slice(-200)}`;
+};
+
+// Deterministic unit vector derived from the text
+const embed = (text, dimension) => {
+  const vector = new Array(dimension).fill(0);
+  for (let i = 0; i < text.length; i++) {
+    vector[(text.charCodeAt(i) * (i + 1)) % dimension] += 1;
+  }
+  const magnitude = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return vector.map(value => value / magnitude);
+};
+
+const countTokens = (text) => Math.ceil(String(text).length / 4);
+
+// Split a reply into word-sized deltas for streaming
+const toDeltas = (text) => text.match(/\S+\s*|\s+/g) || [''];
+
+/**
+ * Write a list of server-sent events, one every `delay` milliseconds
+ */
+const writeEvents = (res, events, delay) => {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+
+  let i = 0;
+  const next = () => {
+    if (res.destroyed) return;
+    if (i >= events.length) return res.end();
+
+    const { event, data } = events[i++];
+    res.write(`${event ? `event: ${event}\n` : ''}data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+    setTimeout(next, delay);
+  };
+  next();
+};
+
+/**
+ * Create (but do not start) a stub server
+ * @param {object} options - { reply, dimension, delay } where delay spaces streamed tokens (ms)
+ * @returns {http.Server}
+ */
+const createStubServer = ({ reply, dimension = 384, delay = 20 } = {}) => http.createServer((req, res) => {
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    let body;
+    try {
+      body = raw ? JSON.parse(raw) : {};
+    } catch (error) {
+      return send(400, { error: { message: 'Invalid JSON body' } });
+    }
+
+    const url = req.url.replace(/\/+$/, '');
+
+    if (req.method === 'POST' && url.endsWith('/chat/completions')) {
+      const content = buildReply(body.messages || [], reply);
+      const promptTokens = countTokens((body.messages || []).map(msg => msg.content).join(''));
+
+      if (body.stream) {
+        return writeEvents(res, [
+          ...toDeltas(content).map(delta => ({
+            data: { object: 'chat.completion.chunk', model: body.model, choices: [{ index: 0, delta: { content: delta } }] }
+          })),
+          {
+            data: {
+              object: 'chat.completion.chunk',
+              model: body.model,
+              choices: [],
+              usage: { total_tokens: promptTokens + countTokens(content) }
+            }
+          },
+          { data: '[DONE]' }
+        ], delay);
+      }
+
+      return send(200, {
+        id: 'stub-completion',
+        object: 'chat.completion',
+        model: body.model,
+        choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+        usage: {
+          prompt_tokens: promptTokens,
+          completion_tokens: countTokens(content),
+          total_tokens: promptTokens + countTokens(content)
+        }
+      });
+    }
+
+    if (req.method === 'POST' && url.endsWith('/v1/messages')) {
+      const content = buildReply(body.messages || [], reply);
+      const inputTokens = countTokens((body.system || '') + (body.messages || []).map(msg => msg.content).join(''));
+
+      if (body.stream) {
+        return writeEvents(res, [
+          { event: 'message_start', data: { type: 'message_start', message: { model: body.model, usage: { input_tokens: inputTokens } } } },
+          { event: 'content_block_start', data: { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } } },
+          ...toDeltas(content).map(delta => ({
+            event: 'content_block_delta',
+            data: { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: delta } }
+          })),
+          { event: 'content_block_stop', data: { type: 'content_block_stop', index: 0 } },
+          { event: 'message_delta', data: { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: countTokens(content) } } },
+          { event: 'message_stop', data: { type: 'message_stop' } }
+        ], delay);
+      }
+
+      return send(200, {
+        id: 'stub-message',
+        type: 'message',
+        role: 'assistant',
+        model: body.model,
+        content: [{ type: 'text', text: content }],
+        stop_reason: 'end_turn',
+        usage: {
+          input_tokens: inputTokens,
+          output_tokens: countTokens(content)
+        }
+      });
+    }
+
+    if (req.method === 'POST' && url.endsWith('/embeddings')) {
+      const inputs = Array.isArray(body.input) ? body.input : [body.input || ''];
+      const size = body.dimensions || dimension;
+      return send(200, {
+        object: 'list',
+        model: body.model,
+        data: inputs.map((text, index) => ({ object: 'embedding', index, embedding: embed(String(text), size) })),
+        usage: { prompt_tokens: countTokens(inputs.join('')), total_tokens: countTokens(inputs.join('')) }
+      });
+    }
+
+    send(404, { error: { message: `No stub for ${req.method} ${req.url}` } });
+  });
+});
+
+if (require.main === module) {
+  const args = process.argv.slice(2).reduce((acc, arg, i, all) => {
+    if (arg.startsWith('--')) {
+      acc[arg.slice(2)] = all[i + 1];
+    }
+    return acc;
+  }, {});
+
+  const port = parseInt(args.port) || 8089;
+  createStubServer({ reply: args.reply, dimension: parseInt(args.dim) || 384, delay: parseInt(args.delay) || 20 }).listen(port, () => {
+    console.log(`LLM stub server listening on http://localhost:${port}`);
+    console.log(`   OpenAI-compatible: http://localhost:${port}/v1`);
+    console.log(`   Anthropic-style:   http://localhost:${port}`);
+  });
+}
+
+module.exports = { createStubServer };